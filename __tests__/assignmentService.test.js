@@ -0,0 +1,54 @@
+const assignmentService = require('../src/services/assignmentService');
+
+const reviewers = [
+  { _id: 'te-1', username: 'asha', email: 'asha@example.com', profile: { first_name: 'Asha', last_name: 'Rao' } },
+  { _id: 'te-2', username: 'bilal', email: 'bilal@example.com', profile: {} },
+  { _id: 'te-3', username: 'chen', email: 'chen@example.com', profile: {} }
+];
+
+describe('assignmentService.pickRoundRobin', () => {
+  test('picks the reviewer after the last assignee and wraps around', () => {
+    expect(assignmentService.pickRoundRobin(reviewers, 'te-1')._id).toBe('te-2');
+    expect(assignmentService.pickRoundRobin(reviewers, 'te-3')._id).toBe('te-1');
+  });
+
+  test('starts from the first reviewer when the last assignee is unknown', () => {
+    expect(assignmentService.pickRoundRobin(reviewers, null)._id).toBe('te-1');
+    expect(assignmentService.pickRoundRobin(reviewers, 'gone')._id).toBe('te-1');
+    expect(assignmentService.pickRoundRobin([], 'te-1')).toBeNull();
+  });
+});
+
+describe('assignmentService.pickLeastLoaded', () => {
+  test('picks the reviewer with the fewest open structures, first on ties', () => {
+    expect(assignmentService.pickLeastLoaded(reviewers, new Map([['te-1', 4], ['te-2', 1], ['te-3', 1]]))._id).toBe('te-2');
+    expect(assignmentService.pickLeastLoaded(reviewers, new Map([['te-1', 2]]))._id).toBe('te-2');
+    expect(assignmentService.pickLeastLoaded(reviewers, new Map())._id).toBe('te-1');
+  });
+});
+
+describe('assignmentService.assign', () => {
+  test('records the reviewer under the field for the role', () => {
+    const structure = {};
+    const assignment = assignmentService.assign(structure, 'VE', reviewers[0], {
+      assignedBy: { user_id: 'ad-1', name: 'Admin' },
+      method: 'manual'
+    });
+
+    expect(structure.assignment.validation_engineer).toBe(assignment);
+    expect(assignment).toMatchObject({
+      user_id: 'te-1',
+      name: 'Asha Rao',
+      email: 'asha@example.com',
+      assigned_by: { user_id: 'ad-1', name: 'Admin' },
+      method: 'manual'
+    });
+    expect(assignment.assigned_at).toBeInstanceOf(Date);
+  });
+
+  test('keeps an existing assignee when auto-assigning', async () => {
+    const structure = { assignment: { testing_engineer: { user_id: 'te-2' } } };
+    await expect(assignmentService.autoAssign(structure, 'TE')).resolves.toBeNull();
+    expect(structure.assignment.testing_engineer.user_id).toBe('te-2');
+  });
+});
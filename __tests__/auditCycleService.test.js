@@ -0,0 +1,75 @@
+const auditCycleService = require('../src/services/auditCycleService');
+
+const flat = (rating, instanceId = 'beam-1') => ({
+  flat_id: 'flat_101',
+  flat_number: '101',
+  flat_type: '2bhk',
+  structural_rating: { beams: [{ _id: instanceId, name: 'Beam 1', rating }], overall_average: rating },
+  flat_overall_rating: { combined_score: rating },
+  quantifications: { structural: [{ entry_id: 'q1' }], non_structural: [] },
+  testing_required: true,
+  test_results: [{ test_name: 'rebound_hammer' }]
+});
+
+const data = (rating, instanceId) => ({
+  geometric_details: {
+    floors: [{ floor_id: 'floor_1', floor_number: 1, flats: [flat(rating, instanceId)] }]
+  }
+});
+
+describe('auditCycleService.resetRatings', () => {
+  test('keeps the layout and clears the ratings, tests and workflow of the cycle', () => {
+    const structure = {
+      ...data(2),
+      structure_test_results: [{ test_name: 'core' }],
+      workflow: { approved_by: { name: 'AD' } },
+      rejection_findings: [{ status: 'closed' }]
+    };
+
+    auditCycleService.resetRatings(structure);
+
+    const [reset] = structure.geometric_details.floors[0].flats;
+    expect(reset).toMatchObject({
+      flat_id: 'flat_101',
+      flat_number: '101',
+      flat_type: '2bhk',
+      structural_rating: undefined,
+      flat_overall_rating: undefined,
+      quantifications: { structural: [], non_structural: [] },
+      testing_required: false,
+      test_results: []
+    });
+    expect(structure.structure_test_results).toEqual([]);
+    expect(structure.workflow).toEqual({});
+    expect(structure.rejection_findings).toEqual([]);
+  });
+});
+
+describe('auditCycleService.buildRatingHistory', () => {
+  const cycles = [
+    { cycle_number: 1, approved_at: '2024-03-01', data: data(4, 'beam-2024') },
+    { cycle_number: 2, current: true, data: data(2, 'beam-2026') }
+  ];
+
+  test('follows an instance across cycles by name and reports deterioration', () => {
+    const [beam] = auditCycleService.buildRatingHistory(cycles);
+
+    expect(beam).toMatchObject({
+      location_label: 'Floor 1, Flat 101',
+      scope: 'structural',
+      component_type: 'beams',
+      name: 'Beam 1',
+      instance_id: 'beam-2026',
+      change: -2,
+      trend: 'deteriorated'
+    });
+    expect(beam.history.map(entry => [entry.cycle_number, entry.rating, entry.current]))
+      .toEqual([[1, 4, false], [2, 2, true]]);
+  });
+
+  test('filters by location, component and instance id from any cycle', () => {
+    expect(auditCycleService.buildRatingHistory(cycles, { instance_id: 'beam-2024' })).toHaveLength(1);
+    expect(auditCycleService.buildRatingHistory(cycles, { flat_id: 'flat_999' })).toEqual([]);
+    expect(auditCycleService.buildRatingHistory(cycles, { component_type: 'columns' })).toEqual([]);
+  });
+});
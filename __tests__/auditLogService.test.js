@@ -0,0 +1,76 @@
+const AuditLog = require('../src/models/AuditLog');
+const auditLogService = require('../src/services/auditLogService');
+
+const structure = rating => ({
+  _id: 'structure-1',
+  status: 'ratings_in_progress',
+  updatedAt: new Date(),
+  geometric_details: {
+    floors: [{
+      floor_id: 'floor_1',
+      flats: [{ flat_id: 'flat_101', structural_rating: { beams: [{ _id: 'beam-1', rating }] } }]
+    }]
+  }
+});
+
+describe('auditLogService.buildEntries', () => {
+  test('logs each changed field with its category and values', () => {
+    const after = structure(2);
+    after.status = 'submitted';
+
+    expect(auditLogService.buildEntries(structure(4), after)).toEqual([
+      { operation: 'update', category: 'workflow', path: 'status', change: 'modified', before: 'ratings_in_progress', after: 'submitted' },
+      {
+        operation: 'update',
+        category: 'rating',
+        path: 'geometric_details.floors[floor_1].flats[flat_101].structural_rating.beams[beam-1].rating',
+        change: 'modified',
+        before: 4,
+        after: 2
+      }
+    ]);
+  });
+
+  test('skips ignored paths and redacts secrets', () => {
+    const before = { username: 'fe1', password: 'old-hash', role: 'FE', last_login: '2026-01-01', stats: { total_login_count: 1 } };
+    const after = { username: 'fe1', password: 'new-hash', role: 'TE', last_login: '2026-02-01', stats: { total_login_count: 2 } };
+
+    expect(auditLogService.buildEntries(before, after, ['last_login', 'stats'])).toEqual([
+      { operation: 'update', category: 'data', path: 'password', change: 'modified', before: '[REDACTED]', after: '[REDACTED]' },
+      { operation: 'update', category: 'role', path: 'role', change: 'modified', before: 'FE', after: 'TE' }
+    ]);
+    expect(auditLogService.buildEntries(null, after)[0]).toMatchObject({
+      operation: 'create',
+      after: { username: 'fe1', password: '[REDACTED]', role: 'TE' }
+    });
+  });
+});
+
+describe('auditLogService.record', () => {
+  test('writes one change set without a request as a system change', async () => {
+    const insertMany = jest.spyOn(AuditLog, 'insertMany').mockResolvedValue([]);
+
+    const written = await auditLogService.record({
+      resourceType: 'Structure',
+      resourceId: 'structure-1',
+      label: 'UID-1',
+      before: structure(4),
+      after: structure(3)
+    });
+
+    expect(written).toBe(1);
+    const [[entries]] = insertMany.mock.calls;
+    expect(entries[0]).toMatchObject({ resource_type: 'Structure', resource_label: 'UID-1', source: 'system', before: 4, after: 3 });
+  });
+});
+
+describe('auditLogService.buildFilter', () => {
+  test('maps query parameters to a Mongo filter', () => {
+    expect(auditLogService.buildFilter({ user_id: 'u1', role: 'FE', path: 'beams[b.1]', from: '2026-01-01' })).toEqual({
+      'actor.user_id': 'u1',
+      'actor.roles': 'FE',
+      path: { $regex: 'beams\\[b\\.1\\]' },
+      timestamp: { $gte: new Date('2026-01-01') }
+    });
+  });
+});
@@ -0,0 +1,84 @@
+const boqService = require('../src/services/boqService');
+
+const entry = (category, methodology, quantity, unit) => ({
+  entry_id: `${category}-${quantity}`,
+  category,
+  repair_methodology: methodology,
+  quantity,
+  unit
+});
+
+const structure = {
+  _id: 'structure-1',
+  structural_identity: { structural_identity_number: 'TS01HYD0001R001' },
+  geometric_details: {
+    floors: [
+      {
+        floor_number: 1,
+        quantifications: {
+          structural: [entry('Beams', 'Polymer Modified Mortar', 2.5, 'SQM')],
+          non_structural: []
+        },
+        flats: [
+          {
+            flat_number: '101',
+            quantifications: {
+              structural: [
+                entry('beams', 'polymer modified mortar', 1.5, 'SQM'),
+                entry('Columns', 'Epoxy injection', 4, 'RM'),
+                entry('Columns', 'Epoxy injection', 0, 'RM')
+              ],
+              non_structural: [entry('Painting', 'Repainting', 20, 'SQM')]
+            }
+          }
+        ]
+      }
+    ]
+  }
+};
+
+describe('boqService', () => {
+  test('aggregates entries by scope, category, methodology and unit across floors and flats', () => {
+    const items = boqService.aggregateQuantifications(structure);
+
+    expect(items).toHaveLength(3);
+    expect(items[0]).toMatchObject({
+      scope: 'structural',
+      category: 'Beams',
+      unit: 'SQM',
+      quantity: 4,
+      entry_count: 2,
+      locations: ['Floor 1', 'Floor 1 / 101']
+    });
+    expect(items[1]).toMatchObject({ category: 'Columns', quantity: 4, entry_count: 1 });
+    expect(items[2].scope).toBe('non_structural');
+  });
+
+  test('prices line items with the most specific rate and totals each section', () => {
+    const boq = boqService.buildBoq(structure);
+    const [structural, nonStructural] = boq.sections;
+
+    expect(structural.line_items[0]).toMatchObject({ unit_rate: 1850, rate_source: 'category_methodology', amount: 7400 });
+    expect(structural.line_items[1]).toMatchObject({ unit_rate: 950, rate_source: 'methodology', amount: 3800 });
+    expect(nonStructural.line_items[0]).toMatchObject({ unit_rate: 180, rate_source: 'category', amount: 3600 });
+    expect(boq.totals).toEqual({ line_items: 3, unpriced_items: 0, grand_total: 14800 });
+  });
+
+  test('request rates override the configured ones', () => {
+    const boq = boqService.buildBoq(structure, {
+      unitRates: [{ category: 'beams', repair_methodology: 'polymer modified mortar', unit: 'SQM', rate: 2000 }],
+      ratesByUnit: { SQM: 100 }
+    });
+
+    expect(boq.sections[0].line_items[0].amount).toBe(8000);
+    expect(boq.sections[1].line_items[0].unit_rate).toBe(180);
+  });
+
+  test('builds an Excel workbook for the BOQ', async () => {
+    const workbook = boqService.buildWorkbook(boqService.buildBoq(structure));
+    const buffer = await workbook.xlsx.writeBuffer();
+
+    expect(workbook.getWorksheet('Bill of Quantities')).toBeDefined();
+    expect(buffer.length).toBeGreaterThan(0);
+  });
+});
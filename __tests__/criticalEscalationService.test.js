@@ -0,0 +1,79 @@
+const criticalEscalationService = require('../src/services/criticalEscalationService');
+
+const buildStructure = ({ beamRating, flatScore, blockHealth }) => ({
+  geometric_details: {
+    floors: [
+      {
+        floor_id: 'floor-1',
+        floor_number: 2,
+        flats: [
+          {
+            flat_id: 'flat-1',
+            flat_number: '201',
+            structural_rating: {
+              beams: [
+                {
+                  _id: 'beam-1',
+                  name: 'B1',
+                  rating: beamRating,
+                  distress_types: ['spalling', 'none'],
+                  photos: ['https://example.com/beam.jpg', 'data:image/jpeg;base64,AAAA']
+                }
+              ]
+            },
+            flat_overall_rating: { combined_score: flatScore }
+          }
+        ],
+        blocks: [
+          { block_id: 'block-1', block_number: 'B-1', block_overall_rating: { combined_score: 3, health_status: blockHealth } }
+        ]
+      }
+    ]
+  }
+});
+
+describe('criticalEscalationService.collectCriticalItems', () => {
+  test('collects Critical instances and element scores with their location', () => {
+    const items = criticalEscalationService.collectCriticalItems(
+      buildStructure({ beamRating: 1, flatScore: 1.5, blockHealth: 'Critical' })
+    );
+
+    expect(Array.from(items.keys()).sort()).toEqual([
+      'block:block-1:combined',
+      'flat:flat-1:combined',
+      'flat:flat-1:structural:beams:beam-1'
+    ]);
+
+    const beam = items.get('flat:flat-1:structural:beams:beam-1');
+    expect(beam).toMatchObject({
+      level: 'instance',
+      location: { floor_id: 'floor-1', flat_id: 'flat-1', flat_number: '201' },
+      location_label: 'Floor 2, Flat 201',
+      rating: 1,
+      distress_types: ['spalling'],
+      photos: ['https://example.com/beam.jpg']
+    });
+  });
+
+  test('ignores findings that are not Critical', () => {
+    const items = criticalEscalationService.collectCriticalItems(
+      buildStructure({ beamRating: 2, flatScore: 2.5, blockHealth: 'Fair' })
+    );
+    expect(items.size).toBe(0);
+  });
+});
+
+describe('criticalEscalationService.diffCriticalItems', () => {
+  test('only findings that became Critical are escalated', () => {
+    const before = criticalEscalationService.collectCriticalItems(
+      buildStructure({ beamRating: 1, flatScore: 3, blockHealth: 'Fair' })
+    );
+    const after = criticalEscalationService.collectCriticalItems(
+      buildStructure({ beamRating: 1, flatScore: 1.8, blockHealth: 'Fair' })
+    );
+
+    expect(criticalEscalationService.diffCriticalItems(before, after).map(item => item.key))
+      .toEqual(['flat:flat-1:combined']);
+    expect(criticalEscalationService.diffCriticalItems(after, after)).toEqual([]);
+  });
+});
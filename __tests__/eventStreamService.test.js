@@ -0,0 +1,106 @@
+const eventStreamService = require('../src/services/eventStreamService');
+const sessionService = require('../src/services/sessionService');
+
+const fe = { userId: 'fe-1', role: 'FE', roles: ['FE'] };
+const te = { userId: 'te-1', role: 'TE', roles: ['TE'] };
+const ve = { userId: 've-1', role: 'VE', roles: ['VE'] };
+
+const openClient = (user, expiresAt = null) => {
+  const writes = [];
+  const client = { id: user.userId, user, expiresAt, res: { write: chunk => writes.push(chunk), end: jest.fn() } };
+  eventStreamService.clients.set(client.id, client);
+  return writes;
+};
+
+describe('eventStreamService.canSeeStructure', () => {
+  test('regular users only see their own structures', () => {
+    expect(eventStreamService.canSeeStructure(fe, { owner: 'fe-1', status: 'submitted' })).toBe(true);
+    expect(eventStreamService.canSeeStructure(fe, { owner: 'fe-2', status: 'submitted' })).toBe(false);
+  });
+
+  test('reviewers see structures in their workflow stage', () => {
+    expect(eventStreamService.canSeeStructure(te, { owner: 'fe-1', status: 'submitted' })).toBe(true);
+    expect(eventStreamService.canSeeStructure(ve, { owner: 'fe-1', status: 'submitted' })).toBe(false);
+    expect(eventStreamService.canSeeStructure(ve, { owner: 'fe-1', status: 'under_validation' }, ['under_validation', 'tested'])).toBe(true);
+  });
+});
+
+describe('eventStreamService publishing', () => {
+  afterEach(() => eventStreamService.clients.clear());
+
+  test('status changes reach the owner and the queues the structure enters or leaves', () => {
+    const feWrites = openClient(fe);
+    const teWrites = openClient(te);
+    const veWrites = openClient(ve);
+
+    const sent = eventStreamService.publishStructureEvent(
+      'structure.status_changed',
+      { _id: 's-1', owner: 'fe-1', status: 'under_validation' },
+      { event: 'validation_started' },
+      { previousStatus: 'tested' }
+    );
+
+    expect(sent).toBe(3);
+    expect(feWrites[0]).toContain('"status":"under_validation"');
+    expect(teWrites[0]).toContain('event: structure.status_changed');
+    expect(veWrites[0]).toContain('"previous_status":"tested"');
+  });
+
+  test('user events only reach that user', () => {
+    const feWrites = openClient(fe);
+    const teWrites = openClient(te);
+
+    expect(eventStreamService.publishToUser('fe-1', 'notification.created', { id: 'n-1' })).toBe(1);
+    expect(feWrites[0]).toMatch(/^id: \d+\nevent: notification\.created\ndata: \{"id":"n-1"\}\n\n$/);
+    expect(teWrites).toHaveLength(0);
+  });
+});
+
+describe('eventStreamService stream lifetime', () => {
+  afterEach(() => {
+    eventStreamService.clients.clear();
+    jest.restoreAllMocks();
+  });
+
+  test('ends the stream once the access token has expired', async () => {
+    const writes = openClient(fe, 1000);
+    const client = eventStreamService.clients.get('fe-1');
+
+    await eventStreamService.heartbeat(client, 2000);
+
+    expect(writes[0]).toContain('event: stream.closed');
+    expect(writes[0]).toContain('"reason":"token_expired"');
+    expect(client.res.end).toHaveBeenCalled();
+    expect(eventStreamService.clients.has('fe-1')).toBe(false);
+  });
+
+  test('ends the stream when the session has been signed out', async () => {
+    jest.spyOn(sessionService, 'isActive').mockResolvedValue(false);
+    const writes = openClient({ ...fe, sessionId: 'session-1' });
+
+    await eventStreamService.heartbeat(eventStreamService.clients.get('fe-1'));
+
+    expect(sessionService.isActive).toHaveBeenCalledWith('session-1');
+    expect(writes[0]).toContain('"reason":"session_revoked"');
+    expect(eventStreamService.clients.size).toBe(0);
+  });
+
+  test('keeps a valid stream alive', async () => {
+    jest.spyOn(sessionService, 'isActive').mockResolvedValue(true);
+    const writes = openClient({ ...fe, sessionId: 'session-1' }, Date.now() + 60 * 1000);
+
+    await eventStreamService.heartbeat(eventStreamService.clients.get('fe-1'));
+
+    expect(writes).toEqual([': ping\n\n']);
+    expect(eventStreamService.clients.size).toBe(1);
+  });
+
+  test('does not deliver events to a stream whose token expired between heartbeats', () => {
+    const feWrites = openClient(fe, Date.now() - 1000);
+
+    expect(eventStreamService.publishToUser('fe-1', 'notification.created', { id: 'n-1' })).toBe(0);
+    expect(eventStreamService.publishStructureEvent('structure.remark_added', { _id: 's-1', owner: 'fe-1', status: 'submitted' })).toBe(0);
+    expect(feWrites).toHaveLength(1);
+    expect(feWrites[0]).toContain('event: stream.closed');
+  });
+});
@@ -0,0 +1,85 @@
+const inspectionScheduleService = require('../src/services/inspectionScheduleService');
+
+const ratedStructure = (rating, identity = {}) => ({
+  structural_identity: { type_of_structure: 'residential', age_of_structure: 5, ...identity },
+  geometric_details: {
+    floors: [
+      {
+        floor_id: 'floor-1',
+        structural_rating: { columns: [{ _id: 'c1', rating }] },
+        flats: [
+          {
+            flat_id: 'flat-1',
+            structural_rating: { beams: [{ _id: 'b1', rating }] },
+            non_structural_rating: { plumbing: [{ _id: 'p1', rating: 5 }] }
+          }
+        ],
+        blocks: [{ block_id: 'block-1', structural_rating: { slab: [{ _id: 's1', rating }] } }]
+      }
+    ]
+  }
+});
+
+describe('inspectionScheduleService.getCombinedHealth', () => {
+  test('weights structural 70% and non-structural 30% across floors, flats and blocks', () => {
+    const health = inspectionScheduleService.getCombinedHealth(ratedStructure(2));
+    expect(health.structural).toBe(2);
+    expect(health.non_structural).toBe(5);
+    expect(health.combined_score).toBe(2.9);
+    expect(health.health_status).toBe('Poor');
+  });
+
+  test('is Unknown without ratings', () => {
+    expect(inspectionScheduleService.getCombinedHealth({ geometric_details: { floors: [] } }).health_status).toBe('Unknown');
+  });
+});
+
+describe('inspectionScheduleService.getIntervalMonths', () => {
+  test('shortens the interval for poor health, age and sensitive types', () => {
+    expect(inspectionScheduleService.getIntervalMonths({ healthStatus: 'Good', age: 5, type: 'residential' })).toBe(36);
+    expect(inspectionScheduleService.getIntervalMonths({ healthStatus: 'Good', age: 20, type: 'residential' })).toBe(27);
+    expect(inspectionScheduleService.getIntervalMonths({ healthStatus: 'Good', age: 40, type: 'hospital' })).toBe(9);
+    expect(inspectionScheduleService.getIntervalMonths({ healthStatus: 'Critical', age: 40, type: 'educational' })).toBe(3);
+  });
+});
+
+describe('inspectionScheduleService.computeSchedule', () => {
+  test('counts the interval from the inspection date', () => {
+    const schedule = inspectionScheduleService.computeSchedule(
+      ratedStructure(5, { type_of_structure: 'hospital' }),
+      { from: new Date(2025, 0, 15) }
+    );
+    expect(schedule.health_status).toBe('Good');
+    expect(schedule.interval_months).toBe(18);
+    expect(schedule.next_inspection_due).toEqual(new Date(2026, 6, 15));
+    expect(schedule.reminders_sent).toEqual([]);
+  });
+});
+
+describe('inspectionScheduleService.getDueReminder', () => {
+  const now = new Date(2025, 5, 1, 7, 0, 0);
+  const dueIn = days => new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+  test('nothing is owed more than 30 days ahead', () => {
+    expect(inspectionScheduleService.getDueReminder({ next_inspection_due: dueIn(45) }, now)).toBeNull();
+  });
+
+  test('sends each reminder once', () => {
+    expect(inspectionScheduleService.getDueReminder({ next_inspection_due: dueIn(30) }, now))
+      .toEqual({ kind: 'reminder', days_before: 30, days_until: 30, covers: [30] });
+    expect(inspectionScheduleService.getDueReminder({ next_inspection_due: dueIn(20), reminders_sent: [30] }, now)).toBeNull();
+    expect(inspectionScheduleService.getDueReminder({ next_inspection_due: dueIn(7), reminders_sent: [30] }, now))
+      .toMatchObject({ days_before: 7, covers: [7] });
+  });
+
+  test('only the most urgent of several owed reminders is sent', () => {
+    expect(inspectionScheduleService.getDueReminder({ next_inspection_due: dueIn(1) }, now))
+      .toEqual({ kind: 'reminder', days_before: 1, days_until: 1, covers: [30, 7, 1] });
+  });
+
+  test('raises one overdue alert', () => {
+    expect(inspectionScheduleService.getDueReminder({ next_inspection_due: dueIn(-3) }, now))
+      .toEqual({ kind: 'overdue', days_overdue: 3 });
+    expect(inspectionScheduleService.getDueReminder({ next_inspection_due: dueIn(-3), overdue_alert_sent_at: now }, now)).toBeNull();
+  });
+});
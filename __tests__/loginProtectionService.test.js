@@ -0,0 +1,94 @@
+const { User } = require('../src/models/schemas');
+const SecurityEvent = require('../src/models/SecurityEvent');
+const loginProtectionService = require('../src/services/loginProtectionService');
+
+const now = new Date('2026-03-01T10:00:00Z');
+const minutesAgo = minutes => new Date(now.getTime() - minutes * 60 * 1000);
+
+describe('loginProtectionService.lockoutMinutes', () => {
+  test('doubles each lockout in a row up to a day', () => {
+    expect([1, 2, 3, 4].map(count => loginProtectionService.lockoutMinutes(count))).toEqual([15, 30, 60, 120]);
+    expect(loginProtectionService.lockoutMinutes(10)).toBe(24 * 60);
+  });
+});
+
+describe('loginProtectionService.assertNotLocked', () => {
+  test('rejects with 423 and the retry delay until the lock expires', () => {
+    const user = { login_security: { locked_until: new Date(now.getTime() + 90 * 1000) } };
+
+    expect(() => loginProtectionService.assertNotLocked(user, now)).toThrow('Try again in 2 minute(s)');
+    try {
+      loginProtectionService.assertNotLocked(user, now);
+    } catch (error) {
+      expect(error).toMatchObject({ statusCode: 423, code: 'ACCOUNT_LOCKED', retryAfter: 90 });
+    }
+
+    expect(() => loginProtectionService.assertNotLocked(user, new Date(now.getTime() + 91 * 1000))).not.toThrow();
+    expect(() => loginProtectionService.assertNotLocked({}, now)).not.toThrow();
+  });
+});
+
+describe('loginProtectionService.recordFailedLogin', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('restarts the count when the last failure is outside the window', async () => {
+    const findByIdAndUpdate = jest.spyOn(User, 'findByIdAndUpdate')
+      .mockResolvedValue({ login_security: { failed_attempts: 1 } });
+    const updateOne = jest.spyOn(User, 'updateOne');
+
+    const user = { _id: 'user-1', login_security: { failed_attempts: 4, last_failed_at: minutesAgo(30) } };
+    const result = await loginProtectionService.recordFailedLogin(user, 'fe1', now);
+
+    expect(result).toEqual({ locked: false, failed_attempts: 1 });
+    expect(findByIdAndUpdate.mock.calls[0][1]).toEqual({
+      $set: { 'login_security.failed_attempts': 1, 'login_security.last_failed_at': now }
+    });
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+
+  test('locks the account on the last allowed failure and records the lockout', async () => {
+    jest.spyOn(User, 'findByIdAndUpdate')
+      .mockResolvedValue({ login_security: { failed_attempts: 5, lockout_count: 1 } });
+    const updateOne = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const create = jest.spyOn(SecurityEvent, 'create').mockResolvedValue({});
+
+    const user = { _id: 'user-1', email: 'fe1@example.com', login_security: { failed_attempts: 4, last_failed_at: minutesAgo(1) } };
+    const result = await loginProtectionService.recordFailedLogin(user, 'fe1', now);
+
+    const lockedUntil = new Date(now.getTime() + 30 * 60 * 1000);
+    expect(result).toEqual({ locked: true, failed_attempts: 5, locked_until: lockedUntil, retry_after_seconds: 30 * 60 });
+    expect(updateOne.mock.calls[0][1]).toMatchObject({
+      $set: { 'login_security.failed_attempts': 0, 'login_security.locked_until': lockedUntil },
+      $inc: { 'login_security.lockout_count': 1 }
+    });
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      event: 'account_locked',
+      user: 'user-1',
+      identifier: 'fe1',
+      lockout_count: 2,
+      locked_until: lockedUntil
+    }));
+  });
+
+  test('does not record a second lockout when a parallel request already locked', async () => {
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({ login_security: { failed_attempts: 6 } });
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+    const create = jest.spyOn(SecurityEvent, 'create');
+
+    const result = await loginProtectionService.recordFailedLogin({ _id: 'user-1', login_security: {} }, 'fe1', now);
+
+    expect(result.locked).toBe(true);
+    expect(create).not.toHaveBeenCalled();
+  });
+});
+
+describe('loginProtectionService.buildEventFilter', () => {
+  test('maps query parameters to a Mongo filter', () => {
+    expect(loginProtectionService.buildEventFilter({ event: 'account_locked', user_id: 'u1', identifier: 'FE1@Example.com', to: '2026-03-01' })).toEqual({
+      event: 'account_locked',
+      user: 'u1',
+      identifier: 'fe1@example.com',
+      occurred_at: { $lte: new Date('2026-03-01') }
+    });
+  });
+});
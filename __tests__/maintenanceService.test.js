@@ -0,0 +1,119 @@
+const maintenanceService = require('../src/services/maintenanceService');
+const rateBookService = require('../src/services/rateBookService');
+
+const structure = {
+  _id: 'structure-1',
+  geometric_details: {
+    floors: [
+      {
+        floor_id: 'floor-1',
+        floor_number: 1,
+        flats: [
+          {
+            flat_id: 'flat-1',
+            flat_number: '101',
+            structural_rating: {
+              beams: [
+                {
+                  _id: 'beam-1',
+                  name: 'B1',
+                  rating: 1,
+                  distress_types: ['spalling', 'none'],
+                  condition_comment: 'Exposed reinforcement',
+                  repair_methodology: 'Jacketing',
+                  photo: 'https://example.com/beam.jpg'
+                }
+              ]
+            },
+            quantifications: {
+              structural: [{ category: 'Beams', repair_methodology: 'Jacketing', quantity: 2, unit: 'SQM' }]
+            }
+          }
+        ],
+        blocks: [
+          { block_id: 'block-1', block_number: 'B-1', structural_rating: { columns: [{ _id: 'column-1', rating: 4 }] } }
+        ]
+      }
+    ]
+  }
+};
+
+describe('maintenanceService', () => {
+  test('locates component instances in flats and blocks', () => {
+    const located = maintenanceService.locateComponent(structure, {
+      floor_id: 'floor-1', flat_id: 'flat-1', scope: 'structural', instance_id: 'beam-1'
+    });
+    expect(located.component_type).toBe('beams');
+    expect(located.instance.name).toBe('B1');
+
+    expect(maintenanceService.locateComponent(structure, {
+      floor_id: 'floor-1', block_id: 'block-1', scope: 'structural', instance_id: 'column-1'
+    }).component_type).toBe('columns');
+
+    expect(maintenanceService.locateComponent(structure, {
+      floor_id: 'floor-1', flat_id: 'flat-1', scope: 'non_structural', instance_id: 'beam-1'
+    })).toBeNull();
+  });
+
+  test('builds a priced request from a low-rated component', () => {
+    const located = maintenanceService.locateComponent(structure, {
+      floor_id: 'floor-1', flat_id: 'flat-1', scope: 'structural', instance_id: 'beam-1'
+    });
+    const request = maintenanceService.buildRequestFromComponent(structure, located, rateBookService.getDefaultRateBook());
+
+    expect(request.priority).toBe('Critical');
+    expect(request.location).toMatchObject({ floor_id: 'floor-1', flat_id: 'flat-1', flat_number: '101' });
+    expect(request.component).toMatchObject({ component_type: 'beams', instance_id: 'beam-1', rating: 1 });
+    expect(request.component.distress_types).toEqual(['spalling']);
+    expect(request.component.photos).toEqual(['https://example.com/beam.jpg']);
+    expect(request.estimated_cost.basis).toBe('quantified');
+    expect(request.estimated_cost.amount).toBeGreaterThan(0);
+    expect(request.due_date.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('only allows forward status changes and rework of completed work', () => {
+    expect(maintenanceService.canTransition('assigned', 'in_progress')).toBe(true);
+    expect(maintenanceService.canTransition('completed', 'in_progress')).toBe(true);
+    expect(maintenanceService.canTransition('open', 'completed')).toBe(false);
+    expect(maintenanceService.canTransition('verified', 'in_progress')).toBe(false);
+  });
+});
+
+describe('maintenanceService.collectLowRatedComponents', () => {
+  const lowRatedStructure = {
+    _id: 'structure-2',
+    geometric_details: {
+      floors: [
+        {
+          floor_id: 'floor-1',
+          floor_number: 0,
+          structural_rating: { slab: [{ _id: 'slab-1', rating: 2 }] },
+          flats: [
+            {
+              flat_id: 'flat-1',
+              flat_number: '001',
+              structural_rating: { beams: [{ _id: 'beam-1', rating: 1 }, { _id: 'beam-2', rating: 4 }] },
+              non_structural_rating: { plumbing: { rating: 2, condition_comment: 'Legacy rating' } }
+            }
+          ],
+          blocks: [
+            { block_id: 'block-1', block_number: 'B-1', structural_rating: { columns: [{ _id: 'column-1', rating: 2 }] } }
+          ]
+        }
+      ]
+    }
+  };
+
+  test('walks floors, flats and blocks for instances rated 2 or lower', () => {
+    const found = maintenanceService.collectLowRatedComponents(lowRatedStructure);
+
+    expect(found.map(located => located.instance_id)).toEqual(['slab-1', 'beam-1', 'flat-1_plumbing', 'column-1']);
+    expect(found.find(located => located.instance_id === 'column-1').block.block_number).toBe('B-1');
+    expect(maintenanceService.describeWhere(found[3])).toBe('Floor 0, Block B-1');
+  });
+
+  test('rates urgency by scope', () => {
+    expect(maintenanceService.getUrgency(1, 'structural')).toMatchObject({ priority: 'Critical', urgency: 'Immediate' });
+    expect(maintenanceService.getUrgency(1, 'non_structural')).toMatchObject({ priority: 'High' });
+  });
+});
@@ -0,0 +1,55 @@
+const {
+  interpretTestResult,
+  interpretReboundHammer,
+  interpretPulseVelocity,
+  interpretHalfCellPotential,
+  interpretCarbonationDepth
+} = require('../src/utils/ndtInterpretation');
+
+describe('ndtInterpretation', () => {
+  test('rebound hammer corrects for impact angle and estimates strength', () => {
+    const horizontal = interpretReboundHammer({ rebound_number: 34, orientation: 'horizontal' });
+    const upward = interpretReboundHammer({ rebound_number: 34, orientation: 'vertical_up' });
+
+    expect(horizontal.corrected_rebound_number).toBe(34);
+    expect(horizontal.estimated_compressive_strength_mpa).toBeCloseTo(27.6, 1);
+    expect(horizontal.quality).toBe('good_layer');
+    expect(upward.corrected_rebound_number).toBeLessThan(34);
+    expect(upward.estimated_compressive_strength_mpa).toBeLessThan(horizontal.estimated_compressive_strength_mpa);
+  });
+
+  test('rebound hammer averages individual readings', () => {
+    const result = interpretReboundHammer({ readings: [30, '32', 34], angle: 0 });
+
+    expect(result.rebound_number).toBe(32);
+    expect(result.readings_count).toBe(3);
+  });
+
+  test('UPV grades velocity computed from path length and transit time', () => {
+    expect(interpretPulseVelocity({ path_length: 150, transit_time: 30 }).quality_grade).toBe('excellent');
+    expect(interpretPulseVelocity({ pulse_velocity: 3800 }).quality_grade).toBe('good');
+    expect(interpretPulseVelocity({ pulse_velocity: 3.2 }).quality_grade).toBe('medium');
+    expect(interpretPulseVelocity({ pulse_velocity: 2.5 }).quality_grade).toBe('doubtful');
+  });
+
+  test('half-cell potential bands follow ASTM C876 after electrode conversion', () => {
+    expect(interpretHalfCellPotential({ potential: -150 }).corrosion_probability).toBe('low');
+    expect(interpretHalfCellPotential({ potential: -300 }).corrosion_probability).toBe('uncertain');
+    expect(interpretHalfCellPotential({ potential: -300, reference_electrode: 'SCE' }).corrosion_probability).toBe('high');
+  });
+
+  test('carbonation depth is compared against cover, falling back to context', () => {
+    expect(interpretCarbonationDepth({ carbonation_depth: 10, cover_depth: 30 }).status).toBe('within_cover');
+    expect(interpretCarbonationDepth({ carbonation_depth: 26 }, { cover_depth: 30 }).status).toBe('approaching_reinforcement');
+
+    const reached = interpretCarbonationDepth({ carbonation_depth: 35, cover_depth: 30 });
+    expect(reached.status).toBe('reached_reinforcement');
+    expect(reached.remaining_cover_mm).toBe(0);
+    expect(interpretCarbonationDepth({ carbonation_depth: 10 })).toBeNull();
+  });
+
+  test('returns null for tests without an interpretation', () => {
+    expect(interpretTestResult('cover_meter', { cover_depth: 30 })).toBeNull();
+    expect(interpretTestResult('rebound_hammer', { remarks: 'no readings' })).toBeNull();
+  });
+});
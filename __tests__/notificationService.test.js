@@ -0,0 +1,84 @@
+const notificationService = require('../src/services/notificationService');
+
+const structure = {
+  _id: 'structure-1',
+  status: 'tested',
+  owner: 'owner-1',
+  location: { structure_name: 'Tower A' },
+  workflow: {
+    submitted_by: { user_id: 'owner-1' },
+    tested_by: { user_id: 'te-1' }
+  }
+};
+
+describe('notificationService.notifyWorkflowTransition', () => {
+  let delivered;
+  const preferences = { 've-2': 'daily_digest', 'owner-1': 'off' };
+
+  beforeEach(() => {
+    delivered = [];
+    jest.spyOn(notificationService, 'deliver').mockImplementation(async (notifications) => {
+      delivered.push(...notifications);
+      return notifications;
+    });
+    jest.spyOn(notificationService, 'findUsersByRoles').mockResolvedValue([{ _id: 've-1' }, { _id: 've-2' }]);
+    jest.spyOn(notificationService, 'findRecipients').mockImplementation(async (userIds) =>
+      userIds.map(userId => ({
+        _id: userId,
+        email: `${userId}@example.com`,
+        notification_preferences: { email_frequency: preferences[userId] || 'immediate' }
+      }))
+    );
+    jest.spyOn(notificationService, 'sendImmediateEmails').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('notifies the next stage role and the owner, but not the actor', async () => {
+    const count = await notificationService.notifyWorkflowTransition(structure, 'tested', { _id: 'te-1', name: 'Tess' });
+
+    expect(notificationService.findUsersByRoles).toHaveBeenCalledWith(['VE']);
+    expect(count).toBe(3);
+    expect(delivered.map(n => n.userId).sort()).toEqual(['owner-1', 've-1', 've-2']);
+    expect(delivered[0]).toMatchObject({
+      type: 'workflow',
+      relatedId: 'structure-1',
+      relatedModel: 'Structure',
+      title: 'Ready for validation: Tower A'
+    });
+  });
+
+  test('rejections reach earlier participants with the reason', async () => {
+    await notificationService.notifyWorkflowTransition(
+      structure,
+      'rejected',
+      { _id: 've-1', name: 'Val' },
+      { stage: 'validation', reason: 'Photos missing' }
+    );
+
+    expect(notificationService.findUsersByRoles).not.toHaveBeenCalled();
+    expect(delivered.map(n => n.userId).sort()).toEqual(['owner-1', 'te-1']);
+    expect(delivered[0].message).toBe('Val rejected Tower A: Photos missing');
+    expect(delivered[0].data).toMatchObject({ event: 'rejected', stage: 'validation' });
+  });
+
+  test('queues emails according to each recipient\'s preference', async () => {
+    await notificationService.notifyWorkflowTransition(structure, 'tested', { _id: 'te-1', name: 'Tess' });
+
+    const statusByUser = Object.fromEntries(delivered.map(n => [n.userId, n.email.status]));
+    expect(statusByUser).toEqual({ 've-1': 'pending', 've-2': 'pending', 'owner-1': 'not_required' });
+    expect(notificationService.sendImmediateEmails).toHaveBeenCalledTimes(1);
+  });
+
+  test('unknown events notify nobody', async () => {
+    expect(await notificationService.notifyWorkflowTransition(structure, 'archived', { _id: 'x' })).toBe(0);
+    expect(delivered).toHaveLength(0);
+  });
+});
+
+describe('notificationService.getEmailFrequency', () => {
+  test('defaults to immediate', () => {
+    expect(notificationService.getEmailFrequency({})).toBe('immediate');
+    expect(notificationService.getEmailFrequency({ notification_preferences: { email_frequency: 'daily_digest' } })).toBe('daily_digest');
+  });
+});
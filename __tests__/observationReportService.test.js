@@ -0,0 +1,114 @@
+const observationReportService = require('../src/services/observationReportService');
+const reportPdfService = require('../src/services/reportPdfService');
+
+const entry = (entryId, category, quantity, unit) => ({
+  entry_id: entryId,
+  category,
+  location_of_distress: 'Grid A-B',
+  repair_methodology: 'Polymer modified mortar',
+  nos: 1,
+  length: 2,
+  breadth: 1,
+  height: 0,
+  quantity,
+  unit
+});
+
+const structure = {
+  _id: 'structure-1',
+  structural_identity: { structural_identity_number: 'TS01HYD0001R001' },
+  location: { structure_name: 'Block A Quarters' },
+  geometric_details: {
+    floors: [
+      {
+        floor_number: 1,
+        floor_label_name: 'First Floor',
+        quantifications: {
+          structural: [entry('q-floor-1', 'Columns', 3, 'RM'), entry('q-floor-2', 'Slab', 4, 'SQM')],
+          non_structural: []
+        },
+        flats: [
+          {
+            flat_number: '101',
+            structural_rating: {
+              beams: [
+                {
+                  _id: 'beam-1',
+                  name: 'B1',
+                  rating: 2,
+                  distress_types: ['cracks', 'spalling'],
+                  distress_dimensions: { length: 300, breadth: 5, unit: 'mm' },
+                  condition_comment: 'Spalling at soffit',
+                  repair_methodology: 'Polymer modified mortar',
+                  photos: ['https://example.com/beam-1.jpg']
+                },
+                { _id: 'beam-2', name: 'B2', rating: 5, distress_types: ['none'] }
+              ],
+              overall_average: 3.5
+            },
+            non_structural_rating: {
+              brick_plaster: [{ _id: 'plaster-1', rating: 3, distress_types: ['dampness'] }]
+            },
+            quantifications: {
+              structural: [entry('q-1', 'Beams', 2.5, 'SQM'), entry('q-2', 'Beam', 1, 'SQM')],
+              non_structural: [entry('q-3', 'Flooring tiles', 6, 'SQM')]
+            }
+          }
+        ],
+        blocks: [
+          {
+            block_number: 'B-1',
+            structural_rating: {
+              columns: [{ _id: 'column-1', rating: 1, distress_types: ['corrosion'] }]
+            }
+          }
+        ]
+      },
+      { floor_number: 2, flats: [{ flat_number: '201', structural_rating: { beams: [{ rating: 4 }] } }] }
+    ]
+  }
+};
+
+describe('observationReportService.buildReport', () => {
+  const report = observationReportService.buildReport(structure);
+
+  test('groups distressed instances floor -> flat/block and skips undistressed floors', () => {
+    expect(report.floors).toHaveLength(1);
+    expect(report.floors[0].units.map(unit => unit.kind)).toEqual(['floor', 'flat', 'block']);
+    expect(report.totals.observations).toBe(3);
+  });
+
+  test('attaches the quantification entries recorded for each component', () => {
+    const flat = report.floors[0].units.find(unit => unit.kind === 'flat');
+    const beam = flat.observations.find(observation => observation.component === 'beams');
+
+    expect(beam.instance_name).toBe('B1');
+    expect(beam.distress_types).toEqual(['cracks', 'spalling']);
+    expect(beam.photos).toEqual(['https://example.com/beam-1.jpg']);
+    expect(beam.quantifications.map(q => q.entry_id)).toEqual(['q-1', 'q-2']);
+    expect(flat.other_quantifications.map(q => q.entry_id)).toEqual(['q-3']);
+  });
+
+  test('prices blocks against floor-level quantities without listing them twice', () => {
+    const floor = report.floors[0].units.find(unit => unit.kind === 'floor');
+    const block = report.floors[0].units.find(unit => unit.kind === 'block');
+
+    expect(block.observations[0].quantifications.map(q => q.entry_id)).toEqual(['q-floor-1']);
+    expect(floor.other_quantifications.map(q => q.entry_id)).toEqual(['q-floor-2']);
+  });
+
+  test('renders both the workbook and the PDF', async () => {
+    const workbook = observationReportService.buildWorkbook(report, { author: 'tester' });
+    const buffer = await workbook.xlsx.writeBuffer();
+    expect(buffer.length).toBeGreaterThan(0);
+
+    const originalFetch = global.fetch;
+    global.fetch = jest.fn().mockResolvedValue({ ok: false });
+    try {
+      const pdf = await reportPdfService.generateObservationsReport(structure, report, { generatedBy: 'tester' });
+      expect(pdf.subarray(0, 4).toString()).toBe('%PDF');
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+});
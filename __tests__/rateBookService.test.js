@@ -0,0 +1,67 @@
+const rateBookService = require('../src/services/rateBookService');
+
+const rateBook = {
+  name: 'Telangana RCC',
+  currency: 'INR',
+  rates: [
+    { category: 'Beams', repair_methodology: 'Jacketing', unit: 'CUM', rate: 9000 },
+    { category: 'Beams', unit: 'SQM', rate: 1500 },
+    { repair_methodology: 'Epoxy injection', unit: 'RM', rate: 700 }
+  ],
+  default_rates_by_unit: { SQM: 1000 }
+};
+
+describe('rateBookService', () => {
+  test('normalizes component and category names to one key', () => {
+    expect(rateBookService.normalizeComponentKey('Brick Plaster')).toBe('brick_plaster');
+    expect(rateBookService.normalizeComponentKey('brick-plaster')).toBe('brick_plaster');
+    expect(rateBookService.normalizeComponentKey('beams')).toBe(rateBookService.normalizeComponentKey('Beam'));
+    expect(rateBookService.normalizeComponentKey('glass')).toBe('glass');
+  });
+
+  test('resolves the most specific unit rate', () => {
+    const resolve = (item, overrides) => rateBookService.resolveUnitRate(item, rateBook, overrides);
+
+    expect(resolve({ category: 'beams', repair_methodology: 'jacketing', unit: 'CUM' }))
+      .toEqual({ rate: 9000, source: 'category_methodology' });
+    expect(resolve({ category: 'Beam', repair_methodology: 'Plastering', unit: 'SQM' }))
+      .toEqual({ rate: 1500, source: 'category' });
+    expect(resolve({ category: 'Columns', repair_methodology: 'Epoxy Injection', unit: 'RM' }))
+      .toEqual({ rate: 700, source: 'methodology' });
+    expect(resolve({ category: 'Slab', unit: 'SQM' })).toEqual({ rate: 1000, source: 'unit_default' });
+    expect(resolve({ category: 'Slab', unit: 'CUM' })).toEqual({ rate: null, source: 'unpriced' });
+    expect(resolve({ category: 'Slab', unit: 'SQM' }, { ratesByUnit: { SQM: 1200 } }).rate).toBe(1200);
+  });
+
+  test('prices a component from the quantities recorded for it', () => {
+    const estimate = rateBookService.estimateComponentCost({
+      rateBook,
+      component: 'beams',
+      scope: 'structural',
+      quantifications: {
+        structural: [
+          { category: 'Beams', repair_methodology: 'Jacketing', quantity: 0.5, unit: 'CUM' },
+          { category: 'Beams', repair_methodology: 'Plastering', quantity: 2, unit: 'SQM' },
+          { category: 'Columns', repair_methodology: 'Jacketing', quantity: 1, unit: 'CUM' }
+        ]
+      }
+    });
+
+    expect(estimate.estimated_amount).toBe(7500);
+    expect(estimate.basis).toBe('quantified');
+    expect(estimate.quantities).toHaveLength(2);
+    expect(estimate.range).toEqual({ min: 6000, max: 9000 });
+  });
+
+  test('does not invent a cost for unquantified components', () => {
+    const estimate = rateBookService.estimateComponentCost({
+      rateBook,
+      component: 'slab',
+      scope: 'structural',
+      quantifications: { structural: [] }
+    });
+
+    expect(estimate.estimated_amount).toBeNull();
+    expect(estimate.basis).toBe('not_quantified');
+  });
+});
@@ -0,0 +1,140 @@
+const rejectionFindingService = require('../src/services/rejectionFindingService');
+
+const reviewer = { user_id: 'te-1', name: 'Test Engineer', email: 'te@example.com' };
+
+const structure = () => ({
+  owner: 'owner-1',
+  geometric_details: {
+    floors: [
+      {
+        floor_id: 'floor_1',
+        floor_number: 1,
+        flats: [
+          {
+            flat_id: 'flat_101',
+            flat_number: '101',
+            structural_rating: {
+              beams: [{ _id: 'beam-a', name: 'Beam A', rating: 2 }],
+              overall_average: 2
+            }
+          }
+        ],
+        blocks: [{ block_id: 'block_1', block_number: 'B1' }]
+      }
+    ]
+  },
+  rejection_findings: []
+});
+
+const finding = (status, role = 'TE') => ({
+  _id: `finding-${status}`,
+  status,
+  raised_by: { role },
+  history: []
+});
+
+describe('rejectionFindingService.resolveLocation', () => {
+  test('pins a finding to a flat component instance', () => {
+    expect(rejectionFindingService.resolveLocation(structure(), {
+      floor_id: 'floor_1',
+      flat_id: 'flat_101',
+      scope: 'structural',
+      component_type: 'beams',
+      instance_id: 'beam-a'
+    })).toEqual({
+      location: { floor_id: 'floor_1', floor_number: 1, flat_id: 'flat_101', flat_number: '101' },
+      location_label: 'Floor 1, Flat 101 - Beam A',
+      scope: 'structural',
+      component_type: 'beams',
+      instance_id: 'beam-a',
+      instance_name: 'Beam A'
+    });
+  });
+
+  test('rejects locations that are not in the structure', () => {
+    expect(rejectionFindingService.resolveLocation(structure(), { floor_id: 'floor_9' }).error).toBe('floor floor_9 not found');
+    expect(rejectionFindingService.resolveLocation(structure(), { floor_id: 'floor_1', flat_id: 'flat_101', block_id: 'block_1' }).error)
+      .toContain('not both');
+    expect(rejectionFindingService.resolveLocation(structure(), {
+      floor_id: 'floor_1', flat_id: 'flat_101', scope: 'structural', component_type: 'beams', instance_id: 'beam-z'
+    }).error).toBe('beams instance beam-z not found at Floor 1, Flat 101');
+    expect(rejectionFindingService.resolveLocation(structure(), { floor_id: 'floor_1', component_type: 'columns' }).error)
+      .toContain('scope');
+  });
+});
+
+describe('rejectionFindingService.buildFindings', () => {
+  test('builds open findings raised by the stage reviewer and reports bad ones by index', () => {
+    const { findings, errors } = rejectionFindingService.buildFindings(structure(), [
+      { description: 'Crack along the beam', floor_id: 'floor_1', flat_id: 'flat_101' },
+      { description: 'Missing block photos', floor_id: 'floor_1', block_id: 'block_9' }
+    ], reviewer, 'testing');
+
+    expect(findings).toHaveLength(1);
+    expect(findings[0]).toMatchObject({
+      description: 'Crack along the beam',
+      location_label: 'Floor 1, Flat 101',
+      rejection_stage: 'testing',
+      status: 'open',
+      raised_by: { user_id: 'te-1', role: 'TE' }
+    });
+    expect(findings[0].history).toEqual([expect.objectContaining({ status: 'open', role: 'TE' })]);
+    expect(errors).toEqual([{ index: 1, message: 'Finding 2: block block_9 not found on Floor 1' }]);
+  });
+
+  test('refuses a rejection without findings', () => {
+    [[], undefined].forEach(inputs => {
+      const { findings, errors } = rejectionFindingService.buildFindings(structure(), inputs, reviewer, 'validation');
+
+      expect(findings).toEqual([]);
+      expect(errors).toEqual([{ index: 0, message: 'A rejection needs at least one finding for the owner to address' }]);
+    });
+  });
+});
+
+describe('rejectionFindingService.canUpdate', () => {
+  test('lets the owner address and the raising reviewer or an administrator close', () => {
+    const target = structure();
+    expect(rejectionFindingService.canUpdate(target, finding('open'), 'address', { userId: 'owner-1', roles: ['FE'] })).toEqual({ allowed: true });
+    expect(rejectionFindingService.canUpdate(target, finding('open'), 'address', { userId: 'te-1', roles: ['TE'] }).statusCode).toBe(403);
+
+    expect(rejectionFindingService.canUpdate(target, finding('addressed'), 'close', { userId: 'te-1', roles: ['TE'] })).toEqual({ allowed: true });
+    expect(rejectionFindingService.canUpdate(target, finding('addressed'), 'close', { userId: 've-1', roles: ['VE'] }).statusCode).toBe(403);
+    expect(rejectionFindingService.canUpdate(target, finding('addressed'), 'close', { userId: 'ad-1', roles: ['AD'] })).toEqual({ allowed: true });
+
+    expect(rejectionFindingService.canUpdate(target, finding('open'), 'close', { userId: 'te-1', roles: ['TE'] }).statusCode).toBe(400);
+    expect(rejectionFindingService.canUpdate(target, finding('open'), 'delete', { userId: 'te-1', roles: ['TE'] }).statusCode).toBe(400);
+  });
+});
+
+describe('rejectionFindingService.addressFindings', () => {
+  const actor = { user_id: 'owner-1', name: 'Field Engineer', role: 'FE' };
+
+  test('addresses every listed finding with the response in its history', () => {
+    const target = structure();
+    target.rejection_findings = [finding('open')];
+
+    const errors = rejectionFindingService.addressFindings(target, [{ finding_id: 'finding-open', response: 'Re-rated after repair' }], { userId: 'owner-1', roles: ['FE'] }, actor);
+
+    expect(errors).toEqual([]);
+    expect(target.rejection_findings[0].status).toBe('addressed');
+    expect(target.rejection_findings[0].history).toEqual([expect.objectContaining({ status: 'addressed', notes: 'Re-rated after repair' })]);
+  });
+
+  test('changes nothing when any listed finding cannot be addressed', () => {
+    const target = structure();
+    target.rejection_findings = [finding('open'), finding('closed')];
+
+    const errors = rejectionFindingService.addressFindings(target, [
+      { finding_id: 'finding-open' },
+      { finding_id: 'finding-closed' },
+      { finding_id: 'missing' }
+    ], { userId: 'owner-1', roles: ['FE'] }, actor);
+
+    expect(errors).toEqual([
+      { finding_id: 'finding-closed', message: 'Cannot address a finding that is closed' },
+      { finding_id: 'missing', message: 'Finding not found' }
+    ]);
+    expect(target.rejection_findings[0].status).toBe('open');
+  });
+});
@@ -0,0 +1,53 @@
+const reportPdfService = require('../src/services/reportPdfService');
+
+// Smallest PNG header the embed check accepts
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const imageResponse = () => ({
+  ok: true,
+  arrayBuffer: async () => PNG.buffer.slice(PNG.byteOffset, PNG.byteOffset + PNG.length)
+});
+
+describe('reportPdfService.loadImage', () => {
+  const originalCloudName = process.env.CLOUDINARY_CLOUD_NAME;
+
+  beforeEach(() => {
+    process.env.CLOUDINARY_CLOUD_NAME = 'sams';
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (originalCloudName === undefined) delete process.env.CLOUDINARY_CLOUD_NAME;
+    else process.env.CLOUDINARY_CLOUD_NAME = originalCloudName;
+  });
+
+  test('never fetches URLs outside the Cloudinary account', async () => {
+    const fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue(imageResponse());
+
+    const references = [
+      'http://169.254.169.254/latest/meta-data/',
+      'http://localhost:5000/api/admin/users',
+      'https://example.com/photo.jpg',
+      'https://res.cloudinary.com.evil.test/sams/image/upload/a.jpg',
+      'http://res.cloudinary.com/sams/image/upload/a.jpg',
+      'https://res.cloudinary.com/other-account/image/upload/a.jpg'
+    ];
+
+    for (const reference of references) {
+      await expect(reportPdfService.loadImage(reference)).resolves.toBeNull();
+    }
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+
+  test('fetches Cloudinary photos as thumbnails without following redirects', async () => {
+    const fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue(imageResponse());
+
+    const buffer = await reportPdfService.loadImage('https://res.cloudinary.com/sams/image/upload/v1/crack.jpg');
+
+    expect(buffer.equals(PNG)).toBe(true);
+    expect(fetchSpy).toHaveBeenCalledWith(
+      'https://res.cloudinary.com/sams/image/upload/w_240,h_180,c_fill,f_jpg/v1/crack.jpg',
+      expect.objectContaining({ redirect: 'error' })
+    );
+  });
+});
@@ -0,0 +1,13 @@
+const schedulerService = require('../src/services/schedulerService');
+
+describe('schedulerService.msUntilNextRun', () => {
+  test('runs later today when the hour has not passed', () => {
+    const now = new Date(2025, 0, 10, 6, 30, 0);
+    expect(schedulerService.msUntilNextRun(8, now)).toBe(90 * 60 * 1000);
+  });
+
+  test('runs tomorrow when the hour has passed or is now', () => {
+    expect(schedulerService.msUntilNextRun(8, new Date(2025, 0, 10, 9, 0, 0))).toBe(23 * 60 * 60 * 1000);
+    expect(schedulerService.msUntilNextRun(8, new Date(2025, 0, 10, 8, 0, 0))).toBe(24 * 60 * 60 * 1000);
+  });
+});
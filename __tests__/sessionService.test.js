@@ -0,0 +1,78 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../src/models/Session');
+const RefreshToken = require('../src/models/RefreshToken');
+const SecurityEvent = require('../src/models/SecurityEvent');
+const sessionService = require('../src/services/sessionService');
+
+const { hashTokenId } = sessionService;
+
+const claims = { userId: 'user-1', sid: '65f000000000000000000001', jti: 'token-2', type: 'refresh' };
+
+describe('sessionService.describeUserAgent', () => {
+  test('names the platform and client', () => {
+    expect(sessionService.describeUserAgent(
+      'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Mobile Safari/537.36'
+    )).toBe('Android - Chrome');
+    expect(sessionService.describeUserAgent(
+      'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1'
+    )).toBe('iOS - Safari');
+    expect(sessionService.describeUserAgent('okhttp/4.12.0')).toBe('Mobile app');
+    expect(sessionService.describeUserAgent(undefined)).toBe('Unknown device');
+  });
+});
+
+describe('sessionService.start', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('stores the session and only a hash of the token ID', async () => {
+    jest.spyOn(Session, 'create').mockImplementation(async doc => doc);
+    const createToken = jest.spyOn(RefreshToken, 'create').mockResolvedValue({});
+    const token = jwt.sign({ ...claims, jti: 'token-1' }, 'secret', { expiresIn: '7d' });
+
+    const session = await sessionService.start('user-1', token);
+
+    expect(session).toMatchObject({ _id: claims.sid, user: 'user-1', device: 'Unknown device' });
+    expect(createToken).toHaveBeenCalledWith({
+      token: hashTokenId('token-1'),
+      userId: 'user-1',
+      family: claims.sid,
+      expiresAt: session.expires_at
+    });
+    expect(hashTokenId('token-1')).not.toContain('token-1');
+  });
+});
+
+describe('sessionService.consume', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const session = (overrides = {}) => ({ _id: claims.sid, user: 'user-1', revoked_at: null, ...overrides });
+
+  test('uses up an active token of the family', async () => {
+    jest.spyOn(Session, 'findById').mockResolvedValue(session());
+    const findOneAndUpdate = jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue({ isActive: false });
+
+    await expect(sessionService.consume(claims)).resolves.toMatchObject({ _id: claims.sid });
+    expect(findOneAndUpdate.mock.calls[0][0]).toEqual({ token: hashTokenId('token-2'), family: claims.sid, isActive: true });
+  });
+
+  test('revokes the whole family when an exchanged token comes back', async () => {
+    jest.spyOn(Session, 'findById').mockResolvedValue(session());
+    jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(RefreshToken, 'exists').mockResolvedValue({ _id: 'rt-1' });
+    const revoke = jest.spyOn(sessionService, 'revoke').mockResolvedValue(1);
+    const create = jest.spyOn(SecurityEvent, 'create').mockResolvedValue({});
+
+    await expect(sessionService.consume(claims)).rejects.toMatchObject({ statusCode: 401, code: 'TOKEN_REUSE' });
+    expect(revoke).toHaveBeenCalledWith({ _id: claims.sid }, 'reuse_detected');
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ event: 'refresh_token_reuse', user: 'user-1', session: claims.sid }));
+  });
+
+  test('rejects revoked sessions, other users and tokens issued before sessions', async () => {
+    jest.spyOn(Session, 'findById').mockResolvedValueOnce(session({ revoked_at: new Date() }))
+      .mockResolvedValueOnce(session({ user: 'user-2' }));
+
+    await expect(sessionService.consume(claims)).rejects.toMatchObject({ code: 'SESSION_REVOKED' });
+    await expect(sessionService.consume(claims)).rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+    await expect(sessionService.consume({ userId: 'user-1', jti: 'legacy' })).rejects.toMatchObject({ code: 'SESSION_REQUIRED' });
+  });
+});
@@ -0,0 +1,81 @@
+const slaService = require('../src/services/slaService');
+
+const at = hours => new Date(Date.UTC(2025, 0, 1) + hours * 60 * 60 * 1000);
+
+const structure = (status, workflow, overrides = {}) => ({
+  status,
+  structural_identity: { type_of_structure: 'hospital' },
+  workflow,
+  ...overrides
+});
+
+describe('slaService.computeStages', () => {
+  test('measures completed stages and the stage in progress', () => {
+    const stages = slaService.computeStages(structure('under_validation', {
+      submitted_by: { date: at(0) },
+      tested_by: { date: at(30) }
+    }), at(40));
+
+    expect(stages).toEqual([
+      expect.objectContaining({ stage: 'testing', outcome: 'completed', duration_hours: 30, ended_at: at(30) }),
+      expect.objectContaining({ stage: 'validation', outcome: 'in_progress', duration_hours: 10, ended_at: null })
+    ]);
+  });
+
+  test('ends a stage at a rejection in it', () => {
+    const stages = slaService.computeStages(structure('rejected', {
+      submitted_by: { date: at(0) },
+      tested_by: { date: at(10) },
+      rejected_by: { date: at(15), rejection_stage: 'validation' }
+    }), at(50));
+
+    expect(stages.map(stage => [stage.stage, stage.outcome, stage.duration_hours]))
+      .toEqual([['testing', 'completed', 10], ['validation', 'rejected', 5]]);
+  });
+
+  test('ignores entries from before a resubmission', () => {
+    const stages = slaService.computeStages(structure('under_testing', {
+      submitted_by: { date: at(100) },
+      tested_by: { date: at(10) },
+      validated_by: { date: at(20) },
+      rejected_by: { date: at(30), rejection_stage: 'approval' }
+    }), at(104));
+
+    expect(stages).toEqual([expect.objectContaining({ stage: 'testing', outcome: 'in_progress', duration_hours: 4 })]);
+  });
+});
+
+describe('slaService.resolveTargets', () => {
+  test('prefers the structure type, then all types, then the default', () => {
+    const targets = slaService.resolveTargets([
+      { _id: 'a', stage: 'testing', structure_type: 'hospital', target_hours: 24 },
+      { _id: 'b', stage: 'testing', structure_type: null, target_hours: 96 },
+      { _id: 'c', stage: 'validation', structure_type: null, target_hours: 36 }
+    ], 'hospital');
+
+    expect(targets.testing).toEqual({ target_hours: 24, source: 'structure_type', sla_id: 'a' });
+    expect(targets.validation).toEqual({ target_hours: 36, source: 'all_types', sla_id: 'c' });
+    expect(targets.approval).toEqual({ target_hours: slaService.DEFAULT_TARGET_HOURS.approval, source: 'default', sla_id: null });
+  });
+});
+
+describe('slaService.evaluate', () => {
+  test('flags breaches and links earlier escalations', () => {
+    const [testing] = slaService.evaluate(structure('under_testing', { submitted_by: { date: at(0) } }, {
+      sla_escalations: [{ stage: 'testing', stage_started_at: at(0), escalated_at: at(25) }]
+    }), [{ stage: 'testing', structure_type: 'hospital', target_hours: 24 }], at(30));
+
+    expect(testing).toMatchObject({
+      target_hours: 24,
+      due_at: at(24),
+      breached: true,
+      escalated_at: at(25)
+    });
+  });
+
+  test('is within SLA until the target is exceeded', () => {
+    const [testing] = slaService.evaluate(structure('submitted', { submitted_by: { date: at(0) } }), [], at(120));
+    expect(testing.breached).toBe(false);
+    expect(testing.escalated_at).toBeNull();
+  });
+});
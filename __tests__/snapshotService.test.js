@@ -0,0 +1,62 @@
+const snapshotService = require('../src/services/snapshotService');
+
+const data = () => ({
+  location: { structure_name: 'Block A' },
+  geometric_details: {
+    floors: [
+      {
+        floor_id: 'floor_1',
+        floor_number: 1,
+        flats: [
+          {
+            flat_id: 'flat_101',
+            flat_number: '101',
+            structural_rating: { beams: [{ _id: 'beam-a', rating: 2, photos: ['a.jpg'] }] }
+          },
+          { flat_id: 'flat_102', flat_number: '102' }
+        ]
+      }
+    ]
+  }
+});
+
+describe('snapshotService.buildData', () => {
+  test('keeps recorded data and drops workflow fields', () => {
+    const result = snapshotService.buildData({
+      _id: 'structure-1',
+      status: 'rejected',
+      workflow: { rejected_by: { name: 'VE' } },
+      creation_info: { version: 3 },
+      inspected_on: new Date('2026-01-05T00:00:00Z'),
+      ...data()
+    });
+
+    expect(result).toEqual({ ...data(), inspected_on: '2026-01-05T00:00:00.000Z' });
+  });
+});
+
+describe('snapshotService.diff', () => {
+  test('reports nothing for identical snapshots', () => {
+    expect(snapshotService.diff(data(), data())).toEqual([]);
+  });
+
+  test('matches floors, flats and instances by id and reports field-level changes', () => {
+    const after = data();
+    const flats = after.geometric_details.floors[0].flats;
+    flats.reverse();
+    flats[1].structural_rating.beams[0].rating = 4;
+    flats[1].structural_rating.beams[0].photos.push('b.jpg');
+    flats.splice(0, 1);
+    flats.push({ flat_id: 'flat_103', flat_number: '103' });
+
+    const changes = snapshotService.diff(data(), after);
+
+    expect(changes).toEqual([
+      { path: 'geometric_details.floors[floor_1].flats[flat_101].structural_rating.beams[beam-a].rating', change: 'modified', from: 2, to: 4 },
+      { path: 'geometric_details.floors[floor_1].flats[flat_101].structural_rating.beams[beam-a].photos[1]', change: 'added', to: 'b.jpg' },
+      { path: 'geometric_details.floors[floor_1].flats[flat_102]', change: 'removed', from: { flat_id: 'flat_102', flat_number: '102' } },
+      { path: 'geometric_details.floors[floor_1].flats[flat_103]', change: 'added', to: { flat_id: 'flat_103', flat_number: '103' } }
+    ]);
+    expect(snapshotService.summarize(changes)).toEqual({ added: 2, removed: 1, modified: 1 });
+  });
+});
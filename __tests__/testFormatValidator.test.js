@@ -0,0 +1,93 @@
+const { validateTestResults, validateFieldDefinitions } = require('../src/utils/testFormatValidator');
+
+const reboundHammerFormat = {
+  format_id: 'RH-001',
+  test_name: 'rebound_hammer',
+  field_definitions: [
+    { field_name: 'rebound_number', field_type: 'number', field_label: 'Rebound Number', required: true, validation_rules: { min: 10, max: 70 } },
+    { field_name: 'orientation', field_type: 'select', field_label: 'Orientation', required: true, options: ['horizontal', 'vertical_up', 'vertical_down'] },
+    { field_name: 'surface', field_type: 'multiselect', field_label: 'Surface', options: ['dry', 'wet', 'plastered'] },
+    { field_name: 'tested_on', field_type: 'date', field_label: 'Tested On' },
+    { field_name: 'grid_ref', field_type: 'text', field_label: 'Grid Reference', validation_rules: { pattern: '^[A-Z][0-9]+$' } }
+  ]
+};
+
+describe('testFormatValidator', () => {
+  test('accepts a payload matching the field definitions and normalizes values', () => {
+    const result = validateTestResults(reboundHammerFormat, {
+      rebound_number: '34',
+      orientation: 'horizontal',
+      surface: ['dry', 'dry'],
+      tested_on: '2024-03-01',
+      grid_ref: ' B12 '
+    });
+
+    expect(result.isValid).toBe(true);
+    expect(result.errors).toEqual([]);
+    expect(result.values.rebound_number).toBe(34);
+    expect(result.values.surface).toEqual(['dry']);
+    expect(result.values.tested_on).toBeInstanceOf(Date);
+    expect(result.values.grid_ref).toBe('B12');
+  });
+
+  test('reports missing required fields, out-of-range numbers and invalid options', () => {
+    const result = validateTestResults(reboundHammerFormat, {
+      rebound_number: 90,
+      surface: ['sandy']
+    });
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors.map(error => error.field).sort()).toEqual(['orientation', 'rebound_number', 'surface']);
+  });
+
+  test('rejects fields that are not part of the format', () => {
+    const result = validateTestResults(reboundHammerFormat, {
+      rebound_number: 30,
+      orientation: 'vertical_up',
+      chloride_content: 0.2
+    });
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual([
+      { field: 'chloride_content', message: 'Field "chloride_content" is not defined in this test format' }
+    ]);
+  });
+
+  test('rejects payloads that are not objects', () => {
+    expect(validateTestResults(reboundHammerFormat, [1, 2]).isValid).toBe(false);
+    expect(validateTestResults(reboundHammerFormat, null).isValid).toBe(false);
+  });
+
+  describe('validateFieldDefinitions', () => {
+    test('accepts well-formed definitions with type-appropriate rules', () => {
+      const result = validateFieldDefinitions(reboundHammerFormat.field_definitions);
+
+      expect(result).toEqual({ isValid: true, errors: [] });
+    });
+
+    test('rejects an empty definition list', () => {
+      expect(validateFieldDefinitions([]).isValid).toBe(false);
+      expect(validateFieldDefinitions(undefined).isValid).toBe(false);
+    });
+
+    test('reports duplicate names, missing options, unknown rules and inverted ranges', () => {
+      const result = validateFieldDefinitions([
+        { field_name: 'depth', field_type: 'number', field_label: 'Depth', validation_rules: { min: 50, max: 10 } },
+        { field_name: 'depth', field_type: 'text', field_label: 'Depth', validation_rules: { min_items: 1 } },
+        { field_name: 'grade', field_type: 'select', field_label: 'Grade' },
+        { field_name: 'notes', field_type: 'text', field_label: 'Notes', validation_rules: { pattern: '[' } },
+        { field_name: 'photo', field_type: 'image', field_label: 'Photo' }
+      ]);
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors.map(error => error.field)).toEqual([
+        'field_definitions[0].validation_rules',
+        'field_definitions[1].field_name',
+        'field_definitions[1].validation_rules.min_items',
+        'field_definitions[2].options',
+        'field_definitions[3].validation_rules.pattern',
+        'field_definitions[4].field_type'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const totp = require('../src/utils/totp');
+
+// RFC 6238 appendix B secret ("12345678901234567890"), SHA-1
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('totp', () => {
+  describe('generateTotp', () => {
+    test('matches the RFC 6238 test vectors (last 6 digits)', () => {
+      expect(totp.generateTotp(RFC_SECRET, 59 * 1000)).toBe('287082');
+      expect(totp.generateTotp(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+      expect(totp.generateTotp(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+      expect(totp.generateTotp(RFC_SECRET, 2000000000 * 1000)).toBe('279037');
+    });
+  });
+
+  describe('verifyTotp', () => {
+    const now = 1111111109 * 1000;
+
+    test('returns the matching time step', () => {
+      expect(totp.verifyTotp(RFC_SECRET, '081804', { now })).toBe(totp.timeStep(now));
+    });
+
+    test('accepts one step of clock drift either side', () => {
+      const previous = totp.generateTotp(RFC_SECRET, now - 30 * 1000);
+      const next = totp.generateTotp(RFC_SECRET, now + 30 * 1000);
+
+      expect(totp.verifyTotp(RFC_SECRET, previous, { now })).toBe(totp.timeStep(now) - 1);
+      expect(totp.verifyTotp(RFC_SECRET, next, { now })).toBe(totp.timeStep(now) + 1);
+    });
+
+    test('rejects codes outside the window', () => {
+      const stale = totp.generateTotp(RFC_SECRET, now - 90 * 1000);
+      expect(totp.verifyTotp(RFC_SECRET, stale, { now })).toBeNull();
+    });
+
+    test('rejects malformed codes', () => {
+      expect(totp.verifyTotp(RFC_SECRET, '12345', { now })).toBeNull();
+      expect(totp.verifyTotp(RFC_SECRET, 'abcdef', { now })).toBeNull();
+      expect(totp.verifyTotp(RFC_SECRET, undefined, { now })).toBeNull();
+    });
+
+    test('ignores spaces in the code', () => {
+      expect(totp.verifyTotp(RFC_SECRET, '081 804', { now })).toBe(totp.timeStep(now));
+    });
+  });
+
+  describe('base32', () => {
+    test('round-trips random secrets', () => {
+      const secret = totp.generateSecret();
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(totp.base32Encode(totp.base32Decode(secret))).toBe(secret);
+    });
+
+    test('decodes the RFC secret', () => {
+      expect(totp.base32Decode(RFC_SECRET).toString()).toBe('12345678901234567890');
+    });
+
+    test('rejects invalid characters', () => {
+      expect(() => totp.base32Decode('ABC1')).toThrow('Invalid base32');
+    });
+  });
+
+  describe('buildProvisioningUri', () => {
+    test('builds an otpauth URI with issuer and account', () => {
+      const uri = totp.buildProvisioningUri(RFC_SECRET, 've@example.com', 'SAMS');
+
+      expect(uri.startsWith('otpauth://totp/SAMS%3Ave%40example.com?')).toBe(true);
+      const params = new URL(uri).searchParams;
+      expect(params.get('secret')).toBe(RFC_SECRET);
+      expect(params.get('issuer')).toBe('SAMS');
+      expect(params.get('digits')).toBe('6');
+      expect(params.get('period')).toBe('30');
+    });
+  });
+
+  describe('encryptSecret', () => {
+    const originalKey = process.env.TOTP_ENCRYPTION_KEY;
+
+    beforeEach(() => {
+      process.env.TOTP_ENCRYPTION_KEY = 'test-key';
+    });
+
+    afterEach(() => {
+      if (originalKey === undefined) delete process.env.TOTP_ENCRYPTION_KEY;
+      else process.env.TOTP_ENCRYPTION_KEY = originalKey;
+    });
+
+    test('round-trips and never stores the plain secret', () => {
+      const stored = totp.encryptSecret(RFC_SECRET);
+
+      expect(stored).not.toContain(RFC_SECRET);
+      expect(totp.encryptSecret(RFC_SECRET)).not.toBe(stored);
+      expect(totp.decryptSecret(stored)).toBe(RFC_SECRET);
+    });
+
+    test('fails with a different key', () => {
+      const stored = totp.encryptSecret(RFC_SECRET);
+      process.env.TOTP_ENCRYPTION_KEY = 'other-key';
+
+      expect(() => totp.decryptSecret(stored)).toThrow();
+    });
+  });
+
+  describe('generateBackupCodes', () => {
+    test('returns unique codes with matching hashes', () => {
+      const { codes, hashes } = totp.generateBackupCodes();
+
+      expect(codes).toHaveLength(totp.BACKUP_CODE_COUNT);
+      expect(new Set(codes).size).toBe(codes.length);
+      codes.forEach((code, i) => {
+        expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+        expect(totp.hashBackupCode(code)).toBe(hashes[i]);
+      });
+    });
+
+    test('hashes codes regardless of case and separators', () => {
+      expect(totp.hashBackupCode('3F9A1 C04E7')).toBe(totp.hashBackupCode('3f9a1-c04e7'));
+    });
+  });
+});
@@ -0,0 +1,190 @@
+const workflowService = require('../src/services/workflowService');
+
+const fe = { userId: 'owner-1', roles: ['FE'] };
+const te = { userId: 'te-1', roles: ['TE'] };
+const ad = { userId: 'ad-1', roles: ['AD'] };
+
+const structure = (status, overrides = {}) => ({
+  owner: 'owner-1',
+  status,
+  structural_identity: { type_of_structure: 'residential' },
+  geometric_details: {
+    floors: [
+      { floor_number: 0, is_parking_floor: true, flats: [{ flat_number: 'P1' }] },
+      {
+        floor_number: 1,
+        flats: [
+          { flat_number: '101', flat_overall_rating: { combined_score: 4 } },
+          { flat_number: '102', flat_overall_rating: { combined_score: 3 } }
+        ]
+      }
+    ]
+  },
+  workflow: {},
+  creation_info: {},
+  ...overrides
+});
+
+const assigned = status => structure(status, { assignment: { testing_engineer: { user_id: 'te-1' } } });
+
+describe('workflowService.canTransition', () => {
+  test('guards roles, ownership and source status', () => {
+    expect(workflowService.canTransition(structure('submitted'), 'start_testing', fe)).toMatchObject({ allowed: false, statusCode: 403 });
+    expect(workflowService.canTransition(structure('draft'), 'submit', { ...fe, userId: 'someone-else' })).toMatchObject({ allowed: false, statusCode: 403 });
+    expect(workflowService.canTransition(structure('tested'), 'start_testing', te)).toMatchObject({ allowed: false, statusCode: 400 });
+    expect(workflowService.canTransition(assigned('submitted'), 'start_testing', te)).toEqual({ allowed: true });
+  });
+
+  test('lets only the assigned reviewer take testing actions', () => {
+    expect(workflowService.canTransition(assigned('submitted'), 'start_testing', { userId: 'te-2', roles: ['TE'] })).toMatchObject({
+      allowed: false,
+      statusCode: 403,
+      message: 'Only the assigned Test Engineer can start testing'
+    });
+    expect(workflowService.canTransition(assigned('under_testing'), 'reject_testing', { userId: 'te-2', roles: ['TE'] }, { reason: 'x' }))
+      .toMatchObject({ allowed: false, statusCode: 403 });
+  });
+
+  test('leaves unassigned structures open to every holder of the role', () => {
+    expect(workflowService.canTransition(structure('submitted'), 'start_testing', te)).toEqual({ allowed: true });
+    expect(workflowService.canTransition(structure('submitted'), 'start_testing', { userId: 'te-2', roles: ['TE'] })).toEqual({ allowed: true });
+    expect(workflowService.canTransition(structure('tested'), 'start_validation', { userId: 've-1', roles: ['VE'] })).toEqual({ allowed: true });
+    expect(workflowService.getAvailableActions(structure('submitted'), te).map(entry => entry.action))
+      .toEqual(['start_testing', 'complete_testing', 'reject_testing']);
+  });
+
+  test('requires every non-parking flat to be rated before submitting', () => {
+    expect(workflowService.canTransition(structure('ratings_in_progress'), 'submit', fe)).toEqual({ allowed: true });
+
+    const unrated = structure('ratings_in_progress');
+    unrated.geometric_details.floors[1].flats.push({ flat_number: '103' });
+    const result = workflowService.canTransition(unrated, 'submit', fe);
+    expect(result).toMatchObject({ allowed: false, statusCode: 400 });
+    expect(result.errors).toEqual([{ precondition: 'all_units_rated', message: '1 of 3 flats are not rated yet' }]);
+  });
+
+  test('requires recorded tests wherever testing is required before completing testing', () => {
+    const pending = assigned('under_testing');
+    pending.overall_testing_required = true;
+    pending.geometric_details.floors[1].flats[0].testing_required = true;
+    const result = workflowService.canTransition(pending, 'complete_testing', te);
+    expect(result.allowed).toBe(false);
+    expect(result.message).toContain('structure, Floor 1 / Flat 101');
+
+    pending.structure_test_results = [{ test_name: 'rebound_hammer' }];
+    pending.geometric_details.floors[1].flats[0].test_results = [{ test_name: 'rebound_hammer' }];
+    expect(workflowService.canTransition(pending, 'complete_testing', te)).toEqual({ allowed: true });
+  });
+
+  test('blocks resubmission until every finding is addressed', () => {
+    const rejected = structure('rejected', {
+      rejection_findings: [{ status: 'open', rejection_stage: 'testing' }, { status: 'addressed', rejection_stage: 'testing' }]
+    });
+    expect(workflowService.canTransition(rejected, 'submit', fe).errors)
+      .toEqual([{ precondition: 'findings_addressed', message: '1 rejection finding(s) still open' }]);
+
+    rejected.rejection_findings[0].status = 'addressed';
+    expect(workflowService.canTransition(rejected, 'submit', fe)).toEqual({ allowed: true });
+  });
+
+  test('requires addressed findings of the stage to be closed before completing it', () => {
+    const resubmitted = assigned('under_testing');
+    resubmitted.rejection_findings = [{ status: 'addressed', rejection_stage: 'testing' }, { status: 'addressed', rejection_stage: 'approval' }];
+    expect(workflowService.canTransition(resubmitted, 'complete_testing', te).errors)
+      .toEqual([{ precondition: 'stage_findings_closed', message: '1 addressed finding(s) awaiting review' }]);
+
+    resubmitted.rejection_findings[0].status = 'closed';
+    expect(workflowService.canTransition(resubmitted, 'complete_testing', te)).toEqual({ allowed: true });
+  });
+
+  test('lets the owner or an administrator start a new audit cycle on an approved structure', () => {
+    expect(workflowService.canTransition(structure('approved'), 'start_audit_cycle', fe)).toEqual({ allowed: true });
+    expect(workflowService.canTransition(structure('approved'), 'start_audit_cycle', ad)).toEqual({ allowed: true });
+    expect(workflowService.canTransition(structure('approved'), 'start_audit_cycle', { ...fe, userId: 'someone-else' }))
+      .toMatchObject({ allowed: false, statusCode: 403 });
+    expect(workflowService.canTransition(structure('validated'), 'start_audit_cycle', ad)).toMatchObject({ allowed: false, statusCode: 400 });
+  });
+
+  test('requires a reason to reject', () => {
+    expect(workflowService.canTransition(structure('validated'), 'reject_approval', ad)).toMatchObject({
+      allowed: false,
+      message: 'Rejection reason is required'
+    });
+    expect(workflowService.canTransition(structure('validated'), 'reject_approval', ad, { reason: 'Photos missing' })).toEqual({ allowed: true });
+  });
+});
+
+describe('workflowService.applyTransition', () => {
+  test('sets the status and records the actor with the rejection stage', () => {
+    const target = assigned('under_testing');
+    const result = workflowService.applyTransition(target, 'reject_testing', {
+      user_id: 'te-1', name: 'Test Engineer', email: 'te@example.com', roles: ['TE']
+    }, { reason: 'Cover readings inconsistent' });
+
+    expect(result).toEqual({
+      action: 'reject_testing',
+      previousStatus: 'under_testing',
+      status: 'rejected',
+      event: 'rejected',
+      version: 2,
+      stage: 'testing'
+    });
+    expect(target.workflow.rejected_by).toMatchObject({
+      role: 'TE',
+      rejection_reason: 'Cover readings inconsistent',
+      rejection_stage: 'testing'
+    });
+    expect(target.creation_info.last_updated_date).toBeInstanceOf(Date);
+  });
+});
+
+describe('workflowService.getAvailableActions', () => {
+  test('lists the actions open to the user with unmet preconditions', () => {
+    const unrated = structure('rejected');
+    unrated.geometric_details.floors[1].flats.push({ flat_number: '103' });
+
+    const actions = workflowService.getAvailableActions(unrated, fe);
+    expect(actions).toHaveLength(1);
+    expect(actions[0]).toMatchObject({ action: 'submit', to: 'submitted', available: false });
+
+    expect(workflowService.getAvailableActions(structure('validated'), ad).map(entry => entry.action))
+      .toEqual(['approve', 'reject_approval', 'reopen']);
+    expect(workflowService.getAvailableActions(structure('validated'), te)).toEqual([]);
+    expect(workflowService.getAvailableActions(assigned('submitted'), { userId: 'te-2', roles: ['TE'] })).toEqual([]);
+    expect(workflowService.getAvailableActions(assigned('submitted'), te).map(entry => entry.action))
+      .toEqual(['start_testing', 'complete_testing', 'reject_testing']);
+  });
+});
+
+describe('workflowService.findActionTo', () => {
+  test('resolves only actions the user may take', () => {
+    expect(workflowService.findActionTo(assigned('submitted'), 'tested', te)).toBe('complete_testing');
+    expect(workflowService.findActionTo(assigned('submitted'), 'tested', { userId: 'te-2', roles: ['TE'] })).toBeNull();
+
+    expect(workflowService.findActionTo(structure('rejected'), 'submitted', fe)).toBe('submit');
+    expect(workflowService.findActionTo(structure('rejected'), 'submitted', { userId: 'fe-2', roles: ['FE'] })).toBeNull();
+  });
+});
+
+describe('workflowService.isEditable', () => {
+  test('allows edits only while the structure is with its owner', () => {
+    ['draft', 'location_completed', 'ratings_in_progress', 'rejected'].forEach(status => {
+      expect(workflowService.isEditable(structure(status))).toBe(true);
+    });
+    ['submitted', 'under_testing', 'tested', 'validated', 'approved'].forEach(status => {
+      expect(workflowService.isEditable(structure(status))).toBe(false);
+    });
+  });
+});
+
+describe('workflowService.recordProgress', () => {
+  test('follows data entry only while the structure is with its owner', () => {
+    const draft = structure('location_completed');
+    expect(workflowService.recordProgress(draft, 'ratings_in_progress')).toBe(true);
+    expect(draft.status).toBe('ratings_in_progress');
+
+    const underReview = structure('under_testing');
+    expect(workflowService.recordProgress(underReview, 'ratings_in_progress')).toBe(false);
+    expect(underReview.status).toBe('under_testing');
+  });
+});
@@ -7,6 +7,12 @@ require('dotenv').config();
 
 const app = express();
 
+// Behind a load balancer or reverse proxy, set TRUST_PROXY (e.g. 1) so the
+// auth rate limiters and the audit log see client IPs, not the proxy's
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 app.use(helmet({
   crossOriginEmbedderPolicy: false,
   contentSecurityPolicy: {
@@ -53,11 +59,19 @@ app.use((req, res, next) => {
   next();
 });
 
+// Makes the request (actor, IP, route) available to the audit log written by model hooks
+const { auditContext } = require('./src/middlewares/auditContext');
+app.use(auditContext);
+
 const authRoutes = require('./src/routes/authRoutes');
 const adminRoutes = require('./src/routes/admin');
 const structuresRoutes = require('./src/routes/structures');
 const userRoutes = require('./src/routes/users');
 const reportsRoutes = require('./src/routes/reports');
+const maintenanceRoutes = require('./src/routes/maintenance');
+const notificationRoutes = require('./src/routes/notifications');
+const eventRoutes = require('./src/routes/events');
+const escalationRoutes = require('./src/routes/escalations');
 
 app.get('/', (req, res) => {
   res.json({
@@ -91,6 +105,10 @@ app.use('/api/admin', adminRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/structures', structuresRoutes);
 app.use('/api/reports', reportsRoutes);
+app.use('/api/maintenance', maintenanceRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/escalations', escalationRoutes);
 
 app.use('/api/*', (req, res) => {
   res.status(404).json({
@@ -5,6 +5,7 @@ require('dotenv').config({
 const mongoose = require('mongoose');
 const app = require('./app');
 const connectDB = require('./src/config/database');
+const schedulerService = require('./src/services/schedulerService');
 const { createLogDirectory, logger } = require('./src/utils/logger');
 
 const PORT = process.env.PORT || 5000;
@@ -23,6 +24,7 @@ process.on('uncaughtException', (err) => {
 });
 
 connectDB();
+schedulerService.start();
 
 const server = app.listen(PORT, () => {
   const message = `
@@ -58,6 +60,7 @@ process.on('unhandledRejection', (err) => {
 
 const shutdown = (signal) => {
   logger.info(`${signal} RECEIVED. Shutting down gracefully`);
+  schedulerService.stop();
 
   server.close(() => {
     mongoose.connection.close(false)
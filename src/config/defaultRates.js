@@ -0,0 +1,36 @@
+/**
+ * Built-in repair rates, used when no RateBook has been configured for the
+ * structure's state and subtype (admins manage those under /api/admin/rate-books).
+ *
+ * A quantity is priced with the most specific matching rate:
+ *   category + repair methodology + unit
+ *   category + unit
+ *   repair methodology + unit
+ *   default rate for the unit
+ * Category and methodology are matched case-insensitively.
+ */
+module.exports = {
+  CURRENCY: 'INR',
+
+  // Fallback rate per unit of measurement (units produced by the quantification screen)
+  DEFAULT_RATES_BY_UNIT: {
+    "NO'S": 500,
+    RM: 350,
+    SQM: 1200,
+    CUM: 9500
+  },
+
+  RATES: [
+    { category: 'beams', repair_methodology: 'polymer modified mortar', unit: 'SQM', rate: 1850 },
+    { category: 'columns', repair_methodology: 'polymer modified mortar', unit: 'SQM', rate: 1850 },
+    { category: 'columns', repair_methodology: 'rc jacketing', unit: 'CUM', rate: 18500 },
+    { category: 'beams', repair_methodology: 'rc jacketing', unit: 'CUM', rate: 18500 },
+    { category: 'slab', repair_methodology: 'polymer modified mortar', unit: 'SQM', rate: 1650 },
+    { repair_methodology: 'epoxy injection', unit: 'RM', rate: 950 },
+    { repair_methodology: 'crack sealing', unit: 'RM', rate: 420 },
+    { repair_methodology: 'micro concreting', unit: 'CUM', rate: 16500 },
+    { repair_methodology: 'waterproofing', unit: 'SQM', rate: 850 },
+    { category: 'plaster', unit: 'SQM', rate: 450 },
+    { category: 'painting', unit: 'SQM', rate: 180 }
+  ]
+};
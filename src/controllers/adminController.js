@@ -1,5 +1,5 @@
 const { catchAsync } = require('../middlewares/errorHandler');
-const { User } = require('../models/schemas');
+const { User, Structure } = require('../models/schemas');
 const {
   sendSuccessResponse,
   sendErrorResponse,
@@ -10,6 +10,7 @@ const {
 const { MESSAGES, PAGINATION } = require('../utils/constants');
 const { generateRandomPassword } = require('../utils/helpers');
 const emailService = require('../services/emailService');
+const auditLogService = require('../services/auditLogService');
 
 /**
  * Get all users with pagination and filtering
@@ -58,15 +59,21 @@ const getUsers = catchAsync(async (req, res) => {
       .sort(sort)
       .skip(skip)
       .limit(limitNum)
-      .select('-password -structures') // Don't send structures in list
+      .select('-password -structures') // Skip legacy embedded structures on unmigrated users
       .lean(),
     User.countDocuments(filter)
   ]);
 
   // Add structure count for each user
+  const structureCounts = await Structure.aggregate([
+    { $match: { owner: { $in: users.map(user => user._id) } } },
+    { $group: { _id: '$owner', count: { $sum: 1 } } }
+  ]);
+  const countByOwner = new Map(structureCounts.map(entry => [entry._id.toString(), entry.count]));
+
   const usersWithStats = users.map(user => ({
     ...user,
-    structure_count: user.structures?.length || 0
+    structure_count: countByOwner.get(user._id.toString()) || 0
   }));
 
   sendPaginatedResponse(res, usersWithStats, pageNum, limitNum, total, 'Users retrieved successfully');
@@ -86,7 +93,7 @@ const getUser = catchAsync(async (req, res) => {
   }
 
   // Get structure count
-  const structureCount = user.structures?.length || 0;
+  const structureCount = await Structure.countDocuments({ owner: user._id });
 
   const userData = {
     ...user.toObject(),
@@ -133,7 +140,6 @@ const createUser = catchAsync(async (req, res) => {
     roles: [role || 'engineer'], // Support multiple roles
     is_active: true,
     isEmailVerified: false,
-    structures: [],
     stats: {
       total_structures_created: 0,
       total_structures_submitted: 0,
@@ -205,7 +211,7 @@ const deleteUser = catchAsync(async (req, res) => {
   }
 
   // Check if user has created structures
-  const structureCount = user.structures?.length || 0;
+  const structureCount = await Structure.countDocuments({ owner: user._id });
   if (structureCount > 0) {
     return sendErrorResponse(res, `Cannot delete user who has created ${structureCount} structures`, 400);
   }
@@ -250,155 +256,6 @@ const resetUserPassword = catchAsync(async (req, res) => {
   sendSuccessResponse(res, 'Password reset successfully. New password sent to user email.');
 });
 
-/**
- * Get all structures with admin privileges
- * @route GET /api/admin/structures
- * @access Private (Admin, AD, TE, VE)
- */
-const getAllStructures = catchAsync(async (req, res) => {
-  const {
-    page = PAGINATION.DEFAULT_PAGE || 1,
-    limit = PAGINATION.DEFAULT_LIMIT || 10,
-    state_code,
-    district_code,
-    type_of_structure,
-    status,
-    search,
-    sortBy = 'creation_info.created_date',
-    sortOrder = 'desc'
-  } = req.query;
-
-  const pageNum = Math.max(1, parseInt(page));
-  const limitNum = Math.min(parseInt(limit), PAGINATION.MAX_LIMIT || 100);
-
-  console.log('📊 Admin fetching all structures from all users');
-
-  // Get all users with structures
-  const allUsers = await User.find({ 
-    'structures.0': { $exists: true } 
-  }).select('structures username email');
-
-  console.log(`📊 Found ${allUsers.length} users with structures`);
-
-  // Collect all structures with owner info
-  let allStructures = [];
-  
-  allUsers.forEach(user => {
-    if (user.structures && user.structures.length > 0) {
-      user.structures.forEach(structure => {
-        const structureObj = structure.toObject();
-        structureObj._ownerId = user._id;
-        structureObj._ownerUsername = user.username;
-        structureObj._ownerEmail = user.email;
-        allStructures.push(structureObj);
-      });
-    }
-  });
-
-  console.log(`📊 Total structures collected: ${allStructures.length}`);
-
-  // Apply filters
-  if (state_code) {
-    allStructures = allStructures.filter(s => 
-      s.structural_identity?.state_code === state_code
-    );
-  }
-  
-  if (district_code) {
-    allStructures = allStructures.filter(s => 
-      s.structural_identity?.district_code === district_code
-    );
-  }
-  
-  if (type_of_structure) {
-    allStructures = allStructures.filter(s => 
-      s.structural_identity?.type_of_structure === type_of_structure
-    );
-  }
-  
-  if (status) {
-    allStructures = allStructures.filter(s => s.status === status);
-  }
-
-  // Search functionality
-  if (search) {
-    const searchLower = search.toLowerCase();
-    allStructures = allStructures.filter(s => 
-      s.structural_identity?.uid?.toLowerCase().includes(searchLower) ||
-      s.structural_identity?.structural_identity_number?.toLowerCase().includes(searchLower) ||
-      s.administration?.client_name?.toLowerCase().includes(searchLower) ||
-      s.location?.address?.toLowerCase().includes(searchLower) ||
-      s._ownerUsername?.toLowerCase().includes(searchLower) ||
-      s._ownerEmail?.toLowerCase().includes(searchLower)
-    );
-  }
-
-  // Sort structures
-  allStructures.sort((a, b) => {
-    let aValue, bValue;
-    
-    switch (sortBy) {
-      case 'creation_info.created_date':
-      case 'created_date':
-        aValue = a.creation_info?.created_date || new Date(0);
-        bValue = b.creation_info?.created_date || new Date(0);
-        break;
-      case 'creation_info.last_updated_date':
-      case 'last_updated':
-        aValue = a.creation_info?.last_updated_date || new Date(0);
-        bValue = b.creation_info?.last_updated_date || new Date(0);
-        break;
-      case 'structure_number':
-        aValue = a.structural_identity?.structural_identity_number || '';
-        bValue = b.structural_identity?.structural_identity_number || '';
-        break;
-      case 'client_name':
-        aValue = a.administration?.client_name || '';
-        bValue = b.administration?.client_name || '';
-        break;
-      default:
-        aValue = a.creation_info?.created_date || new Date(0);
-        bValue = b.creation_info?.created_date || new Date(0);
-    }
-    
-    if (sortOrder === 'desc') {
-      return aValue > bValue ? -1 : aValue < bValue ? 1 : 0;
-    } else {
-      return aValue < bValue ? -1 : aValue > bValue ? 1 : 0;
-    }
-  });
-
-  // Pagination
-  const total = allStructures.length;
-  const skip = (pageNum - 1) * limitNum;
-  const paginatedStructures = allStructures.slice(skip, skip + limitNum);
-
-  // Format response
-  const structuresData = paginatedStructures.map(structure => ({
-    structure_id: structure._id,
-    uid: structure.structural_identity?.uid,
-    structural_identity_number: structure.structural_identity?.structural_identity_number,
-    structure_name: structure.structural_identity?.structure_name,
-    client_name: structure.administration?.client_name,
-    location: {
-      city_name: structure.structural_identity?.city_name,
-      state_code: structure.structural_identity?.state_code,
-      address: structure.location?.address
-    },
-    type_of_structure: structure.structural_identity?.type_of_structure,
-    status: structure.status,
-    created_date: structure.creation_info?.created_date,
-    last_updated_date: structure.creation_info?.last_updated_date,
-    owner: {
-      user_id: structure._ownerId,
-      username: structure._ownerUsername,
-      email: structure._ownerEmail
-    }
-  }));
-
-  sendPaginatedResponse(res, structuresData, pageNum, limitNum, total, 'Structures retrieved successfully');
-});
-
 /**
  * Get structure details by ID (admin)
  * @route GET /api/admin/structures/:id
@@ -409,31 +266,20 @@ const getStructureById = catchAsync(async (req, res) => {
 
   console.log('📊 Admin fetching structure:', id);
 
-  // Find structure across all users
-  const users = await User.find({ 'structures._id': id });
-  
-  let foundStructure = null;
-  let foundUser = null;
-  
-  for (const user of users) {
-    const structure = user.structures.id(id);
-    if (structure) {
-      foundStructure = structure;
-      foundUser = user;
-      break;
-    }
-  }
+  const foundStructure = await Structure.findById(id);
 
   if (!foundStructure) {
     return sendErrorResponse(res, 'Structure not found', 404);
   }
 
+  const foundUser = await User.findById(foundStructure.owner).select('username email');
+
   const structureData = {
     ...foundStructure.toObject(),
     owner: {
-      user_id: foundUser._id,
-      username: foundUser.username,
-      email: foundUser.email
+      user_id: foundStructure.owner,
+      username: foundUser?.username,
+      email: foundUser?.email
     }
   };
 
@@ -458,20 +304,7 @@ const updateStructureStatus = catchAsync(async (req, res) => {
     return sendErrorResponse(res, `Invalid status. Must be one of: ${validStatuses.join(', ')}`, 400);
   }
 
-  // Find structure across all users
-  const users = await User.find({ 'structures._id': id });
-  
-  let foundStructure = null;
-  let foundUser = null;
-  
-  for (const user of users) {
-    const structure = user.structures.id(id);
-    if (structure) {
-      foundStructure = structure;
-      foundUser = user;
-      break;
-    }
-  }
+  const foundStructure = await Structure.findById(id);
 
   if (!foundStructure) {
     return sendErrorResponse(res, 'Structure not found', 404);
@@ -485,7 +318,7 @@ const updateStructureStatus = catchAsync(async (req, res) => {
     foundStructure.general_notes = notes;
   }
 
-  await foundUser.save();
+  await foundStructure.save();
 
   sendUpdatedResponse(res, foundStructure, 'Structure status updated successfully');
 });
@@ -496,9 +329,9 @@ const updateStructureStatus = catchAsync(async (req, res) => {
  * @access Private (Admin, AD, TE, VE)
  */
 const getSystemStats = catchAsync(async (req, res) => {
-  const [users, allStructureUsers] = await Promise.all([
-    User.find().select('role is_active isEmailVerified structures'),
-    User.find({ 'structures.0': { $exists: true } }).select('structures')
+  const [users, allStructures] = await Promise.all([
+    User.find().select('role is_active isEmailVerified'),
+    Structure.find().select('status structural_identity.type_of_structure')
   ]);
 
   // User statistics
@@ -515,13 +348,6 @@ const getSystemStats = catchAsync(async (req, res) => {
   });
 
   // Structure statistics
-  let allStructures = [];
-  allStructureUsers.forEach(user => {
-    if (user.structures) {
-      allStructures.push(...user.structures);
-    }
-  });
-
   const structureStats = {
     totalStructures: allStructures.length,
     byStatus: {},
@@ -568,20 +394,16 @@ const bulkUpdateStructures = catchAsync(async (req, res) => {
 
   let updatedCount = 0;
 
-  // Update structures across all users
+  // Update structures regardless of owner
   for (const structureId of structureIds) {
-    const users = await User.find({ 'structures._id': structureId });
-    
-    for (const user of users) {
-      const structure = user.structures.id(structureId);
-      if (structure) {
-        Object.keys(filteredUpdateData).forEach(key => {
-          structure[key] = filteredUpdateData[key];
-        });
-        structure.creation_info.last_updated_date = new Date();
-        await user.save();
-        updatedCount++;
-      }
+    const structure = await Structure.findById(structureId);
+    if (structure) {
+      Object.keys(filteredUpdateData).forEach(key => {
+        structure[key] = filteredUpdateData[key];
+      });
+      structure.creation_info.last_updated_date = new Date();
+      await structure.save();
+      updatedCount++;
     }
   }
 
@@ -597,54 +419,48 @@ const bulkUpdateStructures = catchAsync(async (req, res) => {
  * @access Private (Admin, AD, TE, VE)
  */
 const getStructureRatingsSummary = catchAsync(async (req, res) => {
-  const allUsers = await User.find({ 
-    'structures.0': { $exists: true } 
-  }).select('structures username');
+  const structures = await Structure.find().populate('owner', 'username');
 
   const ratingsSummary = [];
 
-  allUsers.forEach(user => {
-    if (user.structures) {
-      user.structures.forEach(structure => {
-        let totalFlats = 0;
-        let ratedFlats = 0;
-        let allRatings = [];
-
-        if (structure.geometric_details?.floors) {
-          structure.geometric_details.floors.forEach(floor => {
-            if (floor.flats) {
-              totalFlats += floor.flats.length;
-              
-              floor.flats.forEach(flat => {
-                if (flat.flat_overall_rating?.combined_score) {
-                  ratedFlats++;
-                  allRatings.push(flat.flat_overall_rating.combined_score);
-                }
-              });
+  structures.forEach(structure => {
+    let totalFlats = 0;
+    let ratedFlats = 0;
+    let allRatings = [];
+
+    if (structure.geometric_details?.floors) {
+      structure.geometric_details.floors.forEach(floor => {
+        if (floor.flats) {
+          totalFlats += floor.flats.length;
+          
+          floor.flats.forEach(flat => {
+            if (flat.flat_overall_rating?.combined_score) {
+              ratedFlats++;
+              allRatings.push(flat.flat_overall_rating.combined_score);
             }
           });
         }
-
-        const avgRating = allRatings.length > 0 
-          ? allRatings.reduce((sum, r) => sum + r, 0) / allRatings.length 
-          : null;
-
-        ratingsSummary.push({
-          structure_id: structure._id,
-          uid: structure.structural_identity?.uid,
-          structure_number: structure.structural_identity?.structural_identity_number,
-          client_name: structure.administration?.client_name,
-          owner_username: user.username,
-          total_flats: totalFlats,
-          rated_flats: ratedFlats,
-          completion_percentage: totalFlats > 0 ? Math.round((ratedFlats / totalFlats) * 100) : 0,
-          average_rating: avgRating ? Math.round(avgRating * 10) / 10 : null,
-          health_status: avgRating 
-            ? avgRating >= 4 ? 'Good' : avgRating >= 3 ? 'Fair' : avgRating >= 2 ? 'Poor' : 'Critical'
-            : 'Unrated'
-        });
       });
     }
+
+    const avgRating = allRatings.length > 0 
+      ? allRatings.reduce((sum, r) => sum + r, 0) / allRatings.length 
+      : null;
+
+    ratingsSummary.push({
+      structure_id: structure._id,
+      uid: structure.structural_identity?.uid,
+      structure_number: structure.structural_identity?.structural_identity_number,
+      client_name: structure.administration?.client_name,
+      owner_username: structure.owner?.username,
+      total_flats: totalFlats,
+      rated_flats: ratedFlats,
+      completion_percentage: totalFlats > 0 ? Math.round((ratedFlats / totalFlats) * 100) : 0,
+      average_rating: avgRating ? Math.round(avgRating * 10) / 10 : null,
+      health_status: avgRating 
+        ? avgRating >= 4 ? 'Good' : avgRating >= 3 ? 'Fair' : avgRating >= 2 ? 'Poor' : 'Critical'
+        : 'Unrated'
+    });
   });
 
   // Sort by average rating (worst first)
@@ -654,23 +470,19 @@ const getStructureRatingsSummary = catchAsync(async (req, res) => {
 });
 
 /**
- * Get audit logs (placeholder for future implementation)
+ * Get audit log entries, newest first (filters as in auditLogService.buildFilter)
  * @route GET /api/admin/audit-logs
  * @access Private (Admin, AD, TE, VE)
  */
 const getAuditLogs = catchAsync(async (req, res) => {
-  // Placeholder - implement audit logging in future
-  const auditLogs = [
-    {
-      timestamp: new Date(),
-      userId: req.user.userId,
-      action: 'VIEW_AUDIT_LOGS',
-      resource: 'admin',
-      details: 'Admin viewed audit logs'
-    }
-  ];
+  const page = parseInt(req.query.page) || PAGINATION.DEFAULT_PAGE;
+  const limit = Math.min(parseInt(req.query.limit) || PAGINATION.DEFAULT_LIMIT, PAGINATION.MAX_LIMIT);
+  const filters = ['resource_type', 'resource_id', 'user_id', 'role', 'category', 'operation', 'path', 'source', 'from', 'to']
+    .reduce((result, field) => (req.query[field] ? { ...result, [field]: req.query[field] } : result), {});
+
+  const { logs, total } = await auditLogService.query(filters, { skip: (page - 1) * limit, limit });
 
-  sendSuccessResponse(res, 'Audit logs retrieved successfully', auditLogs);
+  sendPaginatedResponse(res, logs, page, limit, total, 'Audit logs retrieved successfully');
 });
 
 module.exports = {
@@ -680,7 +492,6 @@ module.exports = {
   updateUser,
   deleteUser,
   resetUserPassword,
-  getAllStructures,
   getStructureById,
   updateStructureStatus,
   getSystemStats,
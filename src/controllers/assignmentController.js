@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const { User, Structure } = require('../models/schemas');
+const assignmentService = require('../services/assignmentService');
+const notificationService = require('../services/notificationService');
+const {
+  sendSuccessResponse,
+  sendErrorResponse,
+  sendPaginatedResponse
+} = require('../utils/responseHandler');
+const { PAGINATION } = require('../utils/constants');
+
+const STAGE_BY_ROLE = {
+  TE: 'testing',
+  VE: 'validation'
+};
+
+/**
+ * Reviewer (TE/VE) assignment of structures and each reviewer's queue
+ */
+class AssignmentController {
+  constructor() {
+    this.assignReviewer = this.assignReviewer.bind(this);
+    this.getMyQueue = this.getMyQueue.bind(this);
+  }
+
+  /**
+   * Assign a Test or Verification Engineer to a structure, either a given
+   * user or one picked by strategy (round_robin | least_loaded)
+   * @route PUT /api/structures/:id/assignment
+   * @access Private (AD only)
+   */
+  async assignReviewer(req, res) {
+    try {
+      const { id } = req.params;
+      const { role, user_id, strategy } = req.body;
+
+      const userRoles = req.user.roles || [req.user.role];
+      if (!userRoles.includes('AD')) {
+        return sendErrorResponse(res, 'Only Administrators can assign reviewers', 403);
+      }
+
+      const reviewRole = assignmentService.getReviewRole(role);
+      const [structure, admin] = await Promise.all([
+        mongoose.Types.ObjectId.isValid(id) ? Structure.findById(id) : null,
+        User.findById(req.user.userId)
+      ]);
+      if (!structure) {
+        return sendErrorResponse(res, 'Structure not found', 404);
+      }
+      if (!admin) {
+        return sendErrorResponse(res, 'User not found', 404);
+      }
+
+      let reviewer;
+      if (user_id) {
+        reviewer = await User.findOne({ _id: user_id, is_active: true, $or: [{ role }, { roles: role }] });
+        if (!reviewer) {
+          return sendErrorResponse(res, `User is not an active ${reviewRole.label}`, 400);
+        }
+      } else {
+        reviewer = await assignmentService.pickReviewer(role, strategy);
+        if (!reviewer) {
+          return sendErrorResponse(res, `No active ${reviewRole.label} is available`, 409);
+        }
+      }
+
+      const adminName = `${admin.profile?.first_name || ''} ${admin.profile?.last_name || ''}`.trim() || admin.username;
+      const assignment = assignmentService.assign(structure, role, reviewer, {
+        assignedBy: { user_id: admin._id, name: adminName },
+        method: user_id ? 'manual' : strategy
+      });
+      await structure.save();
+
+      notificationService.notifyAssignment(structure, assignment, { _id: admin._id, name: adminName }, STAGE_BY_ROLE[role])
+        .catch(error => console.error('❌ Assignment notification failed:', error));
+
+      console.log(`👷 Structure ${id} assigned to ${role} ${reviewer.username} by ${admin.username}`);
+
+      sendSuccessResponse(res, `${reviewRole.label} assigned successfully`, {
+        structure_id: id,
+        uid: structure.structural_identity?.uid,
+        status: structure.status,
+        role,
+        assignment
+      });
+
+    } catch (error) {
+      console.error('❌ Assign reviewer error:', error);
+      sendErrorResponse(res, 'Failed to assign reviewer', 500, error.message);
+    }
+  }
+
+  /**
+   * Structures assigned to the current TE/VE that are waiting on them
+   * (?status=, page, limit), oldest first
+   * @route GET /api/structures/my-queue
+   * @access Private (TE/VE)
+   */
+  async getMyQueue(req, res) {
+    try {
+      const page = Math.max(1, parseInt(req.query.page) || PAGINATION.DEFAULT_PAGE);
+      const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), PAGINATION.MAX_LIMIT);
+
+      const { structures, total } = await assignmentService.getQueue(req.user, {
+        status: req.query.status,
+        skip: (page - 1) * limit,
+        limit
+      });
+
+      sendPaginatedResponse(res, structures, page, limit, total, 'Review queue retrieved successfully');
+
+    } catch (error) {
+      console.error('❌ Get review queue error:', error);
+      sendErrorResponse(res, 'Failed to retrieve review queue', 500, error.message);
+    }
+  }
+}
+
+module.exports = new AssignmentController();
@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const { Structure } = require('../models/schemas');
+const { hasPrivilegedAccess } = require('../middlewares/auth');
+const auditCycleService = require('../services/auditCycleService');
+const snapshotService = require('../services/snapshotService');
+const {
+  sendSuccessResponse,
+  sendErrorResponse
+} = require('../utils/responseHandler');
+
+/**
+ * Audit cycles of a structure (archived and current) and the rating
+ * history of its component instances across them. Cycles are started
+ * through the workflow (POST /api/structures/:id/audit-cycles).
+ */
+class AuditCycleController {
+  constructor() {
+    this.getAuditCycles = this.getAuditCycles.bind(this);
+    this.getAuditCycle = this.getAuditCycle.bind(this);
+    this.getRatingHistory = this.getRatingHistory.bind(this);
+  }
+
+  // =================== HELPERS ===================
+  async findAccessibleStructure(req) {
+    const structure = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Structure.findById(req.params.id).lean()
+      : null;
+    if (!structure) return null;
+
+    const isOwner = String(structure.owner) === String(req.user.userId);
+    return isOwner || hasPrivilegedAccess(req.user) ? structure : null;
+  }
+
+  describeCurrentCycle(structure) {
+    return {
+      cycle_number: structure.audit_cycle?.number || 1,
+      current: true,
+      started_at: structure.audit_cycle?.started_at || structure.creation_info?.created_date,
+      started_by: structure.audit_cycle?.started_by || null,
+      status: structure.status,
+      approved_at: structure.status === 'approved' ? structure.workflow?.approved_by?.date : null
+    };
+  }
+
+  // =================== READ ===================
+
+  /**
+   * Archived cycles (oldest first) followed by the current one
+   * @route GET /api/structures/:id/audit-cycles
+   * @access Private (Owner, TE/VE/AD)
+   */
+  async getAuditCycles(req, res) {
+    try {
+      const structure = await this.findAccessibleStructure(req);
+      if (!structure) {
+        return sendErrorResponse(res, 'Structure not found', 404);
+      }
+
+      const archived = await auditCycleService.listCycles(structure._id);
+
+      sendSuccessResponse(res, 'Audit cycles retrieved successfully', {
+        structure_id: structure._id,
+        uid: structure.structural_identity?.uid,
+        current_cycle: structure.audit_cycle?.number || 1,
+        cycles: [
+          ...archived.map(cycle => ({ ...cycle, current: false })),
+          this.describeCurrentCycle(structure)
+        ]
+      });
+
+    } catch (error) {
+      console.error('❌ Get audit cycles error:', error);
+      sendErrorResponse(res, 'Failed to retrieve audit cycles', 500, error.message);
+    }
+  }
+
+  /**
+   * An archived cycle with its ratings, tests and remarks as approved
+   * @route GET /api/structures/:id/audit-cycles/:cycle
+   * @access Private (Owner, TE/VE/AD)
+   */
+  async getAuditCycle(req, res) {
+    try {
+      const structure = await this.findAccessibleStructure(req);
+      if (!structure) {
+        return sendErrorResponse(res, 'Structure not found', 404);
+      }
+
+      const cycleNumber = Number(req.params.cycle);
+      if (cycleNumber === (structure.audit_cycle?.number || 1)) {
+        return sendErrorResponse(res, `Cycle ${cycleNumber} is the current cycle; read it from the structure itself`, 400);
+      }
+
+      const cycle = await auditCycleService.getCycle(structure._id, cycleNumber);
+      if (!cycle) {
+        return sendErrorResponse(res, `Audit cycle ${cycleNumber} not found`, 404);
+      }
+
+      sendSuccessResponse(res, 'Audit cycle retrieved successfully', { ...cycle, current: false });
+
+    } catch (error) {
+      console.error('❌ Get audit cycle error:', error);
+      sendErrorResponse(res, 'Failed to retrieve audit cycle', 500, error.message);
+    }
+  }
+
+  /**
+   * Rating of each component instance in every cycle (?floor_id=, flat_id=,
+   * block_id=, scope=, component_type=, instance_id=)
+   * @route GET /api/structures/:id/rating-history
+   * @access Private (Owner, TE/VE/AD)
+   */
+  async getRatingHistory(req, res) {
+    try {
+      const structure = await this.findAccessibleStructure(req);
+      if (!structure) {
+        return sendErrorResponse(res, 'Structure not found', 404);
+      }
+
+      const cycles = [
+        ...await auditCycleService.loadCycles(structure._id),
+        { ...this.describeCurrentCycle(structure), data: snapshotService.buildData(structure) }
+      ];
+
+      const filter = ['floor_id', 'flat_id', 'block_id', 'scope', 'component_type', 'instance_id']
+        .reduce((result, field) => (req.query[field] ? { ...result, [field]: req.query[field] } : result), {});
+      const instances = auditCycleService.buildRatingHistory(cycles, filter);
+
+      sendSuccessResponse(res, 'Rating history retrieved successfully', {
+        structure_id: structure._id,
+        uid: structure.structural_identity?.uid,
+        cycles: cycles.map(({ cycle_number: cycleNumber, current, started_at: startedAt, approved_at: approvedAt }) => ({
+          cycle_number: cycleNumber,
+          current: Boolean(current),
+          started_at: startedAt,
+          approved_at: approvedAt
+        })),
+        total: instances.length,
+        deteriorated: instances.filter(instance => instance.trend === 'deteriorated').length,
+        instances
+      });
+
+    } catch (error) {
+      console.error('❌ Get rating history error:', error);
+      sendErrorResponse(res, 'Failed to retrieve rating history', 500, error.message);
+    }
+  }
+}
+
+module.exports = new AuditCycleController();
@@ -0,0 +1,83 @@
+const auditLogService = require('../services/auditLogService');
+const {
+  sendErrorResponse,
+  sendPaginatedResponse
+} = require('../utils/responseHandler');
+
+const FILTER_FIELDS = ['resource_type', 'resource_id', 'user_id', 'role', 'category', 'operation', 'path', 'source', 'from', 'to'];
+
+/**
+ * Admin access to the audit log of writes to structures and users
+ */
+class AuditLogController {
+  constructor() {
+    this.getAuditLogs = this.getAuditLogs.bind(this);
+    this.exportAuditLogs = this.exportAuditLogs.bind(this);
+  }
+
+  // =================== HELPERS ===================
+  pickFilters(query) {
+    const filters = {};
+    FILTER_FIELDS.forEach(field => {
+      if (query[field]) filters[field] = query[field];
+    });
+    return filters;
+  }
+
+  /**
+   * Audit log entries, newest first (?resource_type=, resource_id=, user_id=,
+   * role=, category=, operation=, path=, source=, from=, to=, page, limit)
+   * @route GET /api/admin/audit-logs
+   * @access Private (Admin only)
+   */
+  async getAuditLogs(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+      const { logs, total } = await auditLogService.query(this.pickFilters(req.query), {
+        skip: (page - 1) * limit,
+        limit
+      });
+
+      sendPaginatedResponse(res, logs, page, limit, total, 'Audit logs retrieved successfully');
+
+    } catch (error) {
+      console.error('❌ Get audit logs error:', error);
+      sendErrorResponse(res, 'Failed to retrieve audit logs', 500, error.message);
+    }
+  }
+
+  /**
+   * Excel export of the entries matching the same filters
+   * @route GET /api/admin/audit-logs/export
+   * @access Private (Admin only)
+   */
+  async exportAuditLogs(req, res) {
+    try {
+      const filters = this.pickFilters(req.query);
+      const logs = await auditLogService.findForExport(filters);
+      const workbook = auditLogService.buildWorkbook(logs, {
+        author: req.user.username || req.user.email,
+        filters
+      });
+
+      const fileName = `SAMS_Audit_Log_${new Date().toISOString().split('T')[0]}_${Date.now()}.xlsx`;
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+      await workbook.xlsx.write(res);
+      res.end();
+
+      console.log(`📑 Audit log exported by ${req.user.email} (${logs.length} entries)`);
+
+    } catch (error) {
+      console.error('❌ Export audit logs error:', error);
+      if (!res.headersSent) {
+        sendErrorResponse(res, 'Failed to export audit logs', 500, error.message);
+      }
+    }
+  }
+}
+
+module.exports = new AuditLogController();
@@ -0,0 +1,174 @@
+const { CriticalEscalation } = require('../models/schemas');
+const criticalEscalationService = require('../services/criticalEscalationService');
+const { hasPrivilegedAccess } = require('../middlewares/auth');
+const {
+  sendSuccessResponse,
+  sendErrorResponse,
+  sendPaginatedResponse
+} = require('../utils/responseHandler');
+
+/**
+ * Critical condition escalations and their acknowledgments
+ * (raised by criticalEscalationService when ratings are saved)
+ */
+class EscalationController {
+  constructor() {
+    this.getEscalations = this.getEscalations.bind(this);
+    this.getEscalation = this.getEscalation.bind(this);
+    this.acknowledgeEscalation = this.acknowledgeEscalation.bind(this);
+    this.acknowledgeByToken = this.acknowledgeByToken.bind(this);
+  }
+
+  /**
+   * List escalations, newest first (?status=open|acknowledged, structure_id, page, limit)
+   * @route GET /api/escalations
+   * @access Private (AD/TE/VE)
+   */
+  async getEscalations(req, res) {
+    try {
+      if (!hasPrivilegedAccess(req.user)) {
+        return sendErrorResponse(res, 'Only AD, TE and VE can list escalations', 403);
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const filter = {};
+      if (req.query.status) filter.status = req.query.status;
+      if (req.query.structure_id) filter.structure = req.query.structure_id;
+
+      const [escalations, total] = await Promise.all([
+        CriticalEscalation.find(filter)
+          .populate('structure', 'structural_identity.uid structural_identity.structural_identity_number location.structure_name')
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        CriticalEscalation.countDocuments(filter)
+      ]);
+
+      sendPaginatedResponse(res, escalations, page, limit, total, 'Escalations retrieved successfully');
+
+    } catch (error) {
+      console.error('❌ Get escalations error:', error);
+      sendErrorResponse(res, 'Failed to retrieve escalations', 500, error.message);
+    }
+  }
+
+  /**
+   * Get an escalation with its findings and acknowledgments
+   * @route GET /api/escalations/:id
+   * @access Private (AD/TE/VE or a recipient)
+   */
+  async getEscalation(req, res) {
+    try {
+      const escalation = await CriticalEscalation.findById(req.params.id)
+        .populate('structure', 'structural_identity location administrative.custodian administrative.email_id')
+        .populate('acknowledgments.user', 'username email')
+        .lean();
+
+      if (!escalation) {
+        return sendErrorResponse(res, 'Escalation not found', 404);
+      }
+
+      const isRecipient = escalation.recipients.some(recipient => String(recipient.user) === String(req.user.userId));
+      if (!isRecipient && !hasPrivilegedAccess(req.user)) {
+        return sendErrorResponse(res, 'You do not have access to this escalation', 403);
+      }
+
+      sendSuccessResponse(res, 'Escalation retrieved successfully', escalation);
+
+    } catch (error) {
+      console.error('❌ Get escalation error:', error);
+      sendErrorResponse(res, 'Failed to retrieve escalation', 500, error.message);
+    }
+  }
+
+  /**
+   * Acknowledge an escalation as a signed-in recipient or reviewer
+   * @route POST /api/escalations/:id/acknowledge
+   * @access Private (AD/TE/VE or a recipient)
+   */
+  async acknowledgeEscalation(req, res) {
+    try {
+      const escalation = await CriticalEscalation.findById(req.params.id);
+
+      if (!escalation) {
+        return sendErrorResponse(res, 'Escalation not found', 404);
+      }
+
+      const isRecipient = escalation.recipients.some(recipient => String(recipient.user) === String(req.user.userId));
+      if (!isRecipient && !hasPrivilegedAccess(req.user)) {
+        return sendErrorResponse(res, 'You do not have access to this escalation', 403);
+      }
+
+      if (escalation.acknowledgments.some(ack => String(ack.user) === String(req.user.userId))) {
+        return sendErrorResponse(res, 'You have already acknowledged this escalation', 409);
+      }
+
+      await criticalEscalationService.acknowledge(escalation, {
+        user: req.user.userId,
+        email: req.user.email,
+        kind: 'user',
+        notes: req.body.notes,
+        ip_address: req.ip
+      });
+
+      console.log(`✅ Escalation ${escalation._id} acknowledged by ${req.user.email}`);
+
+      sendSuccessResponse(res, 'Escalation acknowledged', {
+        escalation_id: escalation._id,
+        status: escalation.status,
+        acknowledgments: escalation.acknowledgments
+      });
+
+    } catch (error) {
+      console.error('❌ Acknowledge escalation error:', error);
+      sendErrorResponse(res, 'Failed to acknowledge escalation', 500, error.message);
+    }
+  }
+
+  /**
+   * Acknowledge an escalation from the custodian's emailed link. POST only, so
+   * mail scanners that prefetch links cannot acknowledge on the custodian's behalf.
+   * @route POST /api/escalations/:id/acknowledge-external
+   * @access Public (requires the emailed token)
+   */
+  async acknowledgeByToken(req, res) {
+    try {
+      const match = await criticalEscalationService.findByCustodianToken(req.params.id, req.body.token);
+
+      if (!match) {
+        return sendErrorResponse(res, 'Invalid or expired acknowledgment link', 404);
+      }
+
+      const { escalation, recipient } = match;
+      if (escalation.acknowledgments.some(ack => ack.kind === 'custodian' && ack.email === recipient.email)) {
+        return sendSuccessResponse(res, 'Escalation already acknowledged', {
+          escalation_id: escalation._id,
+          status: escalation.status
+        });
+      }
+
+      await criticalEscalationService.acknowledge(escalation, {
+        email: recipient.email,
+        kind: 'custodian',
+        notes: req.body.notes,
+        ip_address: req.ip
+      });
+
+      console.log(`✅ Escalation ${escalation._id} acknowledged by custodian ${recipient.email}`);
+
+      sendSuccessResponse(res, 'Escalation acknowledged', {
+        escalation_id: escalation._id,
+        status: escalation.status
+      });
+
+    } catch (error) {
+      console.error('❌ Acknowledge escalation by token error:', error);
+      sendErrorResponse(res, 'Failed to acknowledge escalation', 500, error.message);
+    }
+  }
+}
+
+module.exports = new EscalationController();
@@ -0,0 +1,46 @@
+const inspectionScheduleService = require('../services/inspectionScheduleService');
+const {
+  sendErrorResponse,
+  sendPaginatedResponse
+} = require('../utils/responseHandler');
+
+/**
+ * Periodic re-inspection of approved structures (see inspectionScheduleService)
+ */
+class InspectionScheduleController {
+  constructor() {
+    this.getInspections = this.getInspections.bind(this);
+  }
+
+  /**
+   * Upcoming and overdue re-inspections, soonest due first
+   * @route GET /api/admin/inspections?status=upcoming|overdue|all&within_days=30
+   * @access Private (Admin only)
+   */
+  async getInspections(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const status = req.query.status || 'all';
+      const withinDays = parseInt(req.query.within_days) || 30;
+
+      // Structures approved before scheduling existed get a schedule on first listing
+      await inspectionScheduleService.refreshMissingSchedules();
+
+      const { structures, total } = await inspectionScheduleService.listInspections({
+        status,
+        withinDays,
+        skip: (page - 1) * limit,
+        limit
+      });
+
+      sendPaginatedResponse(res, structures, page, limit, total, 'Inspections retrieved successfully');
+
+    } catch (error) {
+      console.error('❌ Get inspections error:', error);
+      sendErrorResponse(res, 'Failed to retrieve inspections', 500, error.message);
+    }
+  }
+}
+
+module.exports = new InspectionScheduleController();
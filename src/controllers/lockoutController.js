@@ -0,0 +1,122 @@
+const loginProtectionService = require('../services/loginProtectionService');
+const {
+  sendSuccessResponse,
+  sendErrorResponse,
+  sendPaginatedResponse
+} = require('../utils/responseHandler');
+
+const FILTER_FIELDS = ['event', 'user_id', 'ip_address', 'identifier', 'from', 'to'];
+
+/**
+ * Admin view of accounts locked by failed logins and of the security
+ * event log, and unlocking accounts
+ */
+class LockoutController {
+  constructor() {
+    this.getLockedAccounts = this.getLockedAccounts.bind(this);
+    this.getSecurityEvents = this.getSecurityEvents.bind(this);
+    this.clearLockout = this.clearLockout.bind(this);
+  }
+
+  // =================== HELPERS ===================
+  pickFilters(query) {
+    const filters = {};
+    FILTER_FIELDS.forEach(field => {
+      if (query[field]) filters[field] = query[field];
+    });
+    return filters;
+  }
+
+  // =================== READ ===================
+
+  /**
+   * Accounts locked right now
+   * @route GET /api/admin/lockouts
+   * @access Private (Admin only)
+   */
+  async getLockedAccounts(req, res) {
+    try {
+      const now = new Date();
+      const users = await loginProtectionService.findLockedAccounts(now);
+
+      sendSuccessResponse(res, 'Locked accounts retrieved successfully', {
+        total: users.length,
+        accounts: users.map(user => ({
+          user_id: user._id,
+          username: user.username,
+          email: user.email,
+          roles: user.roles || [user.role],
+          is_active: user.is_active,
+          lockout_count: user.login_security.lockout_count,
+          locked_at: user.login_security.locked_at,
+          locked_until: user.login_security.locked_until,
+          remaining_minutes: Math.ceil((new Date(user.login_security.locked_until) - now) / (60 * 1000))
+        }))
+      });
+
+    } catch (error) {
+      console.error('❌ Get locked accounts error:', error);
+      sendErrorResponse(res, 'Failed to retrieve locked accounts', 500, error.message);
+    }
+  }
+
+  /**
+   * Lockouts, unlocks, exhausted OTPs and throttled requests, newest first
+   * (?event=, user_id=, ip_address=, identifier=, from=, to=, page, limit)
+   * @route GET /api/admin/lockouts/events
+   * @access Private (Admin only)
+   */
+  async getSecurityEvents(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+      const { events, total } = await loginProtectionService.queryEvents(this.pickFilters(req.query), {
+        skip: (page - 1) * limit,
+        limit
+      });
+
+      sendPaginatedResponse(res, events, page, limit, total, 'Security events retrieved successfully');
+
+    } catch (error) {
+      console.error('❌ Get security events error:', error);
+      sendErrorResponse(res, 'Failed to retrieve security events', 500, error.message);
+    }
+  }
+
+  // =================== WRITE ===================
+
+  /**
+   * Unlock an account and reset its failed-login count and lockout progression
+   * @route DELETE /api/admin/lockouts/:userId
+   * @access Private (AD only)
+   */
+  async clearLockout(req, res) {
+    try {
+      const user = await loginProtectionService.clearLockout(req.params.userId, req.user);
+      if (!user) {
+        return sendErrorResponse(res, 'User not found', 404);
+      }
+
+      const wasLocked = loginProtectionService.getLockState(user).locked;
+
+      sendSuccessResponse(res, wasLocked ? 'Account unlocked successfully' : 'Failed login history cleared', {
+        user_id: user._id,
+        username: user.username,
+        email: user.email,
+        was_locked: wasLocked,
+        previous: {
+          failed_attempts: user.login_security?.failed_attempts || 0,
+          lockout_count: user.login_security?.lockout_count || 0,
+          locked_until: user.login_security?.locked_until || null
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Clear lockout error:', error);
+      sendErrorResponse(res, 'Failed to clear lockout', 500, error.message);
+    }
+  }
+}
+
+module.exports = new LockoutController();
@@ -0,0 +1,440 @@
+const mongoose = require('mongoose');
+const { MaintenanceRequest, Structure, User } = require('../models/schemas');
+const maintenanceService = require('../services/maintenanceService');
+const { hasPrivilegedAccess } = require('../middlewares/auth');
+const {
+  sendSuccessResponse,
+  sendErrorResponse,
+  sendCreatedResponse,
+  sendPaginatedResponse
+} = require('../utils/responseHandler');
+
+const STRUCTURE_FIELDS = 'structural_identity.structural_identity_number location.structure_name owner';
+const USER_FIELDS = 'username email role';
+
+// Fields that can be edited outside the status workflow
+const EDITABLE_FIELDS = ['title', 'description', 'repair_methodology', 'priority', 'due_date', 'estimated_cost', 'actual_cost'];
+
+/**
+ * Maintenance requests (work orders) for structures.
+ *
+ * Owners and AD/TE/VE raise requests, AD/TE/VE assign them, assignees carry
+ * out the work (open -> assigned -> in_progress -> completed) and AD/TE/VE
+ * verify the completed work.
+ */
+class MaintenanceController {
+  constructor() {
+    this.getMaintenanceRequests = this.getMaintenanceRequests.bind(this);
+    this.getMaintenanceRequest = this.getMaintenanceRequest.bind(this);
+    this.createMaintenanceRequest = this.createMaintenanceRequest.bind(this);
+    this.createFromComponent = this.createFromComponent.bind(this);
+    this.updateMaintenanceRequest = this.updateMaintenanceRequest.bind(this);
+    this.assignMaintenanceRequest = this.assignMaintenanceRequest.bind(this);
+    this.updateMaintenanceStatus = this.updateMaintenanceStatus.bind(this);
+    this.deleteMaintenanceRequest = this.deleteMaintenanceRequest.bind(this);
+  }
+
+  // =================== HELPERS ===================
+
+  /**
+   * Structure the user may raise requests for: their own, or any for AD/TE/VE
+   */
+  async findAccessibleStructure(user, structureId) {
+    if (!mongoose.Types.ObjectId.isValid(structureId)) return null;
+    return Structure.findOne({
+      _id: structureId,
+      ...(!hasPrivilegedAccess(user) && { owner: user.userId })
+    });
+  }
+
+  isAssignee(request, userId) {
+    return (request.assignees || []).some(assignee =>
+      String(assignee.user?._id || assignee.user) === String(userId)
+    );
+  }
+
+  /**
+   * AD/TE/VE see every request; others only those they raised, are assigned
+   * to, or that belong to their structures
+   */
+  async canAccessRequest(user, request) {
+    if (hasPrivilegedAccess(user)) return true;
+    if (String(request.requested_by?._id || request.requested_by) === String(user.userId)) return true;
+    if (this.isAssignee(request, user.userId)) return true;
+
+    const structureOwner = request.structure?.owner;
+    if (structureOwner) return String(structureOwner) === String(user.userId);
+    return Boolean(await Structure.exists({ _id: request.structure, owner: user.userId }));
+  }
+
+  populateRequest(query) {
+    return query
+      .populate('structure', STRUCTURE_FIELDS)
+      .populate('requested_by', USER_FIELDS)
+      .populate('assignees.user', USER_FIELDS)
+      .populate('verified_by', USER_FIELDS);
+  }
+
+  async loadRequest(req, res) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      sendErrorResponse(res, 'Maintenance request not found', 404);
+      return null;
+    }
+
+    const request = await MaintenanceRequest.findById(req.params.id).populate('structure', STRUCTURE_FIELDS);
+    if (!request || !(await this.canAccessRequest(req.user, request))) {
+      sendErrorResponse(res, 'Maintenance request not found', 404);
+      return null;
+    }
+    return request;
+  }
+
+  recordStatus(request, toStatus, userId, notes) {
+    request.status_history.push({
+      from_status: request.status,
+      to_status: toStatus,
+      changed_by: userId,
+      changed_at: new Date(),
+      notes
+    });
+    request.status = toStatus;
+  }
+
+  // =================== READ ===================
+
+  /**
+   * List maintenance requests
+   * @route GET /api/maintenance
+   * @access Private (own/assigned requests; all for AD/TE/VE)
+   */
+  async getMaintenanceRequests(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        status,
+        priority,
+        structure_id,
+        assigned_to,
+        overdue
+      } = req.query;
+
+      const pageNumber = Math.max(parseInt(page) || 1, 1);
+      const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+      const filter = {};
+      if (status) filter.status = { $in: status.split(',') };
+      if (priority) filter.priority = { $in: priority.split(',') };
+      if (structure_id && mongoose.Types.ObjectId.isValid(structure_id)) filter.structure = structure_id;
+      if (assigned_to) filter['assignees.user'] = assigned_to === 'me' ? req.user.userId : assigned_to;
+      if (overdue === 'true') {
+        filter.due_date = { $lt: new Date() };
+        filter.status = { $in: maintenanceService.OPEN_STATUSES };
+      }
+
+      if (!hasPrivilegedAccess(req.user)) {
+        const ownStructures = await Structure.find({ owner: req.user.userId }).distinct('_id');
+        filter.$or = [
+          { requested_by: req.user.userId },
+          { 'assignees.user': req.user.userId },
+          { structure: { $in: ownStructures } }
+        ];
+      }
+
+      const [requests, total] = await Promise.all([
+        this.populateRequest(MaintenanceRequest.find(filter))
+          .sort({ due_date: 1, createdAt: -1 })
+          .skip((pageNumber - 1) * pageSize)
+          .limit(pageSize)
+          .lean(),
+        MaintenanceRequest.countDocuments(filter)
+      ]);
+
+      sendPaginatedResponse(res, requests, pageNumber, pageSize, total, 'Maintenance requests retrieved successfully');
+
+    } catch (error) {
+      console.error('❌ Get maintenance requests error:', error);
+      sendErrorResponse(res, 'Failed to retrieve maintenance requests', 500, error.message);
+    }
+  }
+
+  /**
+   * Get a maintenance request
+   * @route GET /api/maintenance/:id
+   * @access Private
+   */
+  async getMaintenanceRequest(req, res) {
+    try {
+      const request = await this.loadRequest(req, res);
+      if (!request) return;
+
+      await request.populate([
+        { path: 'requested_by', select: USER_FIELDS },
+        { path: 'assignees.user', select: USER_FIELDS },
+        { path: 'verified_by', select: USER_FIELDS },
+        { path: 'status_history.changed_by', select: USER_FIELDS }
+      ]);
+
+      sendSuccessResponse(res, 'Maintenance request retrieved successfully', request);
+
+    } catch (error) {
+      console.error('❌ Get maintenance request error:', error);
+      sendErrorResponse(res, 'Failed to retrieve maintenance request', 500, error.message);
+    }
+  }
+
+  // =================== CREATE ===================
+
+  /**
+   * Raise a maintenance request for a structure
+   * @route POST /api/maintenance
+   * @access Private (structure owner or AD/TE/VE)
+   */
+  async createMaintenanceRequest(req, res) {
+    try {
+      const structure = await this.findAccessibleStructure(req.user, req.body.structure_id);
+      if (!structure) {
+        return sendErrorResponse(res, 'Structure not found', 404);
+      }
+
+      const { title, description, repair_methodology, priority = 'Medium', location, due_date, estimated_cost } = req.body;
+
+      const request = await MaintenanceRequest.create({
+        request_number: maintenanceService.generateRequestNumber(),
+        structure: structure._id,
+        location,
+        title,
+        description,
+        repair_methodology,
+        priority,
+        due_date: due_date || maintenanceService.defaultDueDate(priority),
+        estimated_cost,
+        source: 'manual',
+        requested_by: req.user.userId,
+        status_history: [{ to_status: 'open', changed_by: req.user.userId }]
+      });
+
+      console.log(`🛠️ Maintenance request ${request.request_number} raised by ${req.user.email}`);
+
+      sendCreatedResponse(res, request, 'Maintenance request created successfully');
+
+    } catch (error) {
+      console.error('❌ Create maintenance request error:', error);
+      sendErrorResponse(res, 'Failed to create maintenance request', 500, error.message);
+    }
+  }
+
+  /**
+   * Raise a maintenance request straight from a low-rated component instance.
+   * Location, distress details, photos, priority, due date and estimated cost
+   * are taken from the rating; body fields override them.
+   * @route POST /api/maintenance/from-component
+   * @access Private (structure owner or AD/TE/VE)
+   */
+  async createFromComponent(req, res) {
+    try {
+      const structure = await this.findAccessibleStructure(req.user, req.body.structure_id);
+      if (!structure) {
+        return sendErrorResponse(res, 'Structure not found', 404);
+      }
+
+      const { floor_id, flat_id, block_id, scope, component_type, instance_id } = req.body;
+      const overrides = {};
+      ['title', 'description', 'priority', 'due_date'].forEach(field => {
+        if (req.body[field] !== undefined) overrides[field] = req.body[field];
+      });
+
+      const { request, duplicate, error } = await maintenanceService.createFromComponent(
+        structure,
+        { floor_id, flat_id, block_id, scope, component_type, instance_id },
+        { requestedBy: req.user.userId, overrides }
+      );
+
+      if (duplicate) {
+        return res.status(409).json({
+          success: false,
+          message: `An open maintenance request (${duplicate.request_number}) already exists for this component`,
+          data: { request_id: duplicate._id, request_number: duplicate.request_number, status: duplicate.status }
+        });
+      }
+      if (error) {
+        return sendErrorResponse(res, error, error === 'Component instance not found' ? 404 : 400);
+      }
+
+      console.log(`🛠️ Maintenance request ${request.request_number} raised from ${request.component.component_type} ${request.component.instance_id} by ${req.user.email}`);
+
+      sendCreatedResponse(res, request, 'Maintenance request created from component');
+
+    } catch (error) {
+      console.error('❌ Create maintenance request from component error:', error);
+      sendErrorResponse(res, 'Failed to create maintenance request', 500, error.message);
+    }
+  }
+
+  // =================== UPDATE ===================
+
+  /**
+   * Edit request details (not status or assignees)
+   * @route PUT /api/maintenance/:id
+   * @access Private (requester or AD/TE/VE)
+   */
+  async updateMaintenanceRequest(req, res) {
+    try {
+      const request = await this.loadRequest(req, res);
+      if (!request) return;
+
+      const isRequester = String(request.requested_by) === String(req.user.userId);
+      if (!hasPrivilegedAccess(req.user) && !isRequester) {
+        return sendErrorResponse(res, 'Only the requester or AD/TE/VE can edit this request', 403);
+      }
+      if (request.status === 'verified') {
+        return sendErrorResponse(res, 'Verified requests can no longer be edited', 400);
+      }
+
+      EDITABLE_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) request[field] = req.body[field];
+      });
+      await request.save();
+
+      sendSuccessResponse(res, 'Maintenance request updated successfully', request);
+
+    } catch (error) {
+      console.error('❌ Update maintenance request error:', error);
+      sendErrorResponse(res, 'Failed to update maintenance request', 500, error.message);
+    }
+  }
+
+  /**
+   * Set the assignees of a request; an open request becomes assigned
+   * @route POST /api/maintenance/:id/assign
+   * @access Private (AD/TE/VE)
+   */
+  async assignMaintenanceRequest(req, res) {
+    try {
+      const request = await this.loadRequest(req, res);
+      if (!request) return;
+
+      if (!['open', 'assigned', 'in_progress'].includes(request.status)) {
+        return sendErrorResponse(res, `Cannot assign a ${request.status} request`, 400);
+      }
+
+      const assigneeIds = Array.from(new Set(req.body.assignee_ids.map(String)));
+      const users = await User.find({ _id: { $in: assigneeIds }, is_active: true }).select('_id');
+      if (users.length !== assigneeIds.length) {
+        return sendErrorResponse(res, 'One or more assignees were not found or are inactive', 400);
+      }
+
+      const existing = new Map(request.assignees.map(assignee => [String(assignee.user), assignee]));
+      request.assignees = assigneeIds.map(userId => existing.get(userId) || {
+        user: userId,
+        assigned_at: new Date(),
+        assigned_by: req.user.userId
+      });
+
+      if (req.body.due_date) request.due_date = req.body.due_date;
+      if (request.status === 'open') {
+        this.recordStatus(request, 'assigned', req.user.userId, req.body.notes);
+      }
+
+      await request.save();
+
+      console.log(`👷 Maintenance request ${request.request_number} assigned to ${assigneeIds.length} user(s) by ${req.user.email}`);
+
+      sendSuccessResponse(res, 'Maintenance request assigned successfully', request);
+
+    } catch (error) {
+      console.error('❌ Assign maintenance request error:', error);
+      sendErrorResponse(res, 'Failed to assign maintenance request', 500, error.message);
+    }
+  }
+
+  /**
+   * Move a request through its workflow:
+   * assigned -> in_progress -> completed (assignees or AD/TE/VE),
+   * completed -> verified | in_progress for rework (AD/TE/VE)
+   * @route POST /api/maintenance/:id/status
+   * @access Private
+   */
+  async updateMaintenanceStatus(req, res) {
+    try {
+      const request = await this.loadRequest(req, res);
+      if (!request) return;
+
+      const { status, notes, actual_cost } = req.body;
+      const isPrivileged = hasPrivilegedAccess(req.user);
+
+      if (status === 'assigned') {
+        return sendErrorResponse(res, 'Use the assign endpoint to assign a request', 400);
+      }
+      if (!maintenanceService.canTransition(request.status, status)) {
+        return sendErrorResponse(res, `Cannot move a request from ${request.status} to ${status}`, 400);
+      }
+
+      const reviewStep = request.status === 'completed';
+      if (reviewStep ? !isPrivileged : !(isPrivileged || this.isAssignee(request, req.user.userId))) {
+        return sendErrorResponse(res, reviewStep
+          ? 'Only AD/TE/VE can verify or reopen completed work'
+          : 'Only assignees or AD/TE/VE can update this request', 403);
+      }
+
+      const now = new Date();
+      if (status === 'in_progress' && !request.started_at) request.started_at = now;
+      if (status === 'completed') {
+        request.completed_at = now;
+        if (notes) request.completion_notes = notes;
+        if (actual_cost) request.actual_cost = actual_cost;
+      }
+      if (status === 'verified') {
+        request.verified_at = now;
+        request.verified_by = req.user.userId;
+        if (notes) request.verification_notes = notes;
+      }
+
+      this.recordStatus(request, status, req.user.userId, notes);
+      await request.save();
+
+      console.log(`🔄 Maintenance request ${request.request_number} moved to ${status} by ${req.user.email}`);
+
+      sendSuccessResponse(res, `Maintenance request ${status.replace('_', ' ')}`, request);
+
+    } catch (error) {
+      console.error('❌ Update maintenance status error:', error);
+      sendErrorResponse(res, 'Failed to update maintenance request status', 500, error.message);
+    }
+  }
+
+  /**
+   * Delete a request that has not been started
+   * @route DELETE /api/maintenance/:id
+   * @access Private (requester or AD/TE/VE)
+   */
+  async deleteMaintenanceRequest(req, res) {
+    try {
+      const request = await this.loadRequest(req, res);
+      if (!request) return;
+
+      const isRequester = String(request.requested_by) === String(req.user.userId);
+      if (!hasPrivilegedAccess(req.user) && !isRequester) {
+        return sendErrorResponse(res, 'Only the requester or AD/TE/VE can delete this request', 403);
+      }
+      if (!['open', 'assigned'].includes(request.status)) {
+        return sendErrorResponse(res, 'Only requests that have not been started can be deleted', 400);
+      }
+
+      await request.deleteOne();
+
+      console.log(`🗑️ Maintenance request ${request.request_number} deleted by ${req.user.email}`);
+
+      sendSuccessResponse(res, 'Maintenance request deleted successfully', {
+        id: request._id,
+        request_number: request.request_number
+      });
+
+    } catch (error) {
+      console.error('❌ Delete maintenance request error:', error);
+      sendErrorResponse(res, 'Failed to delete maintenance request', 500, error.message);
+    }
+  }
+}
+
+module.exports = new MaintenanceController();
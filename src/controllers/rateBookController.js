@@ -0,0 +1,247 @@
+const RateBook = require('../models/RateBook');
+const rateBookService = require('../services/rateBookService');
+const {
+  sendSuccessResponse,
+  sendErrorResponse,
+  sendCreatedResponse
+} = require('../utils/responseHandler');
+
+const EDITABLE_FIELDS = [
+  'name',
+  'state_code',
+  'structure_subtype',
+  'currency',
+  'rates',
+  'default_rates_by_unit',
+  'is_active',
+  'effective_from',
+  'notes'
+];
+
+/**
+ * Admin management of the repair rate books used to price quantified
+ * repairs (BOQ, maintenance recommendations).
+ *
+ * There is at most one book per state and structure subtype; a book without
+ * a state_code applies to every state that has no book of its own.
+ */
+class RateBookController {
+  constructor() {
+    this.getRateBooks = this.getRateBooks.bind(this);
+    this.getRateBook = this.getRateBook.bind(this);
+    this.resolveRateBook = this.resolveRateBook.bind(this);
+    this.createRateBook = this.createRateBook.bind(this);
+    this.updateRateBook = this.updateRateBook.bind(this);
+    this.deleteRateBook = this.deleteRateBook.bind(this);
+  }
+
+  // =================== HELPERS ===================
+  pickEditableFields(body) {
+    const fields = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (body[field] !== undefined) fields[field] = body[field];
+    });
+    if (fields.state_code !== undefined) {
+      fields.state_code = fields.state_code ? fields.state_code.toUpperCase() : null;
+    }
+    return fields;
+  }
+
+  sendDuplicateError(res, stateCode, subtype) {
+    return sendErrorResponse(
+      res,
+      `A rate book for ${stateCode || 'all states'} (${subtype}) already exists`,
+      409
+    );
+  }
+
+  // =================== READ ===================
+
+  /**
+   * List rate books
+   * @route GET /api/admin/rate-books
+   * @access Private (Admin only)
+   */
+  async getRateBooks(req, res) {
+    try {
+      const { state_code, structure_subtype, is_active } = req.query;
+
+      const filter = {};
+      if (state_code) filter.state_code = state_code === 'all' ? null : state_code.toUpperCase();
+      if (structure_subtype) filter.structure_subtype = structure_subtype;
+      if (is_active !== undefined) filter.is_active = is_active === 'true';
+
+      const rateBooks = await RateBook.find(filter)
+        .sort({ structure_subtype: 1, state_code: 1 })
+        .lean();
+
+      sendSuccessResponse(res, 'Rate books retrieved successfully', {
+        rate_books: rateBooks,
+        total: rateBooks.length,
+        built_in_default: rateBookService.getDefaultRateBook()
+      });
+
+    } catch (error) {
+      console.error('❌ Get rate books error:', error);
+      sendErrorResponse(res, 'Failed to retrieve rate books', 500, error.message);
+    }
+  }
+
+  /**
+   * Get a rate book
+   * @route GET /api/admin/rate-books/:id
+   * @access Private (Admin only)
+   */
+  async getRateBook(req, res) {
+    try {
+      const rateBook = await RateBook.findById(req.params.id).lean();
+
+      if (!rateBook) {
+        return sendErrorResponse(res, 'Rate book not found', 404);
+      }
+
+      sendSuccessResponse(res, 'Rate book retrieved successfully', rateBook);
+
+    } catch (error) {
+      console.error('❌ Get rate book error:', error);
+      sendErrorResponse(res, 'Failed to retrieve rate book', 500, error.message);
+    }
+  }
+
+  /**
+   * Rate book that would price a structure in the given state and subtype
+   * @route GET /api/admin/rate-books/resolve?state_code=&structure_subtype=
+   * @access Private (Admin only)
+   */
+  async resolveRateBook(req, res) {
+    try {
+      const { state_code, structure_subtype = 'rcc' } = req.query;
+
+      const rateBook = await rateBookService.findRateBook({
+        stateCode: state_code,
+        subtype: structure_subtype
+      });
+
+      sendSuccessResponse(res, 'Rate book resolved successfully', {
+        resolved: rateBookService.summarizeRateBook(rateBook),
+        rate_book: rateBook
+      });
+
+    } catch (error) {
+      console.error('❌ Resolve rate book error:', error);
+      sendErrorResponse(res, 'Failed to resolve rate book', 500, error.message);
+    }
+  }
+
+  // =================== WRITE ===================
+
+  /**
+   * Create a rate book
+   * @route POST /api/admin/rate-books
+   * @access Private (Admin only)
+   */
+  async createRateBook(req, res) {
+    try {
+      const fields = this.pickEditableFields(req.body);
+      const stateCode = fields.state_code || null;
+
+      const existing = await RateBook.exists({
+        state_code: stateCode,
+        structure_subtype: fields.structure_subtype
+      });
+      if (existing) {
+        return this.sendDuplicateError(res, stateCode, fields.structure_subtype);
+      }
+
+      const rateBook = await RateBook.create({
+        ...fields,
+        state_code: stateCode,
+        created_by: req.user.userId,
+        updated_by: req.user.userId
+      });
+
+      console.log(`✅ Rate book "${rateBook.name}" (${stateCode || 'all states'}/${rateBook.structure_subtype}) created by ${req.user.email}`);
+
+      sendCreatedResponse(res, rateBook, 'Rate book created successfully');
+
+    } catch (error) {
+      if (error.code === 11000) {
+        return this.sendDuplicateError(res, req.body.state_code, req.body.structure_subtype);
+      }
+      console.error('❌ Create rate book error:', error);
+      sendErrorResponse(res, 'Failed to create rate book', 500, error.message);
+    }
+  }
+
+  /**
+   * Update a rate book. `rates` replaces the whole list when given.
+   * @route PUT /api/admin/rate-books/:id
+   * @access Private (Admin only)
+   */
+  async updateRateBook(req, res) {
+    try {
+      const rateBook = await RateBook.findById(req.params.id);
+
+      if (!rateBook) {
+        return sendErrorResponse(res, 'Rate book not found', 404);
+      }
+
+      const fields = this.pickEditableFields(req.body);
+      const stateCode = fields.state_code !== undefined ? fields.state_code : rateBook.state_code;
+      const subtype = fields.structure_subtype || rateBook.structure_subtype;
+
+      if (stateCode !== rateBook.state_code || subtype !== rateBook.structure_subtype) {
+        const existing = await RateBook.exists({
+          _id: { $ne: rateBook._id },
+          state_code: stateCode,
+          structure_subtype: subtype
+        });
+        if (existing) {
+          return this.sendDuplicateError(res, stateCode, subtype);
+        }
+      }
+
+      rateBook.set({ ...fields, updated_by: req.user.userId });
+      await rateBook.save();
+
+      console.log(`✅ Rate book "${rateBook.name}" updated by ${req.user.email}`);
+
+      sendSuccessResponse(res, 'Rate book updated successfully', rateBook);
+
+    } catch (error) {
+      if (error.code === 11000) {
+        return sendErrorResponse(res, 'A rate book for this state and subtype already exists', 409);
+      }
+      console.error('❌ Update rate book error:', error);
+      sendErrorResponse(res, 'Failed to update rate book', 500, error.message);
+    }
+  }
+
+  /**
+   * Delete a rate book; structures it priced fall back to the next matching book
+   * @route DELETE /api/admin/rate-books/:id
+   * @access Private (Admin only)
+   */
+  async deleteRateBook(req, res) {
+    try {
+      const rateBook = await RateBook.findByIdAndDelete(req.params.id);
+
+      if (!rateBook) {
+        return sendErrorResponse(res, 'Rate book not found', 404);
+      }
+
+      console.log(`🗑️ Rate book "${rateBook.name}" deleted by ${req.user.email}`);
+
+      sendSuccessResponse(res, 'Rate book deleted successfully', {
+        id: rateBook._id,
+        name: rateBook.name
+      });
+
+    } catch (error) {
+      console.error('❌ Delete rate book error:', error);
+      sendErrorResponse(res, 'Failed to delete rate book', 500, error.message);
+    }
+  }
+}
+
+module.exports = new RateBookController();
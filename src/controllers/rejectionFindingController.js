@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const { User, Structure } = require('../models/schemas');
+const { hasPrivilegedAccess } = require('../middlewares/auth');
+const rejectionFindingService = require('../services/rejectionFindingService');
+const {
+  sendSuccessResponse,
+  sendErrorResponse
+} = require('../utils/responseHandler');
+
+/**
+ * Itemized findings raised when a structure is rejected. The owner marks
+ * them addressed (here or with the resubmission); the reviewer closes them.
+ */
+class RejectionFindingController {
+  constructor() {
+    this.getFindings = this.getFindings.bind(this);
+    this.updateFinding = this.updateFinding.bind(this);
+  }
+
+  // =================== HELPERS ===================
+  async findAccessibleStructure(req) {
+    const structure = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Structure.findById(req.params.id)
+      : null;
+    if (!structure) return null;
+
+    const isOwner = String(structure.owner) === String(req.user.userId);
+    return isOwner || hasPrivilegedAccess(req.user) ? structure : null;
+  }
+
+  summarize(findings) {
+    return findings.reduce((summary, finding) => {
+      summary[finding.status] = (summary[finding.status] || 0) + 1;
+      return summary;
+    }, { open: 0, addressed: 0, closed: 0 });
+  }
+
+  // =================== READ ===================
+
+  /**
+   * Findings of a structure (?status=, ?stage=), newest first
+   * @route GET /api/structures/:id/findings
+   * @access Private (Owner, TE/VE/AD)
+   */
+  async getFindings(req, res) {
+    try {
+      const structure = await this.findAccessibleStructure(req);
+      if (!structure) {
+        return sendErrorResponse(res, 'Structure not found', 404);
+      }
+
+      const all = structure.rejection_findings || [];
+      const findings = all
+        .filter(finding => !req.query.status || finding.status === req.query.status)
+        .filter(finding => !req.query.stage || finding.rejection_stage === req.query.stage)
+        .sort((a, b) => new Date(b.raised_by?.date) - new Date(a.raised_by?.date));
+
+      sendSuccessResponse(res, 'Rejection findings retrieved successfully', {
+        structure_id: structure._id,
+        uid: structure.structural_identity?.uid,
+        status: structure.status,
+        summary: this.summarize(all),
+        findings
+      });
+
+    } catch (error) {
+      console.error('❌ Get rejection findings error:', error);
+      sendErrorResponse(res, 'Failed to retrieve rejection findings', 500, error.message);
+    }
+  }
+
+  // =================== WRITE ===================
+
+  /**
+   * Address, close or reopen a finding
+   * @route PATCH /api/structures/:id/findings/:findingId
+   * @access Private (Owner addresses; the raising reviewer or AD closes/reopens)
+   */
+  async updateFinding(req, res) {
+    try {
+      const { action, notes } = req.body;
+
+      const [structure, user] = await Promise.all([
+        this.findAccessibleStructure(req),
+        User.findById(req.user.userId)
+      ]);
+      if (!structure) {
+        return sendErrorResponse(res, 'Structure not found', 404);
+      }
+      if (!user) {
+        return sendErrorResponse(res, 'User not found', 404);
+      }
+
+      const finding = structure.rejection_findings.id(req.params.findingId);
+      if (!finding) {
+        return sendErrorResponse(res, 'Finding not found', 404);
+      }
+
+      const check = rejectionFindingService.canUpdate(structure, finding, action, req.user);
+      if (!check.allowed) {
+        return sendErrorResponse(res, check.message, check.statusCode);
+      }
+
+      const roles = req.user.roles || [req.user.role];
+      const role = action === 'address'
+        ? 'FE'
+        : (roles.includes(finding.raised_by?.role) ? finding.raised_by.role : 'AD');
+
+      rejectionFindingService.update(finding, action, {
+        user_id: user._id,
+        name: `${user.profile?.first_name || ''} ${user.profile?.last_name || ''}`.trim() || user.username,
+        email: user.email,
+        role
+      }, notes);
+      await structure.save();
+
+      console.log(`📝 Finding ${finding._id} on structure ${structure._id} ${finding.status} by ${user.username}`);
+
+      sendSuccessResponse(res, `Finding ${finding.status}`, {
+        structure_id: structure._id,
+        finding,
+        summary: this.summarize(structure.rejection_findings)
+      });
+
+    } catch (error) {
+      console.error('❌ Update rejection finding error:', error);
+      sendErrorResponse(res, 'Failed to update rejection finding', 500, error.message);
+    }
+  }
+}
+
+module.exports = new RejectionFindingController();
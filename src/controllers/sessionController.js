@@ -0,0 +1,166 @@
+const { User } = require('../models/schemas');
+const sessionService = require('../services/sessionService');
+const {
+  sendSuccessResponse,
+  sendErrorResponse
+} = require('../utils/responseHandler');
+
+/**
+ * Signed-in devices: users manage their own sessions, administrators can
+ * sign a user out everywhere (e.g. a lost phone)
+ */
+class SessionController {
+  constructor() {
+    this.getMySessions = this.getMySessions.bind(this);
+    this.revokeMySession = this.revokeMySession.bind(this);
+    this.revokeMySessions = this.revokeMySessions.bind(this);
+    this.getUserSessions = this.getUserSessions.bind(this);
+    this.revokeUserSessions = this.revokeUserSessions.bind(this);
+  }
+
+  // =================== HELPERS ===================
+  formatSession(session, currentSessionId) {
+    return {
+      session_id: session._id,
+      device: session.device,
+      user_agent: session.user_agent,
+      ip_address: session.ip_address,
+      last_ip_address: session.last_ip_address,
+      signed_in_at: session.createdAt,
+      last_used_at: session.last_used_at,
+      expires_at: session.expires_at,
+      current: Boolean(currentSessionId) && String(session._id) === String(currentSessionId)
+    };
+  }
+
+  // =================== READ ===================
+
+  /**
+   * Devices the user is signed in on, most recently used first
+   * @route GET /api/auth/sessions
+   * @access Private
+   */
+  async getMySessions(req, res) {
+    try {
+      const sessions = await sessionService.listActive(req.user.userId);
+
+      sendSuccessResponse(res, 'Active sessions retrieved successfully', {
+        total: sessions.length,
+        sessions: sessions.map(session => this.formatSession(session, req.user.sessionId))
+      });
+
+    } catch (error) {
+      console.error('❌ Get sessions error:', error);
+      sendErrorResponse(res, 'Failed to retrieve sessions', 500, error.message);
+    }
+  }
+
+  /**
+   * A user's active sessions
+   * @route GET /api/admin/users/:id/sessions
+   * @access Private (AD only)
+   */
+  async getUserSessions(req, res) {
+    try {
+      const user = await User.findById(req.params.id).select('username email').lean();
+      if (!user) {
+        return sendErrorResponse(res, 'User not found', 404);
+      }
+
+      const sessions = await sessionService.listActive(user._id);
+
+      sendSuccessResponse(res, 'Active sessions retrieved successfully', {
+        user: { user_id: user._id, username: user.username, email: user.email },
+        total: sessions.length,
+        sessions: sessions.map(session => this.formatSession(session))
+      });
+
+    } catch (error) {
+      console.error('❌ Get user sessions error:', error);
+      sendErrorResponse(res, 'Failed to retrieve sessions', 500, error.message);
+    }
+  }
+
+  // =================== WRITE ===================
+
+  /**
+   * Sign out one device
+   * @route DELETE /api/auth/sessions/:sessionId
+   * @access Private
+   */
+  async revokeMySession(req, res) {
+    try {
+      const revoked = await sessionService.revokeSession(req.user.userId, req.params.sessionId, 'user_revoked');
+      if (!revoked) {
+        return sendErrorResponse(res, 'Session not found or already signed out', 404);
+      }
+
+      console.log(`🔒 Session ${req.params.sessionId} revoked by ${req.user.email}`);
+
+      sendSuccessResponse(res, 'Session signed out successfully', {
+        session_id: req.params.sessionId,
+        current: String(req.params.sessionId) === String(req.user.sessionId)
+      });
+
+    } catch (error) {
+      console.error('❌ Revoke session error:', error);
+      sendErrorResponse(res, 'Failed to sign out session', 500, error.message);
+    }
+  }
+
+  /**
+   * Sign out every device (?keep_current=true keeps the one making the request)
+   * @route DELETE /api/auth/sessions
+   * @access Private
+   */
+  async revokeMySessions(req, res) {
+    try {
+      const keepCurrent = req.query.keep_current === 'true' && Boolean(req.user.sessionId);
+      const revoked = await sessionService.revokeAll(req.user.userId, 'user_revoked', {
+        exceptSessionId: keepCurrent ? req.user.sessionId : undefined
+      });
+
+      console.log(`🔒 ${revoked} session(s) revoked by ${req.user.email}${keepCurrent ? ' (current kept)' : ''}`);
+
+      sendSuccessResponse(res, 'Sessions signed out successfully', {
+        revoked,
+        current_kept: keepCurrent
+      });
+
+    } catch (error) {
+      console.error('❌ Revoke sessions error:', error);
+      sendErrorResponse(res, 'Failed to sign out sessions', 500, error.message);
+    }
+  }
+
+  /**
+   * Sign a user out on every device, or on one (?session_id=)
+   * @route DELETE /api/admin/users/:id/sessions
+   * @access Private (AD only)
+   */
+  async revokeUserSessions(req, res) {
+    try {
+      const user = await User.findById(req.params.id).select('username email').lean();
+      if (!user) {
+        return sendErrorResponse(res, 'User not found', 404);
+      }
+
+      const revoked = req.query.session_id
+        ? await sessionService.revokeSession(user._id, req.query.session_id, 'admin_revoked', req.user)
+        : await sessionService.revokeAll(user._id, 'admin_revoked', { actor: req.user });
+
+      console.log(`🔒 ${revoked} session(s) of ${user.email} revoked by ${req.user.email}`);
+
+      sendSuccessResponse(res, 'Sessions signed out successfully', {
+        user_id: user._id,
+        revoked
+      });
+
+    } catch (error) {
+      console.error('❌ Revoke user sessions error:', error);
+      sendErrorResponse(res, 'Failed to sign out sessions', 500, error.message);
+    }
+  }
+}
+
+module.exports = new SessionController();
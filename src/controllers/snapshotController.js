@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const { Structure } = require('../models/schemas');
+const { hasPrivilegedAccess } = require('../middlewares/auth');
+const snapshotService = require('../services/snapshotService');
+const {
+  sendSuccessResponse,
+  sendErrorResponse
+} = require('../utils/responseHandler');
+
+/**
+ * Structure versions captured at workflow transitions, and what changed
+ * between any two of them
+ */
+class SnapshotController {
+  constructor() {
+    this.getVersions = this.getVersions.bind(this);
+    this.getVersion = this.getVersion.bind(this);
+    this.diffVersions = this.diffVersions.bind(this);
+  }
+
+  // =================== HELPERS ===================
+  async findAccessibleStructure(req) {
+    const structure = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Structure.findById(req.params.id).select('owner status structural_identity.uid creation_info').lean()
+      : null;
+    if (!structure) return null;
+
+    const isOwner = String(structure.owner) === String(req.user.userId);
+    return isOwner || hasPrivilegedAccess(req.user) ? structure : null;
+  }
+
+  // =================== READ ===================
+
+  /**
+   * Versions of a structure, newest first (without snapshot data)
+   * @route GET /api/structures/:id/versions
+   * @access Private (Owner, TE/VE/AD)
+   */
+  async getVersions(req, res) {
+    try {
+      const structure = await this.findAccessibleStructure(req);
+      if (!structure) {
+        return sendErrorResponse(res, 'Structure not found', 404);
+      }
+
+      const versions = await snapshotService.listVersions(structure._id);
+
+      sendSuccessResponse(res, 'Structure versions retrieved successfully', {
+        structure_id: structure._id,
+        uid: structure.structural_identity?.uid,
+        current_version: structure.creation_info?.version || 1,
+        total: versions.length,
+        versions
+      });
+
+    } catch (error) {
+      console.error('❌ Get structure versions error:', error);
+      sendErrorResponse(res, 'Failed to retrieve structure versions', 500, error.message);
+    }
+  }
+
+  /**
+   * One version with its snapshot data
+   * @route GET /api/structures/:id/versions/:version
+   * @access Private (Owner, TE/VE/AD)
+   */
+  async getVersion(req, res) {
+    try {
+      const structure = await this.findAccessibleStructure(req);
+      if (!structure) {
+        return sendErrorResponse(res, 'Structure not found', 404);
+      }
+
+      const snapshot = await snapshotService.getVersion(structure._id, Number(req.params.version));
+      if (!snapshot) {
+        return sendErrorResponse(res, `Version ${req.params.version} not found`, 404);
+      }
+
+      sendSuccessResponse(res, 'Structure version retrieved successfully', snapshot);
+
+    } catch (error) {
+      console.error('❌ Get structure version error:', error);
+      sendErrorResponse(res, 'Failed to retrieve structure version', 500, error.message);
+    }
+  }
+
+  /**
+   * Field-level changes between two versions (?from=&to=). `to` defaults
+   * to the latest version; `from` to the last rejection before it, so a
+   * VE sees what the FE changed since the structure was sent back.
+   * @route GET /api/structures/:id/versions/diff
+   * @access Private (Owner, TE/VE/AD)
+   */
+  async diffVersions(req, res) {
+    try {
+      const structure = await this.findAccessibleStructure(req);
+      if (!structure) {
+        return sendErrorResponse(res, 'Structure not found', 404);
+      }
+
+      let toVersion = req.query.to ? Number(req.query.to) : null;
+      if (!toVersion) {
+        const [latest] = await snapshotService.listVersions(structure._id);
+        if (!latest) {
+          return sendErrorResponse(res, 'This structure has no versions yet', 404);
+        }
+        toVersion = latest.version;
+      }
+      const fromVersion = req.query.from
+        ? Number(req.query.from)
+        : await snapshotService.findBaseVersion(structure._id, toVersion);
+      if (!fromVersion) {
+        return sendErrorResponse(res, `There is no version before ${toVersion} to compare with`, 400);
+      }
+      if (fromVersion === toVersion) {
+        return sendErrorResponse(res, 'Choose two different versions to compare', 400);
+      }
+
+      const [from, to] = await Promise.all([
+        snapshotService.getVersion(structure._id, fromVersion),
+        snapshotService.getVersion(structure._id, toVersion)
+      ]);
+      if (!from || !to) {
+        return sendErrorResponse(res, `Version ${!from ? fromVersion : toVersion} not found`, 404);
+      }
+
+      const changes = snapshotService.diff(from.data, to.data);
+      const describe = ({ version, status, action, taken_by: takenBy, taken_at: takenAt }) => ({
+        version, status, action, taken_by: takenBy, taken_at: takenAt
+      });
+
+      sendSuccessResponse(res, 'Structure versions compared successfully', {
+        structure_id: structure._id,
+        uid: structure.structural_identity?.uid,
+        from: describe(from),
+        to: describe(to),
+        summary: snapshotService.summarize(changes),
+        changes
+      });
+
+    } catch (error) {
+      console.error('❌ Diff structure versions error:', error);
+      sendErrorResponse(res, 'Failed to compare structure versions', 500, error.message);
+    }
+  }
+}
+
+module.exports = new SnapshotController();
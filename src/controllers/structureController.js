@@ -1,7 +1,21 @@
 // @ts-nocheck
-const { User } = require('../models/schemas');
+const mongoose = require('mongoose');
+const { User, Structure } = require('../models/schemas');
 const { hasPrivilegedAccess } = require('../middlewares/auth'); 
 const StructureNumberGenerator = require('../utils/StructureNumberGenerator');
+const rateBookService = require('../services/rateBookService');
+const maintenanceService = require('../services/maintenanceService');
+const reportPdfService = require('../services/reportPdfService');
+const notificationService = require('../services/notificationService');
+const eventStreamService = require('../services/eventStreamService');
+const inspectionScheduleService = require('../services/inspectionScheduleService');
+const criticalEscalationService = require('../services/criticalEscalationService');
+const workflowService = require('../services/workflowService');
+const assignmentService = require('../services/assignmentService');
+const slaService = require('../services/slaService');
+const rejectionFindingService = require('../services/rejectionFindingService');
+const snapshotService = require('../services/snapshotService');
+const auditCycleService = require('../services/auditCycleService');
 const cloudinary = require('../config/cloudinary');
 const {
   sendSuccessResponse,
@@ -10,7 +24,7 @@ const {
   sendUpdatedResponse,
   sendPaginatedResponse
 } = require('../utils/responseHandler');
-const { MESSAGES, PAGINATION } = require('../utils/constants');
+const { MESSAGES, PAGINATION, ROLE_VISIBLE_STATUSES } = require('../utils/constants');
 
 const normalizePhotoList = (photosInput, photoInput) => {
   const fromArray = Array.isArray(photosInput)
@@ -354,6 +368,13 @@ this.buildWorkflowTimeline = this.buildWorkflowTimeline.bind(this);
  this.completeValidation = this.completeValidation.bind(this);
  this.approveStructure = this.approveStructure.bind(this);
  this.getWorkflowHistory = this.getWorkflowHistory.bind(this);
+ this.getWorkflowActions = this.getWorkflowActions.bind(this);
+ this.reopenStructure = this.reopenStructure.bind(this);
+ this.startAuditCycle = this.startAuditCycle.bind(this);
+ this.transitionStructure = this.transitionStructure.bind(this);
+ this.buildRejectionFindings = this.buildRejectionFindings.bind(this);
+ this.addressRejectionFindings = this.addressRejectionFindings.bind(this);
+ this.recordSnapshot = this.recordSnapshot.bind(this);
 this.buildWorkflowTimeline = this.buildWorkflowTimeline.bind(this);
 this.buildStatusDisplay = this.buildStatusDisplay.bind(this);
 this.convertPhotoDataUrisToCloudinary = this.convertPhotoDataUrisToCloudinary.bind(this);
@@ -371,31 +392,34 @@ this.isCloudinaryConfigured = this.isCloudinaryConfigured.bind(this);
   }
   
   // Regular user - only search their own structures
+  const structure = mongoose.Types.ObjectId.isValid(structureId)
+    ? await Structure.findOne({ _id: structureId, owner: userId })
+    : null;
+  if (!structure) {
+    throw new Error('Structure not found');
+  }
+  
   const user = await User.findById(userId);
   if (!user) {
     throw new Error('User not found');
   }
   
-  const structure = user.structures.id(structureId);
-  if (!structure) {
-    throw new Error('Structure not found');
-  }
-  
   return { user, structure };
 }
 
-  // Find structure across all users (for remarks functionality and privileged access)
+  // Find structure regardless of owner (for remarks functionality and privileged access).
+  // Returns the owning user alongside the structure document.
   async findStructureAcrossUsers(structureId) {
-    const users = await User.find({ 'structures._id': structureId });
+    const structure = mongoose.Types.ObjectId.isValid(structureId)
+      ? await Structure.findById(structureId)
+      : null;
     
-    for (const user of users) {
-      const structure = user.structures.id(structureId);
-      if (structure) {
-        return { user, structure };
-      }
+    if (!structure) {
+      throw new Error('Structure not found');
     }
     
-    throw new Error('Structure not found');
+    const user = await User.findById(structure.owner);
+    return { user, structure };
   }
 
   generateFloorId() {
@@ -536,7 +560,8 @@ async initializeStructure(req, res) {
       return sendErrorResponse(res, 404, 'User not found');
     }
 
-    console.log('👤 User found, current structures:', user.structures.length);
+    const existingCount = await Structure.countDocuments({ owner: user._id });
+    console.log('👤 User found, current structures:', existingCount);
 
     // Generate a valid UID (8-12 alphanumeric characters)
     const generateValidUID = () => {
@@ -565,6 +590,7 @@ async initializeStructure(req, res) {
 
     // Create structure with all required fields
     const newStructure = {
+      owner: user._id,
       structural_identity: {
         uid: uid,
         structural_identity_number: tempStructuralID,    // Matches: [A-Z]{2}[0-9]{2}[A-Z]{4}[A-Z0-9]{2}[0-9]{3}
@@ -602,12 +628,8 @@ async initializeStructure(req, res) {
     console.log('   Age:', newStructure.structural_identity.age_of_structure);
     console.log('   City Name (max 4 chars):', newStructure.location.city_name);
 
-    user.structures.push(newStructure);
-    
-    console.log('💾 Saving user with new structure...');
-    await user.save();
-
-    const createdStructure = user.structures[user.structures.length - 1];
+    console.log('💾 Saving new structure...');
+    const createdStructure = await Structure.create(newStructure);
     
     console.log('✅ Structure initialized successfully:', {
       id: createdStructure._id,
@@ -621,7 +643,7 @@ async initializeStructure(req, res) {
       uid: createdStructure.structural_identity.uid,
       structural_identity_number: createdStructure.structural_identity.structural_identity_number,
       status: createdStructure.status,
-      total_structures: user.structures.length,
+      total_structures: existingCount + 1,
       message: 'Structure initialized successfully. Please complete location details.'
     }, 'Structure initialized successfully');
 
@@ -763,10 +785,9 @@ async saveLocationScreen(req, res) {
     
     structure.creation_info.last_updated_date = new Date();
     
-    // ✅ Now using correct enum value
-    structure.status = 'location_completed';
+    workflowService.recordProgress(structure, 'location_completed');
     
-    await user.save();
+    await structure.save();
     
     console.log(`✅ Structure saved successfully`);
     console.log(`   Structural ID: ${fixedStructuralId}`);
@@ -847,10 +868,9 @@ async saveAdministrativeScreen(req, res) {
     };
 
     structure.creation_info.last_updated_date = new Date();
-    structure.status = 'admin_completed';
+    workflowService.recordProgress(structure, 'admin_completed');
 
-    user.markModified('structures'); // 🔥 CRITICAL
-    await user.save();               // 🔥 REQUIRED
+    await structure.save();
 
     return sendSuccessResponse(res, 'Administrative details saved successfully', {
       structure_id: id,
@@ -943,8 +963,8 @@ async saveAdministrativeScreen(req, res) {
     }
     
     structure.creation_info.last_updated_date = new Date();
-    structure.status = 'geometric_completed';
-    await user.save();
+    workflowService.recordProgress(structure, 'geometric_completed');
+    await structure.save();
     
     sendSuccessResponse(res, 'Geometric details saved successfully', {
       structure_id: id,
@@ -1065,7 +1085,7 @@ async saveAdministrativeScreen(req, res) {
     });
     
     structure.creation_info.last_updated_date = new Date();
-    await user.save();
+    await structure.save();
     
     sendCreatedResponse(res, {
       structure_id: id,
@@ -1156,8 +1176,8 @@ async saveBlockRatings(req, res) {
     }
     
     structure.creation_info.last_updated_date = new Date();
-    structure.status = 'ratings_in_progress';
-    await user.save();
+    workflowService.recordProgress(structure, 'ratings_in_progress');
+    await structure.save();
     
     sendSuccessResponse(res, 'Block ratings saved successfully', {
       structure_id: id,
@@ -1230,7 +1250,7 @@ async saveBlockRatings(req, res) {
       });
       
       structure.creation_info.last_updated_date = new Date();
-      await user.save();
+      await structure.save();
       
       sendCreatedResponse(res, {
         structure_id: id,
@@ -1332,7 +1352,7 @@ async saveBlockRatings(req, res) {
     });
 
     structure.creation_info.last_updated_date = new Date();
-    await user.save();
+    await structure.save();
 
     sendUpdatedResponse(res, {
       structure_id: id,
@@ -1368,7 +1388,7 @@ async saveBlockRatings(req, res) {
       
       structure.geometric_details.floors.splice(floorIndex, 1);
       structure.creation_info.last_updated_date = new Date();
-      await user.save();
+      await structure.save();
       
       sendSuccessResponse(res, 'Floor deleted successfully', {
         structure_id: id,
@@ -1420,7 +1440,7 @@ async addFlatsToFloor(req, res) {
     });
     
     structure.creation_info.last_updated_date = new Date();
-    await user.save();
+    await structure.save();
     
     sendCreatedResponse(res, {
       structure_id: id,
@@ -1548,7 +1568,7 @@ async addFlatsToFloor(req, res) {
       });
       
       structure.creation_info.last_updated_date = new Date();
-      await user.save();
+      await structure.save();
       
       sendUpdatedResponse(res, {
         structure_id: id,
@@ -1584,7 +1604,7 @@ async addFlatsToFloor(req, res) {
       
       floor.flats.splice(flatIndex, 1);
       structure.creation_info.last_updated_date = new Date();
-      await user.save();
+      await structure.save();
       
       sendSuccessResponse(res, 'Flat deleted successfully', {
         structure_id: id,
@@ -1703,8 +1723,8 @@ async saveFlatCombinedRatings(req, res) {
       }
 
       structure.creation_info.last_updated_date = new Date();
-      structure.status = 'ratings_in_progress';
-      await user.save();
+      workflowService.recordProgress(structure, 'ratings_in_progress');
+      await structure.save();
 
       return sendSuccessResponse(res, 'Flat ratings saved successfully', {
         structure_id: id,
@@ -2069,7 +2089,7 @@ async validateComponentsForStructureType(structure, componentsData) {
       this.updateFlatCombinedRating(flat);
       
       structure.creation_info.last_updated_date = new Date();
-      await user.save();
+      await structure.save();
       
       sendSuccessResponse(res, 'Flat structural ratings saved successfully', {
         structure_id: id,
@@ -2211,7 +2231,7 @@ hasFloorNonStructuralRating(floor) {
       this.updateFlatCombinedRating(flat);
       
       structure.creation_info.last_updated_date = new Date();
-      await user.save();
+      await structure.save();
       
       sendSuccessResponse(res, 'Flat non-structural ratings saved successfully', {
         structure_id: id,
@@ -2547,9 +2567,10 @@ extractFloorRatingImages(floor) {
       
       // Save the structure
       structure.creation_info.last_updated_date = new Date();
-      structure.status = 'ratings_in_progress';
-      await user.save();
+      workflowService.recordProgress(structure, 'ratings_in_progress');
+      await structure.save();
       console.log('💾 Structure saved successfully');
+      this.publishRatingsSaved(structure, 'mixed', { updated_floors: updatedFloors, updated_flats: updatedFlats });
       
       // Calculate progress after updates
       const progress = this.calculateProgress(structure);
@@ -3109,8 +3130,8 @@ async saveFloorRatings(req, res) {
       }
 
       structure.creation_info.last_updated_date = new Date();
-      structure.status = 'ratings_in_progress';
-      await user.save();
+      workflowService.recordProgress(structure, 'ratings_in_progress');
+      await structure.save();
 
       return sendSuccessResponse(res, 'Floor ratings saved successfully', {
         structure_id: id,
@@ -3256,58 +3277,46 @@ async getFloorRatings(req, res) {
  * @returns {Array} Array of maintenance recommendations
  */
 async generateMaintenanceRecommendations(structure) {
-  const recommendations = [];
-  
   if (!structure.geometric_details?.floors) {
-    return recommendations;
+    return [];
   }
   
-  structure.geometric_details.floors.forEach(floor => {
-    if (floor.flats) {
-      floor.flats.forEach(flat => {
-        // Check structural components
-        if (flat.structural_rating) {
-          const structuralComponents = ['beams', 'columns', 'slab', 'foundation'];
-          
-          structuralComponents.forEach(component => {
-            const rating = flat.structural_rating[component];
-            if (rating && rating.rating <= 2) {
-              recommendations.push({
-                type: 'Structural',
-                priority: rating.rating === 1 ? 'Critical' : 'High',
-                component: component.charAt(0).toUpperCase() + component.slice(1),
-                location: `Floor ${floor.floor_number}, Flat ${flat.flat_number}`,
-                issue: rating.condition_comment || `${component} needs attention`,
-                rating: rating.rating,
-                urgency: rating.rating === 1 ? 'Immediate' : 'Within 30 days',
-                estimated_cost: this.getEstimatedCost(component, rating.rating, 'structural'),
-                recommended_action: this.getRecommendedAction(component, rating.rating, 'structural')
-              });
-            }
-          });
-        }
-        
-        // Check non-structural components
-        if (flat.non_structural_rating) {
-          RCC_FLAT_NON_STRUCTURAL_COMPONENT_TYPES.forEach(component => {
-            const rating = flat.non_structural_rating[component];
-            if (rating && rating.rating <= 2) {
-              recommendations.push({
-                type: 'Non-Structural',
-                priority: rating.rating === 1 ? 'High' : 'Medium',
-                component: component.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase()),
-                location: `Floor ${floor.floor_number}, Flat ${flat.flat_number}`,
-                issue: rating.condition_comment || `${component.replace('_', ' ')} needs attention`,
-                rating: rating.rating,
-                urgency: rating.rating === 1 ? 'Within 15 days' : 'Within 60 days',
-                estimated_cost: this.getEstimatedCost(component, rating.rating, 'non_structural'),
-                recommended_action: this.getRecommendedAction(component, rating.rating, 'non_structural')
-              });
-            }
-          });
-        }
-      });
-    }
+  // Every component instance rated 2 or lower on floors, flats and blocks
+  const lowRated = maintenanceService.collectLowRatedComponents(structure);
+  if (lowRated.length === 0) {
+    return [];
+  }
+  
+  // Costs are priced from the quantified repairs with the region's rate book
+  const rateBook = await rateBookService.getRateBookForStructure(structure);
+  
+  const recommendations = lowRated.map(located => {
+    const { component_type: component, instance, scope } = located;
+    const { priority, urgency } = maintenanceService.getUrgency(instance.rating, scope);
+    const componentName = component.replace(/_/g, ' ');
+    
+    return {
+      type: scope === 'structural' ? 'Structural' : 'Non-Structural',
+      priority,
+      component: componentName.replace(/\b\w/g, l => l.toUpperCase()),
+      instance_id: located.instance_id,
+      instance_name: instance.name || null,
+      location: maintenanceService.describeWhere(located),
+      floor_id: located.floor.floor_id,
+      flat_id: located.flat?.flat_id || null,
+      block_id: located.block?.block_id || null,
+      issue: instance.condition_comment || `${componentName} needs attention`,
+      rating: instance.rating,
+      urgency,
+      photos: reportPdfService.getInstancePhotos(instance),
+      estimated_cost: rateBookService.estimateComponentCost({
+        rateBook,
+        component,
+        scope,
+        quantifications: located.quantifications
+      }),
+      recommended_action: instance.repair_methodology || this.getRecommendedAction(component, instance.rating, scope)
+    };
   });
   
   // Sort by priority and rating
@@ -3322,49 +3331,6 @@ async generateMaintenanceRecommendations(structure) {
   return recommendations;
 }
 
-/**
- * Get estimated cost for maintenance work
- * @param {string} component - Component name
- * @param {number} rating - Current rating
- * @param {string} type - 'structural' or 'non_structural'
- * @returns {Object} Cost estimate
- */
-getEstimatedCost(component, rating, type) {
-  // Base cost estimates in rupees (these should be configurable)
-  const baseCosts = {
-    structural: {
-      beams: { 1: 50000, 2: 25000 },
-      columns: { 1: 75000, 2: 35000 },
-      slab: { 1: 60000, 2: 30000 },
-      foundation: { 1: 100000, 2: 50000 }
-    },
-    non_structural: {
-      brick_plaster: { 1: 15000, 2: 8000 },
-      doors_windows: { 1: 25000, 2: 12000 },
-      flooring_tiles: { 1: 20000, 2: 10000 },
-      electrical_wiring: { 1: 30000, 2: 15000 },
-      sanitary_fittings: { 1: 18000, 2: 9000 },
-      railings: { 1: 12000, 2: 6000 },
-      water_tanks: { 1: 40000, 2: 20000 },
-      plumbing: { 1: 25000, 2: 12000 },
-      sewage_system: { 1: 35000, 2: 18000 },
-      panel_board: { 1: 15000, 2: 8000 },
-      lifts: { 1: 200000, 2: 100000 }
-    }
-  };
-  
-  const cost = baseCosts[type]?.[component]?.[rating] || 10000;
-  
-  return {
-    estimated_amount: cost,
-    currency: 'INR',
-    range: {
-      min: Math.round(cost * 0.8),
-      max: Math.round(cost * 1.2)
-    }
-  };
-}
-
 /**
  * Get recommended action for component maintenance
  * @param {string} component - Component name
@@ -3549,22 +3515,21 @@ generateBlockId() {
       const { id } = req.params;
       const { user, structure } = await this.findUserStructure(req.user.userId, id, req.user);
       
-      const progress = this.calculateProgress(structure, { includePercentage: true });
+      if (!this.addressRejectionFindings(req, res, user, structure)) return;
+      const transition = this.transitionStructure(req, res, user, structure, 'submit');
+      if (!transition) return;
+      await assignmentService.autoAssign(structure, 'TE');
       
-      if (progress.overall_percentage < 100) {
-        return sendErrorResponse(res, 'Cannot submit incomplete structure', 400);
-      }
-      
-      structure.status = 'submitted';
-      structure.creation_info.last_updated_date = new Date();
-      
-      await user.save();
+      await structure.save();
+      await this.recordSnapshot(structure, transition, user, req.user);
+      this.notifyWorkflow(structure, transition.event, user, { previous_status: transition.previousStatus });
       
       sendSuccessResponse(res, 'Structure submitted successfully', {
         structure_id: id,
         uid: structure.structural_identity?.uid,
         status: structure.status,
-        submitted_at: structure.creation_info.last_updated_date
+        submitted_at: structure.creation_info.last_updated_date,
+        findings_awaiting_review: rejectionFindingService.countByStatus(structure, 'addressed')
       });
 
     } catch (error) {
@@ -3594,8 +3559,8 @@ async getAllStructures(req, res) {
     console.log('📋 Getting all structures for user:', req.user.userId);
     console.log('🔐 User roles:', req.user.roles || [req.user.role]);
     
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const page = Math.max(1, parseInt(req.query.page) || PAGINATION.DEFAULT_PAGE);
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || PAGINATION.DEFAULT_LIMIT), PAGINATION.MAX_LIMIT);
     const status = req.query.status;
     const search = req.query.search;
     const sortBy = req.query.sortBy || 'creation_date';
@@ -3605,162 +3570,101 @@ async getAllStructures(req, res) {
     const isPrivileged = hasPrivilegedAccess(req.user);
     const userRole = req.user.roles?.[0] || req.user.role;
     
-    let structures = [];
-    let ownerInfo = {}; // To track structure owners for privileged users
+    const conditions = [];
     
-    // ✅ PRIVILEGED USERS: Fetch all structures from all users
     if (isPrivileged) {
+      // ✅ PRIVILEGED USERS: structures from all owners, narrowed to their workflow stage
       console.log('✅ Privileged user detected:', userRole);
       console.log('   User roles:', req.user.roles || [req.user.role]);
       
-      // Get all users with their structures
-      const allUsers = await User.find({ 
-        'structures.0': { $exists: true } // Only users who have structures
-      }).select('structures username email profile');
-      
-      console.log(`📊 Found ${allUsers.length} users with structures`);
-      
-      // Aggregate all structures with owner info
-      allUsers.forEach(user => {
-        if (user.structures && user.structures.length > 0) {
-          user.structures.forEach(structure => {
-            // ✅ FILTER FOR TE: Only show structures that TE should see
-            // TE should see: submitted, under_testing, tested, rejected (from testing stage)
-            if (userRole === 'TE') {
-              const teRelevantStatuses = [
-                'submitted',        // Ready for TE to start testing
-                'under_testing',    // TE is currently testing
-                'tested',          // TE completed testing
-                'rejected'         // Any rejected (TE can review)
-              ];
-              
-              // Skip structures not relevant to TE
-              if (!teRelevantStatuses.includes(structure.status)) {
-                return; // Skip this structure
-              }
-              
-              console.log(`✅ TE viewing structure ${structure._id} with status: ${structure.status}`);
-            }
-            
-            // ✅ FILTER FOR VE: Only show structures that VE should see
-            if (userRole === 'VE') {
-              const veRelevantStatuses = [
-                'tested',          // Ready for VE to start validation
-                'under_validation', // VE is currently validating
-                'validated',       // VE completed validation
-                'rejected'         // Any rejected (VE can review)
-              ];
-              
-              if (!veRelevantStatuses.includes(structure.status)) {
-                return; // Skip this structure
-              }
-              
-              console.log(`✅ VE viewing structure ${structure._id} with status: ${structure.status}`);
-            }
-            
-            // ✅ FILTER FOR AD: Only show structures that AD should see
-            if (userRole === 'AD') {
-              const adRelevantStatuses = [
-                'validated',  // Ready for AD to approve
-                'approved',   // AD already approved
-                'rejected'    // Any rejected (AD can review)
-              ];
-              
-              if (!adRelevantStatuses.includes(structure.status)) {
-                return; // Skip this structure
-              }
-              
-              console.log(`✅ AD viewing structure ${structure._id} with status: ${structure.status}`);
-            }
-            
-            // Add structure with owner info
-            const structureWithOwner = structure.toObject();
-            structureWithOwner._ownerId = user._id;
-            structureWithOwner._ownerUsername = user.username;
-            structureWithOwner._ownerEmail = user.email;
-            structures.push(structureWithOwner);
-          });
-        }
-      });
-      
-      console.log(`📊 Total structures visible to ${userRole}: ${structures.length}`);
-      
+      if (ROLE_VISIBLE_STATUSES[userRole]) {
+        conditions.push({ status: { $in: ROLE_VISIBLE_STATUSES[userRole] } });
+      }
     } else {
-      // ✅ REGULAR USERS (FE): Fetch only their own structures
+      // ✅ REGULAR USERS (FE): only their own structures
       console.log('👤 Regular user - fetching only own structures');
-      
-      const user = await User.findById(req.user.userId);
-      if (!user) {
-        return sendErrorResponse(res, 'User not found', 404);
-      }
-      
-      structures = user.structures || [];
+      conditions.push({ owner: new mongoose.Types.ObjectId(req.user.userId) });
     }
     
     // Apply additional filters
     if (status) {
-      structures = structures.filter(structure => structure.status === status);
-      console.log(`🔍 Filtered by status '${status}': ${structures.length} structures`);
+      conditions.push({ status });
     }
     
     if (search) {
-      const searchLower = search.toLowerCase();
-      structures = structures.filter(structure => 
-        structure.structural_identity?.structural_identity_number?.toLowerCase().includes(searchLower) ||
-        structure.structural_identity?.uid?.toLowerCase().includes(searchLower) ||
-        structure.administration?.client_name?.toLowerCase().includes(searchLower) ||
-        structure.structural_identity?.city_name?.toLowerCase().includes(searchLower) ||
-        (isPrivileged && (
-          structure._ownerUsername?.toLowerCase().includes(searchLower) ||
-          structure._ownerEmail?.toLowerCase().includes(searchLower)
-        ))
-      );
-    }
-    
-    // Sort structures
-    structures.sort((a, b) => {
-      let aValue, bValue;
+      const searchRegex = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      const searchConditions = [
+        { 'structural_identity.structural_identity_number': searchRegex },
+        { 'structural_identity.uid': searchRegex },
+        { 'administrative.client_name': searchRegex },
+        { 'location.city_name': searchRegex }
+      ];
       
-      switch (sortBy) {
-        case 'creation_date':
-          aValue = a.creation_info?.created_date || new Date(0);
-          bValue = b.creation_info?.created_date || new Date(0);
-          break;
-        case 'last_updated':
-          aValue = a.creation_info?.last_updated_date || new Date(0);
-          bValue = b.creation_info?.last_updated_date || new Date(0);
-          break;
-        case 'structure_number':
-          aValue = a.structural_identity?.structural_identity_number || '';
-          bValue = b.structural_identity?.structural_identity_number || '';
-          break;
-        case 'client_name':
-          aValue = a.administration?.client_name || '';
-          bValue = b.administration?.client_name || '';
-          break;
-        case 'owner':
-          if (isPrivileged) {
-            aValue = a._ownerUsername || '';
-            bValue = b._ownerUsername || '';
-          } else {
-            aValue = a.creation_info?.created_date || new Date(0);
-            bValue = b.creation_info?.created_date || new Date(0);
-          }
-          break;
-        default:
-          aValue = a.creation_info?.created_date || new Date(0);
-          bValue = b.creation_info?.created_date || new Date(0);
+      // Owner name/email search is resolved to owner IDs up front, so every
+      // condition can filter structures before owners are joined
+      if (isPrivileged) {
+        const matchingOwners = await User.find({
+          $or: [{ username: searchRegex }, { email: searchRegex }]
+        }).select('_id').lean();
+        if (matchingOwners.length > 0) {
+          searchConditions.push({ owner: { $in: matchingOwners.map(owner => owner._id) } });
+        }
       }
       
-      if (aValue < bValue) return -1 * sortOrder;
-      if (aValue > bValue) return 1 * sortOrder;
-      return 0;
-    });
+      conditions.push({ $or: searchConditions });
+    }
+    
+    const SORT_FIELDS = {
+      creation_date: 'creation_info.created_date',
+      last_updated: 'creation_info.last_updated_date',
+      structure_number: 'structural_identity.structural_identity_number',
+      client_name: 'administrative.client_name',
+      owner: isPrivileged ? 'owner_info.username' : 'creation_info.created_date'
+    };
+    const sortField = SORT_FIELDS[sortBy] || SORT_FIELDS.creation_date;
     
     // Pagination
     const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + limit;
-    const paginatedStructures = structures.slice(startIndex, endIndex);
+    
+    const ownerLookup = [
+      {
+        $lookup: {
+          from: 'users',
+          localField: 'owner',
+          foreignField: '_id',
+          pipeline: [{ $project: { username: 1, email: 1 } }],
+          as: 'owner_info'
+        }
+      },
+      { $unwind: { path: '$owner_info', preserveNullAndEmptyArrays: true } }
+    ];
+    // Sorting by owner needs the join first; otherwise only the page is joined
+    const sortsByOwner = sortField === 'owner_info.username';
+    
+    const [result] = await Structure.aggregate([
+      { $match: conditions.length > 0 ? { $and: conditions } : {} },
+      ...(sortsByOwner ? ownerLookup : []),
+      { $sort: { [sortField]: sortOrder, _id: sortOrder } },
+      {
+        $facet: {
+          data: [{ $skip: startIndex }, { $limit: limit }, ...(sortsByOwner ? [] : ownerLookup)],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+    
+    const totalStructures = result?.total?.[0]?.count || 0;
+    const paginatedStructures = (result?.data || []).map(structure => {
+      const { owner_info: ownerInfo, ...rest } = structure;
+      return {
+        ...rest,
+        _ownerId: structure.owner,
+        _ownerUsername: ownerInfo?.username,
+        _ownerEmail: ownerInfo?.email
+      };
+    });
+    
+    console.log(`📊 Total structures visible to ${userRole}: ${totalStructures}`);
     
     // Format response data WITH WORKFLOW INFORMATION
     const structuresData = paginatedStructures.map(structure => {
@@ -3911,7 +3815,7 @@ async getAllStructures(req, res) {
     
     console.log(`📦 Returning ${structuresData.length} structures to ${userRole}`);
     
-    sendPaginatedResponse(res, structuresData, page, limit, structures.length, 'Structures retrieved successfully');
+    sendPaginatedResponse(res, structuresData, page, limit, totalStructures, 'Structures retrieved successfully');
 
   } catch (error) {
     console.error('❌ Get all structures error:', error);
@@ -4199,10 +4103,11 @@ async getAllImages(req, res) {
     }
 
     const allImages = [];
+    const userStructures = await Structure.find({ owner: user._id });
     
     // Extract images from all structures
-    if (user.structures) {
-      user.structures.forEach(structure => {
+    if (userStructures) {
+      userStructures.forEach(structure => {
         if (structure.geometric_details?.floors) {
           structure.geometric_details.floors.forEach(floor => {
             if (floor.flats) {
@@ -4434,10 +4339,11 @@ async getUserImageStats(req, res) {
     };
     
     const allImages = [];
+    const userStructures = await Structure.find({ owner: user._id });
     
     // Process all structures
-    if (user.structures) {
-      user.structures.forEach(structure => {
+    if (userStructures) {
+      userStructures.forEach(structure => {
         const structureKey = structure.structural_identity?.structural_identity_number || structure._id;
         stats.images_by_structure[structureKey] = {
           structure_id: structure._id,
@@ -4520,7 +4426,7 @@ async getUserImageStats(req, res) {
     sendSuccessResponse(res, 'User image statistics retrieved successfully', {
       user_id: req.user.userId,
       username: user.username,
-      total_structures: user.structures?.length || 0,
+      total_structures: userStructures.length,
       image_statistics: stats,
       percentages: imagePercentages,
       summary: {
@@ -4551,10 +4457,9 @@ async getUserImageStats(req, res) {
       );
       
       const pipeline = [
-        { $unwind: '$structures' },
         {
           $match: {
-            'structures.structural_identity.structural_identity_number': { 
+            'structural_identity.structural_identity_number': { 
               $regex: `^${locationPrefix}` 
             }
           }
@@ -4562,7 +4467,7 @@ async getUserImageStats(req, res) {
         {
           $project: {
             sequence: { 
-              $substr: ['$structures.structural_identity.structural_identity_number', 10, 5] 
+              $substr: ['$structural_identity.structural_identity_number', 10, 5] 
             }
           }
         },
@@ -4576,7 +4481,7 @@ async getUserImageStats(req, res) {
         }
       ];
       
-      const result = await User.aggregate(pipeline);
+      const result = await Structure.aggregate(pipeline);
       const maxSequence = result.length > 0 ? result[0].maxSequence : 0;
       
       const nextSequence = maxSequence + 1;
@@ -4614,11 +4519,11 @@ async getUserImageStats(req, res) {
 
   async checkDuplicateStructureNumber(structuralIdentityNumber) {
     try {
-      const existingUser = await User.findOne({
-        'structures.structural_identity.structural_identity_number': structuralIdentityNumber
+      const existingStructure = await Structure.exists({
+        'structural_identity.structural_identity_number': structuralIdentityNumber
       });
       
-      return existingUser ? true : false;
+      return existingStructure ? true : false;
     } catch (error) {
       console.error('Error checking duplicate structure number:', error);
       return false;
@@ -4646,11 +4551,10 @@ async getUserImageStats(req, res) {
         locationPrefix = locationPrefix.substring(0, 8);
       }
       
-      const stats = await User.aggregate([
-        { $unwind: '$structures' },
+      const stats = await Structure.aggregate([
         {
           $match: {
-            'structures.structural_identity.structural_identity_number': {
+            'structural_identity.structural_identity_number': {
               $regex: `^${locationPrefix}`
             }
           }
@@ -4660,10 +4564,10 @@ async getUserImageStats(req, res) {
             _id: null,
             total_structures: { $sum: 1 },
             by_type: {
-              $push: '$structures.structural_identity.type_of_structure'
+              $push: '$structural_identity.type_of_structure'
             },
             by_status: {
-              $push: '$structures.status'
+              $push: '$status'
             }
           }
         }
@@ -4779,8 +4683,8 @@ async saveFlatStructuralComponents(req, res) {
     this.calculateStructuralAverage(targetFlat);
     
     structure.creation_info.last_updated_date = new Date();
-    structure.status = 'ratings_in_progress';
-    await user.save();
+    workflowService.recordProgress(structure, 'ratings_in_progress');
+    await structure.save();
     
     sendSuccessResponse(res, `Structural ${component_type} saved successfully`, {
       structure_id: id,
@@ -4846,8 +4750,8 @@ async saveFlatNonStructuralComponents(req, res) {
     this.calculateCombinedRating(targetFlat);
     
     structure.creation_info.last_updated_date = new Date();
-    structure.status = 'ratings_in_progress';
-    await user.save();
+    workflowService.recordProgress(structure, 'ratings_in_progress');
+    await structure.save();
     
     sendSuccessResponse(res, `Non-structural ${component_type} saved successfully`, {
       structure_id: id,
@@ -5007,7 +4911,7 @@ async updateFlatStructuralComponent(req, res) {
     this.calculateCombinedRating(targetFlat);
     
     structure.creation_info.last_updated_date = new Date();
-    await user.save();
+    await structure.save();
     
     sendSuccessResponse(res, 'Structural component updated successfully', {
       structure_id: id,
@@ -5083,7 +4987,7 @@ async updateFlatNonStructuralComponent(req, res) {
     this.calculateCombinedRating(targetFlat);
     
     structure.creation_info.last_updated_date = new Date();
-    await user.save();
+    await structure.save();
     
     sendSuccessResponse(res, 'Non-structural component updated successfully', {
       structure_id: id,
@@ -5151,7 +5055,7 @@ async deleteFlatStructuralComponent(req, res) {
     this.calculateCombinedRating(targetFlat);
     
     structure.creation_info.last_updated_date = new Date();
-    await user.save();
+    await structure.save();
     
     sendSuccessResponse(res, 'Structural component deleted successfully', {
       structure_id: id,
@@ -5217,7 +5121,7 @@ async deleteFlatNonStructuralComponent(req, res) {
     this.calculateCombinedRating(targetFlat);
     
     structure.creation_info.last_updated_date = new Date();
-    await user.save();
+    await structure.save();
     
     sendSuccessResponse(res, 'Non-structural component deleted successfully', {
       structure_id: id,
@@ -5262,7 +5166,7 @@ async saveFloorStructuralComponents(req, res) {
     this.calculateFloorStructuralAverage(floor);
     
     structure.creation_info.last_updated_date = new Date();
-    await user.save();
+    await structure.save();
     
     sendSuccessResponse(res, `Floor structural ${component_type} saved successfully`, {
       structure_id: id,
@@ -5306,7 +5210,7 @@ async saveFloorNonStructuralComponents(req, res) {
     this.calculateFloorCombinedRating(floor);
     
     structure.creation_info.last_updated_date = new Date();
-    await user.save();
+    await structure.save();
     
     sendSuccessResponse(res, `Floor non-structural ${component_type} saved successfully`, {
       structure_id: id,
@@ -5586,6 +5490,13 @@ async addRemark(req, res) {
         ? structure.remarks.ve_remarks.slice(-1)[0]
         : structure.remarks.te_remarks.slice(-1)[0];
 
+    eventStreamService.publishStructureEvent('structure.remark_added', structure, {
+      remark_id: String(savedRemark._id),
+      text: savedRemark.text,
+      author_name: savedRemark.author_name,
+      author_role: savedRemark.author_role
+    });
+
     sendSuccessResponse(res, 'Remark added successfully', {
       remark_id: savedRemark._id,
       text: savedRemark.text,
@@ -5774,7 +5685,7 @@ async deleteRemark(req, res) {
     }
 
     structure.creation_info.last_updated_date = new Date();
-    await structureOwner.save();
+    await structure.save();
 
     sendSuccessResponse(res, 'Remark deleted successfully', {
       structure_id: id,
@@ -5801,30 +5712,18 @@ async deleteStructure(req, res) {
     
     console.log(`🗑️ Deleting structure ${id} (permanent: ${permanent})`);
     
-    // Fetch the user
-    const user = await User.findById(req.user.userId);
-    if (!user) {
-      return sendErrorResponse(res, 'User not found', 404);
-    }
-
-    // Find the structure index in the user's structures array
-    const structureIndex = user.structures.findIndex(
-      s => s._id.toString() === id
-    );
+    // Only the owner can delete their structure
+    const structure = mongoose.Types.ObjectId.isValid(id)
+      ? await Structure.findOne({ _id: id, owner: req.user.userId })
+      : null;
 
-    if (structureIndex === -1) {
+    if (!structure) {
       return sendErrorResponse(res, 'Structure not found', 404);
     }
 
-    // Optional: permission check
-    // if (user is not owner/admin) return sendErrorResponse(...);
-
-    const structure = user.structures[structureIndex];
-
     if (permanent === 'true' || permanent === true) {
-      // Hard delete: remove from array completely
-      user.structures.splice(structureIndex, 1);
-      await user.save();
+      // Hard delete: remove the document completely
+      await structure.deleteOne();
 
       console.log(`✅ Structure ${id} permanently deleted`);
 
@@ -5853,6 +5752,32 @@ async deleteStructure(req, res) {
   // =================== NEW BULK COMPONENT RATING METHODS ===================
 // Add these methods to the StructureController class body
 
+/**
+ * Tell dashboards that component ratings were saved
+ * @param {Object} location - { floor_id, flat_id?, block_id? }
+ */
+publishRatingsSaved(structure, scope, location, componentsSaved) {
+  eventStreamService.publishStructureEvent('structure.ratings_saved', structure, {
+    scope,
+    ...location,
+    total_components_saved: componentsSaved
+  });
+}
+
+/**
+ * Escalate findings a save made Critical without holding up the response
+ * @param {Map} criticalBefore - criticalEscalationService.collectCriticalItems() before the changes
+ */
+escalateCritical(structure, criticalBefore, user) {
+  criticalEscalationService.escalateNewlyCritical(structure, criticalBefore, {
+    user_id: user.userId,
+    name: user.username,
+    role: user.role
+  }).catch(error => {
+    console.error('❌ Critical escalation failed:', error);
+  });
+}
+
 /**
  * Save multiple structural component types for a flat in one request
  * @route POST /structures/:id/flats/:flatId/structural/bulk
@@ -5932,6 +5857,7 @@ async saveFlatStructuralComponentsBulk(req, res) {
     }
 
     const { user, structure } = await this.findUserStructure(req.user.userId, id, req.user);
+    const criticalBefore = criticalEscalationService.collectCriticalItems(structure);
 
     // ✅ Validate components against structure subtype
     const validation = await this.validateComponentsForStructureType(structure, structures);
@@ -6021,8 +5947,10 @@ async saveFlatStructuralComponentsBulk(req, res) {
     this.calculateCombinedRating(targetFlat);
     
     structure.creation_info.last_updated_date = new Date();
-    structure.status = 'ratings_in_progress';
-    await user.save();
+    workflowService.recordProgress(structure, 'ratings_in_progress');
+    await structure.save();
+    this.publishRatingsSaved(structure, 'structural', { flat_id: flatId }, totalComponentsSaved);
+    this.escalateCritical(structure, criticalBefore, req.user);
     
     sendSuccessResponse(res, 'Structural components saved successfully', {
       structure_id: id,
@@ -6195,8 +6123,9 @@ async saveFlatNonStructuralComponentsBulk(req, res) {
     this.calculateCombinedRating(targetFlat);
     
     structure.creation_info.last_updated_date = new Date();
-    structure.status = 'ratings_in_progress';
-    await user.save();
+    workflowService.recordProgress(structure, 'ratings_in_progress');
+    await structure.save();
+    this.publishRatingsSaved(structure, 'non_structural', { flat_id: flatId }, totalComponentsSaved);
     
     sendSuccessResponse(res, 'Non-structural components saved successfully', {
       structure_id: id,
@@ -6358,6 +6287,7 @@ async saveFloorStructuralComponentsBulk(req, res) {
     
     // Find user and structure
     const { user, structure } = await this.findUserStructure(req.user.userId, id, req.user);
+    const criticalBefore = criticalEscalationService.collectCriticalItems(structure);
     
     // ⭐ NEW: Validate components against structure subtype
     const validation = await this.validateComponentsForStructureType(structure, structures);
@@ -6486,7 +6416,9 @@ async saveFloorStructuralComponentsBulk(req, res) {
     structure.creation_info.last_updated_date = new Date();
     
     console.log('💾 Saving to database...');
-    await user.save();
+    await structure.save();
+    this.publishRatingsSaved(structure, 'structural', { floor_id: floorId }, totalComponentsSaved);
+    this.escalateCritical(structure, criticalBefore, req.user);
     
     console.log('✅ Floor structural components saved successfully');
     console.log(`   Total components: ${totalComponentsSaved}`);
@@ -6715,7 +6647,8 @@ async saveFloorNonStructuralComponentsBulk(req, res) {
     structure.creation_info.last_updated_date = new Date();
     
     console.log('💾 Saving to database...');
-    await user.save();
+    await structure.save();
+    this.publishRatingsSaved(structure, 'non_structural', { floor_id: floorId }, totalComponentsSaved);
     
     console.log('✅ Floor non-structural components saved successfully');
     console.log(`   Total components: ${totalComponentsSaved}`);
@@ -6749,6 +6682,7 @@ async saveBlockStructuralComponentsBulk(req, res) {
     const { structures } = req.body;
     
     const { user, structure } = await this.findUserStructure(req.user.userId, id, req.user);
+    const criticalBefore = criticalEscalationService.collectCriticalItems(structure);
     
     if (structure.structural_identity?.type_of_structure !== 'industrial') {
       return sendErrorResponse(res, 'Block ratings are only for industrial structures', 400);
@@ -6814,7 +6748,9 @@ async saveBlockStructuralComponentsBulk(req, res) {
     this.calculateBlockCombinedRating(block);
     
     structure.creation_info.last_updated_date = new Date();
-    await user.save();
+    await structure.save();
+    this.publishRatingsSaved(structure, 'structural', { floor_id: floorId, block_id: blockId }, totalComponentsSaved);
+    this.escalateCritical(structure, criticalBefore, req.user);
     
     sendSuccessResponse(res, 'Block structural components saved successfully', {
       structure_id: id,
@@ -6904,7 +6840,8 @@ async saveBlockNonStructuralComponentsBulk(req, res) {
     this.calculateBlockCombinedRating(block);
     
     structure.creation_info.last_updated_date = new Date();
-    await user.save();
+    await structure.save();
+    this.publishRatingsSaved(structure, 'non_structural', { floor_id: floorId, block_id: blockId }, totalComponentsSaved);
     
     sendSuccessResponse(res, 'Block non-structural components saved successfully', {
       structure_id: id,
@@ -7041,7 +6978,7 @@ async saveFloorQuantifications(req, res) {
     };
 
     structure.creation_info.last_updated_date = new Date();
-    await user.save();
+    await structure.save();
 
     return sendSuccessResponse(res, 'Floor quantifications saved successfully', {
       structure_id: id,
@@ -7116,7 +7053,7 @@ async saveFlatQuantifications(req, res) {
     };
 
     structure.creation_info.last_updated_date = new Date();
-    await user.save();
+    await structure.save();
 
     return sendSuccessResponse(res, 'Flat quantifications saved successfully', {
       structure_id: id,
@@ -7135,6 +7072,105 @@ async saveFlatQuantifications(req, res) {
 
 // =================== WORKFLOW STATUS METHODS ===================
 
+/**
+ * Notify the audience of a workflow transition without holding up the response
+ */
+notifyWorkflow(structure, event, user, details = {}) {
+  eventStreamService.publishStructureEvent('structure.status_changed', structure, {
+    event,
+    changed_by: { user_id: String(user._id), name: this.getUserFullName(user) },
+    ...(details.stage && { stage: details.stage })
+  }, { previousStatus: details.previous_status });
+
+  notificationService.notifyWorkflowTransition(structure, event, {
+    _id: user._id,
+    name: this.getUserFullName(user)
+  }, details).catch(error => {
+    console.error(`❌ Workflow notification (${event}) failed:`, error);
+  });
+}
+
+/**
+ * Take a workflow action through workflowService. Sends the error response
+ * and returns null when the action is not allowed; the caller saves.
+ */
+transitionStructure(req, res, user, structure, action, details = {}) {
+  const check = workflowService.canTransition(structure, action, req.user, details);
+  if (!check.allowed) {
+    sendErrorResponse(res, check.message, check.statusCode, check.errors);
+    return null;
+  }
+
+  return workflowService.applyTransition(structure, action, {
+    user_id: user._id,
+    name: this.getUserFullName(user),
+    email: user.email,
+    roles: req.user.roles || [req.user.role]
+  }, details);
+}
+
+/**
+ * Store the snapshot of a saved transition. A failed snapshot is logged and
+ * does not undo the transition.
+ */
+async recordSnapshot(structure, transition, user, requestUser) {
+  const { roles } = workflowService.getTransition(transition.action);
+  const userRoles = requestUser.roles || [requestUser.role];
+
+  try {
+    await snapshotService.capture(structure, transition, {
+      user_id: user._id,
+      name: this.getUserFullName(user),
+      role: roles.find(role => userRoles.includes(role)) || roles[0]
+    });
+  } catch (error) {
+    console.error(`❌ Snapshot of structure ${structure._id} v${transition.version} failed:`, error);
+  }
+}
+
+/**
+ * Validate the findings sent with a rejection. Sends the error response and
+ * returns null when there are none or any finding does not resolve to a
+ * place in the structure.
+ */
+buildRejectionFindings(res, user, structure, stage, inputs = []) {
+  if (!Array.isArray(inputs) || inputs.length === 0) {
+    sendErrorResponse(res, 'Rejecting requires at least one finding for the owner to address', 400);
+    return null;
+  }
+
+  const { findings, errors } = rejectionFindingService.buildFindings(structure, inputs, {
+    user_id: user._id,
+    name: this.getUserFullName(user),
+    email: user.email
+  }, stage);
+
+  if (errors.length > 0) {
+    sendErrorResponse(res, 'Invalid rejection findings', 400, errors);
+    return null;
+  }
+  return findings;
+}
+
+/**
+ * Mark the findings listed with a resubmission as addressed. Sends the error
+ * response and returns false when any of them cannot be addressed.
+ */
+addressRejectionFindings(req, res, user, structure) {
+  const errors = rejectionFindingService.addressFindings(structure, req.body.addressed_findings, req.user, {
+    user_id: user._id,
+    name: this.getUserFullName(user),
+    email: user.email,
+    role: 'FE'
+  });
+
+  if (errors.length > 0) {
+    sendErrorResponse(res, 'Findings could not be addressed', 400, errors);
+    return false;
+  }
+  return true;
+}
+
 /**
  * Submit structure for testing (FE only)
  * @route POST /api/structures/:id/submit-for-testing
@@ -7150,30 +7186,20 @@ async submitForTesting(req, res) {
       return sendErrorResponse(res, 'User not found', 404);
     }
     
-    // Only FE can submit
-    if (!this.hasRoleFromRequest(req, 'FE')) {
-      return sendErrorResponse(res, 'Only Field Engineers can submit structures for testing', 403);
-    }
-    
-    const { user: structureOwner, structure } = await this.findUserStructure(req.user.userId, id, req.user);
+    const { structure } = await this.findUserStructure(req.user.userId, id, req.user);
     
-    // Update status and workflow
-    structure.status = 'submitted';
-    structure.workflow = structure.workflow || {};
-    structure.workflow.submitted_by = {
-      user_id: user._id,
-      name: this.getUserFullName(user),
-      email: user.email,
-      role: 'FE',
-      date: new Date()
-    };
+    if (!this.addressRejectionFindings(req, res, user, structure)) return;
+    const transition = this.transitionStructure(req, res, user, structure, 'submit');
+    if (!transition) return;
+    await assignmentService.autoAssign(structure, 'TE');
     
     if (notes) {
       structure.general_notes = notes;
     }
     
-    structure.creation_info.last_updated_date = new Date();
-    await structureOwner.save();
+    await structure.save();
+    await this.recordSnapshot(structure, transition, user, req.user);
+    this.notifyWorkflow(structure, transition.event, user, { previous_status: transition.previousStatus });
     
     console.log(`✅ Structure ${id} submitted for testing by ${user.username}`);
     
@@ -7182,7 +7208,9 @@ async submitForTesting(req, res) {
       uid: structure.structural_identity?.uid,
       status: structure.status,
       submitted_by: structure.workflow.submitted_by,
-      submitted_at: structure.workflow.submitted_by.date
+      submitted_at: structure.workflow.submitted_by.date,
+      testing_engineer: structure.assignment?.testing_engineer || null,
+      findings_awaiting_review: rejectionFindingService.countByStatus(structure, 'addressed')
     });
     
   } catch (error) {
@@ -7205,22 +7233,14 @@ async startTesting(req, res) {
       return sendErrorResponse(res, 'User not found', 404);
     }
     
-    // Only TE can start testing
-    if (!this.hasRoleFromRequest(req, 'TE')) {
-      return sendErrorResponse(res, 'Only Test Engineers can start testing', 403);
-    }
-    
-    const { user: structureOwner, structure } = await this.findStructureAcrossUsers(id);
+    const { structure } = await this.findStructureAcrossUsers(id);
     
-    // Check if structure is in submitted status
-    if (structure.status !== 'submitted') {
-      return sendErrorResponse(res, `Structure must be in 'submitted' status to start testing. Current status: ${structure.status}`, 400);
-    }
+    const transition = this.transitionStructure(req, res, user, structure, 'start_testing');
+    if (!transition) return;
     
-    // Update status
-    structure.status = 'under_testing';
-    structure.creation_info.last_updated_date = new Date();
-    await structureOwner.save();
+    await structure.save();
+    await this.recordSnapshot(structure, transition, user, req.user);
+    this.notifyWorkflow(structure, transition.event, user, { previous_status: transition.previousStatus });
     
     console.log(`✅ TE ${user.username} started testing structure ${id}`);
     
@@ -7238,76 +7258,57 @@ async startTesting(req, res) {
 }
 
 /**
- * Complete testing and mark as tested (TE only)
+ * Complete testing and mark as tested, or reject (TE only)
  * @route POST /api/structures/:id/complete-testing
  * @access Private (TE only)
  */
 async completeTesting(req, res) {
   try {
     const { id } = req.params;
-    const { test_notes, status } = req.body; // status can be 'tested' or 'rejected'
+    const { test_notes, status, rejection_reason } = req.body; // status can be 'tested' or 'rejected'
+    const rejecting = status === 'rejected';
     
     const user = await User.findById(req.user.userId);
     if (!user) {
       return sendErrorResponse(res, 'User not found', 404);
     }
     
-    // Only TE can complete testing
-    if (!this.hasRoleFromRequest(req, 'TE')) {
-      return sendErrorResponse(res, 'Only Test Engineers can complete testing', 403);
-    }
+    const { structure } = await this.findStructureAcrossUsers(id);
     
-    const { user: structureOwner, structure } = await this.findStructureAcrossUsers(id);
+    const findings = rejecting ? this.buildRejectionFindings(res, user, structure, 'testing', req.body.findings) : [];
+    if (!findings) return;
     
-    // Check if structure is under testing
-    if (structure.status !== 'under_testing' && structure.status !== 'submitted') {
-      return sendErrorResponse(res, `Structure must be under testing. Current status: ${structure.status}`, 400);
+    const transition = this.transitionStructure(req, res, user, structure,
+      rejecting ? 'reject_testing' : 'complete_testing',
+      { notes: test_notes, reason: rejection_reason }
+    );
+    if (!transition) return;
+    structure.rejection_findings.push(...findings);
+    if (!rejecting) {
+      await assignmentService.autoAssign(structure, 'VE');
     }
     
-    structure.workflow = structure.workflow || {};
-    
-    if (status === 'rejected') {
-      // Reject the structure
-      if (!req.body.rejection_reason) {
-        return sendErrorResponse(res, 'Rejection reason is required', 400);
-      }
-      
-      structure.status = 'rejected';
-      structure.workflow.rejected_by = {
-        user_id: user._id,
-        name: this.getUserFullName(user),
-        email: user.email,
-        role: 'TE',
-        date: new Date(),
-        rejection_reason: req.body.rejection_reason,
-        rejection_stage: 'testing'
-      };
-      
-      console.log(`❌ Structure ${id} rejected by TE ${user.username}`);
-    } else {
-      // Mark as tested and ready for validation
-      structure.status = 'tested';
-      structure.workflow.tested_by = {
-        user_id: user._id,
-        name: this.getUserFullName(user),
-        email: user.email,
-        role: 'TE',
-        date: new Date(),
-        test_notes: test_notes || ''
-      };
-      
-      console.log(`✅ Structure ${id} marked as tested by TE ${user.username}`);
-    }
+    await structure.save();
+    await this.recordSnapshot(structure, transition, user, req.user);
+    this.notifyWorkflow(structure, transition.event, user, {
+      previous_status: transition.previousStatus,
+      stage: transition.stage,
+      reason: rejection_reason,
+      findings: findings.length
+    });
     
-    structure.creation_info.last_updated_date = new Date();
-    await structureOwner.save();
+    console.log(rejecting
+      ? `❌ Structure ${id} rejected by TE ${user.username}`
+      : `✅ Structure ${id} marked as tested by TE ${user.username}`);
     
-    sendSuccessResponse(res, status === 'rejected' ? 'Structure rejected' : 'Testing completed successfully', {
+    sendSuccessResponse(res, rejecting ? 'Structure rejected' : 'Testing completed successfully', {
       structure_id: id,
       uid: structure.structural_identity?.uid,
       status: structure.status,
       tested_by: structure.workflow.tested_by,
-      rejected_by: structure.workflow.rejected_by
+      rejected_by: structure.workflow.rejected_by,
+      ...(rejecting && { open_findings: structure.rejection_findings.filter(finding => finding.status === 'open') }),
+      validation_engineer: structure.assignment?.validation_engineer || null
     });
     
   } catch (error) {
@@ -7330,21 +7331,14 @@ async startValidation(req, res) {
       return sendErrorResponse(res, 'User not found', 404);
     }
     
-    // Only VE can start validation
-    if (!this.hasRoleFromRequest(req, 'VE')) {
-      return sendErrorResponse(res, 'Only Verification Engineers can start validation', 403);
-    }
-    
-    const { user: structureOwner, structure } = await this.findStructureAcrossUsers(id);
+    const { structure } = await this.findStructureAcrossUsers(id);
     
-    // Check if structure is tested
-    if (structure.status !== 'tested') {
-      return sendErrorResponse(res, `Structure must be tested before validation. Current status: ${structure.status}`, 400);
-    }
+    const transition = this.transitionStructure(req, res, user, structure, 'start_validation');
+    if (!transition) return;
     
-    structure.status = 'under_validation';
-    structure.creation_info.last_updated_date = new Date();
-    await structureOwner.save();
+    await structure.save();
+    await this.recordSnapshot(structure, transition, user, req.user);
+    this.notifyWorkflow(structure, transition.event, user, { previous_status: transition.previousStatus });
     
     console.log(`✅ VE ${user.username} started validating structure ${id}`);
     
@@ -7361,73 +7355,53 @@ async startValidation(req, res) {
 }
 
 /**
- * Complete validation (VE only)
+ * Complete validation, or reject (VE only)
  * @route POST /api/structures/:id/complete-validation
  * @access Private (VE only)
  */
 async completeValidation(req, res) {
   try {
     const { id } = req.params;
-    const { validation_notes, status } = req.body;
+    const { validation_notes, status, rejection_reason } = req.body;
+    const rejecting = status === 'rejected';
     
     const user = await User.findById(req.user.userId);
     if (!user) {
       return sendErrorResponse(res, 'User not found', 404);
     }
     
-    // Only VE can complete validation
-    if (!this.hasRoleFromRequest(req, 'VE')) {
-      return sendErrorResponse(res, 'Only Verification Engineers can complete validation', 403);
-    }
-    
-    const { user: structureOwner, structure } = await this.findStructureAcrossUsers(id);
+    const { structure } = await this.findStructureAcrossUsers(id);
     
-    if (structure.status !== 'under_validation' && structure.status !== 'tested') {
-      return sendErrorResponse(res, `Structure must be under validation. Current status: ${structure.status}`, 400);
-    }
+    const findings = rejecting ? this.buildRejectionFindings(res, user, structure, 'validation', req.body.findings) : [];
+    if (!findings) return;
     
-    structure.workflow = structure.workflow || {};
+    const transition = this.transitionStructure(req, res, user, structure,
+      rejecting ? 'reject_validation' : 'complete_validation',
+      { notes: validation_notes, reason: rejection_reason }
+    );
+    if (!transition) return;
+    structure.rejection_findings.push(...findings);
     
-    if (status === 'rejected') {
-      if (!req.body.rejection_reason) {
-        return sendErrorResponse(res, 'Rejection reason is required', 400);
-      }
-      
-      structure.status = 'rejected';
-      structure.workflow.rejected_by = {
-        user_id: user._id,
-        name: this.getUserFullName(user),
-        email: user.email,
-        role: 'VE',
-        date: new Date(),
-        rejection_reason: req.body.rejection_reason,
-        rejection_stage: 'validation'
-      };
-      
-      console.log(`❌ Structure ${id} rejected by VE ${user.username}`);
-    } else {
-      structure.status = 'validated';
-      structure.workflow.validated_by = {
-        user_id: user._id,
-        name: this.getUserFullName(user),
-        email: user.email,
-        role: 'VE',
-        date: new Date(),
-        validation_notes: validation_notes || ''
-      };
-      
-      console.log(`✅ Structure ${id} validated by VE ${user.username}`);
-    }
+    await structure.save();
+    await this.recordSnapshot(structure, transition, user, req.user);
+    this.notifyWorkflow(structure, transition.event, user, {
+      previous_status: transition.previousStatus,
+      stage: transition.stage,
+      reason: rejection_reason,
+      findings: findings.length
+    });
     
-    structure.creation_info.last_updated_date = new Date();
-    await structureOwner.save();
+    console.log(rejecting
+      ? `❌ Structure ${id} rejected by VE ${user.username}`
+      : `✅ Structure ${id} validated by VE ${user.username}`);
     
-    sendSuccessResponse(res, status === 'rejected' ? 'Structure rejected' : 'Validation completed successfully', {
+    sendSuccessResponse(res, rejecting ? 'Structure rejected' : 'Validation completed successfully', {
       structure_id: id,
       uid: structure.structural_identity?.uid,
       status: structure.status,
       validated_by: structure.workflow.validated_by,
-      rejected_by: structure.workflow.rejected_by
+      rejected_by: structure.workflow.rejected_by,
+      ...(rejecting && { open_findings: structure.rejection_findings.filter(finding => finding.status === 'open') })
     });
     
   } catch (error) {
@@ -7437,73 +7411,84 @@ async completeValidation(req, res) {
 }
 
 /**
- * Approve structure (AD only)
+ * Approve structure, or reject (AD only)
  * @route POST /api/structures/:id/approve
  * @access Private (AD only)
  */
 async approveStructure(req, res) {
   try {
     const { id } = req.params;
-    const { approval_notes, status } = req.body;
+    const { approval_notes, status, rejection_reason } = req.body;
+    const rejecting = status === 'rejected';
     
     const user = await User.findById(req.user.userId);
     if (!user) {
       return sendErrorResponse(res, 'User not found', 404);
     }
     
-    // Only AD can approve
-    if (!this.hasRoleFromRequest(req, 'AD')) {
-      return sendErrorResponse(res, 'Only Administrators can approve structures', 403);
-    }
+    const { structure } = await this.findStructureAcrossUsers(id);
     
-    const { user: structureOwner, structure } = await this.findStructureAcrossUsers(id);
+    const findings = rejecting ? this.buildRejectionFindings(res, user, structure, 'approval', req.body.findings) : [];
+    if (!findings) return;
+    
+    const transition = this.transitionStructure(req, res, user, structure,
+      rejecting ? 'reject_approval' : 'approve',
+      { notes: approval_notes, reason: rejection_reason }
+    );
+    if (!transition) return;
+    structure.rejection_findings.push(...findings);
     
-    if (structure.status !== 'validated') {
-      return sendErrorResponse(res, `Structure must be validated before approval. Current status: ${structure.status}`, 400);
+    if (structure.status === 'approved') {
+      inspectionScheduleService.applySchedule(structure, { from: structure.workflow.approved_by.date });
     }
     
-    structure.workflow = structure.workflow || {};
+    await structure.save();
+    await this.recordSnapshot(structure, transition, user, req.user);
+    this.notifyWorkflow(structure, transition.event, user, {
+      previous_status: transition.previousStatus,
+      stage: transition.stage,
+      reason: rejection_reason,
+      findings: findings.length
+    });
+    
+    console.log(rejecting
+      ? `❌ Structure ${id} rejected by AD ${user.username}`
+      : `✅ Structure ${id} approved by AD ${user.username}`);
     
-    if (status === 'rejected') {
-      if (!req.body.rejection_reason) {
-        return sendErrorResponse(res, 'Rejection reason is required', 400);
+    // Approved findings become work orders for every instance rated 2 or lower
+    let workOrders = null;
+    if (structure.status === 'approved') {
+      try {
+        const { created, skipped } = await maintenanceService.createWorkOrdersForStructure(structure, {
+          requestedBy: user._id
+        });
+        workOrders = {
+          created: created.length,
+          skipped_existing: skipped.length,
+          request_numbers: created.map(request => request.request_number)
+        };
+        console.log(`🛠️ ${created.length} maintenance work order(s) raised for structure ${id} (${skipped.length} already open)`);
+      } catch (workOrderError) {
+        console.error('❌ Work order generation failed after approval:', workOrderError);
+        workOrders = { error: 'Work orders could not be generated; raise them from /api/maintenance' };
       }
-      
-      structure.status = 'rejected';
-      structure.workflow.rejected_by = {
-        user_id: user._id,
-        name: this.getUserFullName(user),
-        email: user.email,
-        role: 'AD',
-        date: new Date(),
-        rejection_reason: req.body.rejection_reason,
-        rejection_stage: 'approval'
-      };
-      
-      console.log(`❌ Structure ${id} rejected by AD ${user.username}`);
-    } else {
-      structure.status = 'approved';
-      structure.workflow.approved_by = {
-        user_id: user._id,
-        name: this.getUserFullName(user),
-        email: user.email,
-        role: 'AD',
-        date: new Date(),
-        approval_notes: approval_notes || ''
-      };
-      
-      console.log(`✅ Structure ${id} approved by AD ${user.username}`);
     }
     
-    structure.creation_info.last_updated_date = new Date();
-    await structureOwner.save();
-    
-    sendSuccessResponse(res, status === 'rejected' ? 'Structure rejected' : 'Structure approved successfully', {
+    sendSuccessResponse(res, rejecting ? 'Structure rejected' : 'Structure approved successfully', {
       structure_id: id,
       uid: structure.structural_identity?.uid,
       status: structure.status,
       approved_by: structure.workflow.approved_by,
-      rejected_by: structure.workflow.rejected_by
+      rejected_by: structure.workflow.rejected_by,
+      ...(rejecting && { open_findings: structure.rejection_findings.filter(finding => finding.status === 'open') }),
+      ...(structure.status === 'approved' && {
+        inspection_schedule: {
+          next_inspection_due: structure.inspection_schedule.next_inspection_due,
+          interval_months: structure.inspection_schedule.interval_months,
+          health_status: structure.inspection_schedule.health_status
+        }
+      }),
+      ...(workOrders && { maintenance_work_orders: workOrders })
     });
     
   } catch (error) {
@@ -7524,19 +7509,33 @@ async getWorkflowHistory(req, res) {
     const { user: structureOwner, structure } = await this.findStructureAcrossUsers(id);
     
     const workflow = structure.workflow || {};
+    const stages = await slaService.getStageReport(structure);
     
     sendSuccessResponse(res, 'Workflow history retrieved successfully', {
       structure_id: id,
       uid: structure.structural_identity?.uid,
       current_status: structure.status,
+      version: structure.creation_info?.version || 1,
       workflow: {
         submitted: workflow.submitted_by || null,
         tested: workflow.tested_by || null,
         validated: workflow.validated_by || null,
         approved: workflow.approved_by || null,
-        rejected: workflow.rejected_by || null
+        rejected: workflow.rejected_by || null,
+        reopened: workflow.reopened_by || null
       },
-      timeline: this.buildWorkflowTimeline(workflow, structure.status)
+      assignment: {
+        testing_engineer: structure.assignment?.testing_engineer?.user_id ? structure.assignment.testing_engineer : null,
+        validation_engineer: structure.assignment?.validation_engineer?.user_id ? structure.assignment.validation_engineer : null
+      },
+      findings: {
+        open: rejectionFindingService.countByStatus(structure, 'open'),
+        addressed: rejectionFindingService.countByStatus(structure, 'addressed'),
+        closed: rejectionFindingService.countByStatus(structure, 'closed')
+      },
+      stages,
+      sla_breached: stages.some(stage => stage.breached),
+      timeline: this.buildWorkflowTimeline(workflow, structure.status, stages)
     });
     
   } catch (error) {
@@ -7546,9 +7545,160 @@ async getWorkflowHistory(req, res) {
 }
 
 /**
- * Helper: Build workflow timeline
+ * Workflow actions the current user can take on a structure
+ * @route GET /api/structures/:id/workflow/actions
+ * @access Private (All authenticated users)
  */
-buildWorkflowTimeline(workflow, currentStatus) {
+async getWorkflowActions(req, res) {
+  try {
+    const { id } = req.params;
+    
+    const { structure } = await this.findUserStructure(req.user.userId, id, req.user);
+    
+    sendSuccessResponse(res, 'Workflow actions retrieved successfully', {
+      structure_id: id,
+      uid: structure.structural_identity?.uid,
+      state: workflowService.getState(structure.status),
+      actions: workflowService.getAvailableActions(structure, req.user)
+    });
+    
+  } catch (error) {
+    console.error('❌ Get workflow actions error:', error);
+    if (error.message === 'Structure not found') {
+      return sendErrorResponse(res, 'Structure not found', 404);
+    }
+    sendErrorResponse(res, 'Failed to retrieve workflow actions', 500, error.message);
+  }
+}
+
+/**
+ * Reopen a structure under review or approved for editing by its owner (AD only)
+ * @route POST /api/structures/:id/reopen
+ * @access Private (AD only)
+ */
+async reopenStructure(req, res) {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+    
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return sendErrorResponse(res, 'User not found', 404);
+    }
+    
+    const { structure } = await this.findStructureAcrossUsers(id);
+    
+    const transition = this.transitionStructure(req, res, user, structure, 'reopen', { reason });
+    if (!transition) return;
+    
+    await structure.save();
+    await this.recordSnapshot(structure, transition, user, req.user);
+    this.notifyWorkflow(structure, transition.event, user, {
+      previous_status: transition.previousStatus,
+      reason
+    });
+    
+    console.log(`↩️ Structure ${id} reopened by AD ${user.username} (was ${transition.previousStatus})`);
+    
+    sendSuccessResponse(res, 'Structure reopened for editing', {
+      structure_id: id,
+      uid: structure.structural_identity?.uid,
+      status: structure.status,
+      previous_status: transition.previousStatus,
+      reopened_by: structure.workflow.reopened_by
+    });
+    
+  } catch (error) {
+    console.error('❌ Reopen structure error:', error);
+    sendErrorResponse(res, 'Failed to reopen structure', 500, error.message);
+  }
+}
+
+/**
+ * Start a new audit cycle on an approved structure: the approved cycle is
+ * archived read-only and the layout is kept with fresh ratings
+ * @route POST /api/structures/:id/audit-cycles
+ * @access Private (Owner FE, AD)
+ */
+async startAuditCycle(req, res) {
+  // Archive to remove if the structure cannot be saved afterwards
+  let pendingArchive = null;
+  try {
+    const { id } = req.params;
+    
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return sendErrorResponse(res, 'User not found', 404);
+    }
+    
+    const { structure } = await this.findUserStructure(req.user.userId, id, req.user);
+    
+    const check = workflowService.canTransition(structure, 'start_audit_cycle', req.user);
+    if (!check.allowed) {
+      return sendErrorResponse(res, check.message, check.statusCode, check.errors);
+    }
+    
+    const userRoles = req.user.roles || [req.user.role];
+    const started = await auditCycleService.startCycle(structure, {
+      user_id: user._id,
+      name: this.getUserFullName(user),
+      email: user.email,
+      role: userRoles.includes('AD') ? 'AD' : 'FE'
+    });
+    const { archive } = started;
+    pendingArchive = archive;
+    
+    const transition = this.transitionStructure(req, res, user, structure, 'start_audit_cycle');
+    if (!transition) {
+      await auditCycleService.discardArchive(archive);
+      return;
+    }
+    
+    await structure.save();
+    pendingArchive = null;
+    await this.recordSnapshot(structure, transition, user, req.user);
+    this.notifyWorkflow(structure, transition.event, user, {
+      previous_status: transition.previousStatus,
+      cycle_number: started.cycleNumber
+    });
+    
+    console.log(`🔁 Audit cycle ${started.cycleNumber} of structure ${id} started by ${user.username}`);
+    
+    sendSuccessResponse(res, `Audit cycle ${started.cycleNumber} started`, {
+      structure_id: id,
+      uid: structure.structural_identity?.uid,
+      status: structure.status,
+      audit_cycle: structure.audit_cycle,
+      archived_cycle: {
+        cycle_number: archive.cycle_number,
+        started_at: archive.started_at,
+        approved_at: archive.approved_at,
+        health_status: archive.health_status
+      }
+    });
+    
+  } catch (error) {
+    if (pendingArchive) {
+      await auditCycleService.discardArchive(pendingArchive).catch(discardError => {
+        console.error('❌ Discarding audit cycle archive failed:', discardError);
+      });
+    }
+    console.error('❌ Start audit cycle error:', error);
+    if (error.message === 'Structure not found') {
+      return sendErrorResponse(res, 'Structure not found', 404);
+    }
+    if (error.code === 11000) {
+      return sendErrorResponse(res, 'This audit cycle has already been archived', 409);
+    }
+    sendErrorResponse(res, 'Failed to start audit cycle', 500, error.message);
+  }
+}
+
+/**
+ * Helper: Build workflow timeline. With slaService stages, the entries that
+ * close a stage (and the pending stage) carry its duration and SLA breach marker.
+ */
+buildWorkflowTimeline(workflow, currentStatus, stages = []) {
   const timeline = [];
   
   if (workflow.submitted_by) {
@@ -7606,6 +7756,17 @@ buildWorkflowTimeline(workflow, currentStatus) {
     });
   }
   
+  if (workflow.reopened_by) {
+    timeline.push({
+      stage: 'Reopened',
+      user: workflow.reopened_by.name,
+      role: workflow.reopened_by.role,
+      date: workflow.reopened_by.date,
+      reason: workflow.reopened_by.reopen_reason,
+      status: 'reopened'
+    });
+  }
+  
   // Add current pending stage
   if (currentStatus === 'submitted') {
     timeline.push({ stage: 'Testing', status: 'pending' });
@@ -7619,6 +7780,29 @@ buildWorkflowTimeline(workflow, currentStatus) {
     timeline.push({ stage: 'Approval', status: 'pending' });
   }
   
+  const slaStageByEntry = {
+    Tested: 'testing',
+    Validated: 'validation',
+    Approved: 'approval',
+    Testing: 'testing',
+    Validation: 'validation',
+    Approval: 'approval'
+  };
+  timeline.forEach(entry => {
+    const slaStage = entry.stage === 'Rejected' ? entry.rejection_stage : slaStageByEntry[entry.stage];
+    const stage = stages.find(candidate => candidate.stage === slaStage && (
+      candidate.outcome === 'in_progress'
+        ? ['pending', 'in_progress'].includes(entry.status)
+        : candidate.ended_at && entry.date && new Date(entry.date).getTime() === candidate.ended_at.getTime()
+    ));
+    if (stage) {
+      entry.duration_hours = stage.duration_hours;
+      entry.sla_hours = stage.target_hours;
+      entry.sla_due_at = stage.due_at;
+      entry.sla_breached = stage.breached;
+    }
+  });
+  
   return timeline;
 }
 
@@ -0,0 +1,370 @@
+const { TestFormat } = require('../models/schemas');
+const { validateFieldDefinitions } = require('../utils/testFormatValidator');
+const {
+  sendSuccessResponse,
+  sendErrorResponse,
+  sendCreatedResponse
+} = require('../utils/responseHandler');
+
+/**
+ * Admin management of NDT TestFormat templates.
+ *
+ * A format is identified by its `format_key`; every edit creates a new
+ * document with the next `version` so results recorded against an older
+ * version (which store its `format_id`) keep validating against the exact
+ * field definitions they were captured with.
+ */
+class TestFormatController {
+  constructor() {
+    this.getTestFormats = this.getTestFormats.bind(this);
+    this.getTestFormat = this.getTestFormat.bind(this);
+    this.getTestFormatVersions = this.getTestFormatVersions.bind(this);
+    this.createTestFormat = this.createTestFormat.bind(this);
+    this.createTestFormatVersion = this.createTestFormatVersion.bind(this);
+    this.cloneTestFormat = this.cloneTestFormat.bind(this);
+    this.retireTestFormat = this.retireTestFormat.bind(this);
+    this.restoreTestFormat = this.restoreTestFormat.bind(this);
+  }
+
+  // =================== HELPERS ===================
+  buildFormatId(formatKey, version) {
+    return `${formatKey}_v${version}`;
+  }
+
+  normalizeFieldDefinitions(definitions) {
+    return definitions.map(definition => ({
+      field_name: definition.field_name,
+      field_type: definition.field_type,
+      field_label: definition.field_label,
+      required: definition.required === true || definition.required === 'true',
+      options: definition.options || [],
+      validation_rules: definition.validation_rules || undefined
+    }));
+  }
+
+  sendDefinitionErrors(res, errors) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid field definitions',
+      errors
+    });
+  }
+
+  async findLatestVersion(formatKey) {
+    return TestFormat.findOne({ format_key: formatKey, is_latest: { $ne: false } }).sort({ version: -1 });
+  }
+
+  // =================== READ ===================
+
+  /**
+   * List test formats (latest version of each by default)
+   * @route GET /api/admin/test-formats
+   * @access Private (Admin only)
+   */
+  async getTestFormats(req, res) {
+    try {
+      const { test_name, status, is_custom, include_versions } = req.query;
+
+      const filter = {};
+      if (include_versions !== 'true') filter.is_latest = { $ne: false };
+      if (test_name) filter.test_name = test_name;
+      if (status) filter.status = status;
+      if (is_custom !== undefined) filter.is_custom = is_custom === 'true';
+
+      const formats = await TestFormat.find(filter)
+        .sort({ format_key: 1, version: -1 })
+        .lean();
+
+      sendSuccessResponse(res, 'Test formats retrieved successfully', {
+        formats,
+        total: formats.length
+      });
+
+    } catch (error) {
+      console.error('❌ Get test formats error:', error);
+      sendErrorResponse(res, 'Failed to retrieve test formats', 500, error.message);
+    }
+  }
+
+  /**
+   * Get the latest version of a format, or a specific one with ?version=
+   * @route GET /api/admin/test-formats/:formatKey
+   * @access Private (Admin only)
+   */
+  async getTestFormat(req, res) {
+    try {
+      const { formatKey } = req.params;
+      const { version } = req.query;
+
+      const format = version
+        ? await TestFormat.findOne({ format_key: formatKey, version: parseInt(version) })
+        : await this.findLatestVersion(formatKey);
+
+      if (!format) {
+        return sendErrorResponse(res, 'Test format not found', 404);
+      }
+
+      sendSuccessResponse(res, 'Test format retrieved successfully', format);
+
+    } catch (error) {
+      console.error('❌ Get test format error:', error);
+      sendErrorResponse(res, 'Failed to retrieve test format', 500, error.message);
+    }
+  }
+
+  /**
+   * Version history of a format
+   * @route GET /api/admin/test-formats/:formatKey/versions
+   * @access Private (Admin only)
+   */
+  async getTestFormatVersions(req, res) {
+    try {
+      const { formatKey } = req.params;
+
+      const versions = await TestFormat.find({ format_key: formatKey })
+        .sort({ version: -1 })
+        .select('format_id format_key version is_latest status display_name change_notes cloned_from created_by created_at retired_at')
+        .lean();
+
+      if (versions.length === 0) {
+        return sendErrorResponse(res, 'Test format not found', 404);
+      }
+
+      sendSuccessResponse(res, 'Test format versions retrieved successfully', {
+        format_key: formatKey,
+        total_versions: versions.length,
+        versions
+      });
+
+    } catch (error) {
+      console.error('❌ Get test format versions error:', error);
+      sendErrorResponse(res, 'Failed to retrieve test format versions', 500, error.message);
+    }
+  }
+
+  // =================== WRITE ===================
+
+  /**
+   * Create a new test format (version 1)
+   * @route POST /api/admin/test-formats
+   * @access Private (Admin only)
+   */
+  async createTestFormat(req, res) {
+    try {
+      const { test_name, display_name, format_template, field_definitions, change_notes } = req.body;
+      const isCustom = test_name === 'custom' || req.body.is_custom === true || req.body.is_custom === 'true';
+      const formatKey = req.body.format_key || test_name;
+
+      if (test_name === 'custom' && TestFormat.schema.path('test_name').enumValues.includes(formatKey)) {
+        return sendErrorResponse(res, `"${formatKey}" is a standard test; create it with test_name "${formatKey}" instead`, 400);
+      }
+
+      const definitionCheck = validateFieldDefinitions(field_definitions);
+      if (!definitionCheck.isValid) {
+        return this.sendDefinitionErrors(res, definitionCheck.errors);
+      }
+
+      const existing = await TestFormat.exists({ format_key: formatKey });
+      if (existing) {
+        return sendErrorResponse(res, `Test format "${formatKey}" already exists. Publish a new version instead`, 409);
+      }
+
+      const format = await TestFormat.create({
+        format_id: this.buildFormatId(formatKey, 1),
+        format_key: formatKey,
+        version: 1,
+        is_latest: true,
+        status: 'active',
+        test_name,
+        display_name,
+        format_template: format_template || {},
+        field_definitions: this.normalizeFieldDefinitions(field_definitions),
+        is_custom: isCustom,
+        change_notes,
+        created_by: req.user.userId
+      });
+
+      console.log(`✅ Test format ${format.format_id} created by ${req.user.email}`);
+
+      sendCreatedResponse(res, format, 'Test format created successfully');
+
+    } catch (error) {
+      console.error('❌ Create test format error:', error);
+      sendErrorResponse(res, 'Failed to create test format', 500, error.message);
+    }
+  }
+
+  /**
+   * Publish a new version of a format. Earlier versions are kept untouched
+   * so recorded results can still be validated against them.
+   * @route PUT /api/admin/test-formats/:formatKey
+   * @access Private (Admin only)
+   */
+  async createTestFormatVersion(req, res) {
+    try {
+      const { formatKey } = req.params;
+      const { display_name, format_template, field_definitions, change_notes } = req.body;
+
+      const current = await this.findLatestVersion(formatKey);
+      if (!current) {
+        return sendErrorResponse(res, 'Test format not found', 404);
+      }
+
+      if (current.status === 'retired') {
+        return sendErrorResponse(res, 'Retired test formats cannot be edited. Restore it first', 400);
+      }
+
+      const definitions = field_definitions || current.field_definitions;
+      const definitionCheck = validateFieldDefinitions(definitions);
+      if (!definitionCheck.isValid) {
+        return this.sendDefinitionErrors(res, definitionCheck.errors);
+      }
+
+      const nextVersion = current.version + 1;
+      const format = new TestFormat({
+        format_id: this.buildFormatId(formatKey, nextVersion),
+        format_key: formatKey,
+        version: nextVersion,
+        is_latest: true,
+        status: 'active',
+        test_name: current.test_name,
+        display_name: display_name || current.display_name,
+        format_template: format_template || current.format_template,
+        field_definitions: this.normalizeFieldDefinitions(definitions),
+        is_custom: current.is_custom,
+        cloned_from: current.cloned_from,
+        change_notes,
+        created_by: req.user.userId
+      });
+
+      await format.save();
+      await TestFormat.updateMany(
+        { format_key: formatKey, _id: { $ne: format._id } },
+        { $set: { is_latest: false } }
+      );
+
+      console.log(`✅ Test format ${formatKey} bumped to v${nextVersion} by ${req.user.email}`);
+
+      sendCreatedResponse(res, format, `Test format version ${nextVersion} published successfully`);
+
+    } catch (error) {
+      console.error('❌ Create test format version error:', error);
+      sendErrorResponse(res, 'Failed to publish test format version', 500, error.message);
+    }
+  }
+
+  /**
+   * Clone a format (latest or given version) under a new key
+   * @route POST /api/admin/test-formats/:formatKey/clone
+   * @access Private (Admin only)
+   */
+  async cloneTestFormat(req, res) {
+    try {
+      const { formatKey } = req.params;
+      const { format_key: newFormatKey, display_name, version } = req.body;
+
+      const source = version
+        ? await TestFormat.findOne({ format_key: formatKey, version: parseInt(version) })
+        : await this.findLatestVersion(formatKey);
+
+      if (!source) {
+        return sendErrorResponse(res, 'Test format not found', 404);
+      }
+
+      const existing = await TestFormat.exists({ format_key: newFormatKey });
+      if (existing) {
+        return sendErrorResponse(res, `Test format "${newFormatKey}" already exists`, 409);
+      }
+
+      const format = await TestFormat.create({
+        format_id: this.buildFormatId(newFormatKey, 1),
+        format_key: newFormatKey,
+        version: 1,
+        is_latest: true,
+        status: 'active',
+        test_name: source.test_name,
+        display_name: display_name || `${source.display_name} (copy)`.substring(0, 100),
+        format_template: source.format_template,
+        field_definitions: this.normalizeFieldDefinitions(source.field_definitions),
+        is_custom: source.is_custom,
+        cloned_from: source.format_id,
+        created_by: req.user.userId
+      });
+
+      console.log(`✅ Test format ${source.format_id} cloned to ${format.format_id} by ${req.user.email}`);
+
+      sendCreatedResponse(res, format, 'Test format cloned successfully');
+
+    } catch (error) {
+      console.error('❌ Clone test format error:', error);
+      sendErrorResponse(res, 'Failed to clone test format', 500, error.message);
+    }
+  }
+
+  /**
+   * Retire a format: no new results can be recorded against any of its
+   * versions, existing results stay valid.
+   * @route POST /api/admin/test-formats/:formatKey/retire
+   * @access Private (Admin only)
+   */
+  async retireTestFormat(req, res) {
+    try {
+      const { formatKey } = req.params;
+
+      const result = await TestFormat.updateMany(
+        { format_key: formatKey, status: { $ne: 'retired' } },
+        { $set: { status: 'retired', retired_at: new Date(), retired_by: req.user.userId, updated_at: new Date() } }
+      );
+
+      if (result.matchedCount === 0) {
+        const exists = await TestFormat.exists({ format_key: formatKey });
+        if (!exists) {
+          return sendErrorResponse(res, 'Test format not found', 404);
+        }
+        return sendErrorResponse(res, 'Test format is already retired', 400);
+      }
+
+      console.log(`🗄️ Test format ${formatKey} retired by ${req.user.email}`);
+
+      sendSuccessResponse(res, 'Test format retired successfully', {
+        format_key: formatKey,
+        versions_retired: result.modifiedCount
+      });
+
+    } catch (error) {
+      console.error('❌ Retire test format error:', error);
+      sendErrorResponse(res, 'Failed to retire test format', 500, error.message);
+    }
+  }
+
+  /**
+   * Bring a retired format back into use
+   * @route POST /api/admin/test-formats/:formatKey/restore
+   * @access Private (Admin only)
+   */
+  async restoreTestFormat(req, res) {
+    try {
+      const { formatKey } = req.params;
+
+      const result = await TestFormat.updateMany(
+        { format_key: formatKey, status: 'retired' },
+        { $set: { status: 'active', updated_at: new Date() }, $unset: { retired_at: '', retired_by: '' } }
+      );
+
+      if (result.matchedCount === 0) {
+        return sendErrorResponse(res, 'No retired test format found', 404);
+      }
+
+      sendSuccessResponse(res, 'Test format restored successfully', {
+        format_key: formatKey,
+        versions_restored: result.modifiedCount
+      });
+
+    } catch (error) {
+      console.error('❌ Restore test format error:', error);
+      sendErrorResponse(res, 'Failed to restore test format', 500, error.message);
+    }
+  }
+}
+
+module.exports = new TestFormatController();
@@ -0,0 +1,507 @@
+const { User, TestFormat } = require('../models/schemas');
+const structureController = require('./structureController');
+const { validateTestResults } = require('../utils/testFormatValidator');
+const { interpretTestResult } = require('../utils/ndtInterpretation');
+const workflowService = require('../services/workflowService');
+const {
+  sendSuccessResponse,
+  sendErrorResponse,
+  sendCreatedResponse
+} = require('../utils/responseHandler');
+
+// Test results can only be recorded or changed while the structure is with the TE
+const TESTING_STATUS = 'under_testing';
+
+class TestResultController {
+  constructor() {
+    this.getTestResults = this.getTestResults.bind(this);
+    this.getTestResult = this.getTestResult.bind(this);
+    this.addTestResult = this.addTestResult.bind(this);
+    this.updateTestResult = this.updateTestResult.bind(this);
+    this.deleteTestResult = this.deleteTestResult.bind(this);
+    this.resolveTestTarget = this.resolveTestTarget.bind(this);
+    this.resolveTestFormat = this.resolveTestFormat.bind(this);
+    this.checkFormatUsable = this.checkFormatUsable.bind(this);
+    this.findStructureForTesting = this.findStructureForTesting.bind(this);
+    this.buildTestReportPdf = this.buildTestReportPdf.bind(this);
+    this.buildInterpretation = this.buildInterpretation.bind(this);
+  }
+
+  // =================== HELPERS ===================
+  generateTestId() {
+    return `test_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Resolve the element the tests belong to from the route params.
+   * Structure-level tests live in `structure_test_results`; floors, flats
+   * and blocks each carry their own `test_results` array.
+   */
+  resolveTestTarget(structure, params) {
+    const { floorId, flatId, blockId } = params;
+
+    if (!floorId) {
+      if (!structure.structure_test_results) {
+        structure.structure_test_results = [];
+      }
+      return { level: 'structure', target: structure, key: 'structure_test_results' };
+    }
+
+    const floor = structure.geometric_details?.floors?.find(f => f.floor_id === floorId);
+    if (!floor) {
+      return { error: 'Floor not found' };
+    }
+
+    let level = 'floor';
+    let target = floor;
+
+    if (flatId) {
+      target = floor.flats?.find(f => f.flat_id === flatId);
+      level = 'flat';
+      if (!target) {
+        return { error: 'Flat not found' };
+      }
+    } else if (blockId) {
+      target = floor.blocks?.find(b => b.block_id === blockId);
+      level = 'block';
+      if (!target) {
+        return { error: 'Block not found' };
+      }
+    }
+
+    if (!target.test_results) {
+      target.test_results = [];
+    }
+
+    return { level, target, key: 'test_results' };
+  }
+
+  /**
+   * Pick the TestFormat a result is validated against: an explicit `format_id`
+   * pins an exact version, a `format_key` (required for custom tests) or a
+   * standard `test_name` resolve to the latest version of that format.
+   */
+  async resolveTestFormat({ format_id, format_key, test_name }) {
+    if (format_id) {
+      return TestFormat.findOne({ format_id });
+    }
+
+    const key = format_key || (test_name !== 'custom' ? test_name : null);
+    if (!key) {
+      return null;
+    }
+
+    const latest = await TestFormat.findOne({ format_key: key, is_latest: { $ne: false } }).sort({ version: -1 });
+    if (latest || format_key) {
+      return latest;
+    }
+
+    // Formats created before versioning have no format_key
+    return TestFormat.findOne({ test_name: key }).sort({ updated_at: -1 });
+  }
+
+  /**
+   * New results may only be recorded against the active, latest version of a format
+   * @returns {string|null} error message
+   */
+  checkFormatUsable(testFormat) {
+    if (testFormat.status === 'retired') {
+      return `Test format ${testFormat.format_key || testFormat.format_id} has been retired`;
+    }
+    if (testFormat.is_latest === false) {
+      return `Test format ${testFormat.format_id} has been superseded; use the latest version of ${testFormat.format_key}`;
+    }
+    return null;
+  }
+
+  /**
+   * Load a structure for writing test results (TE only, `under_testing` only,
+   * and only the assigned TE once one is assigned)
+   * @returns {Promise<{structure?: Object, error?: string, statusCode?: number}>}
+   */
+  async findStructureForTesting(req) {
+    if (!structureController.hasRoleFromRequest(req, 'TE')) {
+      return { error: 'Only Test Engineers can record test results', statusCode: 403 };
+    }
+
+    const { structure } = await structureController.findStructureAcrossUsers(req.params.id);
+
+    if (structure.status !== TESTING_STATUS) {
+      return {
+        error: `Test results can only be recorded while the structure is '${TESTING_STATUS}'. Current status: ${structure.status}`,
+        statusCode: 400
+      };
+    }
+
+    if (!workflowService.isAssigneeOrOpen(structure, workflowService.TRANSITIONS.complete_testing, req.user)) {
+      return { error: 'Only the assigned Test Engineer can record test results', statusCode: 403 };
+    }
+
+    return { structure };
+  }
+
+  /**
+   * Build the `test_report_pdf` entry from an uploaded file or a JSON reference
+   */
+  buildTestReportPdf(req) {
+    if (req.file) {
+      return {
+        filename: req.file.originalname,
+        file_path: req.file.path || req.file.secure_url,
+        uploaded_at: new Date()
+      };
+    }
+
+    const pdf = req.body.test_report_pdf;
+    if (pdf && typeof pdf === 'object' && pdf.file_path) {
+      return {
+        filename: pdf.filename || pdf.file_path.split(/[\\/]/).pop(),
+        file_path: pdf.file_path,
+        uploaded_at: new Date()
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Compute the interpretation of a result. Carbonation needs the cover,
+   * which is taken from a cover meter result on the same component when the
+   * TE did not enter it alongside the depth.
+   */
+  buildInterpretation(structure, testResults, testResult) {
+    const context = {};
+
+    if (testResult.test_name === 'carbonation_depth') {
+      const coverResult = (testResults || []).find(result =>
+        result.test_name === 'cover_meter' && result.component_id === testResult.component_id
+      );
+      const coverValues = coverResult?.test_results || {};
+      context.cover_depth = coverValues.cover_depth ?? coverValues.cover ?? coverValues.clear_cover;
+
+      const yearOfConstruction = structure.geometric_details?.year_of_construction;
+      context.age_years = structure.structural_identity?.age_of_structure ??
+        (yearOfConstruction ? new Date().getFullYear() - yearOfConstruction : undefined);
+    }
+
+    return interpretTestResult(testResult.test_name, testResult.test_results, context);
+  }
+
+  formatTestResult(testResult) {
+    return typeof testResult?.toObject === 'function' ? testResult.toObject() : testResult;
+  }
+
+  handleLookupError(res, error, fallbackMessage) {
+    if (error.message === 'Structure not found') {
+      return sendErrorResponse(res, 'Structure not found', 404);
+    }
+    return sendErrorResponse(res, fallbackMessage, 500, error.message);
+  }
+
+  // =================== TEST RESULTS CRUD ===================
+
+  /**
+   * List test results for a structure, floor, flat or block
+   * @route GET /api/structures/:id/tests
+   * @route GET /api/structures/:id/floors/:floorId/tests
+   * @route GET /api/structures/:id/floors/:floorId/flats/:flatId/tests
+   * @route GET /api/structures/:id/floors/:floorId/blocks/:blockId/tests
+   * @access Private (owner or privileged roles)
+   */
+  async getTestResults(req, res) {
+    try {
+      const { id } = req.params;
+      const { test_name } = req.query;
+
+      const { structure } = await structureController.findUserStructure(req.user.userId, id, req.user);
+
+      const resolved = this.resolveTestTarget(structure, req.params);
+      if (resolved.error) {
+        return sendErrorResponse(res, resolved.error, 404);
+      }
+
+      let testResults = resolved.target[resolved.key] || [];
+      if (test_name) {
+        testResults = testResults.filter(result => result.test_name === test_name);
+      }
+
+      sendSuccessResponse(res, 'Test results retrieved successfully', {
+        structure_id: id,
+        level: resolved.level,
+        status: structure.status,
+        total_tests: testResults.length,
+        test_results: testResults.map(result => this.formatTestResult(result))
+      });
+
+    } catch (error) {
+      console.error('❌ Get test results error:', error);
+      this.handleLookupError(res, error, 'Failed to retrieve test results');
+    }
+  }
+
+  /**
+   * Get a single test result
+   * @route GET /api/structures/:id/.../tests/:testId
+   * @access Private (owner or privileged roles)
+   */
+  async getTestResult(req, res) {
+    try {
+      const { id, testId } = req.params;
+
+      const { structure } = await structureController.findUserStructure(req.user.userId, id, req.user);
+
+      const resolved = this.resolveTestTarget(structure, req.params);
+      if (resolved.error) {
+        return sendErrorResponse(res, resolved.error, 404);
+      }
+
+      const testResult = (resolved.target[resolved.key] || []).find(result => result.test_id === testId);
+      if (!testResult) {
+        return sendErrorResponse(res, 'Test result not found', 404);
+      }
+
+      sendSuccessResponse(res, 'Test result retrieved successfully', {
+        structure_id: id,
+        level: resolved.level,
+        test_result: this.formatTestResult(testResult)
+      });
+
+    } catch (error) {
+      console.error('❌ Get test result error:', error);
+      this.handleLookupError(res, error, 'Failed to retrieve test result');
+    }
+  }
+
+  /**
+   * Record a new test result, validated against its TestFormat
+   * @route POST /api/structures/:id/.../tests
+   * @access Private (TE only, structure must be under_testing)
+   */
+  async addTestResult(req, res) {
+    try {
+      const { id } = req.params;
+      const {
+        format_id,
+        format_key,
+        test_name,
+        component_type,
+        component_id,
+        test_date,
+        test_results,
+        tested_by,
+        remarks
+      } = req.body;
+
+      const { structure, error, statusCode } = await this.findStructureForTesting(req);
+      if (error) {
+        return sendErrorResponse(res, error, statusCode);
+      }
+
+      const resolved = this.resolveTestTarget(structure, req.params);
+      if (resolved.error) {
+        return sendErrorResponse(res, resolved.error, 404);
+      }
+
+      const testFormat = await this.resolveTestFormat({ format_id, format_key, test_name });
+      if (!testFormat) {
+        return sendErrorResponse(res, `No test format found for ${format_id || format_key || test_name}`, 400);
+      }
+
+      const formatError = this.checkFormatUsable(testFormat);
+      if (formatError) {
+        return sendErrorResponse(res, formatError, 400);
+      }
+
+      if (test_name && test_name !== testFormat.test_name) {
+        return sendErrorResponse(res, `Test format ${testFormat.format_id} is for '${testFormat.test_name}', not '${test_name}'`, 400);
+      }
+
+      const validation = validateTestResults(testFormat, test_results);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Test results do not match the test format',
+          errors: validation.errors
+        });
+      }
+
+      const currentUser = await User.findById(req.user.userId);
+
+      const testResult = {
+        test_id: this.generateTestId(),
+        test_name: testFormat.test_name,
+        format_id: testFormat.format_id,
+        format_key: testFormat.format_key,
+        format_version: testFormat.version,
+        component_type,
+        component_id,
+        test_date: test_date ? new Date(test_date) : new Date(),
+        test_results: validation.values,
+        tested_by: tested_by || (currentUser ? structureController.getUserFullName(currentUser) : req.user.email),
+        remarks
+      };
+
+      const interpretation = this.buildInterpretation(structure, resolved.target[resolved.key], testResult);
+      if (interpretation) {
+        testResult.interpretation = interpretation;
+      }
+
+      const testReportPdf = this.buildTestReportPdf(req);
+      if (testReportPdf) {
+        testResult.test_report_pdf = testReportPdf;
+      }
+
+      resolved.target[resolved.key].push(testResult);
+      structure.creation_info.last_updated_date = new Date();
+      await structure.save();
+
+      const savedResult = resolved.target[resolved.key][resolved.target[resolved.key].length - 1];
+
+      console.log(`✅ ${testResult.test_name} test ${testResult.test_id} recorded on ${resolved.level} of structure ${id}`);
+
+      sendCreatedResponse(res, {
+        structure_id: id,
+        level: resolved.level,
+        test_result: this.formatTestResult(savedResult)
+      }, 'Test result recorded successfully');
+
+    } catch (error) {
+      console.error('❌ Add test result error:', error);
+      this.handleLookupError(res, error, 'Failed to record test result');
+    }
+  }
+
+  /**
+   * Update a test result; `test_results` is re-validated against its format
+   * @route PUT /api/structures/:id/.../tests/:testId
+   * @access Private (TE only, structure must be under_testing)
+   */
+  async updateTestResult(req, res) {
+    try {
+      const { id, testId } = req.params;
+      const { format_id, component_type, component_id, test_date, test_results, tested_by, remarks } = req.body;
+
+      const { structure, error, statusCode } = await this.findStructureForTesting(req);
+      if (error) {
+        return sendErrorResponse(res, error, statusCode);
+      }
+
+      const resolved = this.resolveTestTarget(structure, req.params);
+      if (resolved.error) {
+        return sendErrorResponse(res, resolved.error, 404);
+      }
+
+      const testResult = resolved.target[resolved.key].find(result => result.test_id === testId);
+      if (!testResult) {
+        return sendErrorResponse(res, 'Test result not found', 404);
+      }
+
+      if (format_id !== undefined || test_results !== undefined) {
+        const testFormat = await this.resolveTestFormat({
+          format_id: format_id || testResult.format_id,
+          test_name: testResult.test_name
+        });
+        if (!testFormat) {
+          return sendErrorResponse(res, `No test format found for ${format_id || testResult.format_id || testResult.test_name}`, 400);
+        }
+
+        // Keeping the recorded version is always allowed; switching requires a usable one
+        if (testFormat.format_id !== testResult.format_id) {
+          const formatError = this.checkFormatUsable(testFormat);
+          if (formatError) {
+            return sendErrorResponse(res, formatError, 400);
+          }
+        }
+
+        if (testFormat.test_name !== testResult.test_name) {
+          return sendErrorResponse(res, `Test format ${testFormat.format_id} is for '${testFormat.test_name}', not '${testResult.test_name}'`, 400);
+        }
+
+        const validation = validateTestResults(testFormat, test_results !== undefined ? test_results : testResult.test_results);
+        if (!validation.isValid) {
+          return res.status(400).json({
+            success: false,
+            message: 'Test results do not match the test format',
+            errors: validation.errors
+          });
+        }
+
+        testResult.format_id = testFormat.format_id;
+        testResult.format_key = testFormat.format_key;
+        testResult.format_version = testFormat.version;
+        testResult.test_results = validation.values;
+      }
+
+      if (component_type !== undefined) testResult.component_type = component_type;
+      if (component_id !== undefined) testResult.component_id = component_id;
+      if (test_date !== undefined) testResult.test_date = new Date(test_date);
+      if (tested_by !== undefined) testResult.tested_by = tested_by;
+      if (remarks !== undefined) testResult.remarks = remarks;
+
+      // Inputs (values, cover lookup by component) may have changed
+      testResult.interpretation = this.buildInterpretation(structure, resolved.target[resolved.key], testResult) || undefined;
+
+      const testReportPdf = this.buildTestReportPdf(req);
+      if (testReportPdf) {
+        testResult.test_report_pdf = testReportPdf;
+      }
+
+      structure.creation_info.last_updated_date = new Date();
+      await structure.save();
+
+      sendSuccessResponse(res, 'Test result updated successfully', {
+        structure_id: id,
+        level: resolved.level,
+        test_result: this.formatTestResult(testResult)
+      });
+
+    } catch (error) {
+      console.error('❌ Update test result error:', error);
+      this.handleLookupError(res, error, 'Failed to update test result');
+    }
+  }
+
+  /**
+   * Delete a test result
+   * @route DELETE /api/structures/:id/.../tests/:testId
+   * @access Private (TE only, structure must be under_testing)
+   */
+  async deleteTestResult(req, res) {
+    try {
+      const { id, testId } = req.params;
+
+      const { structure, error, statusCode } = await this.findStructureForTesting(req);
+      if (error) {
+        return sendErrorResponse(res, error, statusCode);
+      }
+
+      const resolved = this.resolveTestTarget(structure, req.params);
+      if (resolved.error) {
+        return sendErrorResponse(res, resolved.error, 404);
+      }
+
+      const testResults = resolved.target[resolved.key];
+      const testIndex = testResults.findIndex(result => result.test_id === testId);
+      if (testIndex === -1) {
+        return sendErrorResponse(res, 'Test result not found', 404);
+      }
+
+      testResults.splice(testIndex, 1);
+      structure.creation_info.last_updated_date = new Date();
+      await structure.save();
+
+      sendSuccessResponse(res, 'Test result deleted successfully', {
+        structure_id: id,
+        level: resolved.level,
+        test_id: testId,
+        remaining_tests: testResults.length
+      });
+
+    } catch (error) {
+      console.error('❌ Delete test result error:', error);
+      this.handleLookupError(res, error, 'Failed to delete test result');
+    }
+  }
+}
+
+module.exports = new TestResultController();
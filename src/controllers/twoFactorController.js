@@ -0,0 +1,239 @@
+const { User } = require('../models/schemas');
+const authService = require('../services/authService');
+const twoFactorService = require('../services/twoFactorService');
+const sessionService = require('../services/sessionService');
+const auditLogService = require('../services/auditLogService');
+const {
+  sendSuccessResponse,
+  sendErrorResponse
+} = require('../utils/responseHandler');
+
+/**
+ * TOTP two-factor authentication: users enroll and manage their own,
+ * administrators set which roles must use it and reset lost devices
+ */
+class TwoFactorController {
+  constructor() {
+    this.getStatus = this.getStatus.bind(this);
+    this.setup = this.setup.bind(this);
+    this.enable = this.enable.bind(this);
+    this.disable = this.disable.bind(this);
+    this.regenerateBackupCodes = this.regenerateBackupCodes.bind(this);
+    this.getPolicy = this.getPolicy.bind(this);
+    this.updatePolicy = this.updatePolicy.bind(this);
+    this.resetUserTwoFactor = this.resetUserTwoFactor.bind(this);
+  }
+
+  // =================== HELPERS ===================
+  codeInput(body) {
+    return { code: body.code, backupCode: body.backup_code };
+  }
+
+  // Service errors carry their status (AppError); anything else is unexpected
+  sendServiceError(res, error, fallbackMessage) {
+    if (error.statusCode && error.statusCode < 500) {
+      return sendErrorResponse(res, error.message, error.statusCode);
+    }
+    console.error(`❌ ${fallbackMessage}:`, error);
+    return sendErrorResponse(res, fallbackMessage, 500, error.message);
+  }
+
+  async describePolicy(policy) {
+    return {
+      required_roles: policy.required_roles || [],
+      updated_by: policy.updated_by || null,
+      updated_at: policy.updatedAt || null,
+      users_not_enrolled: await twoFactorService.countUnenrolled(policy)
+    };
+  }
+
+  // =================== READ ===================
+
+  /**
+   * Whether 2FA is on, required for the user's roles, and backup codes left
+   * @route GET /api/auth/2fa
+   * @access Private
+   */
+  async getStatus(req, res) {
+    try {
+      const status = await twoFactorService.getStatus(req.user.userId);
+      if (!status) {
+        return sendErrorResponse(res, 'User not found', 404);
+      }
+
+      sendSuccessResponse(res, 'Two-factor status retrieved successfully', status);
+
+    } catch (error) {
+      this.sendServiceError(res, error, 'Failed to retrieve two-factor status');
+    }
+  }
+
+  /**
+   * Roles that must use 2FA
+   * @route GET /api/admin/two-factor-policy
+   * @access Private (Admin only)
+   */
+  async getPolicy(req, res) {
+    try {
+      const policy = await twoFactorService.getPolicy();
+      sendSuccessResponse(res, 'Two-factor policy retrieved successfully', await this.describePolicy(policy));
+
+    } catch (error) {
+      this.sendServiceError(res, error, 'Failed to retrieve two-factor policy');
+    }
+  }
+
+  // =================== WRITE ===================
+
+  /**
+   * Start enrollment: secret and otpauth:// URI to show as a QR code.
+   * Signed-in users call it with their access token; a login waiting on
+   * mandatory setup passes its two_factor_token instead.
+   * @route POST /api/auth/2fa/setup
+   * @access Private
+   */
+  async setup(req, res) {
+    try {
+      const enrollment = await twoFactorService.beginEnrollment(req.user.userId);
+
+      sendSuccessResponse(res, 'Scan the QR code with your authenticator app, then confirm with a code', enrollment);
+
+    } catch (error) {
+      this.sendServiceError(res, error, 'Failed to start two-factor setup');
+    }
+  }
+
+  /**
+   * Confirm enrollment with a first code; returns the backup codes once.
+   * With a two_factor_token the login is completed and tokens are returned.
+   * @route POST /api/auth/2fa/enable
+   * @access Private
+   */
+  async enable(req, res) {
+    try {
+      if (req.twoFactorSetupToken) {
+        const result = await authService.completeTwoFactorSetup({
+          twoFactorToken: req.twoFactorSetupToken,
+          code: req.body.code
+        });
+        return res.status(200).json(result);
+      }
+
+      const backupCodes = await twoFactorService.confirmEnrollment(req.user.userId, req.body.code);
+
+      console.log(`🔐 Two-factor enabled by ${req.user.email}`);
+
+      sendSuccessResponse(res, 'Two-factor authentication enabled. Store the backup codes somewhere safe; they are shown only once.', {
+        enabled: true,
+        backup_codes: backupCodes
+      });
+
+    } catch (error) {
+      this.sendServiceError(res, error, 'Failed to enable two-factor authentication');
+    }
+  }
+
+  /**
+   * Turn 2FA off with a current code (not allowed while a role requires it)
+   * @route POST /api/auth/2fa/disable
+   * @access Private
+   */
+  async disable(req, res) {
+    try {
+      const policy = await twoFactorService.getPolicy();
+      if (twoFactorService.isRequired(req.user, policy)) {
+        return sendErrorResponse(res, 'Two-factor authentication is required for your role and cannot be turned off', 403);
+      }
+
+      await twoFactorService.assertCode(req.user.userId, this.codeInput(req.body));
+      await twoFactorService.disable(req.user.userId);
+
+      console.log(`🔓 Two-factor disabled by ${req.user.email}`);
+
+      sendSuccessResponse(res, 'Two-factor authentication disabled', { enabled: false });
+
+    } catch (error) {
+      this.sendServiceError(res, error, 'Failed to disable two-factor authentication');
+    }
+  }
+
+  /**
+   * Replace the backup codes after confirming a current code
+   * @route POST /api/auth/2fa/backup-codes
+   * @access Private
+   */
+  async regenerateBackupCodes(req, res) {
+    try {
+      await twoFactorService.assertCode(req.user.userId, this.codeInput(req.body));
+      const backupCodes = await twoFactorService.regenerateBackupCodes(req.user.userId);
+
+      sendSuccessResponse(res, 'New backup codes generated; the previous ones no longer work', {
+        backup_codes: backupCodes
+      });
+
+    } catch (error) {
+      this.sendServiceError(res, error, 'Failed to generate backup codes');
+    }
+  }
+
+  /**
+   * Set the roles that must use 2FA; covered users without it are asked
+   * to enroll at their next sign-in or token refresh
+   * @route PUT /api/admin/two-factor-policy
+   * @access Private (AD only)
+   */
+  async updatePolicy(req, res) {
+    try {
+      const policy = await twoFactorService.updatePolicy(req.body.required_roles, req.user);
+
+      console.log(`🔐 Two-factor required for [${policy.required_roles.join(', ')}] by ${req.user.email}`);
+
+      sendSuccessResponse(res, 'Two-factor policy updated successfully', await this.describePolicy(policy));
+
+    } catch (error) {
+      this.sendServiceError(res, error, 'Failed to update two-factor policy');
+    }
+  }
+
+  /**
+   * Turn off a user's 2FA (lost device) and sign them out everywhere, so
+   * whoever holds the device loses access; they enroll again if their role
+   * requires it
+   * @route DELETE /api/admin/users/:id/two-factor
+   * @access Private (AD only)
+   */
+  async resetUserTwoFactor(req, res) {
+    try {
+      const user = await User.findById(req.params.id).select('username email two_factor.enabled').lean();
+      if (!user) {
+        return sendErrorResponse(res, 'User not found', 404);
+      }
+
+      await twoFactorService.disable(user._id);
+      const sessionsRevoked = await sessionService.revokeAll(user._id, 'admin_revoked', { actor: req.user });
+
+      // The 2FA change is logged by the User audit trail; the sign-outs are not a User write
+      await auditLogService.record({
+        resourceType: 'User',
+        resourceId: user._id,
+        label: user.username,
+        before: { active_sessions: sessionsRevoked },
+        after: { active_sessions: 0 }
+      });
+
+      console.log(`🔓 Two-factor of ${user.email} reset by ${req.user.email}; ${sessionsRevoked} session(s) signed out`);
+
+      sendSuccessResponse(res, 'Two-factor authentication reset and user signed out everywhere', {
+        user_id: user._id,
+        username: user.username,
+        was_enabled: Boolean(user.two_factor?.enabled),
+        sessions_revoked: sessionsRevoked
+      });
+
+    } catch (error) {
+      this.sendServiceError(res, error, 'Failed to reset two-factor authentication');
+    }
+  }
+}
+
+module.exports = new TwoFactorController();
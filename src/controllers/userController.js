@@ -1,5 +1,6 @@
 const { User } = require('../models/schemas'); // Fixed import - destructured from schemas
 const bcrypt = require('bcryptjs');
+const sessionService = require('../services/sessionService');
 const { 
   sendSuccessResponse, 
   sendErrorResponse, 
@@ -156,6 +157,9 @@ class UserController {
       const saltRounds = 12;
       user.password = await bcrypt.hash(newPassword, saltRounds);
       await user.save();
+
+      // Sign out every other device
+      await sessionService.revokeAll(user._id, 'password_changed', { exceptSessionId: req.user.sessionId });
       
       sendSuccessResponse(res, 'Password changed successfully');
     } catch (error) {
@@ -0,0 +1,210 @@
+const WorkflowSla = require('../models/WorkflowSla');
+const slaService = require('../services/slaService');
+const {
+  sendSuccessResponse,
+  sendErrorResponse,
+  sendCreatedResponse
+} = require('../utils/responseHandler');
+
+const EDITABLE_FIELDS = ['stage', 'structure_type', 'target_hours', 'is_active', 'notes'];
+
+/**
+ * Admin management of workflow stage SLAs (turnaround targets per stage
+ * and structure type) and the structures currently breaching them.
+ *
+ * Stages without a configured target fall back to slaService.DEFAULT_TARGET_HOURS.
+ */
+class WorkflowSlaController {
+  constructor() {
+    this.getSlas = this.getSlas.bind(this);
+    this.getBreaches = this.getBreaches.bind(this);
+    this.createSla = this.createSla.bind(this);
+    this.updateSla = this.updateSla.bind(this);
+    this.deleteSla = this.deleteSla.bind(this);
+  }
+
+  // =================== HELPERS ===================
+  pickEditableFields(body) {
+    const fields = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (body[field] !== undefined) fields[field] = body[field];
+    });
+    if (fields.structure_type !== undefined) {
+      fields.structure_type = fields.structure_type || null;
+    }
+    return fields;
+  }
+
+  sendDuplicateError(res, stage, structureType) {
+    return sendErrorResponse(
+      res,
+      `An SLA for ${stage} (${structureType || 'all structure types'}) already exists`,
+      409
+    );
+  }
+
+  // =================== READ ===================
+
+  /**
+   * List SLAs with the built-in defaults
+   * @route GET /api/admin/workflow-slas
+   * @access Private (Admin only)
+   */
+  async getSlas(req, res) {
+    try {
+      const slas = await WorkflowSla.find()
+        .sort({ stage: 1, structure_type: 1 })
+        .lean();
+
+      sendSuccessResponse(res, 'Workflow SLAs retrieved successfully', {
+        slas,
+        total: slas.length,
+        built_in_default_hours: slaService.DEFAULT_TARGET_HOURS
+      });
+
+    } catch (error) {
+      console.error('❌ Get workflow SLAs error:', error);
+      sendErrorResponse(res, 'Failed to retrieve workflow SLAs', 500, error.message);
+    }
+  }
+
+  /**
+   * Structures whose current workflow stage is past its SLA, most overdue first
+   * @route GET /api/admin/workflow-slas/breaches
+   * @access Private (Admin only)
+   */
+  async getBreaches(req, res) {
+    try {
+      const now = new Date();
+      const breaches = await slaService.findOpenBreaches(now);
+
+      sendSuccessResponse(res, 'SLA breaches retrieved successfully', {
+        total: breaches.length,
+        breaches: breaches.map(({ structure, breach }) => ({
+          structure_id: structure._id,
+          uid: structure.structural_identity?.uid,
+          structure_name: structure.location?.structure_name,
+          type_of_structure: structure.structural_identity?.type_of_structure,
+          status: structure.status,
+          assignment: structure.assignment,
+          ...breach,
+          overdue_hours: Math.round(((now - breach.due_at) / (60 * 60 * 1000)) * 10) / 10
+        }))
+      });
+
+    } catch (error) {
+      console.error('❌ Get SLA breaches error:', error);
+      sendErrorResponse(res, 'Failed to retrieve SLA breaches', 500, error.message);
+    }
+  }
+
+  // =================== WRITE ===================
+
+  /**
+   * Create an SLA
+   * @route POST /api/admin/workflow-slas
+   * @access Private (Admin only)
+   */
+  async createSla(req, res) {
+    try {
+      const fields = this.pickEditableFields(req.body);
+      const structureType = fields.structure_type || null;
+
+      const existing = await WorkflowSla.exists({ stage: fields.stage, structure_type: structureType });
+      if (existing) {
+        return this.sendDuplicateError(res, fields.stage, structureType);
+      }
+
+      const sla = await WorkflowSla.create({
+        ...fields,
+        structure_type: structureType,
+        created_by: req.user.userId,
+        updated_by: req.user.userId
+      });
+
+      console.log(`✅ Workflow SLA ${sla.stage}/${structureType || 'all types'} (${sla.target_hours}h) created by ${req.user.email}`);
+
+      sendCreatedResponse(res, sla, 'Workflow SLA created successfully');
+
+    } catch (error) {
+      if (error.code === 11000) {
+        return this.sendDuplicateError(res, req.body.stage, req.body.structure_type);
+      }
+      console.error('❌ Create workflow SLA error:', error);
+      sendErrorResponse(res, 'Failed to create workflow SLA', 500, error.message);
+    }
+  }
+
+  /**
+   * Update an SLA; applies to stages in progress from the next check
+   * @route PUT /api/admin/workflow-slas/:id
+   * @access Private (Admin only)
+   */
+  async updateSla(req, res) {
+    try {
+      const sla = await WorkflowSla.findById(req.params.id);
+
+      if (!sla) {
+        return sendErrorResponse(res, 'Workflow SLA not found', 404);
+      }
+
+      const fields = this.pickEditableFields(req.body);
+      const stage = fields.stage || sla.stage;
+      const structureType = fields.structure_type !== undefined ? fields.structure_type : sla.structure_type;
+
+      if (stage !== sla.stage || structureType !== sla.structure_type) {
+        const existing = await WorkflowSla.exists({
+          _id: { $ne: sla._id },
+          stage,
+          structure_type: structureType
+        });
+        if (existing) {
+          return this.sendDuplicateError(res, stage, structureType);
+        }
+      }
+
+      sla.set({ ...fields, updated_by: req.user.userId });
+      await sla.save();
+
+      console.log(`✅ Workflow SLA ${sla.stage}/${sla.structure_type || 'all types'} updated by ${req.user.email}`);
+
+      sendSuccessResponse(res, 'Workflow SLA updated successfully', sla);
+
+    } catch (error) {
+      if (error.code === 11000) {
+        return sendErrorResponse(res, 'An SLA for this stage and structure type already exists', 409);
+      }
+      console.error('❌ Update workflow SLA error:', error);
+      sendErrorResponse(res, 'Failed to update workflow SLA', 500, error.message);
+    }
+  }
+
+  /**
+   * Delete an SLA; its stage falls back to the all-types target or the default
+   * @route DELETE /api/admin/workflow-slas/:id
+   * @access Private (Admin only)
+   */
+  async deleteSla(req, res) {
+    try {
+      const sla = await WorkflowSla.findByIdAndDelete(req.params.id);
+
+      if (!sla) {
+        return sendErrorResponse(res, 'Workflow SLA not found', 404);
+      }
+
+      console.log(`🗑️ Workflow SLA ${sla.stage}/${sla.structure_type || 'all types'} deleted by ${req.user.email}`);
+
+      sendSuccessResponse(res, 'Workflow SLA deleted successfully', {
+        id: sla._id,
+        stage: sla.stage,
+        structure_type: sla.structure_type
+      });
+
+    } catch (error) {
+      console.error('❌ Delete workflow SLA error:', error);
+      sendErrorResponse(res, 'Failed to delete workflow SLA', 500, error.message);
+    }
+  }
+}
+
+module.exports = new WorkflowSlaController();
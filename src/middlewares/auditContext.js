@@ -0,0 +1,42 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Keep the current request reachable from code that has no `req`
+ * (model hooks writing the audit log). Mount before the routers; req.user
+ * is read when a write happens, after authentication has run.
+ */
+const auditContext = (req, res, next) => {
+  storage.run({ req }, () => next());
+};
+
+/**
+ * Request details for the audit log, or null outside a request
+ * (scheduled jobs, scripts)
+ */
+const getAuditContext = () => {
+  const req = storage.getStore()?.req;
+  if (!req) return null;
+
+  return {
+    actor: req.user
+      ? {
+          user_id: req.user.userId,
+          username: req.user.username,
+          email: req.user.email,
+          role: req.user.role,
+          roles: req.user.roles || [req.user.role]
+        }
+      : null,
+    ip_address: req.ip,
+    user_agent: req.get('user-agent'),
+    method: req.method,
+    route: req.originalUrl
+  };
+};
+
+module.exports = {
+  auditContext,
+  getAuditContext
+};
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const { User } = require('../models/schemas');
+const sessionService = require('../services/sessionService');
 
 /**
  * Middleware to authenticate JWT token
@@ -18,7 +19,29 @@ const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET || process.env.JWT_ACCESS_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
+
+    // Two-factor login tokens share the secret but are not access tokens
+    if (decoded.type && decoded.type !== 'access') {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid token',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    // Every sign-in starts a session; a token without one cannot be revoked
+    if (!decoded.sid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session expired. Please log in again.',
+        code: 'SESSION_REQUIRED'
+      });
+    }
+
+    const [user, sessionActive] = await Promise.all([
+      User.findById(decoded.userId).select('-password'),
+      sessionService.isActive(decoded.sid)
+    ]);
     
     if (!user) {
       return res.status(401).json({
@@ -36,6 +59,14 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    if (!sessionActive) {
+      return res.status(401).json({
+        success: false,
+        error: 'This session has been signed out. Please log in again.',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
     if (!user.isEmailVerified) {
       return res.status(403).json({
         success: false,
@@ -54,8 +85,11 @@ const authenticateToken = async (req, res, next) => {
       role: user.role,
       roles: userRoles,
       isEmailVerified: user.isEmailVerified,
-      is_active: user.is_active
+      is_active: user.is_active,
+      sessionId: decoded.sid
     };
+    // Long-lived connections (event stream) end when the token does
+    req.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
 
     next();
   } catch (error) {
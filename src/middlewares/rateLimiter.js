@@ -0,0 +1,99 @@
+const rateLimit = require('express-rate-limit');
+const loginProtectionService = require('../services/loginProtectionService');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Email or username a public auth request is made for, lowercased
+ */
+const requestIdentifier = req => {
+  const identifier = req.body?.email || req.body?.identifier;
+  return typeof identifier === 'string' ? identifier.trim().toLowerCase() : null;
+};
+
+/**
+ * Rate limiter for a public auth endpoint. `by: 'ip'` counts requests per
+ * client IP; `by: 'account'` counts them per email/username so one account
+ * cannot be hammered from many IPs (requests without one fall back to the IP).
+ * The first request over the limit in each window is recorded as a security event.
+ */
+const createAuthLimiter = ({ scope, by, windowMinutes, max, message, skipSuccessfulRequests = false }) => rateLimit({
+  windowMs: windowMinutes * MINUTE_MS,
+  max,
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests,
+  keyGenerator: req => (by === 'account' && requestIdentifier(req)
+    ? `${scope}:account:${requestIdentifier(req)}`
+    : `${scope}:ip:${req.ip}`),
+  handler: async (req, res, next, options) => {
+    if (req.rateLimit.current === req.rateLimit.limit + 1) {
+      console.warn(`🚫 ${scope} limit reached by ${by === 'account' ? requestIdentifier(req) : req.ip}`);
+      await loginProtectionService.recordEvent(by === 'account' ? 'account_throttled' : 'ip_throttled', {
+        identifier: requestIdentifier(req) || undefined,
+        scope
+      });
+    }
+
+    res.status(options.statusCode).json({
+      success: false,
+      error: message,
+      code: 'TOO_MANY_REQUESTS'
+    });
+  }
+});
+
+// Password logins: only failures count against the IP
+const loginIpLimiter = createAuthLimiter({
+  scope: 'login',
+  by: 'ip',
+  windowMinutes: 15,
+  max: 20,
+  skipSuccessfulRequests: true,
+  message: 'Too many failed login attempts from this network. Please try again later.'
+});
+
+// Sending OTPs (resend-otp and forgot-password share the budget)
+const otpSendIpLimiter = createAuthLimiter({
+  scope: 'otp_send',
+  by: 'ip',
+  windowMinutes: 60,
+  max: 10,
+  message: 'Too many OTP requests from this network. Please try again later.'
+});
+
+const otpSendAccountLimiter = createAuthLimiter({
+  scope: 'otp_send',
+  by: 'account',
+  windowMinutes: 15,
+  max: 3,
+  message: 'Too many OTP requests for this email. Please wait before requesting another code.'
+});
+
+// Checking OTPs (verify-email and reset-password); each code also has its own attempt limit
+const otpVerifyIpLimiter = createAuthLimiter({
+  scope: 'otp_verify',
+  by: 'ip',
+  windowMinutes: 15,
+  max: 20,
+  skipSuccessfulRequests: true,
+  message: 'Too many incorrect codes from this network. Please try again later.'
+});
+
+const otpVerifyAccountLimiter = createAuthLimiter({
+  scope: 'otp_verify',
+  by: 'account',
+  windowMinutes: 15,
+  max: 10,
+  skipSuccessfulRequests: true,
+  message: 'Too many incorrect codes for this email. Please try again later.'
+});
+
+module.exports = {
+  createAuthLimiter,
+  loginIpLimiter,
+  otpSendIpLimiter,
+  otpSendAccountLimiter,
+  otpVerifyIpLimiter,
+  otpVerifyAccountLimiter
+};
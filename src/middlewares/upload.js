@@ -43,6 +43,23 @@ const upload = multer({
   }
 });
 
+// NDT test reports: a single PDF under 'test_report_pdf'
+const uploadTestReport = multer({
+  storage: storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname || '').toLowerCase().replace('.', '');
+
+    if (ext === 'pdf') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PDF files are allowed for test reports'), false);
+    }
+  }
+}).single('test_report_pdf');
+
 // Accept up to 8 files under 'photo'/'photos' for images and 'docs' for documents.
 // Flutter sends files as 'photo'; use either in Postman.
 // upload.fields() populates req.files as:
@@ -76,7 +93,10 @@ const handleUploadError = (error, req, res, next) => {
     }
   }
 
-  if (error.message === 'Only image, PDF, or Excel files are allowed') {
+  if (
+    error.message === 'Only image, PDF, or Excel files are allowed' ||
+    error.message === 'Only PDF files are allowed for test reports'
+  ) {
     return res.status(400).json({
       success: false,
       message: error.message
@@ -89,5 +109,6 @@ const handleUploadError = (error, req, res, next) => {
 module.exports = {
   uploadSingle: upload.single('photo'),
   uploadMultiple,
+  uploadTestReport,
   handleUploadError
 };
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const actorSchema = {
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  name: String,
+  email: String,
+  role: String,
+  date: Date
+};
+
+/**
+ * A completed audit cycle of a structure: the approved ratings, tests and
+ * remarks archived when the next cycle starts. Archived cycles are read-only.
+ */
+const auditCycleSchema = new mongoose.Schema({
+  structure: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Structure',
+    required: true,
+    immutable: true
+  },
+  cycle_number: {
+    type: Number,
+    required: true,
+    min: 1,
+    immutable: true
+  },
+  started_at: {
+    type: Date,
+    immutable: true
+  },
+  approved_at: {
+    type: Date,
+    immutable: true
+  },
+  // Structure version (creation_info.version) the cycle was archived at
+  version: {
+    type: Number,
+    immutable: true
+  },
+  health_status: {
+    type: String,
+    immutable: true
+  },
+  combined_score: {
+    type: Number,
+    immutable: true
+  },
+  workflow: {
+    type: mongoose.Schema.Types.Mixed,
+    immutable: true
+  },
+  // Recorded data as archived (see snapshotService.buildData)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+    immutable: true
+  },
+  archived_by: {
+    type: actorSchema,
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: 'archived_at', updatedAt: false },
+  collection: 'audit_cycles',
+  minimize: false
+});
+
+auditCycleSchema.index({ structure: 1, cycle_number: 1 }, { unique: true });
+
+// Archived cycles are read-only
+const rejectUpdate = function(next) {
+  next(new Error('Archived audit cycles cannot be modified'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'].forEach(operation => {
+  auditCycleSchema.pre(operation, rejectUpdate);
+});
+auditCycleSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Archived audit cycles cannot be modified'));
+  }
+  next();
+});
+
+const AuditCycle = mongoose.model('AuditCycle', auditCycleSchema);
+
+module.exports = AuditCycle;
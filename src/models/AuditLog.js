@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const OPERATIONS = ['create', 'update', 'delete'];
+
+const CATEGORIES = ['workflow', 'role', 'rating', 'data'];
+
+/**
+ * One recorded change to an audited document (structures and users): who
+ * made it, from where, and the value at `path` before and after. Entries
+ * written by the same save share a change_set. Entries are append-only.
+ */
+const auditLogSchema = new mongoose.Schema({
+  resource_type: {
+    type: String,
+    required: true
+  },
+  resource_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Human-readable name of the document (structure UID, username)
+  resource_label: String,
+  operation: {
+    type: String,
+    enum: OPERATIONS,
+    required: true
+  },
+  category: {
+    type: String,
+    enum: CATEGORIES,
+    default: 'data'
+  },
+  // Changed field, e.g. geometric_details.floors[floor_1].flats[flat_101].structural_rating.beams[beam_1].rating
+  path: {
+    type: String,
+    default: ''
+  },
+  change: {
+    type: String,
+    enum: ['added', 'removed', 'modified']
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  change_set: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // request: made through the API by `actor`; system: scheduled jobs and scripts
+  source: {
+    type: String,
+    enum: ['request', 'system'],
+    default: 'request'
+  },
+  actor: {
+    user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    username: String,
+    email: String,
+    role: String,
+    roles: [String]
+  },
+  ip_address: String,
+  user_agent: String,
+  method: String,
+  route: String
+}, {
+  timestamps: { createdAt: 'timestamp', updatedAt: false },
+  collection: 'audit_logs',
+  minimize: false
+});
+
+auditLogSchema.index({ resource_type: 1, resource_id: 1, timestamp: -1 });
+auditLogSchema.index({ 'actor.user_id': 1, timestamp: -1 });
+auditLogSchema.index({ category: 1, timestamp: -1 });
+auditLogSchema.index({ timestamp: -1 });
+
+// The log is append-only
+const rejectUpdate = function(next) {
+  next(new Error('Audit log entries cannot be modified'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'].forEach(operation => {
+  auditLogSchema.pre(operation, rejectUpdate);
+});
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
+module.exports.OPERATIONS = OPERATIONS;
+module.exports.CATEGORIES = CATEGORIES;
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// Units produced by the quantification screen (see computeQuantificationQuantity)
+const QUANTIFICATION_UNITS = ["NO'S", 'RM', 'SQM', 'CUM'];
+
+const rateEntrySchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['structural', 'non_structural']
+  },
+  // Matched against quantification `category` / rated component key
+  category: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  repair_methodology: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  unit: {
+    type: String,
+    required: true,
+    enum: QUANTIFICATION_UNITS
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: [0, 'Rate cannot be negative']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, { _id: true });
+
+const rateBookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // null = applies to every state without a book of its own
+  state_code: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{2}$/, 'State code must be 2 letters'],
+    default: null
+  },
+  structure_subtype: {
+    type: String,
+    enum: ['rcc', 'steel'],
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'INR',
+    uppercase: true,
+    maxlength: 3
+  },
+  rates: [rateEntrySchema],
+  // Fallback rate per unit when no entry matches a line item
+  default_rates_by_unit: {
+    type: Map,
+    of: Number,
+    default: undefined
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  effective_from: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One book per region and subtype
+rateBookSchema.index({ state_code: 1, structure_subtype: 1 }, { unique: true });
+
+const RateBook = mongoose.model('RateBook', rateBookSchema);
+
+module.exports = RateBook;
+module.exports.QUANTIFICATION_UNITS = QUANTIFICATION_UNITS;
@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 
+/**
+ * One refresh token of a session's token family. Only a SHA-256 hash of
+ * the token ID is stored. A token is active until it is exchanged; an
+ * inactive token presented again means it was copied, and the whole
+ * family is revoked.
+ */
 const refreshTokenSchema = new mongoose.Schema({
   token: {
     type: String,
@@ -11,6 +17,12 @@ const refreshTokenSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Token family: the session the token was issued to
+  family: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    index: true
+  },
   expiresAt: {
     type: Date,
     required: true,
@@ -20,9 +32,12 @@ const refreshTokenSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
-  }
+  },
+  rotatedAt: Date,
+  // Hash of the token issued in exchange
+  replacedBy: String
 }, {
   timestamps: true
 });
 
-module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
\ No newline at end of file
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
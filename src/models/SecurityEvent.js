@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const SECURITY_EVENTS = [
+  'account_locked',      // too many failed logins on one account
+  'lockout_cleared',     // an administrator unlocked the account
+  'otp_exhausted',       // an OTP was invalidated after too many wrong codes
+  'ip_throttled',        // an IP went over an auth endpoint limit
+  'account_throttled',   // an email went over an auth endpoint limit
+  'refresh_token_reuse'  // an exchanged refresh token was presented again
+];
+
+/**
+ * Security event on the auth endpoints: brute-force protection and
+ * refresh token reuse. Entries are append-only.
+ */
+const securityEventSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    enum: SECURITY_EVENTS,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Email or username the request was made for
+  identifier: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Limiter or OTP purpose involved, e.g. login, otp_send, password_reset
+  scope: String,
+  failed_attempts: Number,
+  lockout_count: Number,
+  locked_until: Date,
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
+  cleared_by: {
+    user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    username: String,
+    email: String
+  },
+  ip_address: String,
+  user_agent: String,
+  route: String
+}, {
+  timestamps: { createdAt: 'occurred_at', updatedAt: false },
+  collection: 'security_events'
+});
+
+securityEventSchema.index({ user: 1, occurred_at: -1 });
+securityEventSchema.index({ event: 1, occurred_at: -1 });
+securityEventSchema.index({ ip_address: 1, occurred_at: -1 });
+
+// The log is append-only
+const rejectUpdate = function(next) {
+  next(new Error('Security events cannot be modified'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'].forEach(operation => {
+  securityEventSchema.pre(operation, rejectUpdate);
+});
+
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema);
+
+module.exports = SecurityEvent;
+module.exports.SECURITY_EVENTS = SECURITY_EVENTS;
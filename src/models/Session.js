@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const REVOCATION_REASONS = [
+  'logout',
+  'user_revoked',
+  'admin_revoked',
+  'password_changed',
+  'reuse_detected',
+  'two_factor_required'
+];
+
+/**
+ * A signed-in device. Each login starts a session that owns one refresh
+ * token family: every refresh rotates the token within the family, and
+ * revoking the session invalidates the family and the access tokens
+ * issued under it.
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  user_agent: String,
+  // Readable device label derived from the user agent, e.g. "Android - Chrome"
+  device: String,
+  ip_address: String,
+  last_ip_address: String,
+  last_used_at: {
+    type: Date,
+    default: Date.now
+  },
+  // Expiry of the current refresh token; the session ends with it
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  revoked_at: {
+    type: Date,
+    default: null
+  },
+  revoked_reason: {
+    type: String,
+    enum: REVOCATION_REASONS
+  },
+  revoked_by: {
+    user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    username: String,
+    email: String
+  }
+}, {
+  timestamps: true,
+  collection: 'sessions'
+});
+
+sessionSchema.index({ user: 1, revoked_at: 1, last_used_at: -1 });
+// Ended sessions are kept for a month, then removed
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
+module.exports.REVOCATION_REASONS = REVOCATION_REASONS;
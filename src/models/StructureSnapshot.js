@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+/**
+ * Copy of a structure's recorded data (identity, location, geometry with
+ * ratings, quantifications, photos and test results, remarks) taken at a
+ * workflow transition. Snapshots are written once and never changed.
+ */
+const structureSnapshotSchema = new mongoose.Schema({
+  structure: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Structure',
+    required: true,
+    immutable: true
+  },
+  // creation_info.version of the structure after the transition
+  version: {
+    type: Number,
+    required: true,
+    min: 1,
+    immutable: true
+  },
+  action: {
+    type: String,
+    immutable: true
+  },
+  status: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  previous_status: {
+    type: String,
+    immutable: true
+  },
+  taken_by: {
+    user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', immutable: true },
+    name: { type: String, immutable: true },
+    role: { type: String, immutable: true }
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: 'taken_at', updatedAt: false },
+  collection: 'structure_snapshots',
+  minimize: false
+});
+
+structureSnapshotSchema.index({ structure: 1, version: 1 }, { unique: true });
+
+// Snapshots are append-only
+const rejectUpdate = function(next) {
+  next(new Error('Structure snapshots cannot be modified'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'].forEach(operation => {
+  structureSnapshotSchema.pre(operation, rejectUpdate);
+});
+structureSnapshotSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Structure snapshots cannot be modified'));
+  }
+  next();
+});
+
+const StructureSnapshot = mongoose.model('StructureSnapshot', structureSnapshotSchema);
+
+module.exports = StructureSnapshot;
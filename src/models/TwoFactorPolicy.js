@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const ROLES = ['AD', 'TE', 'VE', 'FE'];
+
+/**
+ * Which roles must use two-factor authentication. A single document;
+ * users holding any listed role cannot sign in until they enroll.
+ */
+const twoFactorPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true,
+    immutable: true
+  },
+  required_roles: [{
+    type: String,
+    enum: ROLES
+  }],
+  updated_by: {
+    user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    username: String,
+    email: String
+  }
+}, {
+  timestamps: true,
+  collection: 'two_factor_policy'
+});
+
+const TwoFactorPolicy = mongoose.model('TwoFactorPolicy', twoFactorPolicySchema);
+
+module.exports = TwoFactorPolicy;
+module.exports.ROLES = ROLES;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const SLA_STAGES = ['testing', 'validation', 'approval'];
+
+const STRUCTURE_TYPES = ['residential', 'commercial', 'educational', 'hospital', 'industrial'];
+
+/**
+ * Turnaround target for one workflow stage. A target without a
+ * structure_type applies to every type that has no target of its own.
+ */
+const workflowSlaSchema = new mongoose.Schema({
+  stage: {
+    type: String,
+    enum: SLA_STAGES,
+    required: true
+  },
+  structure_type: {
+    type: String,
+    enum: [...STRUCTURE_TYPES, null],
+    default: null
+  },
+  target_hours: {
+    type: Number,
+    required: true,
+    min: [1, 'Target must be at least 1 hour']
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  collection: 'workflow_slas'
+});
+
+// One target per stage and structure type
+workflowSlaSchema.index({ stage: 1, structure_type: 1 }, { unique: true });
+
+const WorkflowSla = mongoose.model('WorkflowSla', workflowSlaSchema);
+
+module.exports = WorkflowSla;
+module.exports.SLA_STAGES = SLA_STAGES;
+module.exports.STRUCTURE_TYPES = STRUCTURE_TYPES;
@@ -0,0 +1,65 @@
+/**
+ * Mongoose plugin recording every write to a model in the audit log:
+ * document saves and deletions, and query updates and deletes. The
+ * previous state is read back before the write so each changed field is
+ * logged with its value before and after.
+ *
+ * Options:
+ *   resourceType - name stored on entries ('Structure', 'User')
+ *   label        - (doc) => human-readable name of the document
+ *   ignore       - paths not worth logging for this model
+ */
+const auditLogService = require('../services/auditLogService');
+
+const QUERY_WRITES = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'];
+
+module.exports = function auditTrailPlugin(schema, { resourceType, label = () => undefined, ignore = [] } = {}) {
+  const record = (before, after) => {
+    const document = after || before;
+    return auditLogService.record({
+      resourceType,
+      resourceId: document._id,
+      label: label(document),
+      before,
+      after,
+      ignore
+    });
+  };
+
+  schema.pre('save', async function() {
+    this.$locals.auditBefore = this.isNew
+      ? null
+      : await this.constructor.findById(this._id).lean();
+  });
+
+  schema.post('save', async function(doc) {
+    const before = doc.$locals.auditBefore;
+    delete doc.$locals.auditBefore;
+    await record(before, doc.toObject({ flattenMaps: true, depopulate: true }));
+  });
+
+  schema.pre('deleteOne', { document: true, query: false }, function() {
+    this.$locals.auditBefore = this.toObject({ flattenMaps: true, depopulate: true });
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function(doc) {
+    await record(doc.$locals.auditBefore, null);
+  });
+
+  schema.pre(QUERY_WRITES, { document: false, query: true }, async function() {
+    const single = !['updateMany', 'deleteMany'].includes(this.op);
+    const query = this.model.find(this.getFilter()).lean();
+    this._auditBefore = await (single ? query.limit(1) : query);
+  });
+
+  schema.post(QUERY_WRITES, { document: false, query: true }, async function() {
+    const befores = this._auditBefore || [];
+    if (befores.length === 0) return;
+
+    const afters = await this.model.find({ _id: { $in: befores.map(doc => doc._id) } }).lean();
+    const afterById = new Map(afters.map(doc => [String(doc._id), doc]));
+    for (const before of befores) {
+      await record(before, afterById.get(String(before._id)) || null);
+    }
+  });
+};
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrailPlugin = require('./auditTrailPlugin');
 
 const isValidPhotoReference = (value) => {
   // Allow empty/null — photo is optional; undefined values are skipped by Mongoose
@@ -245,9 +246,20 @@ const testResultSchema = {
       'ultrasonic_thickness_gauge',
       'magnetic_particle',
       'liquid_penetration',
-      'hardness_test'
+      'hardness_test',
+      'custom'
     ]
   },
+  // TestFormat version the results were validated against
+  format_id: {
+    type: String
+  },
+  format_key: {
+    type: String
+  },
+  format_version: {
+    type: Number
+  },
   component_type: {
     type: String,
     required: true
@@ -263,6 +275,10 @@ const testResultSchema = {
   test_results: {
     type: mongoose.Schema.Types.Mixed
   },
+  // Derived values (strength, quality grade, corrosion band...) computed on save
+  interpretation: {
+    type: mongoose.Schema.Types.Mixed
+  },
   test_report_pdf: {
     filename: String,
     file_path: String,
@@ -723,11 +739,45 @@ const floorSchema = {
 
 // =================== TEST FORMAT SCHEMA ===================
 const testFormatSchema = new mongoose.Schema({
+  // Unique per version, e.g. "rebound_hammer_v2"
   format_id: {
     type: String,
     required: true,
     unique: true
   },
+  // Stable identity shared by every version of a format
+  format_key: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_]+$/, 'Format key can only contain lowercase letters, numbers and underscores']
+  },
+  version: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  is_latest: {
+    type: Boolean,
+    default: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'retired'],
+    default: 'active'
+  },
+  retired_at: Date,
+  retired_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cloned_from: {
+    type: String
+  },
+  change_notes: {
+    type: String,
+    maxlength: 1000
+  },
   test_name: {
     type: String,
     required: true,
@@ -797,13 +847,121 @@ const testFormatSchema = new mongoose.Schema({
   }
 });
 
+// =================== WORKFLOW & REMARKS ===================
+const workflowActorSchema = {
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  name: String,
+  email: String,
+  role: String,
+  date: Date
+};
+
+const reviewerAssignmentSchema = {
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  name: String,
+  email: String,
+  assigned_at: Date,
+  assigned_by: {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String
+  },
+  method: {
+    type: String,
+    enum: ['manual', 'round_robin', 'least_loaded']
+  }
+};
+
+const remarkEntrySchema = {
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  author_name: String,
+  author_role: {
+    type: String,
+    enum: ['FE', 'VE', 'TE', 'AD']
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+};
+
+// Item raised when a reviewer rejects a structure: open -> addressed (FE) -> closed (reviewer)
+const rejectionFindingSchema = {
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  location: {
+    floor_id: String,
+    floor_number: Number,
+    flat_id: String,
+    flat_number: String,
+    block_id: String,
+    block_number: String
+  },
+  location_label: String,
+  scope: {
+    type: String,
+    enum: ['structural', 'non_structural']
+  },
+  component_type: String,
+  instance_id: String,
+  instance_name: String,
+  rejection_stage: {
+    type: String,
+    enum: ['testing', 'validation', 'approval']
+  },
+  status: {
+    type: String,
+    enum: ['open', 'addressed', 'closed'],
+    default: 'open'
+  },
+  raised_by: workflowActorSchema,
+  history: [{
+    _id: false,
+    status: String,
+    ...workflowActorSchema,
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    }
+  }]
+};
+
 // =================== STRUCTURE SCHEMA ===================
 const structureSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
   structural_identity: {
+    // Not unique: drafts share the XX00TEMP0T### placeholder until the location screen is saved
     structural_identity_number: {
       type: String,
       required: true,
-      unique: true,
       uppercase: true,
       match: /^[A-Z]{2}[0-9]{2}[A-Z]{4}[A-Z0-9]{2}[0-9]{3}$/
     },
@@ -975,9 +1133,105 @@ const structureSchema = new mongoose.Schema({
   
   status: {
     type: String,
-    enum: ['draft', 'location_completed', 'admin_completed', 'geometric_completed', 'ratings_in_progress', 'submitted', 'in_testing', 'tested', 'in_validation', 'validated', 'approved', 'rejected'],
+    enum: ['draft', 'location_completed', 'admin_completed', 'geometric_completed', 'ratings_in_progress', 'submitted', 'in_testing', 'under_testing', 'tested', 'in_validation', 'under_validation', 'validated', 'approved', 'rejected'],
     default: 'draft'
   },
+
+  // Workflow sign-off trail (submit -> test -> validate -> approve / reject)
+  workflow: {
+    submitted_by: workflowActorSchema,
+    tested_by: {
+      ...workflowActorSchema,
+      test_notes: String
+    },
+    validated_by: {
+      ...workflowActorSchema,
+      validation_notes: String
+    },
+    approved_by: {
+      ...workflowActorSchema,
+      approval_notes: String
+    },
+    rejected_by: {
+      ...workflowActorSchema,
+      rejection_reason: String,
+      rejection_stage: {
+        type: String,
+        enum: ['testing', 'validation', 'approval']
+      }
+    },
+    // Administrative reopen of a structure under review or approved
+    reopened_by: {
+      ...workflowActorSchema,
+      reopen_reason: String
+    }
+  },
+
+  // Reviewers responsible for testing (TE) and validation (VE)
+  assignment: {
+    testing_engineer: reviewerAssignmentSchema,
+    validation_engineer: reviewerAssignmentSchema
+  },
+
+  // Workflow stages that overran their SLA and were escalated to administrators
+  sla_escalations: [{
+    stage: {
+      type: String,
+      enum: ['testing', 'validation', 'approval']
+    },
+    stage_started_at: Date,
+    due_at: Date,
+    target_hours: Number,
+    escalated_at: Date
+  }],
+
+  // Periodic re-inspection, computed on approval from health, age and type
+  inspection_schedule: {
+    next_inspection_due: Date,
+    interval_months: Number,
+    // Inspection the interval counts from (approval date)
+    last_inspection_date: Date,
+    health_status: {
+      type: String,
+      enum: ['Good', 'Fair', 'Poor', 'Critical', 'Unknown']
+    },
+    combined_score: Number,
+    computed_at: Date,
+    // Days-before-due reminders already sent for the current due date (30, 7, 1)
+    reminders_sent: [Number],
+    overdue_alert_sent_at: Date
+  },
+
+  // Audit cycle the current ratings belong to; earlier cycles are archived in AuditCycle
+  audit_cycle: {
+    number: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    started_at: Date,
+    started_by: workflowActorSchema
+  },
+
+  // Findings raised by rejections; resubmission waits until none is open
+  rejection_findings: [rejectionFindingSchema],
+
+  remarks: {
+    fe_remarks: [remarkEntrySchema],
+    ve_remarks: [remarkEntrySchema],
+    te_remarks: [remarkEntrySchema],
+    last_updated_by: {
+      role: String,
+      name: String,
+      date: Date
+    }
+  },
+
+  general_notes: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
   
   // NEW: Overall testing requirement for structure
   overall_testing_required: {
@@ -996,7 +1250,12 @@ const structureSchema = new mongoose.Schema({
         default: false
       },
       file_path: String,
-      generated_at: Date
+      generated_at: Date,
+      format: {
+        type: String,
+        enum: ['excel', 'pdf']
+      },
+      observation_count: Number
     },
     non_destructive_test_results: {
       generated: {
@@ -1012,7 +1271,9 @@ const structureSchema = new mongoose.Schema({
         default: false
       },
       file_path: String,
-      generated_at: Date
+      generated_at: Date,
+      total_amount: Number,
+      currency: String
     }
   },
   
@@ -1033,7 +1294,7 @@ const structureSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
-  _id: true
+  collection: 'structures'
 });
 
 // =================== USER SCHEMA ===================
@@ -1134,8 +1395,6 @@ const userSchema = new mongoose.Schema({
     }
   },
   
-  structures: [structureSchema],
-  
   stats: {
     total_structures_created: {
       type: Number,
@@ -1163,6 +1422,16 @@ const userSchema = new mongoose.Schema({
     }
   },
   
+  notification_preferences: {
+    // immediate: one email per event; daily_digest: one summary email a day; off: in-app only
+    email_frequency: {
+      type: String,
+      enum: ['immediate', 'daily_digest', 'off'],
+      default: 'immediate'
+    },
+    last_digest_sent_at: Date
+  },
+  
   is_active: {
     type: Boolean,
     default: true
@@ -1174,6 +1443,56 @@ const userSchema = new mongoose.Schema({
   last_login: {
     type: Date
   },
+
+  // Failed password logins and progressive lockout (see loginProtectionService)
+  login_security: {
+    failed_attempts: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    last_failed_at: Date,
+    // Lockouts since the last successful login; each one lasts twice as long
+    lockout_count: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    locked_at: Date,
+    locked_until: Date
+  },
+
+  // TOTP two-factor authentication (see twoFactorService); secrets are encrypted
+  two_factor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabled_at: Date,
+    secret: {
+      type: String,
+      select: false
+    },
+    // Set up but not confirmed with a first code yet
+    pending_secret: {
+      type: String,
+      select: false
+    },
+    // Time step of the last accepted code, so a code cannot be replayed
+    last_used_step: {
+      type: Number,
+      select: false
+    },
+    backup_codes: {
+      type: [{
+        _id: false,
+        code_hash: String,
+        used_at: Date
+      }],
+      select: false
+    }
+  },
+
   created_at: {
     type: Date,
     default: Date.now,
@@ -1194,13 +1513,20 @@ userSchema.index({ username: 1 }, { unique: true });
 userSchema.index({ role: 1 });
 userSchema.index({ is_active: 1 });
 userSchema.index({ created_at: -1 });
+userSchema.index({ 'login_security.locked_until': 1 });
 
-userSchema.index({ 'structures.structural_identity.structural_identity_number': 1 }, { sparse: true });
-userSchema.index({ 'structures.structural_identity.uid': 1 });
-userSchema.index({ 'structures.status': 1 });
+structureSchema.index({ 'structural_identity.structural_identity_number': 1 });
+structureSchema.index({ owner: 1, status: 1 });
+structureSchema.index({ status: 1, updatedAt: -1 });
+structureSchema.index({ status: 1, 'inspection_schedule.next_inspection_due': 1 });
+structureSchema.index({ 'assignment.testing_engineer.user_id': 1, status: 1 });
+structureSchema.index({ 'assignment.validation_engineer.user_id': 1, status: 1 });
+structureSchema.index({ 'location.state_code': 1, 'location.district_code': 1, 'location.city_name': 1 });
 
 testFormatSchema.index({ test_name: 1 });
 testFormatSchema.index({ is_custom: 1 });
+testFormatSchema.index({ format_key: 1, version: -1 });
+testFormatSchema.index({ status: 1, is_latest: 1 });
 
 // =================== VIRTUAL FIELDS ===================
 userSchema.virtual('full_name').get(function() {
@@ -1228,6 +1554,10 @@ userSchema.pre('save', function(next) {
 });
 
 testFormatSchema.pre('save', function(next) {
+  // Formats created before versioning use their format_id as the key
+  if (!this.format_key) {
+    this.format_key = this.format_id.toLowerCase().replace(/[^a-z0-9_]/g, '_');
+  }
   this.updated_at = new Date();
   next();
 });
@@ -1325,15 +1655,368 @@ const tokenSchema = new mongoose.Schema({
 otpSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
 tokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
 
+// =================== MAINTENANCE REQUEST SCHEMA ===================
+const MAINTENANCE_STATUSES = ['open', 'assigned', 'in_progress', 'completed', 'verified'];
+
+const maintenanceCostSchema = {
+  amount: {
+    type: Number,
+    min: [0, 'Cost cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: 'INR',
+    uppercase: true,
+    maxlength: 3
+  },
+  basis: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  }
+};
+
+const maintenanceRequestSchema = new mongoose.Schema({
+  request_number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  structure: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Structure',
+    required: true,
+    index: true
+  },
+  // Where the work is; flat_id and block_id are mutually exclusive
+  location: {
+    floor_id: String,
+    floor_number: Number,
+    flat_id: String,
+    flat_number: String,
+    block_id: String,
+    block_number: String
+  },
+  // Rated component instance the request was raised for (if any)
+  component: {
+    scope: {
+      type: String,
+      enum: ['structural', 'non_structural']
+    },
+    component_type: String,
+    instance_id: String,
+    instance_name: String,
+    rating: {
+      type: Number,
+      min: 1,
+      max: 5
+    },
+    distress_types: [String],
+    photos: [String]
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  repair_methodology: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  priority: {
+    type: String,
+    enum: ['Critical', 'High', 'Medium', 'Low'],
+    default: 'Medium'
+  },
+  status: {
+    type: String,
+    enum: MAINTENANCE_STATUSES,
+    default: 'open',
+    index: true
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'component_rating', 'workflow'],
+    default: 'manual'
+  },
+  assignees: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    assigned_at: {
+      type: Date,
+      default: Date.now
+    },
+    assigned_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  estimated_cost: maintenanceCostSchema,
+  actual_cost: maintenanceCostSchema,
+  due_date: Date,
+  started_at: Date,
+  completed_at: Date,
+  completion_notes: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  verified_at: Date,
+  verified_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  verification_notes: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  requested_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status_history: [{
+    from_status: String,
+    to_status: {
+      type: String,
+      enum: MAINTENANCE_STATUSES
+    },
+    changed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changed_at: {
+      type: Date,
+      default: Date.now
+    },
+    notes: String
+  }]
+}, {
+  timestamps: true
+});
+
+maintenanceRequestSchema.index({ structure: 1, 'component.instance_id': 1, status: 1 });
+maintenanceRequestSchema.index({ 'assignees.user': 1, status: 1 });
+maintenanceRequestSchema.index({ due_date: 1, status: 1 });
+
+// =================== CRITICAL ESCALATION SCHEMA ===================
+// Raised when a save makes a component instance or a floor/flat/block combined score Critical
+const criticalEscalationSchema = new mongoose.Schema({
+  structure: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Structure',
+    required: true,
+    index: true
+  },
+  items: [{
+    // instance: a rated component instance; element: a floor/flat/block combined score
+    level: {
+      type: String,
+      enum: ['instance', 'element'],
+      required: true
+    },
+    key: {
+      type: String,
+      required: true
+    },
+    location: {
+      floor_id: String,
+      floor_number: Number,
+      flat_id: String,
+      flat_number: String,
+      block_id: String,
+      block_number: String
+    },
+    location_label: String,
+    scope: {
+      type: String,
+      enum: ['structural', 'non_structural', 'combined']
+    },
+    component_type: String,
+    instance_id: String,
+    instance_name: String,
+    rating: Number,
+    combined_score: Number,
+    distress_types: [String],
+    condition_comment: String,
+    photos: [String],
+    _id: false
+  }],
+  triggered_by: {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String,
+    role: String
+  },
+  recipients: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: String,
+    kind: {
+      type: String,
+      enum: ['admin', 'custodian']
+    },
+    // Custodians have no account; they acknowledge through the emailed link
+    ack_token_hash: {
+      type: String,
+      select: false
+    },
+    email_status: {
+      type: String,
+      enum: ['pending', 'sent', 'failed'],
+      default: 'pending'
+    },
+    email_sent_at: Date,
+    _id: false
+  }],
+  status: {
+    type: String,
+    enum: ['open', 'acknowledged'],
+    default: 'open'
+  },
+  acknowledgments: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: String,
+    // user: signed-in acknowledgment; custodian: emailed link
+    kind: {
+      type: String,
+      enum: ['user', 'custodian']
+    },
+    notes: {
+      type: String,
+      maxlength: 1000
+    },
+    acknowledged_at: {
+      type: Date,
+      default: Date.now
+    },
+    ip_address: String,
+    _id: false
+  }]
+}, {
+  timestamps: true,
+  collection: 'critical_escalations'
+});
+
+criticalEscalationSchema.index({ status: 1, createdAt: -1 });
+
+// =================== NOTIFICATION SCHEMA ===================
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+  type: {
+    type: String,
+    enum: ['workflow', 'inspection_due', 'maintenance_request', 'sla_breach', 'system_alert', 'general'],
+    default: 'general'
+  },
+  // Document the notification is about
+  relatedId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  relatedModel: {
+    type: String,
+    enum: ['Structure', 'MaintenanceRequest', 'CriticalEscalation']
+  },
+  // Machine-readable details, e.g. { event: 'submitted', status: 'submitted' }
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date,
+  // Email delivery; 'pending' notifications go out in the recipient's next daily digest
+  email: {
+    status: {
+      type: String,
+      enum: ['not_required', 'pending', 'sent', 'failed'],
+      default: 'not_required'
+    },
+    sent_at: Date
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ userId: 1, isRead: 1, createdAt: -1 });
+notificationSchema.index({ 'email.status': 1, userId: 1 });
+
+// =================== AUDIT TRAIL ===================
+// Every write to structures and users (roles included) is logged with before/after values
+structureSchema.plugin(auditTrailPlugin, {
+  resourceType: 'Structure',
+  label: doc => doc.structural_identity?.uid || doc.location?.structure_name,
+  ignore: ['sla_escalations', 'inspection_schedule.reminders_sent', 'inspection_schedule.overdue_alert_sent_at']
+});
+userSchema.plugin(auditTrailPlugin, {
+  resourceType: 'User',
+  label: doc => doc.username,
+  ignore: [
+    'last_login',
+    'stats',
+    'notification_preferences.last_digest_sent_at',
+    // Lockouts are recorded as security events instead
+    'login_security',
+    // Enabling and disabling 2FA is logged; its secrets and codes are not
+    'two_factor.secret',
+    'two_factor.pending_secret',
+    'two_factor.last_used_step',
+    'two_factor.backup_codes'
+  ]
+});
+
 // =================== CREATE MODELS ===================
 const User = mongoose.model('User', userSchema);
 const OTP = mongoose.model('OTP', otpSchema);
 const Token = mongoose.model('Token', tokenSchema);
 const TestFormat = mongoose.model('TestFormat', testFormatSchema);
+const Structure = mongoose.model('Structure', structureSchema);
+const MaintenanceRequest = mongoose.model('MaintenanceRequest', maintenanceRequestSchema);
+const Notification = mongoose.model('Notification', notificationSchema);
+const CriticalEscalation = mongoose.model('CriticalEscalation', criticalEscalationSchema);
 
 module.exports = {
   User,
+  Structure,
   OTP,
   Token,
-  TestFormat
+  TestFormat,
+  MaintenanceRequest,
+  Notification,
+  CriticalEscalation,
+  MAINTENANCE_STATUSES
 };
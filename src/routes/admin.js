@@ -1,6 +1,20 @@
 const express = require('express');
-const { User } = require('../models/schemas');
-const { protect, isAdmin } = require('../middlewares/auth');
+const mongoose = require('mongoose');
+const { body, param, query } = require('express-validator');
+const { ROLES } = require('../models/TwoFactorPolicy');
+const { User, Structure } = require('../models/schemas');
+const { migrateStructures } = require('../utils/migrateStructures');
+const { PAGINATION } = require('../utils/constants');
+const testFormatRoutes = require('./testFormats');
+const rateBookRoutes = require('./rateBooks');
+const inspectionScheduleRoutes = require('./inspectionSchedules');
+const workflowSlaRoutes = require('./workflowSlas');
+const auditLogRoutes = require('./auditLogs');
+const lockoutRoutes = require('./lockouts');
+const sessionController = require('../controllers/sessionController');
+const twoFactorController = require('../controllers/twoFactorController');
+const { protect, isAdmin, authorizeRole } = require('../middlewares/auth');
+const { handleValidationErrors } = require('../middlewares/validation');
 
 const router = express.Router();
 
@@ -8,6 +22,24 @@ const router = express.Router();
 router.use(protect);
 router.use(isAdmin);
 
+// NDT test format templates
+router.use('/test-formats', testFormatRoutes);
+
+// Repair rate books used to price quantified repairs
+router.use('/rate-books', rateBookRoutes);
+
+// Upcoming and overdue periodic re-inspections
+router.use('/inspections', inspectionScheduleRoutes);
+
+// Turnaround targets per workflow stage and current breaches
+router.use('/workflow-slas', workflowSlaRoutes);
+
+// Who changed what: every write to structures and users, with Excel export
+router.use('/audit-logs', auditLogRoutes);
+
+// Accounts locked by failed logins, security events, and unlocking
+router.use('/lockouts', lockoutRoutes);
+
 /**
  * GET /api/admin/users
  * Get all users
@@ -41,7 +73,7 @@ router.get('/users', async (req, res) => {
 router.get('/users/:id', async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
-      .select('-password')
+      .select('-password -structures')
       .lean();
 
     if (!user) {
@@ -51,12 +83,14 @@ router.get('/users/:id', async (req, res) => {
       });
     }
 
+    const structureCount = await Structure.countDocuments({ owner: user._id });
+
     res.json({
       success: true,
       message: 'User retrieved successfully',
       data: {
         ...user,
-        structure_count: user.structures?.length || 0
+        structure_count: structureCount
       }
     });
   } catch (error) {
@@ -68,56 +102,172 @@ router.get('/users/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/users/:id/sessions
+ * Devices the user is signed in on; AD only
+ */
+router.get('/users/:id/sessions',
+  authorizeRole(['AD']),
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  handleValidationErrors,
+  sessionController.getUserSessions
+);
+
+/**
+ * DELETE /api/admin/users/:id/sessions
+ * Sign the user out everywhere, or on one device (?session_id=); AD only
+ */
+router.delete('/users/:id/sessions',
+  authorizeRole(['AD']),
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  query('session_id').optional().isMongoId().withMessage('Invalid session ID'),
+  handleValidationErrors,
+  sessionController.revokeUserSessions
+);
+
+/**
+ * DELETE /api/admin/users/:id/two-factor
+ * Reset a user's two-factor authentication (lost device); AD only
+ */
+router.delete('/users/:id/two-factor',
+  authorizeRole(['AD']),
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  handleValidationErrors,
+  twoFactorController.resetUserTwoFactor
+);
+
+/**
+ * GET /api/admin/two-factor-policy
+ * Roles that must use two-factor authentication
+ */
+router.get('/two-factor-policy', twoFactorController.getPolicy);
+
+/**
+ * PUT /api/admin/two-factor-policy
+ * Set the roles that must use two-factor authentication; AD only, so
+ * reviewers cannot lift their own requirement
+ */
+router.put('/two-factor-policy',
+  authorizeRole(['AD']),
+  body('required_roles').isArray().withMessage('required_roles must be an array'),
+  body('required_roles.*').isIn(ROLES).withMessage(`Roles must be among: ${ROLES.join(', ')}`),
+  handleValidationErrors,
+  twoFactorController.updatePolicy
+);
+
+// Sort keys accepted by GET /structures
+const ADMIN_STRUCTURE_SORT_FIELDS = {
+  updated: 'updatedAt',
+  created_date: 'creation_info.created_date',
+  last_updated: 'creation_info.last_updated_date',
+  structure_number: 'structural_identity.structural_identity_number',
+  client_name: 'administrative.client_name'
+};
+
 /**
  * GET /api/admin/structures
- * Get all structures from all users
+ * Structures from all owners, filtered, sorted and paginated in the database
+ * (?page, limit, status, type_of_structure, state_code, district_code,
+ * search, sortBy=updated|created_date|last_updated|structure_number|client_name, sortOrder)
  */
 router.get('/structures', async (req, res) => {
   try {
     console.log('📊 Admin fetching all structures');
-    
-    const allUsers = await User.find({ 
-      'structures.0': { $exists: true } 
-    }).select('structures username email').limit(100);
-
-    console.log(`📊 Found ${allUsers.length} users with structures`);
-
-    const allStructures = [];
-    
-    allUsers.forEach(user => {
-      if (user.structures && user.structures.length > 0) {
-        user.structures.forEach(structure => {
-          allStructures.push({
-            structure_id: structure._id,
-            uid: structure.structural_identity?.uid,
-            structure_number: structure.structural_identity?.structural_identity_number,
-            structure_name: structure.structural_identity?.structure_name,
-            client_name: structure.administration?.client_name,
-            status: structure.status,
-            type: structure.structural_identity?.type_of_structure,
-            location: {
-              city: structure.structural_identity?.city_name,
-              state: structure.structural_identity?.state_code
-            },
-            owner: {
-              user_id: user._id,
-              username: user.username,
-              email: user.email
+
+    const page = Math.max(1, parseInt(req.query.page) || PAGINATION.DEFAULT_PAGE);
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || PAGINATION.DEFAULT_LIMIT), PAGINATION.MAX_LIMIT);
+    const sortField = ADMIN_STRUCTURE_SORT_FIELDS[req.query.sortBy] || ADMIN_STRUCTURE_SORT_FIELDS.updated;
+    const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
+
+    const conditions = [];
+    if (req.query.status) conditions.push({ status: String(req.query.status) });
+    if (req.query.type_of_structure) {
+      conditions.push({ 'structural_identity.type_of_structure': String(req.query.type_of_structure) });
+    }
+    if (req.query.state_code) conditions.push({ 'location.state_code': String(req.query.state_code) });
+    if (req.query.district_code) conditions.push({ 'location.district_code': String(req.query.district_code) });
+
+    if (req.query.search) {
+      const searchRegex = new RegExp(String(req.query.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      // Owner name/email matches become owner IDs so every condition runs before the join
+      const matchingOwners = await User.find({
+        $or: [{ username: searchRegex }, { email: searchRegex }]
+      }).select('_id').lean();
+
+      conditions.push({
+        $or: [
+          { 'structural_identity.uid': searchRegex },
+          { 'structural_identity.structural_identity_number': searchRegex },
+          { 'administrative.client_name': searchRegex },
+          { 'location.structure_name': searchRegex },
+          { 'location.city_name': searchRegex },
+          ...(matchingOwners.length > 0 ? [{ owner: { $in: matchingOwners.map(owner => owner._id) } }] : [])
+        ]
+      });
+    }
+
+    const [result] = await Structure.aggregate([
+      { $match: conditions.length > 0 ? { $and: conditions } : {} },
+      { $sort: { [sortField]: sortOrder, _id: sortOrder } },
+      {
+        $facet: {
+          data: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            {
+              $lookup: {
+                from: 'users',
+                localField: 'owner',
+                foreignField: '_id',
+                pipeline: [{ $project: { username: 1, email: 1 } }],
+                as: 'owner_info'
+              }
             },
-            created_date: structure.creation_info?.created_date,
-            last_updated: structure.creation_info?.last_updated_date
-          });
-        });
+            { $unwind: { path: '$owner_info', preserveNullAndEmptyArrays: true } }
+          ],
+          total: [{ $count: 'count' }]
+        }
       }
-    });
+    ]);
 
-    console.log(`📊 Total structures: ${allStructures.length}`);
+    const total = result?.total?.[0]?.count || 0;
+    const allStructures = (result?.data || []).map(structure => ({
+      structure_id: structure._id,
+      uid: structure.structural_identity?.uid,
+      structure_number: structure.structural_identity?.structural_identity_number,
+      structure_name: structure.location?.structure_name,
+      client_name: structure.administrative?.client_name,
+      status: structure.status,
+      type: structure.structural_identity?.type_of_structure,
+      location: {
+        city: structure.location?.city_name,
+        state: structure.location?.state_code
+      },
+      owner: {
+        user_id: structure.owner,
+        username: structure.owner_info?.username,
+        email: structure.owner_info?.email
+      },
+      created_date: structure.creation_info?.created_date,
+      last_updated: structure.creation_info?.last_updated_date
+    }));
 
+    console.log(`📊 Structures: ${allStructures.length} of ${total}`);
+
+    const totalPages = Math.ceil(total / limit);
     res.json({
       success: true,
       message: 'Structures retrieved successfully',
       data: allStructures,
-      total: allStructures.length
+      total,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
     });
   } catch (error) {
     console.error('Get structures error:', error);
@@ -134,19 +284,9 @@ router.get('/structures', async (req, res) => {
  */
 router.get('/structures/:id', async (req, res) => {
   try {
-    const users = await User.find({ 'structures._id': req.params.id });
-    
-    let foundStructure = null;
-    let foundUser = null;
-    
-    for (const user of users) {
-      const structure = user.structures.id(req.params.id);
-      if (structure) {
-        foundStructure = structure;
-        foundUser = user;
-        break;
-      }
-    }
+    const foundStructure = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Structure.findById(req.params.id)
+      : null;
 
     if (!foundStructure) {
       return res.status(404).json({
@@ -155,15 +295,17 @@ router.get('/structures/:id', async (req, res) => {
       });
     }
 
+    const foundUser = await User.findById(foundStructure.owner).select('username email');
+
     res.json({
       success: true,
       message: 'Structure retrieved successfully',
       data: {
         ...foundStructure.toObject(),
         owner: {
-          user_id: foundUser._id,
-          username: foundUser.username,
-          email: foundUser.email
+          user_id: foundStructure.owner,
+          username: foundUser?.username,
+          email: foundUser?.email
         }
       }
     });
@@ -185,10 +327,7 @@ router.get('/system-stats', async (req, res) => {
     const [totalUsers, activeUsers, totalStructures] = await Promise.all([
       User.countDocuments(),
       User.countDocuments({ is_active: true }),
-      User.aggregate([
-        { $project: { structureCount: { $size: { $ifNull: ['$structures', []] } } } },
-        { $group: { _id: null, total: { $sum: '$structureCount' } } }
-      ])
+      Structure.countDocuments()
     ]);
 
     res.json({
@@ -201,7 +340,7 @@ router.get('/system-stats', async (req, res) => {
           inactive: totalUsers - activeUsers
         },
         structures: {
-          total: totalStructures[0]?.total || 0
+          total: totalStructures
         },
         timestamp: new Date()
       }
@@ -215,4 +354,36 @@ router.get('/system-stats', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/admin/migrate-structures
+ * Move structures embedded in user documents into the structures collection
+ */
+router.post('/migrate-structures', async (req, res) => {
+  try {
+    const result = await migrateStructures({
+      removeEmbedded: req.body?.remove_embedded !== false
+    });
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: result.error || 'Structures migration failed',
+        data: result
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Structures migration completed successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Migrate structures error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to migrate structures'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
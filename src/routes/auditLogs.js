@@ -0,0 +1,57 @@
+const express = require('express');
+const { query } = require('express-validator');
+const auditLogController = require('../controllers/auditLogController');
+const { handleValidationErrors } = require('../middlewares/validation');
+const { CATEGORIES, OPERATIONS } = require('../models/AuditLog');
+
+// Mounted under /api/admin/audit-logs (admin router applies protect + isAdmin)
+const router = express.Router();
+
+const filterValidation = [
+  query('resource_type')
+    .optional()
+    .isIn(['Structure', 'User'])
+    .withMessage('Resource type must be "Structure" or "User"'),
+  query('resource_id')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid resource ID'),
+  query('user_id')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  query('category')
+    .optional()
+    .isIn(CATEGORIES)
+    .withMessage(`Category must be one of: ${CATEGORIES.join(', ')}`),
+  query('operation')
+    .optional()
+    .isIn(OPERATIONS)
+    .withMessage(`Operation must be one of: ${OPERATIONS.join(', ')}`),
+  query('source')
+    .optional()
+    .isIn(['request', 'system'])
+    .withMessage('Source must be "request" or "system"'),
+  query('path')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Path filter cannot exceed 500 characters'),
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be ISO 8601')
+];
+
+router.get('/',
+  filterValidation,
+  handleValidationErrors,
+  auditLogController.getAuditLogs
+);
+
+router.get('/export',
+  filterValidation,
+  handleValidationErrors,
+  auditLogController.exportAuditLogs
+);
+
+module.exports = router;
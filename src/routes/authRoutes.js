@@ -2,31 +2,18 @@ const express = require('express');
 const router = express.Router();
 const authService = require('../services/authService');
 const emailService = require('../services/emailService');
+const { body, param, query } = require('express-validator');
+const sessionController = require('../controllers/sessionController');
+const twoFactorController = require('../controllers/twoFactorController');
 const { authenticateToken } = require('../middlewares/auth');
-const rateLimit = require('express-rate-limit');
-
-// Rate limiting for auth endpoints
-/*const authLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // limit each IP to 5 requests per windowMs for auth operations
-  message: {
-    success: false,
-    error: 'Too many auth attempts, please try again later.'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-const otpLimiter = rateLimit({
-  windowMs: 1 * 60 * 1000, // 1 minute
-  max: 2, // limit each IP to 2 OTP requests per minute
-  message: {
-    success: false,
-    error: 'Too many OTP requests, please wait a minute before trying again.'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});*/
+const { handleValidationErrors } = require('../middlewares/validation');
+const {
+  loginIpLimiter,
+  otpSendIpLimiter,
+  otpSendAccountLimiter,
+  otpVerifyIpLimiter,
+  otpVerifyAccountLimiter
+} = require('../middlewares/rateLimiter');
 
 // Input validation middleware with better error handling
 const validateRegistration = (req, res, next) => {
@@ -151,6 +138,47 @@ const validateOTP = (req, res, next) => {
   }
 };
 
+// Errors from the brute-force protection carry their own status (423, 429) and retry delay
+const sendAuthError = (res, error, defaultStatus) => {
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  res.status(error.statusCode || defaultStatus).json({
+    success: false,
+    error: error.message,
+    ...(error.code && { code: error.code }),
+    ...(error.lockedUntil && { locked_until: error.lockedUntil })
+  });
+};
+
+// 2FA enrollment is open to signed-in users and to logins waiting on mandatory setup
+const authenticateForTwoFactorSetup = (req, res, next) => {
+  if (!req.body?.two_factor_token) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const decoded = authService.verifyTwoFactorToken(req.body.two_factor_token, 'two_factor_setup');
+    req.user = { userId: decoded.userId, sessionId: null };
+    req.twoFactorSetupToken = req.body.two_factor_token;
+    next();
+  } catch (error) {
+    sendAuthError(res, error, 401);
+  }
+};
+
+const validateTwoFactorCode = [
+  body('code')
+    .if(body('backup_code').not().exists())
+    .matches(/^\d{6}$/)
+    .withMessage('Enter the 6-digit code from your authenticator app or a backup code'),
+  body('backup_code')
+    .optional()
+    .isString()
+    .isLength({ min: 8, max: 20 })
+    .withMessage('Invalid backup code format')
+];
+
 // Debug middleware to log request details
 const debugMiddleware = (req, res, next) => {
   console.log('\n🔍 Auth Route Debug Info:');
@@ -189,7 +217,7 @@ router.post('/register', debugMiddleware, validateRegistration, async (req, res)
  * @desc    Verify email with OTP
  * @access  Public
  */
-router.post('/verify-email', debugMiddleware,  validateOTP, async (req, res) => {
+router.post('/verify-email', debugMiddleware, otpVerifyIpLimiter, validateOTP, otpVerifyAccountLimiter, async (req, res) => {
   try {
     console.log('📧 Processing email verification for:', req.body.email);
     const result = await authService.verifyEmailOTP(req.body.email, req.body.otp);
@@ -211,10 +239,7 @@ router.post('/verify-email', debugMiddleware,  validateOTP, async (req, res) =>
     res.status(200).json(result);
   } catch (error) {
     console.error('Email verification error:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message
-    });
+    sendAuthError(res, error, 400);
   }
 });
 
@@ -223,7 +248,7 @@ router.post('/verify-email', debugMiddleware,  validateOTP, async (req, res) =>
  * @desc    Login user
  * @access  Public
  */
-router.post('/login', debugMiddleware,  async (req, res) => {
+router.post('/login', debugMiddleware, loginIpLimiter, async (req, res) => {
   try {
     if (!req.body || typeof req.body !== 'object') {
       return res.status(400).json({
@@ -253,19 +278,42 @@ router.post('/login', debugMiddleware,  async (req, res) => {
     res.status(200).json(result);
   } catch (error) {
     console.error('Login error:', error);
-    res.status(401).json({
-      success: false,
-      error: error.message
-    });
+    sendAuthError(res, error, 401);
   }
 });
 
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Second login step: authenticator code or backup code
+ * @access  Public (with the two_factor_token from /login)
+ */
+router.post('/login/2fa',
+  debugMiddleware,
+  loginIpLimiter,
+  body('two_factor_token').isString().notEmpty().withMessage('two_factor_token from the login step is required'),
+  validateTwoFactorCode,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await authService.verifyTwoFactorLogin({
+        twoFactorToken: req.body.two_factor_token,
+        code: req.body.code,
+        backupCode: req.body.backup_code
+      });
+      res.status(200).json(result);
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      sendAuthError(res, error, 401);
+    }
+  }
+);
+
 /**
  * @route   POST /api/auth/resend-otp
  * @desc    Resend OTP for email verification or password reset
  * @access  Public
  */
-router.post('/resend-otp', debugMiddleware,  validateEmail, async (req, res) => {
+router.post('/resend-otp', debugMiddleware, otpSendIpLimiter, validateEmail, otpSendAccountLimiter, async (req, res) => {
   try {
     const { email, type } = req.body;
     
@@ -293,7 +341,7 @@ router.post('/resend-otp', debugMiddleware,  validateEmail, async (req, res) =>
  * @desc    Send password reset OTP
  * @access  Public
  */
-router.post('/forgot-password', debugMiddleware, validateEmail, async (req, res) => {
+router.post('/forgot-password', debugMiddleware, otpSendIpLimiter, validateEmail, otpSendAccountLimiter, async (req, res) => {
   try {
     console.log('🔑 Processing forgot password for:', req.body.email);
     const result = await authService.sendPasswordResetOTP(req.body.email);
@@ -312,7 +360,7 @@ router.post('/forgot-password', debugMiddleware, validateEmail, async (req, res)
  * @desc    Reset password with OTP
  * @access  Public
  */
-router.post('/reset-password', debugMiddleware, async (req, res) => {
+router.post('/reset-password', debugMiddleware, otpVerifyIpLimiter, otpVerifyAccountLimiter, async (req, res) => {
   try {
     if (!req.body || typeof req.body !== 'object') {
       return res.status(400).json({
@@ -352,10 +400,7 @@ router.post('/reset-password', debugMiddleware, async (req, res) => {
     res.status(200).json(result);
   } catch (error) {
     console.error('Reset password error:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message
-    });
+    sendAuthError(res, error, 400);
   }
 });
 
@@ -392,7 +437,7 @@ router.post('/refresh-token', debugMiddleware, async (req, res) => {
     res.status(401).json({
       success: false,
       error: error.message,
-      code: 'REFRESH_FAILED'
+      code: error.code || 'REFRESH_FAILED'
     });
   }
 });
@@ -431,7 +476,7 @@ router.put('/change-password', authenticateToken, async (req, res) => {
       currentPassword,
       newPassword,
       confirmPassword
-    });
+    }, req.user.sessionId);
     
     res.status(200).json(result);
   } catch (error) {
@@ -467,12 +512,12 @@ router.post('/verify-token', authenticateToken, async (req, res) => {
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user (client-side token removal)
+ * @desc    Logout user (signs out the current session)
  * @access  Private
  */
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
-    const result = await authService.logout(req.headers.authorization?.split(' ')[1]);
+    const result = await authService.logout(req.user.sessionId);
     res.status(200).json(result);
   } catch (error) {
     console.error('Logout error:', error);
@@ -483,6 +528,87 @@ router.post('/logout', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the devices the user is signed in on
+ * @access  Private
+ */
+router.get('/sessions', authenticateToken, sessionController.getMySessions);
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Sign out every device (?keep_current=true keeps this one)
+ * @access  Private
+ */
+router.delete('/sessions',
+  authenticateToken,
+  query('keep_current').optional().isIn(['true', 'false']).withMessage('keep_current must be true or false'),
+  handleValidationErrors,
+  sessionController.revokeMySessions
+);
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Sign out one device
+ * @access  Private
+ */
+router.delete('/sessions/:sessionId',
+  authenticateToken,
+  param('sessionId').isMongoId().withMessage('Invalid session ID'),
+  handleValidationErrors,
+  sessionController.revokeMySession
+);
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Two-factor status
+ * @access  Private
+ */
+router.get('/2fa', authenticateToken, twoFactorController.getStatus);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start 2FA enrollment (secret and otpauth:// QR URI)
+ * @access  Private, or a two_factor_token from a login requiring setup
+ */
+router.post('/2fa/setup', authenticateForTwoFactorSetup, twoFactorController.setup);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrollment with a first code; returns backup codes
+ * @access  Private, or a two_factor_token from a login requiring setup
+ */
+router.post('/2fa/enable',
+  authenticateForTwoFactorSetup,
+  body('code').matches(/^\d{6}$/).withMessage('Enter the 6-digit code from your authenticator app'),
+  handleValidationErrors,
+  twoFactorController.enable
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn 2FA off with a current code
+ * @access  Private
+ */
+router.post('/2fa/disable',
+  authenticateToken,
+  validateTwoFactorCode,
+  handleValidationErrors,
+  twoFactorController.disable
+);
+
+/**
+ * @route   POST /api/auth/2fa/backup-codes
+ * @desc    Replace the backup codes
+ * @access  Private
+ */
+router.post('/2fa/backup-codes',
+  authenticateToken,
+  validateTwoFactorCode,
+  handleValidationErrors,
+  twoFactorController.regenerateBackupCodes
+);
+
 /**
  * @route   GET /api/auth/profile
  * @desc    Get current user profile
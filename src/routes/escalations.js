@@ -0,0 +1,80 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const escalationController = require('../controllers/escalationController');
+const { authenticateToken } = require('../middlewares/auth');
+const { handleValidationErrors } = require('../middlewares/validation');
+
+const router = express.Router();
+
+const idParam = param('id')
+  .isMongoId()
+  .withMessage('Invalid escalation ID');
+
+const notesValidation = body('notes')
+  .optional()
+  .isString()
+  .isLength({ max: 1000 })
+  .withMessage('Notes cannot exceed 1000 characters');
+
+/**
+ * @route POST /api/escalations/:id/acknowledge-external
+ * @desc Custodian acknowledgment with the token from the escalation email
+ * @access Public
+ */
+router.post('/:id/acknowledge-external',
+  idParam,
+  body('token')
+    .isString()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Acknowledgment token is required'),
+  notesValidation,
+  handleValidationErrors,
+  escalationController.acknowledgeByToken
+);
+
+router.use(authenticateToken);
+
+/**
+ * @route GET /api/escalations
+ * @desc List critical escalations (?status, structure_id, page, limit)
+ * @access Private (AD/TE/VE)
+ */
+router.get('/',
+  [
+    query('status')
+      .optional()
+      .isIn(['open', 'acknowledged'])
+      .withMessage('Status must be open or acknowledged'),
+    query('structure_id')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid structure ID')
+  ],
+  handleValidationErrors,
+  escalationController.getEscalations
+);
+
+/**
+ * @route GET /api/escalations/:id
+ * @desc Get an escalation with findings, photos and acknowledgments
+ * @access Private (AD/TE/VE or a recipient)
+ */
+router.get('/:id',
+  idParam,
+  handleValidationErrors,
+  escalationController.getEscalation
+);
+
+/**
+ * @route POST /api/escalations/:id/acknowledge
+ * @desc Acknowledge an escalation
+ * @access Private (AD/TE/VE or a recipient)
+ */
+router.post('/:id/acknowledge',
+  idParam,
+  notesValidation,
+  handleValidationErrors,
+  escalationController.acknowledgeEscalation
+);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const { authenticateToken } = require('../middlewares/auth');
+const eventStreamService = require('../services/eventStreamService');
+
+const router = express.Router();
+
+// EventSource cannot send headers, so browsers pass the access token as ?access_token=.
+// The stream ends when that token expires or its session is signed out; reconnect with a fresh one.
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+router.get('/stream',
+  tokenFromQuery,
+  authenticateToken,
+  eventStreamService.subscribe
+);
+
+module.exports = router;
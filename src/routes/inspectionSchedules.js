@@ -0,0 +1,32 @@
+const express = require('express');
+const { query } = require('express-validator');
+const inspectionScheduleController = require('../controllers/inspectionScheduleController');
+const { handleValidationErrors } = require('../middlewares/validation');
+
+// Mounted under /api/admin/inspections (admin router applies protect + isAdmin)
+const router = express.Router();
+
+router.get('/',
+  [
+    query('status')
+      .optional()
+      .isIn(['upcoming', 'overdue', 'all'])
+      .withMessage('Status must be upcoming, overdue or all'),
+    query('within_days')
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage('within_days must be between 1 and 365'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  inspectionScheduleController.getInspections
+);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const lockoutController = require('../controllers/lockoutController');
+const { authorizeRole } = require('../middlewares/auth');
+const { handleValidationErrors } = require('../middlewares/validation');
+const { SECURITY_EVENTS } = require('../models/SecurityEvent');
+
+// Mounted under /api/admin/lockouts (admin router applies protect + isAdmin)
+const router = express.Router();
+
+const eventFilterValidation = [
+  query('event')
+    .optional()
+    .isIn(SECURITY_EVENTS)
+    .withMessage(`Event must be one of: ${SECURITY_EVENTS.join(', ')}`),
+  query('user_id')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  query('ip_address')
+    .optional()
+    .isIP()
+    .withMessage('Invalid IP address'),
+  query('identifier')
+    .optional()
+    .isLength({ max: 254 })
+    .withMessage('Identifier cannot exceed 254 characters'),
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be ISO 8601')
+];
+
+router.get('/', lockoutController.getLockedAccounts);
+
+router.get('/events',
+  eventFilterValidation,
+  handleValidationErrors,
+  lockoutController.getSecurityEvents
+);
+
+// Unlocking bypasses the lockout, so only AD may do it
+router.delete('/:userId',
+  authorizeRole(['AD']),
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  handleValidationErrors,
+  lockoutController.clearLockout
+);
+
+module.exports = router;
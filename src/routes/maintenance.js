@@ -1,138 +1,110 @@
 const express = require('express');
-const router = express.Router();
-const { MaintenanceRequest, Structure } = require('../models/schemas');
-const AuthService = require('../services/authService');
+const { param } = require('express-validator');
+const maintenanceController = require('../controllers/maintenanceController');
+const { authenticateToken, isAdmin } = require('../middlewares/auth');
+const { handleValidationErrors } = require('../middlewares/validation');
+const {
+  maintenanceRequestValidation,
+  maintenanceFromComponentValidation,
+  maintenanceUpdateValidation,
+  maintenanceAssignValidation,
+  maintenanceStatusValidation
+} = require('../utils/screenValidators');
 
-// Utility function for handling async errors
-const asyncHandler = (fn) => (req, res, next) => {
-  Promise.resolve(fn(req, res, next)).catch(next);
-};
+const router = express.Router();
 
-// Create maintenance request
-router.post('/', 
-  AuthService.authenticate,
-  asyncHandler(async (req, res) => {
-    try {
-      // Verify structure exists
-      const structure = await Structure.findById(req.body.structureId);
-      if (!structure) {
-        return res.status(404).json({
-          success: false,
-          error: 'Structure not found'
-        });
-      }
+router.use(authenticateToken);
 
-      const maintenanceRequest = new MaintenanceRequest({
-        ...req.body,
-        requestedBy: req.user.userId
-      });
+const idParam = param('id')
+  .isMongoId()
+  .withMessage('Invalid maintenance request ID');
 
-      await maintenanceRequest.save();
-      await maintenanceRequest.populate('structureId', 'administrationDetails.popularNameOfStructure');
-      await maintenanceRequest.populate('requestedBy', 'username email profile');
+/**
+ * @route GET /api/maintenance
+ * @desc List maintenance requests (?status, priority, structure_id, assigned_to=me, overdue=true, page, limit)
+ * @access Private
+ */
+router.get('/', maintenanceController.getMaintenanceRequests);
 
-      res.status(201).json({
-        success: true,
-        message: 'Maintenance request created successfully',
-        data: { maintenanceRequest }
-      });
-    } catch (error) {
-      res.status(400).json({
-        success: false,
-        error: error.message || 'Failed to create maintenance request'
-      });
-    }
-  })
+/**
+ * @route POST /api/maintenance
+ * @desc Raise a maintenance request for a structure
+ * @access Private (structure owner or AD/TE/VE)
+ */
+router.post('/',
+  maintenanceRequestValidation,
+  handleValidationErrors,
+  maintenanceController.createMaintenanceRequest
 );
 
-// Get all maintenance requests
-router.get('/', 
-  AuthService.authenticate,
-  asyncHandler(async (req, res) => {
-    try {
-      const {
-        page = 1,
-        limit = 10,
-        status,
-        priority,
-        category
-      } = req.query;
-
-      const filter = {};
-      if (status) filter.status = status;
-      if (priority) filter.priority = priority;
-      if (category) filter.category = category;
-
-      // Role-based filtering
-      if (req.user.role === 'viewer') {
-        filter.requestedBy = req.user.userId;
-      }
-
-      const requests = await MaintenanceRequest.find(filter)
-        .populate('structureId', 'administrationDetails.popularNameOfStructure structuralIdentityNumber')
-        .populate('requestedBy', 'username email profile')
-        .populate('assignedTo', 'username email profile')
-        .sort({ createdAt: -1 })
-        .limit(parseInt(limit))
-        .skip((parseInt(page) - 1) * parseInt(limit));
+/**
+ * @route POST /api/maintenance/from-component
+ * @desc Raise a maintenance request from a low-rated component instance
+ * @access Private (structure owner or AD/TE/VE)
+ */
+router.post('/from-component',
+  maintenanceFromComponentValidation,
+  handleValidationErrors,
+  maintenanceController.createFromComponent
+);
 
-      const total = await MaintenanceRequest.countDocuments(filter);
+/**
+ * @route GET /api/maintenance/:id
+ * @desc Get a maintenance request with its status history
+ * @access Private
+ */
+router.get('/:id',
+  idParam,
+  handleValidationErrors,
+  maintenanceController.getMaintenanceRequest
+);
 
-      res.json({
-        success: true,
-        data: {
-          requests,
-          pagination: {
-            currentPage: parseInt(page),
-            totalPages: Math.ceil(total / parseInt(limit)),
-            totalRequests: total,
-            limit: parseInt(limit)
-          }
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to fetch maintenance requests'
-      });
-    }
-  })
+/**
+ * @route PUT /api/maintenance/:id
+ * @desc Edit request details, costs and due date
+ * @access Private (requester or AD/TE/VE)
+ */
+router.put('/:id',
+  idParam,
+  maintenanceUpdateValidation,
+  handleValidationErrors,
+  maintenanceController.updateMaintenanceRequest
 );
 
-// Update maintenance request
-router.put('/:id', 
-  AuthService.authenticate,
-  AuthService.authorize(['admin', 'inspector']),
-  asyncHandler(async (req, res) => {
-    try {
-      const request = await MaintenanceRequest.findByIdAndUpdate(
-        req.params.id,
-        { ...req.body, updatedAt: new Date() },
-        { new: true, runValidators: true }
-      )
-      .populate('structureId', 'administrationDetails.popularNameOfStructure')
-      .populate('requestedBy', 'username email profile')
-      .populate('assignedTo', 'username email profile');
+/**
+ * @route POST /api/maintenance/:id/assign
+ * @desc Set the assignees of a request
+ * @access Private (AD/TE/VE)
+ */
+router.post('/:id/assign',
+  isAdmin,
+  idParam,
+  maintenanceAssignValidation,
+  handleValidationErrors,
+  maintenanceController.assignMaintenanceRequest
+);
 
-      if (!request) {
-        return res.status(404).json({
-          success: false,
-          error: 'Maintenance request not found'
-        });
-      }
+/**
+ * @route POST /api/maintenance/:id/status
+ * @desc Start, complete, verify or reopen a request
+ * @access Private (assignees; AD/TE/VE to verify)
+ */
+router.post('/:id/status',
+  idParam,
+  maintenanceStatusValidation,
+  handleValidationErrors,
+  maintenanceController.updateMaintenanceStatus
+);
 
-      res.json({
-        success: true,
-        message: 'Maintenance request updated successfully',
-        data: { request }
-      });
-    } catch (error) {
-      res.status(400).json({
-        success: false,
-        error: error.message || 'Failed to update maintenance request'
-      });
-    }
-  })
+/**
+ * @route DELETE /api/maintenance/:id
+ * @desc Delete a request that has not been started
+ * @access Private (requester or AD/TE/VE)
+ */
+router.delete('/:id',
+  idParam,
+  handleValidationErrors,
+  maintenanceController.deleteMaintenanceRequest
 );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,17 +1,32 @@
 const express = require('express');
 const router = express.Router();
-const { Notification, Structure, MaintenanceRequest } = require('../models/schemas');
-const AuthService = require('../services/authService');
-const NotificationService = require('../services/notificationService');
+const mongoose = require('mongoose');
+const { body } = require('express-validator');
+const { Notification, User } = require('../models/schemas');
+const { authenticateToken } = require('../middlewares/auth');
+const { handleValidationErrors } = require('../middlewares/validation');
+const { EMAIL_FREQUENCIES } = require('../services/notificationService');
 
 // Utility function for handling async errors
 const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
 
+// Unknown ids are reported as not found instead of failing the cast
+const validateNotificationId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Notification not found'
+    });
+  }
+  next();
+};
+
+router.use(authenticateToken);
+
 // Get all notifications for authenticated user
 router.get('/', 
-  AuthService.authenticate,
   asyncHandler(async (req, res) => {
     try {
       const {
@@ -69,7 +84,6 @@ router.get('/',
 
 // Get notification counts by type
 router.get('/counts', 
-  AuthService.authenticate,
   asyncHandler(async (req, res) => {
     try {
       const counts = await Notification.aggregate([
@@ -88,18 +102,17 @@ router.get('/counts',
       const formattedCounts = {
         total: 0,
         unread: 0,
-        byType: {
-          inspection_due: { total: 0, unread: 0 },
-          maintenance_request: { total: 0, unread: 0 },
-          system_alert: { total: 0, unread: 0 },
-          general: { total: 0, unread: 0 }
-        }
+        byType: Notification.schema.path('type').enumValues.reduce((byType, type) => {
+          byType[type] = { total: 0, unread: 0 };
+          return byType;
+        }, {})
       };
 
       counts.forEach(item => {
         const { type, isRead } = item._id;
         const count = item.count;
         
+        formattedCounts.byType[type] = formattedCounts.byType[type] || { total: 0, unread: 0 };
         formattedCounts.total += count;
         
         if (!isRead) {
@@ -126,7 +139,7 @@ router.get('/counts',
 
 // Mark notification as read
 router.put('/:id/read', 
-  AuthService.authenticate,
+  validateNotificationId,
   asyncHandler(async (req, res) => {
     try {
       const notification = await Notification.findOne({
@@ -141,8 +154,11 @@ router.put('/:id/read',
         });
       }
 
-      notification.isRead = true;
-      await notification.save();
+      if (!notification.isRead) {
+        notification.isRead = true;
+        notification.readAt = new Date();
+        await notification.save();
+      }
 
       res.json({
         success: true,
@@ -159,57 +175,88 @@ router.put('/:id/read',
   })
 );
 
-// Mark all notifications as read
-router.put('/mark-all-read', 
-  AuthService.authenticate,
+// Get the current user's notification preferences
+router.get('/preferences', 
   asyncHandler(async (req, res) => {
     try {
-      const result = await Notification.updateMany(
-        { userId: req.user.userId, isRead: false },
-        { isRead: true }
-      );
+      const user = await User.findById(req.user.userId).select('notification_preferences').lean();
 
       res.json({
         success: true,
-        message: `${result.modifiedCount} notifications marked as read`,
-        data: { modifiedCount: result.modifiedCount }
+        data: {
+          email_frequency: user?.notification_preferences?.email_frequency || 'immediate',
+          last_digest_sent_at: user?.notification_preferences?.last_digest_sent_at || null,
+          available_frequencies: EMAIL_FREQUENCIES
+        }
       });
     } catch (error) {
-      console.error('Mark all notifications as read error:', error);
+      console.error('Get notification preferences error:', error);
       res.status(500).json({
         success: false,
-        error: 'Failed to mark all notifications as read'
+        error: 'Failed to get notification preferences'
       });
     }
   })
 );
 
-// Delete notification
-router.delete('/:id', 
-  AuthService.authenticate,
+// Choose immediate emails, a daily digest or no emails
+router.put('/preferences', 
+  body('email_frequency')
+    .isIn(EMAIL_FREQUENCIES)
+    .withMessage(`Email frequency must be one of: ${EMAIL_FREQUENCIES.join(', ')}`),
+  handleValidationErrors,
   asyncHandler(async (req, res) => {
     try {
-      const notification = await Notification.findOneAndDelete({
-        _id: req.params.id,
-        userId: req.user.userId
-      });
+      const user = await User.findByIdAndUpdate(
+        req.user.userId,
+        { 'notification_preferences.email_frequency': req.body.email_frequency },
+        { new: true }
+      ).select('notification_preferences').lean();
 
-      if (!notification) {
+      if (!user) {
         return res.status(404).json({
           success: false,
-          error: 'Notification not found'
+          error: 'User not found'
         });
       }
 
       res.json({
         success: true,
-        message: 'Notification deleted successfully'
+        message: 'Notification preferences updated',
+        data: {
+          email_frequency: user.notification_preferences.email_frequency,
+          last_digest_sent_at: user.notification_preferences.last_digest_sent_at || null
+        }
       });
     } catch (error) {
-      console.error('Delete notification error:', error);
+      console.error('Update notification preferences error:', error);
       res.status(500).json({
         success: false,
-        error: 'Failed to delete notification'
+        error: 'Failed to update notification preferences'
+      });
+    }
+  })
+);
+
+// Mark all notifications as read
+router.put('/mark-all-read', 
+  asyncHandler(async (req, res) => {
+    try {
+      const result = await Notification.updateMany(
+        { userId: req.user.userId, isRead: false },
+        { isRead: true, readAt: new Date() }
+      );
+
+      res.json({
+        success: true,
+        message: `${result.modifiedCount} notifications marked as read`,
+        data: { modifiedCount: result.modifiedCount }
+      });
+    } catch (error) {
+      console.error('Mark all notifications as read error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to mark all notifications as read'
       });
     }
   })
@@ -217,7 +264,6 @@ router.delete('/:id',
 
 // Delete all read notifications
 router.delete('/clear-read', 
-  AuthService.authenticate,
   asyncHandler(async (req, res) => {
     try {
       const result = await Notification.deleteMany({
@@ -240,9 +286,40 @@ router.delete('/clear-read',
   })
 );
 
+// Delete notification
+router.delete('/:id', 
+  validateNotificationId,
+  asyncHandler(async (req, res) => {
+    try {
+      const notification = await Notification.findOneAndDelete({
+        _id: req.params.id,
+        userId: req.user.userId
+      });
+
+      if (!notification) {
+        return res.status(404).json({
+          success: false,
+          error: 'Notification not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Notification deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete notification error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete notification'
+      });
+    }
+  })
+);
+
 // Get notification by ID
 router.get('/:id', 
-  AuthService.authenticate,
+  validateNotificationId,
   asyncHandler(async (req, res) => {
     try {
       const notification = await Notification.findOne({
@@ -260,6 +337,7 @@ router.get('/:id',
       // Automatically mark as read when viewed
       if (!notification.isRead) {
         notification.isRead = true;
+        notification.readAt = new Date();
         await notification.save();
       }
 
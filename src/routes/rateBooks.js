@@ -0,0 +1,56 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const rateBookController = require('../controllers/rateBookController');
+const { handleValidationErrors } = require('../middlewares/validation');
+const { rateBookValidation, rateBookUpdateValidation } = require('../utils/screenValidators');
+
+// Mounted under /api/admin/rate-books (admin router applies protect + isAdmin)
+const router = express.Router();
+
+const idParam = param('id')
+  .isMongoId()
+  .withMessage('Invalid rate book ID');
+
+router.get('/', rateBookController.getRateBooks);
+
+router.get('/resolve',
+  [
+    query('state_code')
+      .optional()
+      .matches(/^[A-Za-z]{2}$/)
+      .withMessage('State code must be 2 letters'),
+    query('structure_subtype')
+      .optional()
+      .isIn(['rcc', 'steel'])
+      .withMessage('Structure subtype must be rcc or steel')
+  ],
+  handleValidationErrors,
+  rateBookController.resolveRateBook
+);
+
+router.post('/',
+  rateBookValidation,
+  handleValidationErrors,
+  rateBookController.createRateBook
+);
+
+router.get('/:id',
+  idParam,
+  handleValidationErrors,
+  rateBookController.getRateBook
+);
+
+router.put('/:id',
+  idParam,
+  rateBookUpdateValidation,
+  handleValidationErrors,
+  rateBookController.updateRateBook
+);
+
+router.delete('/:id',
+  idParam,
+  handleValidationErrors,
+  rateBookController.deleteRateBook
+);
+
+module.exports = router;
@@ -1,7 +1,11 @@
 const express = require('express');
 const ExcelJS = require('exceljs');
-const { User } = require('../models/schemas'); // Adjust path to your schemas
-const { authenticateToken, authorizeRole } = require('../middlewares/auth'); // Use your existing auth
+const { Structure } = require('../models/schemas');
+const { authenticateToken, authorizeRole, hasPrivilegedAccess } = require('../middlewares/auth'); // Use your existing auth
+const reportPdfService = require('../services/reportPdfService');
+const boqService = require('../services/boqService');
+const rateBookService = require('../services/rateBookService');
+const observationReportService = require('../services/observationReportService');
 const router = express.Router();
 const mongoose = require('mongoose');
 
@@ -83,6 +87,155 @@ const getPriorityColor = (priority) => {
   }
 };
 
+/**
+ * Aggregation pipeline yielding `{ structure, user_info }` rows for exports.
+ * Structures whose owner is inactive are left out.
+ */
+const buildStructureExportPipeline = (structureMatch = {}) => ([
+  { $match: structureMatch },
+  { $project: { _id: 0, structure: '$$ROOT' } },
+  {
+    $lookup: {
+      from: 'users',
+      localField: 'structure.owner',
+      foreignField: '_id',
+      as: 'user_info'
+    }
+  },
+  { $unwind: '$user_info' },
+  { $match: { 'user_info.is_active': true } }
+]);
+
+const toObjectId = (id) => (
+  mongoose.Types.ObjectId.isValid(id) ? new mongoose.Types.ObjectId(id) : id
+);
+
+// =================== NDT TEST RESULTS ===================
+
+const NDT_RESULT_COLUMNS = [
+  { header: 'Structure ID', key: 'structure_id', width: 20 },
+  { header: 'Level', key: 'level', width: 10 },
+  { header: 'Floor#', key: 'floor_number', width: 8 },
+  { header: 'Unit/Block', key: 'unit', width: 12 },
+  { header: 'Test', key: 'test_name', width: 22 },
+  { header: 'Format', key: 'format', width: 22 },
+  { header: 'Component', key: 'component', width: 22 },
+  { header: 'Test Date', key: 'test_date', width: 12 },
+  { header: 'Tested By', key: 'tested_by', width: 18 },
+  { header: 'Raw Results', key: 'raw_results', width: 40 },
+  { header: 'Est. Strength (MPa)', key: 'strength', width: 14 },
+  { header: 'UPV Grade', key: 'upv_grade', width: 12 },
+  { header: 'Corrosion Probability', key: 'corrosion', width: 14 },
+  { header: 'Carbonation Status', key: 'carbonation', width: 18 },
+  { header: 'Interpretation', key: 'interpretation', width: 50 }
+];
+
+const formatRawResults = (testResults = {}) => Object.entries(testResults)
+  .map(([field, value]) => {
+    if (value instanceof Date) return `${field}: ${value.toISOString().split('T')[0]}`;
+    if (Array.isArray(value)) return `${field}: ${value.join('/')}`;
+    if (value && typeof value === 'object') return `${field}: ${value.filename || value.file_path || JSON.stringify(value)}`;
+    return `${field}: ${value}`;
+  })
+  .join('; ');
+
+/**
+ * Flatten structure, floor, flat and block test results into export rows
+ */
+const collectTestResultRows = (structure) => {
+  const rows = [];
+  const structureId = structure.structural_identity?.structural_identity_number;
+
+  const pushResults = (results, location) => {
+    (results || []).forEach(result => {
+      const interpretation = result.interpretation || {};
+      rows.push({
+        structure_id: structureId,
+        ...location,
+        test_name: result.test_name === 'custom' ? result.format_key || 'custom' : result.test_name,
+        format: result.format_id ? `${result.format_id}${result.format_version ? ` (v${result.format_version})` : ''}` : '',
+        component: [result.component_type, result.component_id].filter(Boolean).join(' / '),
+        test_date: result.test_date ? new Date(result.test_date).toISOString().split('T')[0] : '',
+        tested_by: result.tested_by,
+        raw_results: formatRawResults(result.test_results),
+        strength: interpretation.estimated_compressive_strength_mpa,
+        upv_grade: interpretation.quality_grade,
+        corrosion: interpretation.corrosion_probability,
+        carbonation: interpretation.status,
+        interpretation: interpretation.summary || ''
+      });
+    });
+  };
+
+  pushResults(structure.structure_test_results, { level: 'structure' });
+
+  (structure.geometric_details?.floors || []).forEach(floor => {
+    pushResults(floor.test_results, { level: 'floor', floor_number: floor.floor_number });
+    (floor.flats || []).forEach(flat => {
+      pushResults(flat.test_results, { level: 'flat', floor_number: floor.floor_number, unit: flat.flat_number });
+    });
+    (floor.blocks || []).forEach(block => {
+      pushResults(block.test_results, { level: 'block', floor_number: floor.floor_number, unit: block.block_number });
+    });
+  });
+
+  return rows;
+};
+
+/**
+ * Add an "NDT Results" sheet with raw values and computed interpretations.
+ * Nothing is added when none of the structures have test results.
+ */
+const addTestResultsSheet = (workbook, structures) => {
+  const rows = structures.flatMap(collectTestResultRows);
+  if (rows.length === 0) return null;
+
+  const sheet = workbook.addWorksheet('🧪 NDT Results', {
+    properties: { tabColor: { argb: COLORS.WARNING } }
+  });
+  sheet.columns = NDT_RESULT_COLUMNS;
+
+  const headerRow = sheet.getRow(1);
+  headerRow.height = 25;
+  headerRow.eachCell(cell => Object.assign(cell, createHeaderStyle(COLORS.SECONDARY)));
+
+  rows.forEach((rowData, index) => {
+    const row = sheet.addRow(rowData);
+    row.eachCell({ includeEmpty: true }, cell => Object.assign(cell, createDataCellStyle(index % 2 === 1)));
+
+    const corrosionCell = row.getCell('corrosion');
+    if (rowData.corrosion === 'high' || rowData.carbonation === 'reached_reinforcement' || rowData.upv_grade === 'doubtful') {
+      row.getCell('interpretation').font = { ...FONTS.BODY, bold: true, color: { argb: COLORS.DANGER } };
+    }
+    if (rowData.corrosion) {
+      corrosionCell.font = { ...FONTS.BODY, bold: true, color: { argb: getPriorityColor(rowData.corrosion === 'uncertain' ? 'medium' : rowData.corrosion) } };
+    }
+  });
+
+  sheet.views = [{ state: 'frozen', xSplit: 1, ySplit: 1 }];
+  return sheet;
+};
+
+/**
+ * Load a single structure (by _id or structural identity number) with its
+ * owner for a report. Owners see their own structures, AD/TE/VE see all.
+ * @returns {Promise<{structure: Object, user_info: Object}|null>}
+ */
+const findReportStructure = async (req) => {
+  const { id } = req.params;
+
+  const matchStage = mongoose.Types.ObjectId.isValid(id)
+    ? { _id: new mongoose.Types.ObjectId(id) }
+    : { 'structural_identity.structural_identity_number': id };
+
+  const results = await Structure.aggregate(buildStructureExportPipeline({
+    ...matchStage,
+    ...(!hasPrivilegedAccess(req.user) && { owner: toObjectId(req.user.userId) })
+  }));
+
+  return results[0] || null;
+};
+
 // =================== MIDDLEWARE FOR REPORTS ===================
 
 const checkExportPermissions = (req, res, next) => {
@@ -149,54 +302,33 @@ router.get('/structures/download',
     } = req.query;
 
     // =================== BUILD QUERY FILTERS ===================
-    let userQuery = { is_active: true };
     let structureFilters = {};
 
-    if (user_id) userQuery._id = user_id;
-    if (req.user.role !== 'admin') userQuery._id = req.user.userId;
+    if (user_id) structureFilters.owner = toObjectId(user_id);
+    if (req.user.role !== 'admin') structureFilters.owner = toObjectId(req.user.userId);
 
     if (structure_ids) {
-      const ids = structure_ids.split(',').map(id => id.trim());
-      structureFilters['structures._id'] = { $in: ids };
+      const ids = structure_ids.split(',').map(id => toObjectId(id.trim()));
+      structureFilters._id = { $in: ids };
     }
 
-    if (state_code) structureFilters['structures.structural_identity.state_code'] = state_code.toUpperCase();
-    if (district_code) structureFilters['structures.structural_identity.district_code'] = district_code;
-    if (city_name) structureFilters['structures.structural_identity.city_name'] = new RegExp(city_name, 'i');
-    if (type_of_structure) structureFilters['structures.structural_identity.type_of_structure'] = type_of_structure;
-    if (status) structureFilters['structures.status'] = status;
-    if (health_status) structureFilters['structures.overall_structural_rating.health_status'] = health_status;
-    if (priority) structureFilters['structures.overall_structural_rating.priority'] = priority;
+    if (state_code) structureFilters['location.state_code'] = state_code.toUpperCase();
+    if (district_code) structureFilters['location.district_code'] = district_code;
+    if (city_name) structureFilters['location.city_name'] = new RegExp(city_name, 'i');
+    if (type_of_structure) structureFilters['structural_identity.type_of_structure'] = type_of_structure;
+    if (status) structureFilters.status = status;
+    if (health_status) structureFilters['overall_structural_rating.health_status'] = health_status;
+    if (priority) structureFilters['overall_structural_rating.priority'] = priority;
 
     if (date_from || date_to) {
       const dateFilter = {};
       if (date_from) dateFilter.$gte = new Date(date_from);
       if (date_to) dateFilter.$lte = new Date(date_to);
-      structureFilters['structures.creation_info.created_date'] = dateFilter;
+      structureFilters['creation_info.created_date'] = dateFilter;
     }
 
     // =================== DATABASE QUERY ===================
-    const aggregationPipeline = [
-      { $match: userQuery },
-      { $unwind: '$structures' },
-      { $match: structureFilters },
-      {
-        $lookup: {
-          from: 'users',
-          localField: '_id',
-          foreignField: '_id',
-          as: 'user_info'
-        }
-      },
-      {
-        $project: {
-          user_info: { $arrayElemAt: ['$user_info', 0] },
-          structure: '$structures'
-        }
-      }
-    ];
-
-    const results = await User.aggregate(aggregationPipeline);
+    const results = await Structure.aggregate(buildStructureExportPipeline(structureFilters));
 
     if (!results || results.length === 0) {
       return res.status(404).json({
@@ -489,6 +621,9 @@ router.get('/structures/download',
       });
     }
 
+    // =================== NDT RESULTS SHEET ===================
+    addTestResultsSheet(workbook, results.map(result => result.structure));
+
     // =================== FINALIZE AND SEND ===================
     const fileName = `SAMS_Enhanced_Report_${new Date().toISOString().split('T')[0]}_${Date.now()}.xlsx`;
     
@@ -516,14 +651,13 @@ router.get('/structures/complete-download',
   checkExportPermissions,
   async (req, res) => {
     try {
-      const results = await User.aggregate([
-        { $match: { _id: req.user.userId, is_active: true } },
-        { $unwind: '$structures' },
+      const results = await Structure.aggregate([
+        ...buildStructureExportPipeline({ owner: toObjectId(req.user.userId) }),
         {
           $project: {
-            structure: '$structures',
-            user_email: '$email',
-            username: '$username'
+            structure: 1,
+            user_email: '$user_info.email',
+            username: '$user_info.username'
           }
         }
       ]);
@@ -751,6 +885,8 @@ router.get('/structures/complete-download',
         to: `${String.fromCharCode(65 + columnConfig.length - 1)}1`
       };
 
+      addTestResultsSheet(workbook, results.map(result => result.structure));
+
       const fileName = `SAMS_Complete_Enhanced_Report_${new Date().toISOString().split('T')[0]}_${Date.now()}.xlsx`;
       res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
       res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
@@ -773,15 +909,13 @@ router.get('/structures/:id/download',
       const { id } = req.params;
 
       const matchStage = mongoose.Types.ObjectId.isValid(id)
-        ? { 'structures._id': new mongoose.Types.ObjectId(id) }
-        : { 'structures.structural_identity.structural_identity_number': id };
-
-      const results = await User.aggregate([
-        { $match: { is_active: true, ...(req.user.role !== 'admin' && { _id: req.user.userId }) } },
-        { $unwind: '$structures' },
-        { $match: matchStage },
-        { $project: { structure: '$structures' } }
-      ]);
+        ? { _id: new mongoose.Types.ObjectId(id) }
+        : { 'structural_identity.structural_identity_number': id };
+
+      const results = await Structure.aggregate(buildStructureExportPipeline({
+        ...matchStage,
+        ...(req.user.role !== 'admin' && { owner: toObjectId(req.user.userId) })
+      }));
 
       if (!results || results.length === 0) {
         return res.status(404).json({ success: false, message: 'Structure not found' });
@@ -985,6 +1119,9 @@ router.get('/structures/:id/download',
         to: `${String.fromCharCode(65 + detailColumns.length - 1)}1`
       };
 
+      // =================== NDT RESULTS SHEET ===================
+      addTestResultsSheet(workbook, [structure]);
+
       // =================== SUMMARY STATISTICS SHEET ===================
       const statsSheet = workbook.addWorksheet('📈 Statistics', {
         properties: { tabColor: { argb: COLORS.SUCCESS } }
@@ -1059,6 +1196,205 @@ router.get('/structures/:id/download',
   }
 );
 
+// =================== SINGLE STRUCTURE PDF REPORT ===================
+
+/**
+ * @route GET /api/reports/structures/:id/pdf
+ * @desc Download the condition-assessment report of a structure as PDF
+ * @access Private (Structure owner or AD/TE/VE)
+ */
+router.get('/structures/:id/pdf',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const result = await findReportStructure(req);
+      if (!result) {
+        return res.status(404).json({ success: false, message: 'Structure not found' });
+      }
+
+      const { structure, user_info: owner } = result;
+
+      const pdf = await reportPdfService.generateStructureReport(structure, {
+        owner,
+        generatedBy: req.user.username || req.user.email
+      });
+
+      const fileName = `SAMS_Condition_Assessment_${structure.structural_identity?.structural_identity_number || structure._id}_${Date.now()}.pdf`;
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.setHeader('Content-Length', pdf.length);
+
+      console.log(`📄 PDF report for structure ${structure._id} generated by ${req.user.email}`);
+      res.end(pdf);
+
+    } catch (err) {
+      console.error('❌ PDF report generation failed:', err);
+      res.status(500).json({ success: false, message: 'Failed to generate PDF report' });
+    }
+  }
+);
+
+// =================== BILL OF QUANTITIES ===================
+
+/**
+ * Build the BOQ of a structure and record it on `reports.bill_of_quantities`.
+ * Quantities are priced with the rate book of the structure's state and
+ * subtype. `format=excel` returns a workbook, anything else JSON. POST bodies
+ * may carry `unit_rates` ([{ category?, repair_methodology?, unit, rate }])
+ * and `rates_by_unit` ({ SQM: 1200, ... }) overriding the rate book.
+ */
+const generateBillOfQuantities = async (req, res) => {
+  try {
+    const { unit_rates: unitRates, rates_by_unit: ratesByUnit } = req.body || {};
+    const format = req.query.format || req.body?.format || 'json';
+
+    if (unitRates !== undefined && !Array.isArray(unitRates)) {
+      return res.status(400).json({ success: false, message: 'unit_rates must be an array' });
+    }
+    if (ratesByUnit !== undefined && (typeof ratesByUnit !== 'object' || Array.isArray(ratesByUnit))) {
+      return res.status(400).json({ success: false, message: 'rates_by_unit must be an object' });
+    }
+
+    const invalidRate = (unitRates || []).find(rate =>
+      !rate || !rate.unit || !Number.isFinite(Number(rate.rate)) || Number(rate.rate) < 0
+    );
+    if (invalidRate) {
+      return res.status(400).json({ success: false, message: 'Each unit rate needs a unit and a non-negative rate' });
+    }
+
+    const result = await findReportStructure(req);
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Structure not found' });
+    }
+
+    const { structure } = result;
+    const rateBook = await rateBookService.getRateBookForStructure(structure);
+    const boq = boqService.buildBoq(structure, { rateBook, unitRates, ratesByUnit });
+
+    if (boq.totals.line_items === 0) {
+      return res.status(404).json({ success: false, message: 'No quantification entries recorded for this structure' });
+    }
+
+    await Structure.updateOne({ _id: structure._id }, {
+      $set: {
+        'reports.bill_of_quantities.generated': true,
+        'reports.bill_of_quantities.generated_at': boq.generated_at,
+        'reports.bill_of_quantities.file_path': `/api/reports/structures/${structure._id}/boq?format=excel`,
+        'reports.bill_of_quantities.total_amount': boq.totals.grand_total,
+        'reports.bill_of_quantities.currency': boq.currency
+      }
+    });
+
+    console.log(`🧾 BOQ for structure ${structure._id} generated by ${req.user.email} - ${boq.totals.line_items} items, ${boq.currency} ${boq.totals.grand_total}`);
+
+    if (format !== 'excel') {
+      return res.status(200).json({
+        success: true,
+        message: 'Bill of quantities generated successfully',
+        data: boq
+      });
+    }
+
+    const workbook = boqService.buildWorkbook(boq, { author: req.user.username || req.user.email });
+    const fileName = `SAMS_BOQ_${structure.structural_identity?.structural_identity_number || structure._id}_${Date.now()}.xlsx`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    await workbook.xlsx.write(res);
+    res.end();
+
+  } catch (err) {
+    console.error('❌ BOQ generation failed:', err);
+    res.status(500).json({ success: false, message: 'Failed to generate bill of quantities' });
+  }
+};
+
+/**
+ * @route GET /api/reports/structures/:id/boq
+ * @desc Bill of quantities priced with the structure's rate book (?format=json|excel)
+ * @access Private (Structure owner or AD/TE/VE)
+ */
+router.get('/structures/:id/boq', authenticateToken, generateBillOfQuantities);
+
+/**
+ * @route POST /api/reports/structures/:id/boq
+ * @desc Bill of quantities with unit rates supplied in the request body
+ * @access Private (Structure owner or AD/TE/VE)
+ */
+router.post('/structures/:id/boq', authenticateToken, generateBillOfQuantities);
+
+// =================== OBSERVATIONS WITH QUANTIFICATIONS ===================
+
+/**
+ * @route GET /api/reports/structures/:id/observations
+ * @desc Distressed component instances with their quantification entries,
+ *       grouped floor -> flat/block (?format=excel|pdf|json, default excel).
+ *       Excel and PDF downloads are recorded on `reports.observations_with_quantifications`.
+ * @access Private (Structure owner or AD/TE/VE)
+ */
+router.get('/structures/:id/observations',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const format = req.query.format || 'excel';
+      if (!['excel', 'pdf', 'json'].includes(format)) {
+        return res.status(400).json({ success: false, message: 'Format must be excel, pdf or json' });
+      }
+
+      const result = await findReportStructure(req);
+      if (!result) {
+        return res.status(404).json({ success: false, message: 'Structure not found' });
+      }
+
+      const { structure } = result;
+      const report = observationReportService.buildReport(structure);
+
+      if (format === 'json') {
+        return res.status(200).json({
+          success: true,
+          message: 'Observations report generated successfully',
+          data: report
+        });
+      }
+
+      const generatedBy = req.user.username || req.user.email;
+      const reference = structure.structural_identity?.structural_identity_number || structure._id;
+      let fileName;
+      let contents;
+
+      if (format === 'pdf') {
+        contents = await reportPdfService.generateObservationsReport(structure, report, { generatedBy });
+        fileName = `SAMS_Observations_${reference}_${Date.now()}.pdf`;
+        res.setHeader('Content-Type', 'application/pdf');
+      } else {
+        const workbook = observationReportService.buildWorkbook(report, { author: generatedBy });
+        contents = Buffer.from(await workbook.xlsx.writeBuffer());
+        fileName = `SAMS_Observations_${reference}_${Date.now()}.xlsx`;
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      }
+
+      await Structure.updateOne({ _id: structure._id }, {
+        $set: {
+          'reports.observations_with_quantifications.generated': true,
+          'reports.observations_with_quantifications.generated_at': report.generated_at,
+          'reports.observations_with_quantifications.file_path': `/api/reports/structures/${structure._id}/observations?format=${format}`,
+          'reports.observations_with_quantifications.format': format,
+          'reports.observations_with_quantifications.observation_count': report.totals.observations
+        }
+      });
+
+      console.log(`📋 Observations report (${format}) for structure ${structure._id} generated by ${req.user.email} - ${report.totals.observations} observations`);
+
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.setHeader('Content-Length', contents.length);
+      res.end(contents);
+
+    } catch (err) {
+      console.error('❌ Observations report generation failed:', err);
+      res.status(500).json({ success: false, message: 'Failed to generate observations report' });
+    }
+  }
+);
+
 /**
  * @route GET /api/reports/structures/metadata
  * @desc Get metadata for structure reports (for UI filters)
@@ -1071,30 +1407,29 @@ router.get('/structures/metadata',
   try {
     console.log('📊 Report metadata requested by:', req.user.email);
 
-    let userQuery = { is_active: true };
+    const structureQuery = {};
     
     if (req.user.role !== 'admin') {
-      userQuery._id = req.user.userId;
+      structureQuery.owner = toObjectId(req.user.userId);
     }
 
-    const metadata = await User.aggregate([
-      { $match: userQuery },
-      { $unwind: '$structures' },
+    const metadata = await Structure.aggregate([
+      ...buildStructureExportPipeline(structureQuery),
       {
         $group: {
           _id: null,
-          states: { $addToSet: '$structures.structural_identity.state_code' },
-          districts: { $addToSet: '$structures.structural_identity.district_code' },
-          cities: { $addToSet: '$structures.structural_identity.city_name' },
-          structure_types: { $addToSet: '$structures.structural_identity.type_of_structure' },
-          statuses: { $addToSet: '$structures.status' },
-          health_statuses: { $addToSet: '$structures.overall_structural_rating.health_status' },
-          priorities: { $addToSet: '$structures.overall_structural_rating.priority' },
+          states: { $addToSet: '$structure.location.state_code' },
+          districts: { $addToSet: '$structure.location.district_code' },
+          cities: { $addToSet: '$structure.location.city_name' },
+          structure_types: { $addToSet: '$structure.structural_identity.type_of_structure' },
+          statuses: { $addToSet: '$structure.status' },
+          health_statuses: { $addToSet: '$structure.overall_structural_rating.health_status' },
+          priorities: { $addToSet: '$structure.overall_structural_rating.priority' },
           total_structures: { $sum: 1 },
           date_range: {
             $push: {
-              min: { $min: '$structures.creation_info.created_date' },
-              max: { $max: '$structures.creation_info.created_date' }
+              min: { $min: '$structure.creation_info.created_date' },
+              max: { $max: '$structure.creation_info.created_date' }
             }
           }
         }
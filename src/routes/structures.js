@@ -1,8 +1,16 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const structureController = require('../controllers/structureController');
+const testResultController = require('../controllers/testResultController');
+const assignmentController = require('../controllers/assignmentController');
+const rejectionFindingController = require('../controllers/rejectionFindingController');
+const snapshotController = require('../controllers/snapshotController');
+const auditCycleController = require('../controllers/auditCycleController');
+const workflowService = require('../services/workflowService');
+const { Structure } = require('../models/schemas');
 const { authenticateToken } = require('../middlewares/auth');
 const { handleValidationErrors } = require('../middlewares/validation');
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const { 
   locationValidation, 
   administrativeValidation, 
@@ -19,13 +27,17 @@ const {
   componentUpdateValidation,
   multiComponentRatingValidation,
   quantificationValidation,
+  testResultValidation,
+  testResultUpdateValidation,
+  rejectionFindingsValidation,
+  addressedFindingsValidation,
   parameterValidations
 } = require('../utils/screenValidators');
 
 const router = express.Router();
 
 // ✅ Import multer upload middleware (handles Cloudinary uploads)
-const { uploadMultiple, handleUploadError } = require('../middlewares/upload');
+const { uploadMultiple, uploadTestReport, handleUploadError } = require('../middlewares/upload');
 
 // ✅ Middleware: when the request is multipart/form-data, the `structures` field
 //    arrives as a raw JSON string (not a parsed array). Parse it here so that
@@ -45,6 +57,47 @@ const parseStructuresBody = (req, res, next) => {
   next();
 };
 
+// ✅ Middleware: multipart test result submissions carry `test_results` (and an
+//    optional `test_report_pdf` reference) as JSON strings next to the PDF file.
+const parseTestResultsBody = (req, res, next) => {
+  for (const field of ['test_results', 'test_report_pdf']) {
+    if (req.body && typeof req.body[field] === 'string') {
+      try {
+        req.body[field] = JSON.parse(req.body[field]);
+      } catch (e) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid JSON in "${field}" field`,
+          details: e.message
+        });
+      }
+    }
+  }
+  next();
+};
+
+// ✅ Middleware: structure data can only change while the structure is with its
+//    owner (draft ... ratings_in_progress, or rejected). Checked before uploads and
+//    before the controller touches anything; unknown IDs fall through to its 404.
+const requireEditableStructure = async (req, res, next) => {
+  try {
+    const structure = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Structure.findById(req.params.id).select('status').lean()
+      : null;
+    if (structure && !workflowService.isEditable(structure)) {
+      return res.status(409).json({
+        success: false,
+        message: `Structure is '${structure.status}' and cannot be edited. Data can change again once it is rejected or reopened by an administrator.`,
+        code: 'STRUCTURE_NOT_EDITABLE',
+        status: structure.status
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // =================== ⚠️ CRITICAL: BULK ROUTES FIRST - MOST SPECIFIC PATHS ⚠️ ===================
 console.log('🔧 Registering bulk routes...');
 
@@ -52,6 +105,7 @@ console.log('🔧 Registering bulk routes...');
 router.post(
   '/:id/flats/:flatId/structural/bulk',
   authenticateToken,
+  requireEditableStructure,
   uploadMultiple,        // ✅ Upload files to Cloudinary before hitting controller
   handleUploadError,     // ✅ Handle multer/Cloudinary errors gracefully
   parseStructuresBody,   // ✅ Parse structures string → array for form-data requests
@@ -65,6 +119,7 @@ router.post(
 router.put(
   '/:id/flats/:flatId/structural/bulk',
   authenticateToken,
+  requireEditableStructure,
   uploadMultiple,
   handleUploadError,
   parseStructuresBody,  // ✅ Parse structures string → array for form-data requests
@@ -80,6 +135,7 @@ router.put(
 router.post(
   '/:id/flats/:flatId/non-structural/bulk',
   authenticateToken,
+  requireEditableStructure,
   uploadMultiple,
   handleUploadError,
   parseStructuresBody,  // ✅ Parse structures string → array for form-data requests
@@ -93,6 +149,7 @@ router.post(
 router.put(
   '/:id/flats/:flatId/non-structural/bulk',
   authenticateToken,
+  requireEditableStructure,
   uploadMultiple,
   handleUploadError,
   parseStructuresBody,  // ✅ Parse structures string → array for form-data requests
@@ -107,6 +164,7 @@ router.put(
 router.post(
   '/:id/floors/:floorId/structural/bulk',
   authenticateToken,
+  requireEditableStructure,
   uploadMultiple,        // ✅ Upload files to Cloudinary before hitting controller
   handleUploadError,
   parseStructuresBody,  // ✅ Parse structures string → array for form-data requests
@@ -120,6 +178,7 @@ router.post(
 router.put(
   '/:id/floors/:floorId/structural/bulk',
   authenticateToken,
+  requireEditableStructure,
   uploadMultiple,
   handleUploadError,
   parseStructuresBody,  // ✅ Parse structures string → array for form-data requests
@@ -133,6 +192,7 @@ router.put(
 router.post(
   '/:id/floors/:floorId/non-structural/bulk',
   authenticateToken,
+  requireEditableStructure,
   uploadMultiple,        // ✅ Upload files to Cloudinary before hitting controller
   handleUploadError,
   parseStructuresBody,  // ✅ Parse structures string → array for form-data requests
@@ -147,6 +207,7 @@ router.post(
 router.post(
   '/:id/floors/:floorId/blocks/:blockId/structural/bulk',
   authenticateToken,
+  requireEditableStructure,
   uploadMultiple,
   handleUploadError,
   parseStructuresBody,  // ✅ Parse structures string → array for form-data requests
@@ -161,6 +222,7 @@ router.post(
 router.put(
   '/:id/floors/:floorId/blocks/:blockId/structural/bulk',
   authenticateToken,
+  requireEditableStructure,
   uploadMultiple,
   handleUploadError,
   parseStructuresBody,  // ✅ Parse structures string → array for form-data requests
@@ -175,6 +237,7 @@ router.put(
 router.post(
   '/:id/floors/:floorId/blocks/:blockId/non-structural/bulk',
   authenticateToken,
+  requireEditableStructure,
   uploadMultiple,
   handleUploadError,
   parseStructuresBody,  // ✅ Parse structures string → array for form-data requests
@@ -196,12 +259,14 @@ router.post('/initialize', structureController.initializeStructure);
 
 // =================== LOCATION DETAILS ===================
 router.post('/:id/location', 
+  requireEditableStructure,
   locationValidation, 
   handleValidationErrors, 
   structureController.saveLocationScreen
 );
 router.get('/:id/location', structureController.getLocationScreen);
 router.put('/:id/location', 
+  requireEditableStructure,
   locationValidation, 
   handleValidationErrors, 
   structureController.updateLocationScreen
@@ -209,12 +274,14 @@ router.put('/:id/location',
 
 // =================== ADMINISTRATIVE DETAILS ===================
 router.post('/:id/administrative', 
+  requireEditableStructure,
   administrativeValidation, 
   handleValidationErrors, 
   structureController.saveAdministrativeScreen
 );
 router.get('/:id/administrative', structureController.getAdministrativeScreen);
 router.put('/:id/administrative', 
+  requireEditableStructure,
   administrativeValidation, 
   handleValidationErrors, 
   structureController.updateAdministrativeScreen
@@ -222,6 +289,7 @@ router.put('/:id/administrative',
 
 // =================== GEOMETRIC DETAILS ===================
 router.post('/:id/geometric-details', 
+  requireEditableStructure,
   geometricDetailsValidation, 
   handleValidationErrors, 
   structureController.saveGeometricDetails
@@ -235,6 +303,7 @@ router.get('/parking-floor-types',
 );
 
 router.put('/:id/geometric-details', 
+  requireEditableStructure,
   geometricDetailsValidation, 
   handleValidationErrors, 
   structureController.updateGeometricDetails
@@ -242,36 +311,41 @@ router.put('/:id/geometric-details',
 
 // =================== FLOORS MANAGEMENT ===================
 router.post('/:id/floors', 
+  requireEditableStructure,
   floorValidation, 
   handleValidationErrors, 
   structureController.addFloors
 );
 router.get('/:id/floors/:floorId', structureController.getFloorById);
 router.put('/:id/floors/:floorId', 
+  requireEditableStructure,
   floorValidation, 
   handleValidationErrors, 
   structureController.updateFloor
 );
-router.delete('/:id/floors/:floorId', structureController.deleteFloor);
+router.delete('/:id/floors/:floorId', requireEditableStructure, structureController.deleteFloor);
 router.get('/:id/floors', structureController.getFloors);
 
 // =================== FLATS MANAGEMENT ===================
 router.post('/:id/floors/:floorId/flats', 
+  requireEditableStructure,
   flatValidation, 
   handleValidationErrors, 
   structureController.addFlatsToFloor
 );
 router.get('/:id/floors/:floorId/flats/:flatId', structureController.getFlatById);
 router.put('/:id/floors/:floorId/flats/:flatId', 
+  requireEditableStructure,
   flatValidation, 
   handleValidationErrors, 
   structureController.updateFlat
 );
-router.delete('/:id/floors/:floorId/flats/:flatId', structureController.deleteFlat);
+router.delete('/:id/floors/:floorId/flats/:flatId', requireEditableStructure, structureController.deleteFlat);
 router.get('/:id/floors/:floorId/flats', structureController.getFlatsInFloor);
 
 // =================== COMBINED FLAT RATINGS ===================
 router.post('/:id/floors/:floorId/flats/:flatId/ratings', 
+  requireEditableStructure,
   flatCombinedRatingsValidation, 
   handleValidationErrors, 
   structureController.saveFlatCombinedRatings
@@ -280,6 +354,7 @@ router.get('/:id/floors/:floorId/flats/:flatId/ratings',
   structureController.getFlatCombinedRatings
 );
 router.put('/:id/floors/:floorId/flats/:flatId/ratings', 
+  requireEditableStructure,
   flatCombinedRatingsValidation, 
   handleValidationErrors, 
   structureController.saveFlatCombinedRatings
@@ -287,6 +362,7 @@ router.put('/:id/floors/:floorId/flats/:flatId/ratings',
 
 // =================== FLOOR-LEVEL RATINGS ===================
 router.post('/:id/floors/:floorId/ratings', 
+  requireEditableStructure,
   floorRatingsValidation, 
   handleValidationErrors, 
   structureController.saveFloorRatings
@@ -306,6 +382,7 @@ router.get(
 
 router.post(
   '/:id/floors/:floorId/quantifications',
+  requireEditableStructure,
   parameterValidations.structureId,
   parameterValidations.floorId,
   quantificationValidation,
@@ -324,6 +401,7 @@ router.get(
 
 router.post(
   '/:id/floors/:floorId/flats/:flatId/quantifications',
+  requireEditableStructure,
   parameterValidations.structureId,
   parameterValidations.floorId,
   parameterValidations.flatId,
@@ -332,23 +410,89 @@ router.post(
   structureController.saveFlatQuantifications
 );
 
+// =================== NDT TEST RESULTS ===================
+// Same CRUD at structure, floor, flat and block level
+const testResultPaths = [
+  { path: '/:id/tests', params: [] },
+  { path: '/:id/floors/:floorId/tests', params: [parameterValidations.floorId] },
+  { path: '/:id/floors/:floorId/flats/:flatId/tests', params: [parameterValidations.floorId, parameterValidations.flatId] },
+  { path: '/:id/floors/:floorId/blocks/:blockId/tests', params: [parameterValidations.floorId, parameterValidations.blockId] }
+];
+
+testResultPaths.forEach(({ path, params }) => {
+  router.get(
+    path,
+    parameterValidations.structureId,
+    ...params,
+    handleValidationErrors,
+    testResultController.getTestResults
+  );
+
+  router.post(
+    path,
+    uploadTestReport,
+    handleUploadError,
+    parseTestResultsBody,
+    parameterValidations.structureId,
+    ...params,
+    testResultValidation,
+    handleValidationErrors,
+    testResultController.addTestResult
+  );
+
+  router.get(
+    `${path}/:testId`,
+    parameterValidations.structureId,
+    ...params,
+    parameterValidations.testId,
+    handleValidationErrors,
+    testResultController.getTestResult
+  );
+
+  router.put(
+    `${path}/:testId`,
+    uploadTestReport,
+    handleUploadError,
+    parseTestResultsBody,
+    parameterValidations.structureId,
+    ...params,
+    parameterValidations.testId,
+    testResultUpdateValidation,
+    handleValidationErrors,
+    testResultController.updateTestResult
+  );
+
+  router.delete(
+    `${path}/:testId`,
+    parameterValidations.structureId,
+    ...params,
+    parameterValidations.testId,
+    handleValidationErrors,
+    testResultController.deleteTestResult
+  );
+});
+
 // =================== LEGACY FLAT RATINGS ===================
 router.post('/:id/floors/:floorId/flats/:flatId/structural-rating', 
+  requireEditableStructure,
   structureController.saveFlatStructuralRating
 );
 router.get('/:id/floors/:floorId/flats/:flatId/structural-rating', 
   structureController.getFlatStructuralRating
 );
 router.put('/:id/floors/:floorId/flats/:flatId/structural-rating', 
+  requireEditableStructure,
   structureController.updateFlatStructuralRating
 );
 router.post('/:id/floors/:floorId/flats/:flatId/non-structural-rating', 
+  requireEditableStructure,
   structureController.saveFlatNonStructuralRating
 );
 router.get('/:id/floors/:floorId/flats/:flatId/non-structural-rating', 
   structureController.getFlatNonStructuralRating
 );
 router.put('/:id/floors/:floorId/flats/:flatId/non-structural-rating', 
+  requireEditableStructure,
   structureController.updateFlatNonStructuralRating
 );
 
@@ -358,6 +502,7 @@ router.put('/:id/floors/:floorId/flats/:flatId/non-structural-rating',
 // POST routes without :type parameter (base endpoints)
 router.post(
   '/:id/flats/:flatId/structural',
+  requireEditableStructure,
   parameterValidations.structureId,
   parameterValidations.flatId,
   componentRatingValidation,
@@ -367,6 +512,7 @@ router.post(
 
 router.post(
   '/:id/flats/:flatId/non-structural',
+  requireEditableStructure,
   parameterValidations.structureId,
   parameterValidations.flatId,
   componentRatingValidation,
@@ -396,6 +542,7 @@ router.get(
 // PATCH routes with :componentId
 router.patch(
   '/:id/flats/:flatId/structural/:componentId',
+  requireEditableStructure,
   parameterValidations.structureId,
   parameterValidations.flatId,
   parameterValidations.componentId,
@@ -406,6 +553,7 @@ router.patch(
 
 router.patch(
   '/:id/flats/:flatId/non-structural/:componentId',
+  requireEditableStructure,
   parameterValidations.structureId,
   parameterValidations.flatId,
   parameterValidations.componentId,
@@ -417,6 +565,7 @@ router.patch(
 // DELETE routes with :componentId
 router.delete(
   '/:id/flats/:flatId/structural/:componentId',
+  requireEditableStructure,
   parameterValidations.structureId,
   parameterValidations.flatId,
   parameterValidations.componentId,
@@ -426,6 +575,7 @@ router.delete(
 
 router.delete(
   '/:id/flats/:flatId/non-structural/:componentId',
+  requireEditableStructure,
   parameterValidations.structureId,
   parameterValidations.flatId,
   parameterValidations.componentId,
@@ -436,6 +586,7 @@ router.delete(
 // =================== FLOOR-LEVEL SINGLE COMPONENT TYPE ===================
 router.post(
   '/:id/floors/:floorId/structural',
+  requireEditableStructure,
   parameterValidations.structureId,
   parameterValidations.floorId,
   componentRatingValidation,
@@ -445,6 +596,7 @@ router.post(
 
 router.post(
   '/:id/floors/:floorId/non-structural',
+  requireEditableStructure,
   parameterValidations.structureId,
   parameterValidations.floorId,
   componentRatingValidation,
@@ -472,6 +624,7 @@ router.get(
 
 // =================== BULK OPERATIONS (LEGACY) ===================
 router.post('/:id/bulk-ratings', 
+  requireEditableStructure,
   bulkRatingsValidation, 
   handleValidationErrors, 
   structureController.saveBulkRatings
@@ -480,6 +633,7 @@ router.get('/:id/bulk-ratings',
   structureController.getBulkRatings
 );
 router.put('/:id/bulk-ratings', 
+  requireEditableStructure,
   bulkRatingsValidation, 
   handleValidationErrors, 
   structureController.updateBulkRatings
@@ -487,7 +641,11 @@ router.put('/:id/bulk-ratings',
 
 // =================== REPORTING & ANALYTICS ===================
 router.get('/:id/progress', structureController.getStructureProgress);
-router.post('/:id/submit', structureController.submitStructure);
+router.post('/:id/submit',
+  addressedFindingsValidation,
+  handleValidationErrors,
+  structureController.submitStructure
+);
 
 // =================== REMARKS MANAGEMENT ===================
 router.post('/:id/remarks', structureController.addRemark);
@@ -502,6 +660,8 @@ router.get('/:id/images', structureController.getStructureImages);
 
 // =================== GENERAL STRUCTURE ROUTES (AT END) ===================
 router.get('/stats/location', structureController.getLocationStructureStats);
+// TE/VE: structures assigned to me and waiting on me
+router.get('/my-queue', assignmentController.getMyQueue);
 router.post('/validate-number', 
   structureNumberValidation, 
   handleValidationErrors, 
@@ -520,6 +680,7 @@ router.get('/', structureController.getAllStructures);
 router.post('/:id/submit-for-testing', 
   authenticateToken,
   parameterValidations.structureId,
+  addressedFindingsValidation,
   handleValidationErrors,
   structureController.submitForTesting
 );
@@ -554,6 +715,7 @@ router.post('/:id/complete-testing',
       .isLength({ max: 2000 })
       .withMessage('Rejection reason cannot exceed 2000 characters')
   ],
+  rejectionFindingsValidation,
   handleValidationErrors,
   structureController.completeTesting
 );
@@ -588,6 +750,7 @@ router.post('/:id/complete-validation',
       .isLength({ max: 2000 })
       .withMessage('Rejection reason cannot exceed 2000 characters')
   ],
+  rejectionFindingsValidation,
   handleValidationErrors,
   structureController.completeValidation
 );
@@ -614,10 +777,49 @@ router.post('/:id/approve',
       .isLength({ max: 2000 })
       .withMessage('Rejection reason cannot exceed 2000 characters')
   ],
+  rejectionFindingsValidation,
   handleValidationErrors,
   structureController.approveStructure
 );
 
+// AD: Reopen a structure under review or approved for editing
+router.post('/:id/reopen',
+  authenticateToken,
+  parameterValidations.structureId,
+  [
+    body('reason')
+      .notEmpty()
+      .withMessage('Reason is required when reopening')
+      .isString()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Reason cannot exceed 2000 characters')
+  ],
+  handleValidationErrors,
+  structureController.reopenStructure
+);
+
+// AD: Assign a Test or Verification Engineer (a given user or by strategy)
+router.put('/:id/assignment',
+  authenticateToken,
+  parameterValidations.structureId,
+  [
+    body('role')
+      .isIn(['TE', 'VE'])
+      .withMessage('Role must be either "TE" or "VE"'),
+    body('user_id')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid user ID'),
+    body('strategy')
+      .if(body('user_id').not().exists())
+      .isIn(['round_robin', 'least_loaded'])
+      .withMessage('Provide user_id or a strategy of "round_robin" or "least_loaded"')
+  ],
+  handleValidationErrors,
+  assignmentController.assignReviewer
+);
+
 router.get('/:id/workflow',
   authenticateToken,
   parameterValidations.structureId,
@@ -625,6 +827,131 @@ router.get('/:id/workflow',
   structureController.getWorkflowHistory
 );
 
+// Workflow actions the current user can take, with any unmet preconditions
+router.get('/:id/workflow/actions',
+  authenticateToken,
+  parameterValidations.structureId,
+  handleValidationErrors,
+  structureController.getWorkflowActions
+);
+
+// Rejection findings: list, and address / close / reopen one
+router.get('/:id/findings',
+  authenticateToken,
+  parameterValidations.structureId,
+  [
+    query('status')
+      .optional()
+      .isIn(['open', 'addressed', 'closed'])
+      .withMessage('Status must be "open", "addressed" or "closed"'),
+    query('stage')
+      .optional()
+      .isIn(['testing', 'validation', 'approval'])
+      .withMessage('Stage must be "testing", "validation" or "approval"')
+  ],
+  handleValidationErrors,
+  rejectionFindingController.getFindings
+);
+
+router.patch('/:id/findings/:findingId',
+  authenticateToken,
+  parameterValidations.structureId,
+  [
+    param('findingId')
+      .isMongoId()
+      .withMessage('Invalid finding ID'),
+    body('action')
+      .isIn(['address', 'close', 'reopen'])
+      .withMessage('Action must be "address", "close" or "reopen"'),
+    body('notes')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Notes cannot exceed 2000 characters')
+  ],
+  handleValidationErrors,
+  rejectionFindingController.updateFinding
+);
+
+// Versions captured at each workflow transition; diff before /:version
+router.get('/:id/versions',
+  authenticateToken,
+  parameterValidations.structureId,
+  handleValidationErrors,
+  snapshotController.getVersions
+);
+
+router.get('/:id/versions/diff',
+  authenticateToken,
+  parameterValidations.structureId,
+  [
+    query('from')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('from must be a version number'),
+    query('to')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('to must be a version number')
+  ],
+  handleValidationErrors,
+  snapshotController.diffVersions
+);
+
+router.get('/:id/versions/:version',
+  authenticateToken,
+  parameterValidations.structureId,
+  [
+    param('version')
+      .isInt({ min: 1 })
+      .withMessage('Version must be a positive integer')
+  ],
+  handleValidationErrors,
+  snapshotController.getVersion
+);
+
+// Audit cycles: start one on an approved structure, list and read archived ones
+router.post('/:id/audit-cycles',
+  authenticateToken,
+  parameterValidations.structureId,
+  handleValidationErrors,
+  structureController.startAuditCycle
+);
+
+router.get('/:id/audit-cycles',
+  authenticateToken,
+  parameterValidations.structureId,
+  handleValidationErrors,
+  auditCycleController.getAuditCycles
+);
+
+router.get('/:id/audit-cycles/:cycle',
+  authenticateToken,
+  parameterValidations.structureId,
+  [
+    param('cycle')
+      .isInt({ min: 1 })
+      .withMessage('Cycle must be a positive integer')
+  ],
+  handleValidationErrors,
+  auditCycleController.getAuditCycle
+);
+
+// Component ratings across audit cycles
+router.get('/:id/rating-history',
+  authenticateToken,
+  parameterValidations.structureId,
+  [
+    query('scope')
+      .optional()
+      .isIn(['structural', 'non_structural'])
+      .withMessage('Scope must be "structural" or "non_structural"')
+  ],
+  handleValidationErrors,
+  auditCycleController.getRatingHistory
+);
+
 console.log('✅ All structure routes registered');
 
 module.exports = router;
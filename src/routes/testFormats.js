@@ -0,0 +1,98 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const testFormatController = require('../controllers/testFormatController');
+const { handleValidationErrors } = require('../middlewares/validation');
+const { testFormatValidation } = require('../utils/screenValidators');
+
+// Mounted under /api/admin/test-formats (admin router applies protect + isAdmin)
+const router = express.Router();
+
+const formatKeyParam = param('formatKey')
+  .matches(/^[a-z0-9_]+$/)
+  .withMessage('Invalid format key');
+
+router.get('/', testFormatController.getTestFormats);
+
+router.post('/',
+  testFormatValidation,
+  handleValidationErrors,
+  testFormatController.createTestFormat
+);
+
+router.get('/:formatKey',
+  formatKeyParam,
+  handleValidationErrors,
+  testFormatController.getTestFormat
+);
+
+router.get('/:formatKey/versions',
+  formatKeyParam,
+  handleValidationErrors,
+  testFormatController.getTestFormatVersions
+);
+
+// Publish a new version
+router.put('/:formatKey',
+  formatKeyParam,
+  [
+    body('display_name')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Display name must be 1-100 characters'),
+    body('format_template')
+      .optional()
+      .isObject()
+      .withMessage('Format template must be an object'),
+    body('field_definitions')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Field definitions must be an array with at least one field'),
+    body('change_notes')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Change notes cannot exceed 1000 characters')
+  ],
+  handleValidationErrors,
+  testFormatController.createTestFormatVersion
+);
+
+router.post('/:formatKey/clone',
+  formatKeyParam,
+  [
+    body('format_key')
+      .notEmpty()
+      .withMessage('New format key is required')
+      .matches(/^[a-z0-9_]+$/)
+      .withMessage('Format key can only contain lowercase letters, numbers and underscores'),
+    body('display_name')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Display name must be 1-100 characters'),
+    body('version')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Version must be a positive integer')
+  ],
+  handleValidationErrors,
+  testFormatController.cloneTestFormat
+);
+
+router.post('/:formatKey/retire',
+  formatKeyParam,
+  handleValidationErrors,
+  testFormatController.retireTestFormat
+);
+
+router.post('/:formatKey/restore',
+  formatKeyParam,
+  handleValidationErrors,
+  testFormatController.restoreTestFormat
+);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const { param } = require('express-validator');
+const workflowSlaController = require('../controllers/workflowSlaController');
+const { handleValidationErrors } = require('../middlewares/validation');
+const { workflowSlaValidation, workflowSlaUpdateValidation } = require('../utils/screenValidators');
+
+// Mounted under /api/admin/workflow-slas (admin router applies protect + isAdmin)
+const router = express.Router();
+
+const idParam = param('id')
+  .isMongoId()
+  .withMessage('Invalid workflow SLA ID');
+
+router.get('/', workflowSlaController.getSlas);
+
+router.get('/breaches', workflowSlaController.getBreaches);
+
+router.post('/',
+  workflowSlaValidation,
+  handleValidationErrors,
+  workflowSlaController.createSla
+);
+
+router.put('/:id',
+  idParam,
+  workflowSlaUpdateValidation,
+  handleValidationErrors,
+  workflowSlaController.updateSla
+);
+
+router.delete('/:id',
+  idParam,
+  handleValidationErrors,
+  workflowSlaController.deleteSla
+);
+
+module.exports = router;
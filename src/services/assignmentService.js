@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const { User, Structure } = require('../models/schemas');
+
+// Review stage each reviewer role is assigned to, and the statuses that make up its queue
+const REVIEW_ROLES = {
+  TE: {
+    field: 'testing_engineer',
+    label: 'Test Engineer',
+    queueStatuses: ['submitted', 'in_testing', 'under_testing']
+  },
+  VE: {
+    field: 'validation_engineer',
+    label: 'Verification Engineer',
+    queueStatuses: ['tested', 'in_validation', 'under_validation']
+  }
+};
+
+const STRATEGIES = ['round_robin', 'least_loaded'];
+
+// Strategy used to assign reviewers automatically on submission and on completed testing; off by default
+const AUTO_ASSIGNMENT = STRATEGIES.includes(process.env.REVIEWER_AUTO_ASSIGNMENT)
+  ? process.env.REVIEWER_AUTO_ASSIGNMENT
+  : null;
+
+const getDisplayName = user =>
+  `${user.profile?.first_name || ''} ${user.profile?.last_name || ''}`.trim() || user.username;
+
+/**
+ * Assignment of a Test Engineer and a Verification Engineer to each
+ * structure, by an administrator or automatically (round-robin or to the
+ * reviewer with the fewest open structures)
+ */
+class AssignmentService {
+
+  getReviewRole(role) {
+    return Object.prototype.hasOwnProperty.call(REVIEW_ROLES, role) ? REVIEW_ROLES[role] : null;
+  }
+
+  getAssignee(structure, role) {
+    return structure.assignment?.[REVIEW_ROLES[role].field] || null;
+  }
+
+  // Active users holding a reviewer role, in a stable order for round-robin
+  async findReviewers(role) {
+    return User.find({
+      is_active: true,
+      $or: [{ role }, { roles: role }]
+    })
+      .select('username email profile.first_name profile.last_name')
+      .sort({ _id: 1 });
+  }
+
+  /**
+   * Next reviewer after the one assigned most recently, wrapping around
+   * @param {Array} reviewers - findReviewers() result
+   * @param {*} lastAssigneeId - reviewer assigned most recently, if any
+   */
+  pickRoundRobin(reviewers, lastAssigneeId) {
+    if (reviewers.length === 0) return null;
+    const lastIndex = reviewers.findIndex(reviewer => String(reviewer._id) === String(lastAssigneeId));
+    return reviewers[(lastIndex + 1) % reviewers.length];
+  }
+
+  /**
+   * Reviewer with the fewest open structures; ties go to the first in order
+   * @param {Array} reviewers - findReviewers() result
+   * @param {Map<string, number>} loads - open structures by reviewer id
+   */
+  pickLeastLoaded(reviewers, loads) {
+    return reviewers.reduce((best, reviewer) => {
+      if (!best) return reviewer;
+      return (loads.get(String(reviewer._id)) || 0) < (loads.get(String(best._id)) || 0) ? reviewer : best;
+    }, null);
+  }
+
+  // Open structures (in the role's queue statuses) per assigned reviewer
+  async getLoads(role) {
+    const { field, queueStatuses } = REVIEW_ROLES[role];
+    const counts = await Structure.aggregate([
+      { $match: { status: { $in: queueStatuses }, [`assignment.${field}.user_id`]: { $exists: true } } },
+      { $group: { _id: `$assignment.${field}.user_id`, count: { $sum: 1 } } }
+    ]);
+    return new Map(counts.map(entry => [String(entry._id), entry.count]));
+  }
+
+  async getLastAssigneeId(role) {
+    const { field } = REVIEW_ROLES[role];
+    const latest = await Structure.findOne({ [`assignment.${field}.assigned_at`]: { $exists: true } })
+      .sort({ [`assignment.${field}.assigned_at`]: -1 })
+      .select(`assignment.${field}.user_id`)
+      .lean();
+    return latest?.assignment?.[field]?.user_id || null;
+  }
+
+  /**
+   * Reviewer a strategy would pick for the next structure
+   * @param {string} role - TE | VE
+   * @param {string} strategy - round_robin | least_loaded
+   */
+  async pickReviewer(role, strategy) {
+    const reviewers = await this.findReviewers(role);
+    if (reviewers.length === 0) return null;
+
+    if (strategy === 'least_loaded') {
+      return this.pickLeastLoaded(reviewers, await this.getLoads(role));
+    }
+    return this.pickRoundRobin(reviewers, await this.getLastAssigneeId(role));
+  }
+
+  /**
+   * Record a reviewer on a structure (caller saves)
+   * @param {Object} structure - Structure document
+   * @param {string} role - TE | VE
+   * @param {Object} reviewer - User
+   * @param {Object} options - { assignedBy: { user_id, name }, method }
+   */
+  assign(structure, role, reviewer, { assignedBy, method = 'manual' } = {}) {
+    const { field } = REVIEW_ROLES[role];
+    structure.assignment = structure.assignment || {};
+    structure.assignment[field] = {
+      user_id: reviewer._id,
+      name: getDisplayName(reviewer),
+      email: reviewer.email,
+      assigned_at: new Date(),
+      ...(assignedBy && { assigned_by: assignedBy }),
+      method
+    };
+    return structure.assignment[field];
+  }
+
+  /**
+   * Assign a reviewer with the configured strategy when the structure has
+   * none yet, so a resubmitted structure returns to the same reviewer
+   * (caller saves)
+   * @returns {Promise<Object|null>} the new assignment
+   */
+  async autoAssign(structure, role) {
+    if (!AUTO_ASSIGNMENT || this.getAssignee(structure, role)?.user_id) return null;
+
+    const reviewer = await this.pickReviewer(role, AUTO_ASSIGNMENT);
+    if (!reviewer) {
+      console.warn(`⚠️ No active ${REVIEW_ROLES[role].label} available to assign structure ${structure._id}`);
+      return null;
+    }
+
+    console.log(`👷 Structure ${structure._id} assigned to ${role} ${reviewer.username} (${AUTO_ASSIGNMENT})`);
+    return this.assign(structure, role, reviewer, { method: AUTO_ASSIGNMENT });
+  }
+
+  /**
+   * A reviewer's open structures for every review role they hold
+   * @param {Object} user - req.user
+   * @param {Object} options - { status, skip, limit }
+   * @returns {Promise<{structures: Array, total: number}>}
+   */
+  async getQueue(user, { status, skip = 0, limit = 20 } = {}) {
+    const userRoles = user.roles || [user.role];
+    const userId = new mongoose.Types.ObjectId(user.userId);
+
+    const clauses = Object.entries(REVIEW_ROLES)
+      .filter(([role]) => userRoles.includes(role))
+      .map(([, { field, queueStatuses }]) => ({
+        [`assignment.${field}.user_id`]: userId,
+        status: { $in: status ? queueStatuses.filter(queueStatus => queueStatus === status) : queueStatuses }
+      }));
+    if (clauses.length === 0) return { structures: [], total: 0 };
+
+    const filter = { $or: clauses };
+    const [structures, total] = await Promise.all([
+      Structure.find(filter)
+        .select('structural_identity location.structure_name location.city_name status owner assignment workflow.submitted_by workflow.tested_by')
+        .sort({ updatedAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Structure.countDocuments(filter)
+    ]);
+
+    return { structures, total };
+  }
+}
+
+module.exports = new AssignmentService();
+module.exports.REVIEW_ROLES = REVIEW_ROLES;
+module.exports.STRATEGIES = STRATEGIES;
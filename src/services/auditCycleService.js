@@ -0,0 +1,215 @@
+const AuditCycle = require('../models/AuditCycle');
+const reportPdfService = require('./reportPdfService');
+const snapshotService = require('./snapshotService');
+
+// Per-cycle fields of each layout element, cleared when a new cycle starts
+const CYCLE_FIELDS = {
+  floor: ['structural_rating', 'non_structural_rating', 'floor_overall_rating', 'floor_notes', 'last_inspection_date'],
+  flat: ['structural_rating', 'non_structural_rating', 'flat_overall_rating', 'flat_notes', 'last_inspection_date'],
+  block: ['structural_rating', 'non_structural_rating', 'block_overall_rating', 'block_notes', 'last_inspection_date']
+};
+
+const RATING_SCOPES = ['structural', 'non_structural'];
+
+const normalizeName = name => String(name).trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Recurring audits of approved structures. Starting a cycle archives the
+ * approved one in AuditCycle and keeps the floor/flat/block layout with
+ * empty ratings; component ratings can then be compared across cycles.
+ */
+class AuditCycleService {
+
+  /**
+   * Clear everything rated or recorded in the current cycle, keeping the layout
+   * @param {Object} structure - Structure document (or plain object)
+   */
+  resetRatings(structure) {
+    const clear = (element, fields) => fields.forEach(field => { element[field] = undefined; });
+    const resetElement = (element, kind) => {
+      clear(element, CYCLE_FIELDS[kind]);
+      element.testing_required = false;
+      element.test_results = [];
+      if (kind !== 'block') {
+        element.quantifications = { structural: [], non_structural: [] };
+      }
+    };
+
+    (structure.geometric_details?.floors || []).forEach(floor => {
+      resetElement(floor, 'floor');
+      (floor.flats || []).forEach(flat => resetElement(flat, 'flat'));
+      (floor.blocks || []).forEach(block => resetElement(block, 'block'));
+    });
+
+    structure.overall_testing_required = false;
+    structure.structure_test_results = [];
+    structure.remarks = { fe_remarks: [], ve_remarks: [], te_remarks: [] };
+    structure.rejection_findings = [];
+    structure.workflow = {};
+    structure.assignment = {};
+    structure.sla_escalations = [];
+    structure.reports = {};
+  }
+
+  /**
+   * Archive the approved cycle, clear it and start the next one. The caller
+   * applies the start_audit_cycle transition and saves; if that fails, the
+   * returned archive should be removed with discardArchive.
+   * @param {Object} structure - approved Structure document
+   * @param {Object} actor - { user_id, name, email, role }
+   * @returns {Promise<{archive: Object, cycleNumber: number}>}
+   */
+  async startCycle(structure, actor) {
+    const current = structure.audit_cycle?.number || 1;
+    const now = new Date();
+
+    const archive = await AuditCycle.create({
+      structure: structure._id,
+      cycle_number: current,
+      started_at: structure.audit_cycle?.started_at || structure.creation_info?.created_date,
+      approved_at: structure.workflow?.approved_by?.date,
+      version: structure.creation_info?.version,
+      health_status: structure.inspection_schedule?.health_status,
+      combined_score: structure.inspection_schedule?.combined_score,
+      workflow: JSON.parse(JSON.stringify(structure.workflow || {})),
+      data: snapshotService.buildData(structure),
+      archived_by: { ...actor, date: now }
+    });
+
+    this.resetRatings(structure);
+    structure.audit_cycle = {
+      number: current + 1,
+      started_at: now,
+      started_by: { ...actor, date: now }
+    };
+
+    return { archive, cycleNumber: current + 1 };
+  }
+
+  async discardArchive(archive) {
+    return AuditCycle.deleteOne({ _id: archive._id });
+  }
+
+  async listCycles(structureId) {
+    return AuditCycle.find({ structure: structureId })
+      .select('-data -workflow')
+      .sort({ cycle_number: 1 })
+      .lean();
+  }
+
+  // Archived cycles with their data, oldest first
+  async loadCycles(structureId) {
+    return AuditCycle.find({ structure: structureId })
+      .sort({ cycle_number: 1 })
+      .lean();
+  }
+
+  async getCycle(structureId, cycleNumber) {
+    return AuditCycle.findOne({ structure: structureId, cycle_number: cycleNumber }).lean();
+  }
+
+  /**
+   * Every rated component instance in snapshot data. Instances are keyed by
+   * location, component and name (or id when unnamed), so the same beam
+   * matches across cycles even when it was re-created with a new id.
+   * @param {Object} data - snapshotService.buildData output
+   * @returns {Array<Object>}
+   */
+  collectRatings(data) {
+    const entries = [];
+    const seen = new Map();
+
+    const collect = (element, location, label) => {
+      RATING_SCOPES.forEach(scope => {
+        reportPdfService.getComponentInstances(element[`${scope}_rating`]).forEach(({ component, instance }) => {
+          const baseKey = [
+            location.floor_id,
+            location.flat_id ? `flat:${location.flat_id}` : location.block_id ? `block:${location.block_id}` : 'floor',
+            scope,
+            component,
+            instance.name ? normalizeName(instance.name) : `#${instance._id}`
+          ].join('/');
+          const occurrence = (seen.get(baseKey) || 0) + 1;
+          seen.set(baseKey, occurrence);
+
+          entries.push({
+            key: occurrence > 1 ? `${baseKey}/${occurrence}` : baseKey,
+            location,
+            location_label: label,
+            scope,
+            component_type: component,
+            instance_id: instance._id || null,
+            name: instance.name || null,
+            rating: instance.rating ?? null,
+            condition_comment: instance.condition_comment || null,
+            inspection_date: instance.inspection_date || null
+          });
+        });
+      });
+    };
+
+    (data.geometric_details?.floors || []).forEach(floor => {
+      const floorLocation = { floor_id: floor.floor_id, floor_number: floor.floor_number };
+      const floorLabel = floor.floor_label_name || `Floor ${floor.floor_number}`;
+      collect(floor, floorLocation, floorLabel);
+      (floor.flats || []).forEach(flat => collect(flat, { ...floorLocation, flat_id: flat.flat_id, flat_number: flat.flat_number }, `${floorLabel}, Flat ${flat.flat_number}`));
+      (floor.blocks || []).forEach(block => collect(block, { ...floorLocation, block_id: block.block_id, block_number: block.block_number }, `${floorLabel}, Block ${block.block_number}`));
+    });
+
+    return entries;
+  }
+
+  /**
+   * Rating of each component instance in every cycle, oldest first. Lower
+   * ratings are worse, so a negative change means the component deteriorated.
+   * @param {Array} cycles - [{ cycle_number, started_at, approved_at, current, data }] oldest first
+   * @param {Object} [filter] - { floor_id, flat_id, block_id, scope, component_type, instance_id }
+   */
+  buildRatingHistory(cycles, filter = {}) {
+    const instances = new Map();
+
+    cycles.forEach(cycle => {
+      this.collectRatings(cycle.data).forEach(entry => {
+        if (!instances.has(entry.key)) {
+          const { rating, condition_comment: comment, inspection_date: date, key, ...identity } = entry;
+          instances.set(entry.key, { ...identity, matched: false, history: [] });
+        }
+        const instance = instances.get(entry.key);
+        Object.assign(instance, {
+          instance_id: entry.instance_id || instance.instance_id,
+          name: entry.name || instance.name,
+          matched: instance.matched || !filter.instance_id || String(entry.instance_id) === String(filter.instance_id)
+        });
+        instance.history.push({
+          cycle_number: cycle.cycle_number,
+          current: Boolean(cycle.current),
+          approved_at: cycle.approved_at || null,
+          rating: entry.rating,
+          condition_comment: entry.condition_comment,
+          inspection_date: entry.inspection_date
+        });
+      });
+    });
+
+    const matches = instance =>
+      instance.matched &&
+      (!filter.floor_id || instance.location.floor_id === filter.floor_id) &&
+      (!filter.flat_id || instance.location.flat_id === filter.flat_id) &&
+      (!filter.block_id || instance.location.block_id === filter.block_id) &&
+      (!filter.scope || instance.scope === filter.scope) &&
+      (!filter.component_type || instance.component_type === filter.component_type);
+
+    return [...instances.values()].filter(matches).map(({ matched, ...instance }) => {
+      const rated = instance.history.filter(entry => entry.rating !== null);
+      const change = rated.length > 1 ? rated[rated.length - 1].rating - rated[0].rating : null;
+      return {
+        ...instance,
+        change,
+        trend: change === null ? null : change < 0 ? 'deteriorated' : change > 0 ? 'improved' : 'unchanged'
+      };
+    });
+  }
+}
+
+module.exports = new AuditCycleService();
+module.exports.CYCLE_FIELDS = CYCLE_FIELDS;
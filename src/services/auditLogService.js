@@ -0,0 +1,250 @@
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const AuditLog = require('../models/AuditLog');
+const snapshotService = require('./snapshotService');
+const { getAuditContext } = require('../middlewares/auditContext');
+
+// Bookkeeping fields that change on nearly every save and are not worth an entry
+const IGNORED_PATHS = ['_id', '__v', 'createdAt', 'updatedAt', 'updated_at', 'creation_info.last_updated_date'];
+
+// Values never written to the log
+const SENSITIVE_PATH = /password|token|secret|otp/i;
+const REDACTED = '[REDACTED]';
+
+// Most rows an Excel export carries
+const EXPORT_LIMIT = 10000;
+
+const matchesPrefix = (path, prefixes) =>
+  prefixes.some(prefix => path === prefix || path.startsWith(`${prefix}.`) || path.startsWith(`${prefix}[`));
+
+const toPlain = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Audit trail of writes to structures and users (see models/auditTrailPlugin):
+ * who changed which field, from where, with its value before and after
+ */
+class AuditLogService {
+
+  categorize(path) {
+    if (matchesPrefix(path, ['status', 'workflow', 'assignment', 'audit_cycle', 'rejection_findings'])) return 'workflow';
+    if (matchesPrefix(path, ['role', 'roles', 'permissions'])) return 'role';
+    if (/_rating\b/.test(path)) return 'rating';
+    return 'data';
+  }
+
+  redact(value, path = '') {
+    if (value === undefined) return undefined;
+    if (SENSITIVE_PATH.test(path.split('.').pop())) return REDACTED;
+    if (Array.isArray(value)) return value.map(item => this.redact(item));
+    if (value !== null && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.redact(item, key)]));
+    }
+    return value;
+  }
+
+  /**
+   * Entries for one write: a single entry for creations and deletions,
+   * one per changed field for updates
+   * @param {Object|null} before - document before the write (null when created)
+   * @param {Object|null} after - document after the write (null when deleted)
+   * @param {Array<string>} [ignore] - further paths (and their children) to leave out
+   * @returns {Array<{operation, category, path, change, before, after}>}
+   */
+  buildEntries(before, after, ignore = []) {
+    const ignored = [...IGNORED_PATHS, ...ignore];
+    const strip = document => {
+      const plain = toPlain(document);
+      ignored.filter(path => !path.includes('.')).forEach(field => delete plain[field]);
+      return plain;
+    };
+
+    if (!before && !after) return [];
+    if (!before) {
+      return [{ operation: 'create', category: 'data', path: '', change: 'added', after: this.redact(strip(after)) }];
+    }
+    if (!after) {
+      return [{ operation: 'delete', category: 'data', path: '', change: 'removed', before: this.redact(strip(before)) }];
+    }
+
+    return snapshotService.diff(strip(before), strip(after))
+      .filter(entry => !matchesPrefix(entry.path, ignored))
+      .map(entry => {
+        const sensitive = entry.path.split(/[.[\]]/).some(segment => SENSITIVE_PATH.test(segment));
+        return {
+          operation: 'update',
+          category: this.categorize(entry.path),
+          path: entry.path,
+          change: entry.change,
+          before: sensitive && entry.from !== undefined ? REDACTED : this.redact(entry.from),
+          after: sensitive && entry.to !== undefined ? REDACTED : this.redact(entry.to)
+        };
+      });
+  }
+
+  /**
+   * Write the entries for one write with the current request context.
+   * Failures are logged and never fail the write itself.
+   * @param {Object} change - { resourceType, resourceId, label, before, after, ignore }
+   * @returns {Promise<number>} entries written
+   */
+  async record({ resourceType, resourceId, label, before, after, ignore }) {
+    try {
+      const entries = this.buildEntries(before, after, ignore);
+      if (entries.length === 0) return 0;
+
+      const context = getAuditContext();
+      const changeSet = new mongoose.Types.ObjectId();
+      await AuditLog.insertMany(entries.map(entry => ({
+        ...entry,
+        resource_type: resourceType,
+        resource_id: resourceId,
+        resource_label: label,
+        change_set: changeSet,
+        source: context ? 'request' : 'system',
+        ...(context && {
+          actor: context.actor,
+          ip_address: context.ip_address,
+          user_agent: context.user_agent,
+          method: context.method,
+          route: context.route
+        })
+      })));
+      return entries.length;
+    } catch (error) {
+      console.error(`❌ Audit log for ${resourceType} ${resourceId} failed:`, error);
+      return 0;
+    }
+  }
+
+  // =================== QUERIES ===================
+
+  /**
+   * Mongo filter from query parameters: resource_type, resource_id,
+   * user_id, role, category, operation, path (substring), source, from, to
+   */
+  buildFilter(query = {}) {
+    const filter = {};
+    ['resource_type', 'category', 'operation', 'source'].forEach(field => {
+      if (query[field]) filter[field] = query[field];
+    });
+    if (query.resource_id) filter.resource_id = query.resource_id;
+    if (query.user_id) filter['actor.user_id'] = query.user_id;
+    if (query.role) filter['actor.roles'] = query.role;
+    if (query.path) {
+      filter.path = { $regex: query.path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') };
+    }
+    if (query.from || query.to) {
+      filter.timestamp = {
+        ...(query.from && { $gte: new Date(query.from) }),
+        ...(query.to && { $lte: new Date(query.to) })
+      };
+    }
+    return filter;
+  }
+
+  async query(query = {}, { skip = 0, limit = 50 } = {}) {
+    const filter = this.buildFilter(query);
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter).sort({ timestamp: -1 }).skip(skip).limit(limit).lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+    return { logs, total };
+  }
+
+  async findForExport(query = {}) {
+    return AuditLog.find(this.buildFilter(query))
+      .sort({ timestamp: -1 })
+      .limit(EXPORT_LIMIT)
+      .lean();
+  }
+
+  // =================== EXCEL ===================
+
+  formatValue(value) {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    // Excel cells hold at most 32767 characters
+    return text.length > 32000 ? `${text.slice(0, 32000)}…` : text;
+  }
+
+  /**
+   * Excel workbook of audit log entries
+   */
+  buildWorkbook(logs, { author, filters = {} } = {}) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = author || 'SAMS';
+    workbook.created = new Date();
+
+    const sheet = workbook.addWorksheet('Audit Log', {
+      properties: { tabColor: { argb: 'FF2E86AB' } },
+      pageSetup: { orientation: 'landscape', fitToPage: true, fitToWidth: 1, fitToHeight: 0 }
+    });
+
+    sheet.columns = [
+      { key: 'timestamp', width: 20 },
+      { key: 'actor', width: 24 },
+      { key: 'role', width: 10 },
+      { key: 'ip_address', width: 16 },
+      { key: 'route', width: 36 },
+      { key: 'resource', width: 24 },
+      { key: 'operation', width: 10 },
+      { key: 'category', width: 10 },
+      { key: 'path', width: 50 },
+      { key: 'before', width: 30 },
+      { key: 'after', width: 30 }
+    ];
+
+    const thinBorder = { style: 'thin', color: { argb: 'FFE0E0E0' } };
+    const border = { top: thinBorder, left: thinBorder, bottom: thinBorder, right: thinBorder };
+
+    const titleRow = sheet.addRow(['SAMS Audit Log']);
+    titleRow.font = { name: 'Segoe UI', size: 14, bold: true, color: { argb: 'FF2E86AB' } };
+    sheet.mergeCells(titleRow.number, 1, titleRow.number, 11);
+    const appliedFilters = Object.entries(filters).map(([key, value]) => `${key}=${value}`).join(', ') || 'none';
+    sheet.addRow([`Generated: ${new Date().toLocaleString()}    Entries: ${logs.length}    Filters: ${appliedFilters}`])
+      .font = { name: 'Segoe UI', size: 9, color: { argb: 'FF495057' } };
+    sheet.addRow([]);
+
+    const headerRow = sheet.addRow(['Time', 'Actor', 'Role', 'IP', 'Route', 'Resource', 'Operation', 'Category', 'Field', 'Before', 'After']);
+    headerRow.eachCell(cell => {
+      cell.font = { name: 'Segoe UI', size: 10, bold: true, color: { argb: 'FFFFFFFF' } };
+      cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF2E86AB' } };
+      cell.alignment = { vertical: 'middle', horizontal: 'center', wrapText: true };
+      cell.border = border;
+    });
+    headerRow.height = 22;
+
+    logs.forEach(log => {
+      const row = sheet.addRow({
+        timestamp: log.timestamp ? new Date(log.timestamp).toISOString() : '',
+        actor: log.source === 'system' ? 'System' : (log.actor?.username || log.actor?.email || String(log.actor?.user_id || '')),
+        role: (log.actor?.roles || []).join(', ') || log.actor?.role || '',
+        ip_address: log.ip_address || '',
+        route: log.method ? `${log.method} ${log.route}` : '',
+        resource: `${log.resource_type} ${log.resource_label || log.resource_id}`,
+        operation: log.operation,
+        category: log.category,
+        path: log.path || '(document)',
+        before: this.formatValue(log.before),
+        after: this.formatValue(log.after)
+      });
+      row.eachCell({ includeEmpty: true }, cell => {
+        cell.font = { name: 'Segoe UI', size: 9 };
+        cell.alignment = { vertical: 'top', wrapText: true };
+        cell.border = border;
+      });
+    });
+
+    if (logs.length === EXPORT_LIMIT) {
+      sheet.addRow([]);
+      sheet.addRow([`Note: the export is limited to the ${EXPORT_LIMIT} most recent entries; narrow the filters to see older ones.`])
+        .font = { name: 'Segoe UI', size: 9, italic: true, color: { argb: 'FFFF6B6B' } };
+    }
+
+    sheet.views = [{ state: 'frozen', ySplit: headerRow.number }];
+    return workbook;
+  }
+}
+
+module.exports = new AuditLogService();
+module.exports.EXPORT_LIMIT = EXPORT_LIMIT;
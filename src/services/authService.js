@@ -1,8 +1,14 @@
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const mongoose = require('mongoose');
 const { User, OTP } = require('../models/schemas');
 const emailService = require('./emailService');
+const loginProtectionService = require('./loginProtectionService');
+const sessionService = require('./sessionService');
+const twoFactorService = require('./twoFactorService');
+const { MAX_OTP_ATTEMPTS } = loginProtectionService;
+const { AppError } = require('../middlewares/errorHandler');
 
 class AuthService {
   constructor() {
@@ -11,6 +17,8 @@ class AuthService {
     this.refreshSecret = process.env.JWT_REFRESH_SECRET;
     this.accessExpiresIn = process.env.JWT_EXPIRES_IN || process.env.JWT_ACCESS_EXPIRES_IN || '15m';
     this.refreshExpiresIn = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+    // Time allowed between the password and the two-factor step
+    this.twoFactorExpiresIn = '10m';
     
     this.validateJWTConfig();
   }
@@ -36,13 +44,14 @@ class AuthService {
     console.log('└─ Refresh secret length:', this.refreshSecret.length, 'characters');
   }
 
-  // Generate Access Token (short-lived)
-  generateAccessToken(userId, role) {
+  // Generate Access Token (short-lived); sid ties it to the device session
+  generateAccessToken(userId, role, sessionId) {
     try {
       return jwt.sign(
         { 
           userId, 
           role,
+          ...(sessionId && { sid: String(sessionId) }),
           type: 'access',
           iat: Math.floor(Date.now() / 1000)
         },
@@ -55,12 +64,13 @@ class AuthService {
     }
   }
 
-  // Generate Refresh Token (long-lived)
-  generateRefreshToken(userId) {
+  // Generate Refresh Token (long-lived), one of the session's token family
+  generateRefreshToken(userId, sessionId) {
     try {
       return jwt.sign(
         { 
           userId,
+          ...(sessionId && { sid: String(sessionId) }),
           type: 'refresh',
           iat: Math.floor(Date.now() / 1000),
           jti: crypto.randomUUID() // Unique ID for token revocation
@@ -75,18 +85,72 @@ class AuthService {
   }
 
   // Generate both tokens
-  generateTokenPair(userId, role) {
-    const accessToken = this.generateAccessToken(userId, role);
-    const refreshToken = this.generateRefreshToken(userId);
+  generateTokenPair(userId, role, sessionId) {
+    const accessToken = this.generateAccessToken(userId, role, sessionId);
+    const refreshToken = this.generateRefreshToken(userId, sessionId);
     
     return {
       accessToken,
       refreshToken,
       expiresIn: this.accessExpiresIn,
-      tokenType: 'Bearer'
+      tokenType: 'Bearer',
+      ...(sessionId && { sessionId: String(sessionId) })
     };
   }
 
+  // Sign in on a new device: start a session and issue its first token pair
+  async startSession(user) {
+    const sessionId = new mongoose.Types.ObjectId();
+    const tokens = this.generateTokenPair(user._id, user.role, sessionId);
+    await sessionService.start(user._id, tokens.refreshToken);
+    return tokens;
+  }
+
+  /**
+   * Short-lived token standing for a correct password while the second
+   * step is pending: 'two_factor' (enter a code) or 'two_factor_setup'
+   * (enroll first, when the role requires 2FA). Access token checks
+   * refuse it because of its type.
+   */
+  generateTwoFactorToken(userId, type) {
+    return jwt.sign({ userId, type }, this.accessSecret, { expiresIn: this.twoFactorExpiresIn });
+  }
+
+  verifyTwoFactorToken(token, type) {
+    try {
+      const decoded = jwt.verify(token, this.accessSecret);
+      if (decoded.type !== type) {
+        throw new Error('Invalid token type');
+      }
+      return decoded;
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new AppError('Two-factor sign-in expired. Please log in again.', 401);
+      }
+      throw new AppError('Invalid two-factor token', 401);
+    }
+  }
+
+  /**
+   * Response asking for the second login step instead of tokens
+   * @param {string} step - 'verify' | 'setup' (see twoFactorService.loginStep)
+   */
+  twoFactorChallenge(user, step) {
+    return step === 'verify'
+      ? {
+          success: true,
+          message: 'Enter the code from your authenticator app or a backup code',
+          requires_two_factor: true,
+          two_factor_token: this.generateTwoFactorToken(user._id, 'two_factor')
+        }
+      : {
+          success: true,
+          message: 'Your role requires two-factor authentication. Set it up to finish signing in.',
+          requires_two_factor_setup: true,
+          two_factor_token: this.generateTwoFactorToken(user._id, 'two_factor_setup')
+        };
+  }
+
   // Verify Access Token
   verifyAccessToken(token) {
     try {
@@ -124,6 +188,57 @@ class AuthService {
     return Math.floor(100000 + Math.random() * 900000).toString();
   }
 
+  /**
+   * Check an OTP against the active code for the email and purpose. Each
+   * check uses up one of the code's attempts before comparing, so parallel
+   * guesses cannot exceed MAX_OTP_ATTEMPTS; the code is deleted once they
+   * run out and a new one has to be requested.
+   * @returns {Promise<Object>} the matching OTP record (caller marks it used)
+   */
+  async consumeOTP(email, otp, purpose) {
+    const normalizedEmail = email.toLowerCase();
+    const otpRecord = await OTP.findOneAndUpdate(
+      {
+        email: normalizedEmail,
+        purpose,
+        isEmailVerified: false,
+        expires_at: { $gt: new Date() },
+        attempts: { $lt: MAX_OTP_ATTEMPTS }
+      },
+      { $inc: { attempts: 1 } },
+      { new: true, sort: { created_at: -1 } }
+    );
+
+    if (!otpRecord) {
+      throw new AppError('Invalid or expired OTP', 400);
+    }
+
+    const expected = Buffer.from(otpRecord.otp);
+    const received = Buffer.from(String(otp));
+    if (expected.length === received.length && crypto.timingSafeEqual(expected, received)) {
+      return otpRecord;
+    }
+
+    const remaining = MAX_OTP_ATTEMPTS - otpRecord.attempts;
+    if (remaining > 0) {
+      throw new AppError(`Invalid OTP. ${remaining} attempt(s) remaining`, 400);
+    }
+
+    await OTP.deleteOne({ _id: otpRecord._id });
+    const user = await User.findOne({ email: normalizedEmail }).select('_id').lean();
+    await loginProtectionService.recordEvent('otp_exhausted', {
+      user: user?._id,
+      identifier: normalizedEmail,
+      scope: purpose,
+      failed_attempts: otpRecord.attempts
+    });
+    console.warn(`🔒 ${purpose} OTP for ${normalizedEmail} invalidated after ${otpRecord.attempts} wrong attempts`);
+    throw Object.assign(
+      new AppError('Too many incorrect attempts. This OTP is no longer valid; please request a new one.', 429),
+      { code: 'OTP_ATTEMPTS_EXCEEDED' }
+    );
+  }
+
   // Hash password
   async hashPassword(password) {
     const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
@@ -211,7 +326,6 @@ class AuthService {
         role: role || 'engineer',
         isEmailVerified: false,
         is_active: true,
-        structures: [], // Initialize empty structures array
         stats: {
           total_structures_created: 0,
           total_structures_submitted: 0,
@@ -332,32 +446,7 @@ class AuthService {
     try {
       console.log('📧 Verifying OTP for:', email, 'OTP:', otp);
 
-      // Find valid OTP
-      const otpRecord = await OTP.findOne({
-        email: email.toLowerCase(),
-        otp: otp.toString(),
-        purpose: 'email_verification',
-        isEmailVerified: false,
-        expires_at: { $gt: new Date() }
-      });
-
-      console.log('🔍 OTP query result:', otpRecord ? 'Found' : 'Not found');
-
-      if (!otpRecord) {
-        // Enhanced debugging
-        const allOTPs = await OTP.find({ 
-          email: email.toLowerCase(),
-          purpose: 'email_verification'
-        });
-        console.log('📋 All OTPs for this email:', allOTPs.map(otp => ({
-          otp: otp.otp,
-          expires_at: otp.expires_at,
-          isEmailVerified: otp.isEmailVerified,
-          created_at: otp.created_at
-        })));
-
-        throw new Error('Invalid or expired OTP');
-      }
+      const otpRecord = await this.consumeOTP(email, otp, 'email_verification');
 
       // Mark OTP as used
       otpRecord.isEmailVerified = true;
@@ -379,8 +468,24 @@ class AuthService {
 
       console.log('✅ User email verified:', user.email);
 
+      const twoFactorStep = await twoFactorService.loginStep(user);
+      if (twoFactorStep) {
+        return {
+          ...this.twoFactorChallenge(user, twoFactorStep),
+          message: 'Email verified successfully',
+          user: {
+            id: user._id,
+            username: user.username,
+            email: user.email,
+            role: user.role,
+            isEmailVerified: user.isEmailVerified,
+            is_active: user.is_active
+          }
+        };
+      }
+
       // Generate token pair
-      const tokens = this.generateTokenPair(user._id, user.role);
+      const tokens = await this.startSession(user);
       console.log('✅ Token pair generated successfully');
 
       return {
@@ -399,7 +504,7 @@ class AuthService {
 
     } catch (error) {
       console.error('❌ Email verification error:', error.message);
-      throw new Error(error.message);
+      throw error;
     }
   }
 
@@ -453,6 +558,8 @@ class AuthService {
         throw new Error('Invalid credentials');
       }
 
+      loginProtectionService.assertNotLocked(user);
+
       // Check if email is verified
       if (!user.isEmailVerified) {
         throw new Error('Please verify your email before logging in');
@@ -462,57 +569,136 @@ class AuthService {
       const isPasswordValid = await this.comparePassword(password, user.password);
       if (!isPasswordValid) {
         console.log('❌ Password validation failed');
+        const failure = await loginProtectionService.recordFailedLogin(user, identifier);
+        if (failure.locked) {
+          throw loginProtectionService.lockedError(failure);
+        }
         throw new Error('Invalid credentials');
       }
 
-      // FIXED: Update user stats and last login safely
-      try {
-        await User.findByIdAndUpdate(
-          user._id,
-          { 
-            last_login: new Date(),
-            $inc: { 'stats.total_login_count': 1 }
-          },
-          { runValidators: false } // Skip validators to avoid structure validation issues
-        );
-      } catch (updateError) {
-        console.warn('⚠️ Failed to update login stats:', updateError.message);
-        // Don't fail login if stats update fails
+      const twoFactorStep = await twoFactorService.loginStep(user);
+      if (twoFactorStep) {
+        console.log(`🔐 Password accepted for ${user.email}, two-factor ${twoFactorStep} pending`);
+        return this.twoFactorChallenge(user, twoFactorStep);
       }
 
-      // Generate token pair
-      const tokens = this.generateTokenPair(user._id, user.role);
+      return await this.completeLogin(user);
 
-      console.log('✅ Login successful for:', user.email);
+    } catch (error) {
+      console.error('❌ Login error:', error.message);
+      throw error;
+    }
+  }
 
-      return {
-        success: true,
-        message: 'Login successful',
-        ...tokens,
-        user: {
-          id: user._id,
-          username: user.username,
-          email: user.email,
-          role: user.role,
-          last_login: new Date(),
-          isEmailVerified: user.isEmailVerified,
-          is_active: user.is_active
+  /**
+   * Second login step: an authenticator code or a backup code. Wrong
+   * codes count towards the account lockout like wrong passwords.
+   * @param {{twoFactorToken: string, code?: string, backupCode?: string}} data
+   */
+  async verifyTwoFactorLogin({ twoFactorToken, code, backupCode }) {
+    try {
+      const decoded = this.verifyTwoFactorToken(twoFactorToken, 'two_factor');
+      const user = await twoFactorService.loadWithSecrets(decoded.userId);
+      if (!user || !user.is_active) {
+        throw new AppError('User not found or inactive', 401);
+      }
+
+      loginProtectionService.assertNotLocked(user);
+
+      const result = await twoFactorService.verify(user, { code, backupCode });
+      if (!result) {
+        const failure = await loginProtectionService.recordFailedLogin(user, user.email);
+        if (failure.locked) {
+          throw loginProtectionService.lockedError(failure);
         }
-      };
+        throw new AppError(backupCode ? 'Invalid or already used backup code' : 'Invalid authentication code', 401);
+      }
+
+      console.log(`🔐 Two-factor ${result.method} accepted for ${user.email}`);
+      return await this.completeLogin(user, { two_factor_method: result.method });
 
     } catch (error) {
-      console.error('❌ Login error:', error.message);
-      throw new Error(error.message);
+      console.error('❌ Two-factor login error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Finish enrolling with the token from a login that required 2FA setup,
+   * then sign in
+   * @returns {Promise<Object>} login response with the backup codes
+   */
+  async completeTwoFactorSetup({ twoFactorToken, code }) {
+    try {
+      const decoded = this.verifyTwoFactorToken(twoFactorToken, 'two_factor_setup');
+      const backupCodes = await twoFactorService.confirmEnrollment(decoded.userId, code);
+
+      const user = await User.findById(decoded.userId);
+      if (!user || !user.is_active) {
+        throw new AppError('User not found or inactive', 401);
+      }
+
+      console.log(`🔐 Two-factor enabled for ${user.email} at sign-in`);
+      return await this.completeLogin(user, { two_factor_enabled: true, backup_codes: backupCodes });
+
+    } catch (error) {
+      console.error('❌ Two-factor setup error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Finish a login once every required factor is verified
+   * @param {Object} [extra] - fields added to the response
+   */
+  async completeLogin(user, extra = {}) {
+    await loginProtectionService.resetFailures(user);
+
+    // FIXED: Update user stats and last login safely
+    try {
+      await User.findByIdAndUpdate(
+        user._id,
+        { 
+          last_login: new Date(),
+          $inc: { 'stats.total_login_count': 1 }
+        },
+        { runValidators: false } // Skip validators to avoid structure validation issues
+      );
+    } catch (updateError) {
+      console.warn('⚠️ Failed to update login stats:', updateError.message);
+      // Don't fail login if stats update fails
     }
+
+    // Generate token pair
+    const tokens = await this.startSession(user);
+
+    console.log('✅ Login successful for:', user.email);
+
+    return {
+      success: true,
+      message: 'Login successful',
+      ...tokens,
+      ...extra,
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        last_login: new Date(),
+        isEmailVerified: user.isEmailVerified,
+        is_active: user.is_active
+      }
+    };
   }
 
-  // FIXED: Refresh tokens with better error handling
+  // Exchange a refresh token for a new pair; the presented token cannot be used again
   async refreshTokens(refreshToken) {
     try {
       console.log('🔄 Processing token refresh...');
 
       // Verify refresh token
       const decoded = this.verifyRefreshToken(refreshToken);
+      const session = await sessionService.consume(decoded);
 
       // Get user with better error handling
       const user = await User.findById(decoded.userId)
@@ -523,8 +709,18 @@ class AuthService {
         throw new Error('User not found or inactive');
       }
 
-      // Generate new token pair
-      const tokens = this.generateTokenPair(user._id, user.role);
+      // A role that now requires 2FA has to enroll at the next sign-in
+      if (!user.two_factor?.enabled && twoFactorService.isRequired(user, await twoFactorService.getPolicy())) {
+        await sessionService.revoke({ _id: session._id }, 'two_factor_required');
+        throw Object.assign(
+          new AppError('Your role now requires two-factor authentication. Please log in again to set it up.', 401),
+          { code: 'TWO_FACTOR_SETUP_REQUIRED' }
+        );
+      }
+
+      // Rotate within the session's token family
+      const tokens = this.generateTokenPair(user._id, user.role, session._id);
+      await sessionService.rotate(session, decoded.jti, tokens.refreshToken);
 
       console.log('✅ Tokens refreshed successfully for:', user.email);
 
@@ -544,7 +740,7 @@ class AuthService {
 
     } catch (error) {
       console.error('❌ Token refresh error:', error.message);
-      throw new Error(error.message);
+      throw error;
     }
   }
 
@@ -641,17 +837,7 @@ class AuthService {
         throw new Error(`Password validation failed: ${passwordValidation.errors.join(', ')}`);
       }
 
-      const otpRecord = await OTP.findOne({
-        email: email.toLowerCase(),
-        otp,
-        purpose: 'password_reset',
-        isEmailVerified: false,
-        expires_at: { $gt: new Date() }
-      });
-
-      if (!otpRecord) {
-        throw new Error('Invalid or expired OTP');
-      }
+      const otpRecord = await this.consumeOTP(email, otp, 'password_reset');
 
       otpRecord.isEmailVerified = true;
       await otpRecord.save();
@@ -659,12 +845,18 @@ class AuthService {
       const hashedPassword = await this.hashPassword(newPassword);
 
       // FIXED: Update password without triggering structure validation
-      await User.findOneAndUpdate(
+      const user = await User.findOneAndUpdate(
         { email: email.toLowerCase() },
         { password: hashedPassword },
         { runValidators: false } // Skip validators
       );
 
+      // Proving control of the email ends any lockout; every device has to sign in again
+      if (user) {
+        await loginProtectionService.resetFailures(user);
+        await sessionService.revokeAll(user._id, 'password_changed');
+      }
+
       return {
         success: true,
         message: 'Password reset successfully'
@@ -672,12 +864,12 @@ class AuthService {
 
     } catch (error) {
       console.error('❌ Password reset error:', error.message);
-      throw new Error(error.message);
+      throw error;
     }
   }
 
-  // FIXED: Change password for logged-in users
-  async changePassword(userId, passwordData) {
+  // FIXED: Change password for logged-in users; other devices are signed out
+  async changePassword(userId, passwordData, currentSessionId) {
     try {
       const { currentPassword, newPassword, confirmPassword } = passwordData;
 
@@ -715,6 +907,8 @@ class AuthService {
         { runValidators: false } // Skip validators
       );
 
+      await sessionService.revokeAll(userId, 'password_changed', { exceptSessionId: currentSessionId });
+
       return {
         success: true,
         message: 'Password changed successfully'
@@ -746,11 +940,12 @@ class AuthService {
     }
   }
 
-  // Logout
-  async logout(refreshToken) {
+  // Logout: revoke the session, so its refresh and access tokens stop working
+  async logout(sessionId) {
     try {
-      // In a production environment, you might want to blacklist the token
-      // For now, just return success
+      if (sessionId) {
+        await sessionService.revoke({ _id: sessionId }, 'logout');
+      }
       return {
         success: true,
         message: 'Logged out successfully'
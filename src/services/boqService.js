@@ -0,0 +1,233 @@
+const ExcelJS = require('exceljs');
+const rateBookService = require('./rateBookService');
+
+const SCOPES = [
+  { key: 'structural', label: 'Structural Repairs' },
+  { key: 'non_structural', label: 'Non-Structural Repairs' }
+];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Bill of Quantities built from the quantification entries recorded on
+ * floors and flats
+ */
+class BoqService {
+
+  // =================== AGGREGATION ===================
+
+  /**
+   * Every quantification entry of a structure with the floor/flat it was recorded on
+   * @returns {Array<{scope: string, location: string, entry: Object}>}
+   */
+  collectEntries(structure) {
+    const entries = [];
+
+    const pushEntries = (quantifications, location) => {
+      SCOPES.forEach(({ key }) => {
+        (quantifications?.[key] || []).forEach(entry => {
+          if (entry && Number(entry.quantity) > 0) {
+            entries.push({ scope: key, location, entry });
+          }
+        });
+      });
+    };
+
+    (structure.geometric_details?.floors || []).forEach(floor => {
+      const floorLabel = floor.floor_label_name || `Floor ${floor.floor_number}`;
+      pushEntries(floor.quantifications, floorLabel);
+      (floor.flats || []).forEach(flat => {
+        pushEntries(flat.quantifications, `${floorLabel} / ${flat.flat_number}`);
+      });
+    });
+
+    return entries;
+  }
+
+  /**
+   * Group entries by scope, category, repair methodology and unit, summing quantities
+   */
+  aggregateQuantifications(structure) {
+    const groups = new Map();
+
+    this.collectEntries(structure).forEach(({ scope, location, entry }) => {
+      const category = (entry.category || 'Uncategorised').trim();
+      const methodology = (entry.repair_methodology || 'Not specified').trim();
+      const unit = (entry.unit || "NO'S").trim().toUpperCase();
+      const key = [scope, rateBookService.normalizeComponentKey(category), methodology.toLowerCase(), unit].join('|');
+
+      if (!groups.has(key)) {
+        groups.set(key, {
+          scope,
+          category,
+          repair_methodology: methodology,
+          unit,
+          quantity: 0,
+          entry_count: 0,
+          locations: []
+        });
+      }
+
+      const group = groups.get(key);
+      group.quantity += Number(entry.quantity);
+      group.entry_count += 1;
+      if (!group.locations.includes(location)) {
+        group.locations.push(location);
+      }
+    });
+
+    return Array.from(groups.values())
+      .map(group => ({ ...group, quantity: Math.round(group.quantity * 1000) / 1000 }))
+      .sort((a, b) =>
+        SCOPES.findIndex(scope => scope.key === a.scope) - SCOPES.findIndex(scope => scope.key === b.scope) ||
+        a.category.localeCompare(b.category) ||
+        a.repair_methodology.localeCompare(b.repair_methodology)
+      );
+  }
+
+  // =================== PRICING ===================
+
+  /**
+   * Build the priced BOQ of a structure
+   * @param {Object} structure - Structure (lean or document)
+   * @param {Object} [options]
+   * @param {Object} [options.rateBook] - rate book to price with (defaults to the built-in rates)
+   * @param {Array} [options.unitRates] - [{ category?, repair_methodology?, unit, rate }] overriding the book
+   * @param {Object} [options.ratesByUnit] - { SQM: 1200, ... } overriding the book's unit defaults
+   * @returns {Object} BOQ with line items, per-scope subtotals and grand total
+   */
+  buildBoq(structure, options = {}) {
+    const rateBook = options.rateBook ||
+      rateBookService.getDefaultRateBook(structure.structural_identity?.structure_subtype);
+    const overrides = { unitRates: options.unitRates, ratesByUnit: options.ratesByUnit };
+
+    const lineItems = this.aggregateQuantifications(structure).map((item, index) => {
+      const { rate, source } = rateBookService.resolveUnitRate(item, rateBook, overrides);
+      return {
+        item_no: index + 1,
+        ...item,
+        unit_rate: rate,
+        rate_source: source,
+        amount: rate === null ? 0 : roundAmount(item.quantity * rate)
+      };
+    });
+
+    const sections = SCOPES.map(({ key, label }) => {
+      const items = lineItems.filter(item => item.scope === key);
+      return {
+        scope: key,
+        label,
+        line_items: items,
+        subtotal: roundAmount(items.reduce((sum, item) => sum + item.amount, 0))
+      };
+    }).filter(section => section.line_items.length > 0);
+
+    return {
+      structure_id: structure._id,
+      structural_identity_number: structure.structural_identity?.structural_identity_number,
+      structure_name: structure.location?.structure_name,
+      currency: rateBook.currency,
+      rate_book: rateBookService.summarizeRateBook(rateBook),
+      generated_at: new Date(),
+      sections,
+      totals: {
+        line_items: lineItems.length,
+        unpriced_items: lineItems.filter(item => item.unit_rate === null).length,
+        grand_total: roundAmount(sections.reduce((sum, section) => sum + section.subtotal, 0))
+      }
+    };
+  }
+
+  // =================== EXCEL ===================
+
+  /**
+   * Excel workbook for a BOQ built by buildBoq()
+   */
+  buildWorkbook(boq, { author } = {}) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = author || 'SAMS';
+    workbook.created = new Date();
+
+    const sheet = workbook.addWorksheet('Bill of Quantities', {
+      properties: { tabColor: { argb: 'FF2E86AB' } },
+      pageSetup: { orientation: 'landscape', fitToPage: true, fitToWidth: 1, fitToHeight: 0 }
+    });
+
+    sheet.columns = [
+      { key: 'item_no', width: 8 },
+      { key: 'category', width: 22 },
+      { key: 'repair_methodology', width: 36 },
+      { key: 'locations', width: 36 },
+      { key: 'unit', width: 8 },
+      { key: 'quantity', width: 12 },
+      { key: 'unit_rate', width: 14 },
+      { key: 'amount', width: 16 }
+    ];
+
+    const currencyFormat = '#,##0.00';
+    const thinBorder = { style: 'thin', color: { argb: 'FFE0E0E0' } };
+    const border = { top: thinBorder, left: thinBorder, bottom: thinBorder, right: thinBorder };
+
+    const titleRow = sheet.addRow([`Bill of Quantities - ${boq.structure_name || boq.structural_identity_number || boq.structure_id}`]);
+    titleRow.font = { name: 'Segoe UI', size: 14, bold: true, color: { argb: 'FF2E86AB' } };
+    sheet.mergeCells(titleRow.number, 1, titleRow.number, 8);
+    sheet.addRow([`Structure ID: ${boq.structural_identity_number || '-'}    Generated: ${boq.generated_at.toLocaleString()}    Rates: ${boq.rate_book?.name || '-'} (${boq.currency})`])
+      .font = { name: 'Segoe UI', size: 9, color: { argb: 'FF495057' } };
+    sheet.addRow([]);
+
+    const headerRow = sheet.addRow(['Item', 'Category', 'Repair Methodology', 'Locations', 'Unit', 'Quantity', `Rate (${boq.currency})`, `Amount (${boq.currency})`]);
+    headerRow.eachCell(cell => {
+      cell.font = { name: 'Segoe UI', size: 10, bold: true, color: { argb: 'FFFFFFFF' } };
+      cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF2E86AB' } };
+      cell.alignment = { vertical: 'middle', horizontal: 'center', wrapText: true };
+      cell.border = border;
+    });
+    headerRow.height = 22;
+
+    boq.sections.forEach(section => {
+      const sectionRow = sheet.addRow([section.label]);
+      sheet.mergeCells(sectionRow.number, 1, sectionRow.number, 8);
+      sectionRow.font = { name: 'Segoe UI', size: 10, bold: true, color: { argb: 'FFFFFFFF' } };
+      sectionRow.getCell(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1B998B' } };
+
+      section.line_items.forEach(item => {
+        const row = sheet.addRow({
+          ...item,
+          locations: item.locations.join(', '),
+          unit_rate: item.unit_rate === null ? 'Not priced' : item.unit_rate
+        });
+        row.eachCell({ includeEmpty: true }, cell => {
+          cell.font = { name: 'Segoe UI', size: 9 };
+          cell.alignment = { vertical: 'top', wrapText: true };
+          cell.border = border;
+        });
+        row.getCell('unit_rate').numFmt = currencyFormat;
+        row.getCell('amount').numFmt = currencyFormat;
+        if (item.unit_rate === null) {
+          row.getCell('unit_rate').font = { name: 'Segoe UI', size: 9, italic: true, color: { argb: 'FFFF6B6B' } };
+        }
+      });
+
+      const subtotalRow = sheet.addRow({ repair_methodology: `Subtotal - ${section.label}`, amount: section.subtotal });
+      subtotalRow.font = { name: 'Segoe UI', size: 10, bold: true };
+      subtotalRow.getCell('amount').numFmt = currencyFormat;
+      sheet.addRow([]);
+    });
+
+    const totalRow = sheet.addRow({ repair_methodology: 'GRAND TOTAL', amount: boq.totals.grand_total });
+    totalRow.font = { name: 'Segoe UI', size: 11, bold: true };
+    totalRow.getCell('amount').numFmt = currencyFormat;
+    totalRow.getCell('amount').fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFBB13C' } };
+
+    if (boq.totals.unpriced_items > 0) {
+      sheet.addRow([]);
+      sheet.addRow([`Note: ${boq.totals.unpriced_items} item(s) have no configured unit rate and are excluded from the total.`])
+        .font = { name: 'Segoe UI', size: 9, italic: true, color: { argb: 'FFFF6B6B' } };
+    }
+
+    sheet.views = [{ state: 'frozen', ySplit: headerRow.number }];
+    return workbook;
+  }
+}
+
+module.exports = new BoqService();
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const { CriticalEscalation } = require('../models/schemas');
+const reportPdfService = require('./reportPdfService');
+const structureService = require('./structureService');
+const notificationService = require('./notificationService');
+
+const ELEMENT_RATINGS = {
+  floor: 'floor_overall_rating',
+  flat: 'flat_overall_rating',
+  block: 'block_overall_rating'
+};
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Escalation of Critical findings: a component instance rated Critical, or a
+ * floor/flat/block whose combined score is Critical. Only findings that a
+ * save made Critical are escalated, so re-saving unchanged ratings is quiet.
+ */
+class CriticalEscalationService {
+
+  isCritical(rating) {
+    return structureService.getHealthStatus(rating) === 'Critical';
+  }
+
+  /**
+   * Every Critical finding in a structure, keyed so before/after snapshots can be compared
+   * @param {Object} structure - Structure (lean or document)
+   * @returns {Map<string, Object>} key -> escalation item
+   */
+  collectCriticalItems(structure) {
+    const data = typeof structure.toObject === 'function' ? structure.toObject() : structure;
+    const items = new Map();
+
+    const inspect = (kind, element, floor) => {
+      const elementId = element[`${kind}_id`];
+      const location = {
+        floor_id: floor.floor_id,
+        floor_number: floor.floor_number,
+        ...(kind === 'flat' && { flat_id: element.flat_id, flat_number: element.flat_number }),
+        ...(kind === 'block' && { block_id: element.block_id, block_number: element.block_number })
+      };
+      const locationLabel = [
+        floor.floor_label_name || `Floor ${floor.floor_number}`,
+        kind === 'flat' ? `Flat ${element.flat_number}` : null,
+        kind === 'block' ? `Block ${element.block_number}` : null
+      ].filter(Boolean).join(', ');
+
+      ['structural', 'non_structural'].forEach(scope => {
+        reportPdfService.getComponentInstances(element[`${scope}_rating`])
+          .filter(({ instance }) => this.isCritical(instance.rating))
+          .forEach(({ component, instance }) => {
+            const instanceId = instance._id ? String(instance._id) : `${elementId}_${component}`;
+            const key = `${kind}:${elementId}:${scope}:${component}:${instanceId}`;
+            items.set(key, {
+              level: 'instance',
+              key,
+              location,
+              location_label: locationLabel,
+              scope,
+              component_type: component,
+              instance_id: instanceId,
+              instance_name: instance.name,
+              rating: instance.rating,
+              distress_types: (instance.distress_types || []).filter(type => type !== 'none'),
+              condition_comment: instance.condition_comment,
+              // Inline base64 photos stay on the structure; escalations keep links only
+              photos: reportPdfService.getInstancePhotos(instance).filter(photo => !photo.startsWith('data:'))
+            });
+          });
+      });
+
+      const overall = element[ELEMENT_RATINGS[kind]];
+      if (overall && (overall.health_status === 'Critical' || this.isCritical(overall.combined_score))) {
+        const key = `${kind}:${elementId}:combined`;
+        items.set(key, {
+          level: 'element',
+          key,
+          location,
+          location_label: locationLabel,
+          scope: 'combined',
+          combined_score: overall.combined_score
+        });
+      }
+    };
+
+    (data.geometric_details?.floors || []).forEach(floor => {
+      inspect('floor', floor, floor);
+      (floor.flats || []).forEach(flat => inspect('flat', flat, floor));
+      (floor.blocks || []).forEach(block => inspect('block', block, floor));
+    });
+
+    return items;
+  }
+
+  /**
+   * Findings Critical after a save that were not Critical before it
+   * @param {Map} before - collectCriticalItems() of the structure as loaded
+   * @param {Map} after - collectCriticalItems() of the saved structure
+   */
+  diffCriticalItems(before, after) {
+    return Array.from(after.values()).filter(item => !before.has(item.key));
+  }
+
+  /**
+   * Record and send an escalation for findings a save made Critical:
+   * in-app and email to admins, email to the custodian (administrative.email_id)
+   * @param {Object} structure - saved structure document
+   * @param {Map} criticalBefore - collectCriticalItems() taken before the changes
+   * @param {Object} triggeredBy - { user_id, name, role }
+   * @returns {Promise<Object|null>} the escalation, or null when nothing new is Critical
+   */
+  async escalateNewlyCritical(structure, criticalBefore, triggeredBy) {
+    const items = this.diffCriticalItems(criticalBefore, this.collectCriticalItems(structure));
+    if (items.length === 0) return null;
+
+    const admins = await notificationService.findRecipients(
+      (await notificationService.findUsersByRoles(['AD'])).map(admin => admin._id)
+    );
+    const custodianEmail = structure.administrative?.email_id;
+    const custodianToken = custodianEmail ? crypto.randomBytes(32).toString('hex') : null;
+
+    const escalation = await CriticalEscalation.create({
+      structure: structure._id,
+      items,
+      triggered_by: triggeredBy,
+      recipients: [
+        ...admins.map(admin => ({ user: admin._id, email: admin.email, kind: 'admin' })),
+        ...(custodianEmail ? [{ email: custodianEmail, kind: 'custodian', ack_token_hash: hashToken(custodianToken) }] : [])
+      ]
+    });
+
+    await notificationService.sendCriticalStructureAlert(structure, escalation, { custodianToken });
+
+    console.log(`🚨 Critical escalation ${escalation._id}: ${items.length} finding(s) on structure ${structure._id}`);
+    return escalation;
+  }
+
+  /**
+   * Record an acknowledgment. The escalation is acknowledged once anyone
+   * acknowledges it; later acknowledgments are kept as well.
+   * @param {Object} escalation - CriticalEscalation document
+   * @param {Object} acknowledgment - { user?, email, kind, notes, ip_address }
+   */
+  async acknowledge(escalation, acknowledgment) {
+    escalation.acknowledgments.push({ ...acknowledgment, acknowledged_at: new Date() });
+    escalation.status = 'acknowledged';
+    await escalation.save();
+    return escalation;
+  }
+
+  /**
+   * Escalation and custodian recipient matching an emailed acknowledgment link
+   * @returns {Promise<{escalation: Object, recipient: Object}|null>}
+   */
+  async findByCustodianToken(escalationId, token) {
+    const escalation = await CriticalEscalation.findById(escalationId).select('+recipients.ack_token_hash');
+    if (!escalation || !token) return null;
+
+    const tokenHash = hashToken(String(token));
+    const recipient = escalation.recipients.find(entry =>
+      entry.kind === 'custodian' && entry.ack_token_hash === tokenHash
+    );
+    return recipient ? { escalation, recipient } : null;
+  }
+}
+
+module.exports = new CriticalEscalationService();
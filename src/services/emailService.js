@@ -1,5 +1,26 @@
 const nodemailer = require('nodemailer');
 
+// Heading and accent colour of each workflow email
+const WORKFLOW_EMAIL_THEMES = {
+  submitted: { heading: 'Submitted for Testing', color: '#2c5aa0', action: 'Open the structure to start testing.' },
+  testing_started: { heading: 'Testing Started', color: '#4a90a4', action: 'You will be notified when testing is complete.' },
+  tested: { heading: 'Ready for Validation', color: '#6f42c1', action: 'Open the structure to start validation.' },
+  validation_started: { heading: 'Validation Started', color: '#4a90a4', action: 'You will be notified when validation is complete.' },
+  validated: { heading: 'Ready for Approval', color: '#fd7e14', action: 'Open the structure to review and approve it.' },
+  approved: { heading: 'Structure Approved', color: '#28a745', action: 'The approved report is now available.' },
+  rejected: { heading: 'Structure Rejected', color: '#dc3545', action: 'Review the remarks, correct the data and resubmit.' },
+  assigned: { heading: 'Assigned to You', color: '#2c5aa0', action: 'Open the structure to start your review.' },
+  sla_breach: { heading: 'SLA Breached', color: '#dc3545', action: 'Follow up with the assigned reviewer or reassign the structure.' },
+  reopened: { heading: 'Reopened for Editing', color: '#fd7e14', action: 'Update the structure and submit it again.' },
+  audit_cycle_started: { heading: 'New Audit Cycle', color: '#2c5aa0', action: 'Re-inspect the structure and rate every component again.' }
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
 class EmailService {
   constructor() {
     this.transporter = null;
@@ -397,6 +418,304 @@ class EmailService {
     `;
   }
 
+  // Send a workflow transition email (submitted, tested, rejected, approved, ...)
+  async sendWorkflowEmail(email, notification) {
+    try {
+      if (!this.isConfigured) {
+        console.log(`📧 Workflow email would be sent to ${email}: ${notification.title}`);
+        return {
+          success: true,
+          message: 'Workflow email logged (email service not configured)'
+        };
+      }
+
+      const mailOptions = {
+        from: `"SAMS Workflow" <${process.env.EMAIL_USER}>`,
+        to: email,
+        subject: `SAMS - ${notification.title}`,
+        html: this.getWorkflowEmailHTML(notification)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log(`✅ Workflow email (${notification.data?.event}) sent to ${email}`);
+
+      return {
+        success: true,
+        messageId: result.messageId
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to send workflow email:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Send the daily digest of notifications collected for a user
+  async sendNotificationDigest(email, recipientName, notifications) {
+    try {
+      if (!this.isConfigured) {
+        console.log(`📧 Digest of ${notifications.length} notification(s) would be sent to ${email}`);
+        return {
+          success: true,
+          message: 'Digest email logged (email service not configured)'
+        };
+      }
+
+      const mailOptions = {
+        from: `"SAMS Workflow" <${process.env.EMAIL_USER}>`,
+        to: email,
+        subject: `SAMS - Daily summary: ${notifications.length} update${notifications.length === 1 ? '' : 's'}`,
+        html: this.getDigestEmailHTML(recipientName, notifications)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log(`✅ Digest of ${notifications.length} notification(s) sent to ${email}`);
+
+      return {
+        success: true,
+        messageId: result.messageId
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to send digest email:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Send a critical condition escalation (admins and the structure custodian)
+  async sendCriticalEscalationEmail(email, { structureLabel, escalation, acknowledgeUrl }) {
+    try {
+      if (!this.isConfigured) {
+        console.log(`📧 Critical escalation would be sent to ${email}: ${structureLabel} (${escalation.items.length} finding(s))`);
+        console.log(`🔗 Acknowledge: ${acknowledgeUrl}`);
+        return {
+          success: true,
+          message: 'Critical escalation logged (email service not configured)'
+        };
+      }
+
+      const mailOptions = {
+        from: `"SAMS Alerts" <${process.env.EMAIL_USER}>`,
+        to: email,
+        subject: `URGENT - Critical condition reported: ${structureLabel}`,
+        priority: 'high',
+        html: this.getCriticalEscalationEmailHTML(structureLabel, escalation, acknowledgeUrl)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log(`✅ Critical escalation sent to ${email}`);
+
+      return {
+        success: true,
+        messageId: result.messageId
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to send critical escalation email:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  getStructureLink(notification) {
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+    return notification.relatedModel === 'Structure' && notification.relatedId
+      ? `${clientUrl}/structures/${notification.relatedId}`
+      : clientUrl;
+  }
+
+  // Get workflow email HTML template
+  getWorkflowEmailHTML(notification) {
+    const event = notification.data?.event;
+    const theme = WORKFLOW_EMAIL_THEMES[event] || { heading: 'Workflow Update', color: '#2c5aa0', action: '' };
+    const link = this.getStructureLink(notification);
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>${escapeHtml(theme.heading)}</title>
+        <style>
+          body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f4f4f4; }
+          .container { background-color: white; border-radius: 10px; padding: 30px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+          .header { text-align: center; margin-bottom: 30px; padding-bottom: 20px; border-bottom: 2px solid ${theme.color}; }
+          .logo { color: #2c5aa0; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
+          .status-badge { background-color: ${theme.color}; color: white; padding: 10px 25px; border-radius: 25px; display: inline-block; font-weight: bold; }
+          .content { font-size: 16px; margin: 20px 0; }
+          .details { background-color: #f8f9fa; padding: 15px 20px; border-left: 4px solid ${theme.color}; border-radius: 5px; margin: 20px 0; }
+          .button { display: inline-block; background-color: ${theme.color}; color: white !important; padding: 12px 30px; border-radius: 5px; text-decoration: none; font-weight: bold; }
+          .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee; font-size: 14px; color: #666; text-align: center; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <div class="logo">SAMS</div>
+            <div class="status-badge">${escapeHtml(theme.heading)}</div>
+          </div>
+          
+          <div class="content">
+            <h2>${escapeHtml(notification.title)}</h2>
+            <p>${escapeHtml(notification.message)}</p>
+          </div>
+          
+          <div class="details">
+            ${notification.data?.status ? `<div><strong>Current status:</strong> ${escapeHtml(notification.data.status.replace(/_/g, ' '))}</div>` : ''}
+            ${notification.data?.stage ? `<div><strong>Stage:</strong> ${escapeHtml(notification.data.stage)}</div>` : ''}
+            <div><strong>Date:</strong> ${new Date(notification.createdAt || Date.now()).toLocaleString()}</div>
+          </div>
+          
+          <div class="content" style="text-align: center;">
+            <p>${escapeHtml(theme.action)}</p>
+            <a class="button" href="${escapeHtml(link)}">Open in SAMS</a>
+          </div>
+          
+          <div class="footer">
+            <p>You receive these emails because of your SAMS notification preferences. Switch to a daily digest or turn them off in your settings.</p>
+            <p>&copy; 2025 SAMS - Structure Asset Maintenance Management System</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  // Get critical escalation email HTML template
+  getCriticalEscalationEmailHTML(structureLabel, escalation, acknowledgeUrl) {
+    const findings = escalation.items.map(item => {
+      const what = item.level === 'element'
+        ? `Combined condition score ${item.combined_score ?? '-'} / 5`
+        : `${item.component_type.replace(/_/g, ' ')}${item.instance_name ? ` (${item.instance_name})` : ''} rated ${item.rating} / 5`;
+      const photos = (item.photos || [])
+        .filter(photo => /^https?:\/\//i.test(photo))
+        .map(photo => `<a href="${escapeHtml(photo)}"><img src="${escapeHtml(photo)}" alt="Photo" class="photo"></a>`)
+        .join('');
+
+      return `
+            <div class="finding">
+              <div class="finding-title">${escapeHtml(what)}</div>
+              <div><strong>Location:</strong> ${escapeHtml(item.location_label)}</div>
+              ${item.distress_types?.length ? `<div><strong>Distress:</strong> ${escapeHtml(item.distress_types.join(', ').replace(/_/g, ' '))}</div>` : ''}
+              ${item.condition_comment ? `<div><strong>Observation:</strong> ${escapeHtml(item.condition_comment)}</div>` : ''}
+              ${photos ? `<div class="photos">${photos}</div>` : ''}
+            </div>`;
+    }).join('');
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Critical Condition Escalation</title>
+        <style>
+          body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f4f4f4; }
+          .container { background-color: white; border-radius: 10px; padding: 30px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+          .header { text-align: center; margin-bottom: 30px; padding-bottom: 20px; border-bottom: 2px solid #dc3545; }
+          .logo { color: #2c5aa0; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
+          .alert { background-color: #f8d7da; border: 1px solid #f5c6cb; color: #721c24; padding: 15px; border-radius: 5px; margin: 20px 0; text-align: center; }
+          .content { font-size: 16px; margin: 20px 0; }
+          .finding { background-color: #f8f9fa; padding: 12px 15px; border-left: 4px solid #dc3545; border-radius: 5px; margin-bottom: 12px; font-size: 14px; }
+          .finding-title { font-weight: bold; font-size: 15px; text-transform: capitalize; }
+          .photos { margin-top: 8px; }
+          .photo { width: 160px; height: 120px; object-fit: cover; border-radius: 4px; margin: 0 6px 6px 0; }
+          .button { display: inline-block; background-color: #dc3545; color: white !important; padding: 12px 30px; border-radius: 5px; text-decoration: none; font-weight: bold; }
+          .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee; font-size: 14px; color: #666; text-align: center; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <div class="logo">SAMS</div>
+          </div>
+          
+          <div class="alert">
+            <strong>Critical condition reported: ${escapeHtml(structureLabel)}</strong>
+          </div>
+          
+          <div class="content">
+            <p>${escapeHtml(escalation.triggered_by?.name || 'An inspector')} recorded ${escalation.items.length === 1 ? 'a finding' : `${escalation.items.length} findings`} in Critical condition on ${new Date(escalation.createdAt || Date.now()).toLocaleString()}. Immediate attention is required.</p>
+          </div>
+          ${findings}
+          
+          <div class="content" style="text-align: center;">
+            <p>Please confirm that you have seen this alert.</p>
+            <a class="button" href="${escapeHtml(acknowledgeUrl)}">Acknowledge</a>
+          </div>
+          
+          <div class="footer">
+            <p>This is an automated safety alert from SAMS. Please do not reply.</p>
+            <p>&copy; 2025 SAMS - Structure Asset Maintenance Management System</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  // Get daily digest email HTML template
+  getDigestEmailHTML(recipientName, notifications) {
+    const items = notifications.map(notification => {
+      const theme = WORKFLOW_EMAIL_THEMES[notification.data?.event] || { color: '#2c5aa0' };
+      return `
+            <div class="item" style="border-left-color: ${theme.color};">
+              <div class="item-title"><a href="${escapeHtml(this.getStructureLink(notification))}">${escapeHtml(notification.title)}</a></div>
+              <div>${escapeHtml(notification.message)}</div>
+              <div class="item-date">${new Date(notification.createdAt).toLocaleString()}</div>
+            </div>`;
+    }).join('');
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>SAMS Daily Summary</title>
+        <style>
+          body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f4f4f4; }
+          .container { background-color: white; border-radius: 10px; padding: 30px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+          .header { text-align: center; margin-bottom: 30px; padding-bottom: 20px; border-bottom: 2px solid #2c5aa0; }
+          .logo { color: #2c5aa0; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
+          .subtitle { color: #666; font-size: 16px; }
+          .content { font-size: 16px; margin: 20px 0; }
+          .item { background-color: #f8f9fa; padding: 12px 15px; border-left: 4px solid #2c5aa0; border-radius: 5px; margin-bottom: 12px; }
+          .item-title { font-weight: bold; }
+          .item-title a { color: #2c5aa0; text-decoration: none; }
+          .item-date { font-size: 13px; color: #666; }
+          .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee; font-size: 14px; color: #666; text-align: center; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <div class="logo">SAMS</div>
+            <div class="subtitle">Your daily summary</div>
+          </div>
+          
+          <div class="content">
+            <p>Hello ${escapeHtml(recipientName)},</p>
+            <p>Here ${notifications.length === 1 ? 'is the update' : `are the ${notifications.length} updates`} from the last day:</p>
+          </div>
+          ${items}
+          
+          <div class="footer">
+            <p>You receive this digest because of your SAMS notification preferences.</p>
+            <p>&copy; 2025 SAMS - Structure Asset Maintenance Management System</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
   // Test email configuration
   async testEmailConfig() {
     try {
@@ -0,0 +1,184 @@
+const { hasPrivilegedAccess } = require('../middlewares/auth');
+const sessionService = require('./sessionService');
+const { ROLE_VISIBLE_STATUSES } = require('../utils/constants');
+
+// Comment line sent to idle connections so proxies do not close them; each
+// heartbeat also re-checks the access token expiry and the session
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// How long browsers wait before reconnecting a dropped stream
+const RECONNECT_DELAY_MS = 5000;
+
+/**
+ * Server-Sent Events stream of structure and notification events.
+ *
+ * Events:
+ *   structure.status_changed - workflow transition (submitted, tested, approved, ...)
+ *   structure.remark_added   - remark added by FE/TE/VE
+ *   structure.ratings_saved  - component ratings saved through a bulk endpoint
+ *   notification.created     - in-app notification for the connected user
+ *   stream.closed            - sent before the server ends the stream because the
+ *                              access token expired or the session was signed out;
+ *                              reconnect with a fresh token
+ *
+ * Structure events reach a client only when the structure would appear in
+ * its GET /api/structures list (same rules as getAllStructures).
+ */
+class EventStreamService {
+  constructor() {
+    this.clients = new Map();
+    this.nextClientId = 1;
+    this.nextEventId = 1;
+
+    this.subscribe = this.subscribe.bind(this);
+  }
+
+  /**
+   * Whether a user may see events about a structure. A status change is
+   * visible when the structure was or now is in the user's list, so it can
+   * both arrive in and leave a review queue.
+   * @param {Object} user - req.user
+   * @param {Object} structure - { owner, status }
+   * @param {Array<string>} [statuses] - statuses to check, defaults to the current one
+   */
+  canSeeStructure(user, structure, statuses = [structure.status]) {
+    if (!hasPrivilegedAccess(user)) {
+      return String(structure.owner) === String(user.userId);
+    }
+
+    const userRole = user.roles?.[0] || user.role;
+    const visibleStatuses = ROLE_VISIBLE_STATUSES[userRole];
+    return !visibleStatuses || statuses.some(status => visibleStatuses.includes(status));
+  }
+
+  /**
+   * Open a stream for the authenticated user
+   * @route GET /api/events/stream
+   * @access Private (All authenticated users)
+   */
+  subscribe(req, res) {
+    const clientId = this.nextClientId++;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Disable response buffering in nginx
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+    const client = { id: clientId, user: req.user, res, expiresAt: req.tokenExpiresAt || null };
+    this.clients.set(clientId, client);
+    this.send(client, 'connected', { client_id: clientId, user_id: req.user.userId });
+
+    const heartbeat = setInterval(() => {
+      this.heartbeat(client).catch(error => {
+        console.error(`❌ Event stream ${clientId} heartbeat failed:`, error);
+      });
+    }, HEARTBEAT_INTERVAL_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      this.clients.delete(clientId);
+      console.log(`📡 Event stream ${clientId} closed (${this.clients.size} open)`);
+    });
+
+    console.log(`📡 Event stream ${clientId} opened for ${req.user.email} (${this.clients.size} open)`);
+  }
+
+  /**
+   * Keep the connection alive while its access token and session are valid,
+   * otherwise end it
+   */
+  async heartbeat(client, now = Date.now()) {
+    if (this.hasExpired(client, now)) {
+      return this.close(client, 'token_expired');
+    }
+    if (client.user.sessionId && !(await sessionService.isActive(client.user.sessionId))) {
+      return this.close(client, 'session_revoked');
+    }
+
+    client.res.write(': ping\n\n');
+    this.flush(client.res);
+  }
+
+  hasExpired(client, now = Date.now()) {
+    return Boolean(client.expiresAt) && client.expiresAt <= now;
+  }
+
+  /**
+   * Tell the client why, then end the stream (the request's close handler cleans up)
+   */
+  close(client, reason) {
+    if (!this.clients.has(client.id)) return;
+    this.clients.delete(client.id);
+    this.send(client, 'stream.closed', { reason });
+    client.res.end();
+    console.log(`📡 Event stream ${client.id} ended: ${reason}`);
+  }
+
+  // Events never reach a stream whose token has expired, even between heartbeats
+  isOpen(client) {
+    if (!this.hasExpired(client)) return true;
+    this.close(client, 'token_expired');
+    return false;
+  }
+
+  // compression() buffers responses until flushed
+  flush(res) {
+    if (typeof res.flush === 'function') res.flush();
+  }
+
+  send(client, event, data) {
+    client.res.write(`id: ${this.nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    this.flush(client.res);
+  }
+
+  /**
+   * Push a structure event to every client allowed to see the structure
+   * @param {string} event - structure.status_changed | structure.remark_added | structure.ratings_saved
+   * @param {Object} structure - Structure (document or lean)
+   * @param {Object} [data] - event details
+   * @param {Object} [options] - { previousStatus }
+   * @returns {number} clients the event was sent to
+   */
+  publishStructureEvent(event, structure, data = {}, { previousStatus } = {}) {
+    const statuses = [structure.status, previousStatus].filter(Boolean);
+    const payload = {
+      structure_id: String(structure._id),
+      uid: structure.structural_identity?.uid,
+      structure_name: structure.location?.structure_name,
+      status: structure.status,
+      ...(previousStatus && { previous_status: previousStatus }),
+      ...data,
+      at: new Date().toISOString()
+    };
+
+    let sent = 0;
+    this.clients.forEach(client => {
+      if (this.isOpen(client) && this.canSeeStructure(client.user, structure, statuses)) {
+        this.send(client, event, payload);
+        sent += 1;
+      }
+    });
+    return sent;
+  }
+
+  /**
+   * Push an event to every open stream of one user
+   * @returns {number} clients the event was sent to
+   */
+  publishToUser(userId, event, data) {
+    let sent = 0;
+    this.clients.forEach(client => {
+      if (String(client.user.userId) === String(userId) && this.isOpen(client)) {
+        this.send(client, event, data);
+        sent += 1;
+      }
+    });
+    return sent;
+  }
+}
+
+module.exports = new EventStreamService();
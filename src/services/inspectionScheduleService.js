@@ -0,0 +1,227 @@
+const { Structure } = require('../models/schemas');
+const reportPdfService = require('./reportPdfService');
+const structureService = require('./structureService');
+
+// Re-inspection interval by combined health status
+const INTERVAL_MONTHS_BY_HEALTH = {
+  Good: 36,
+  Fair: 24,
+  Poor: 12,
+  Critical: 3,
+  Unknown: 12
+};
+
+// Older structures are re-inspected sooner: [minimum age in years, factor]
+const AGE_FACTORS = [
+  [30, 0.5],
+  [15, 0.75]
+];
+
+// Occupancy-sensitive structures are re-inspected twice as often
+const TYPE_FACTORS = {
+  hospital: 0.5,
+  educational: 0.5
+};
+
+const MIN_INTERVAL_MONTHS = 3;
+
+// Reminders go out this many days before the due date
+const REMINDER_DAYS = [30, 7, 1];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Periodic re-inspection of approved structures: when the next inspection
+ * is due and which reminder, if any, is owed for it
+ */
+class InspectionScheduleService {
+
+  /**
+   * Combined health of a structure from every rated instance on floors,
+   * flats and blocks (70% structural, 30% non-structural)
+   * @returns {{structural: number|null, non_structural: number|null, combined_score: number|null, health_status: string}}
+   */
+  getCombinedHealth(structure) {
+    const data = typeof structure.toObject === 'function' ? structure.toObject() : structure;
+    const ratings = { structural: [], non_structural: [] };
+
+    (data.geometric_details?.floors || []).forEach(floor => {
+      [floor, ...(floor.flats || []), ...(floor.blocks || [])].forEach(element => {
+        Object.keys(ratings).forEach(scope => {
+          reportPdfService.getComponentInstances(element[`${scope}_rating`])
+            .forEach(({ instance }) => {
+              if (instance.rating) ratings[scope].push(instance.rating);
+            });
+        });
+      });
+    });
+
+    const average = values => values.length > 0
+      ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10
+      : null;
+    const structural = average(ratings.structural);
+    const nonStructural = average(ratings.non_structural);
+
+    let combinedScore = structural ?? nonStructural;
+    if (structural !== null && nonStructural !== null) {
+      combinedScore = Math.round((structural * 0.7 + nonStructural * 0.3) * 10) / 10;
+    }
+
+    return {
+      structural,
+      non_structural: nonStructural,
+      combined_score: combinedScore,
+      health_status: structureService.getHealthStatus(combinedScore)
+    };
+  }
+
+  /**
+   * Months between inspections for a health status, age and structure type
+   */
+  getIntervalMonths({ healthStatus, age, type }) {
+    const base = INTERVAL_MONTHS_BY_HEALTH[healthStatus] || INTERVAL_MONTHS_BY_HEALTH.Unknown;
+    const ageFactor = (AGE_FACTORS.find(([minAge]) => (age || 0) >= minAge) || [0, 1])[1];
+    const typeFactor = TYPE_FACTORS[type] || 1;
+
+    return Math.max(MIN_INTERVAL_MONTHS, Math.round(base * ageFactor * typeFactor));
+  }
+
+  /**
+   * Next inspection of a structure inspected (approved) on `from`
+   * @returns {Object} inspection_schedule fields
+   */
+  computeSchedule(structure, { from = new Date() } = {}) {
+    const health = this.getCombinedHealth(structure);
+    const intervalMonths = this.getIntervalMonths({
+      healthStatus: health.health_status,
+      age: structure.structural_identity?.age_of_structure,
+      type: structure.structural_identity?.type_of_structure
+    });
+
+    const nextInspectionDue = new Date(from);
+    nextInspectionDue.setMonth(nextInspectionDue.getMonth() + intervalMonths);
+
+    return {
+      next_inspection_due: nextInspectionDue,
+      interval_months: intervalMonths,
+      last_inspection_date: new Date(from),
+      health_status: health.health_status,
+      combined_score: health.combined_score,
+      computed_at: new Date(),
+      reminders_sent: [],
+      overdue_alert_sent_at: null
+    };
+  }
+
+  /**
+   * Set a fresh schedule on a structure document (caller saves)
+   */
+  applySchedule(structure, options) {
+    structure.inspection_schedule = this.computeSchedule(structure, options);
+    return structure.inspection_schedule;
+  }
+
+  /**
+   * Reminder owed for a schedule on `now`, if any. When several reminders
+   * are owed at once (e.g. a schedule computed 5 days before it is due) only
+   * the most urgent is sent and the others count as covered.
+   * @returns {null|{kind: 'reminder', days_before: number, days_until: number, covers: number[]}|{kind: 'overdue', days_overdue: number}}
+   */
+  getDueReminder(schedule, now = new Date()) {
+    if (!schedule?.next_inspection_due) return null;
+
+    const due = new Date(schedule.next_inspection_due);
+    if (due <= now) {
+      if (schedule.overdue_alert_sent_at) return null;
+      return { kind: 'overdue', days_overdue: Math.floor((now - due) / DAY_MS) };
+    }
+
+    const daysUntil = Math.ceil((due - now) / DAY_MS);
+    const sent = schedule.reminders_sent || [];
+    const owed = REMINDER_DAYS.filter(days => daysUntil <= days && !sent.includes(days));
+    if (owed.length === 0) return null;
+
+    return {
+      kind: 'reminder',
+      days_before: Math.min(...owed),
+      days_until: daysUntil,
+      covers: owed
+    };
+  }
+
+  /**
+   * Compute schedules for approved structures that have none yet
+   * (approved before scheduling existed)
+   * @returns {Promise<number>} structures scheduled
+   */
+  async refreshMissingSchedules() {
+    const structures = await Structure.find({
+      status: 'approved',
+      'inspection_schedule.next_inspection_due': { $exists: false }
+    }).select('structural_identity geometric_details workflow.approved_by creation_info');
+
+    for (const structure of structures) {
+      const from = structure.workflow?.approved_by?.date || structure.creation_info?.last_updated_date || new Date();
+      await Structure.updateOne(
+        { _id: structure._id },
+        { inspection_schedule: this.computeSchedule(structure, { from }) }
+      );
+    }
+
+    if (structures.length > 0) {
+      console.log(`📅 Computed inspection schedules for ${structures.length} approved structure(s)`);
+    }
+    return structures.length;
+  }
+
+  /**
+   * Approved structures by inspection due date
+   * @param {Object} options - { status: upcoming|overdue|all, withinDays, skip, limit }
+   * @returns {Promise<{structures: Array, total: number}>}
+   */
+  async listInspections({ status = 'all', withinDays = 30, skip = 0, limit = 20, now = new Date() } = {}) {
+    const dueFilter = { $exists: true };
+    if (status === 'overdue') {
+      dueFilter.$lt = now;
+    } else if (status === 'upcoming') {
+      dueFilter.$gte = now;
+      dueFilter.$lte = new Date(now.getTime() + withinDays * DAY_MS);
+    }
+
+    const filter = { status: 'approved', 'inspection_schedule.next_inspection_due': dueFilter };
+    const [structures, total] = await Promise.all([
+      Structure.find(filter)
+        .select('structural_identity location.structure_name location.city_name location.state_code owner inspection_schedule')
+        .populate('owner', 'username email')
+        .sort({ 'inspection_schedule.next_inspection_due': 1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Structure.countDocuments(filter)
+    ]);
+
+    return {
+      total,
+      structures: structures.map(structure => {
+        const due = new Date(structure.inspection_schedule.next_inspection_due);
+        return {
+          structure_id: structure._id,
+          uid: structure.structural_identity?.uid,
+          structural_identity_number: structure.structural_identity?.structural_identity_number,
+          structure_name: structure.location?.structure_name,
+          city_name: structure.location?.city_name,
+          state_code: structure.location?.state_code,
+          type_of_structure: structure.structural_identity?.type_of_structure,
+          age_of_structure: structure.structural_identity?.age_of_structure,
+          owner: structure.owner,
+          ...structure.inspection_schedule,
+          is_overdue: due < now,
+          days_until_due: Math.ceil((due - now) / DAY_MS)
+        };
+      })
+    };
+  }
+}
+
+module.exports = new InspectionScheduleService();
+module.exports.REMINDER_DAYS = REMINDER_DAYS;
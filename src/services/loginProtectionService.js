@@ -0,0 +1,234 @@
+const { User } = require('../models/schemas');
+const SecurityEvent = require('../models/SecurityEvent');
+const { AppError } = require('../middlewares/errorHandler');
+const { getAuditContext } = require('../middlewares/auditContext');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Account lockout policy. MAX_FAILED_ATTEMPTS wrong passwords, each within
+ * FAILURE_WINDOW_MINUTES of the previous one, lock the account. The first
+ * lockout lasts BASE_LOCKOUT_MINUTES and every further one before a
+ * successful login doubles it, up to MAX_LOCKOUT_MINUTES.
+ */
+const LOCKOUT_POLICY = {
+  MAX_FAILED_ATTEMPTS: 5,
+  FAILURE_WINDOW_MINUTES: 15,
+  BASE_LOCKOUT_MINUTES: 15,
+  MAX_LOCKOUT_MINUTES: 24 * 60
+};
+
+// Wrong codes accepted per OTP before it is invalidated (OTP.attempts max)
+const MAX_OTP_ATTEMPTS = 5;
+
+/**
+ * Per-account brute-force protection: failed login tracking with
+ * progressive lockout, and the security event log shared with the
+ * rate limiters
+ */
+class LoginProtectionService {
+
+  /**
+   * Length of the nth lockout in a row
+   * @param {number} lockoutCount - 1 for the first lockout
+   */
+  lockoutMinutes(lockoutCount) {
+    const minutes = LOCKOUT_POLICY.BASE_LOCKOUT_MINUTES * 2 ** Math.max(lockoutCount - 1, 0);
+    return Math.min(minutes, LOCKOUT_POLICY.MAX_LOCKOUT_MINUTES);
+  }
+
+  /**
+   * @param {Object} user - User with login_security
+   * @returns {{locked: boolean, locked_until?: Date, retry_after_seconds?: number}}
+   */
+  getLockState(user, now = new Date()) {
+    const lockedUntil = user.login_security?.locked_until;
+    if (!lockedUntil || new Date(lockedUntil) <= now) return { locked: false };
+
+    return {
+      locked: true,
+      locked_until: new Date(lockedUntil),
+      retry_after_seconds: Math.ceil((new Date(lockedUntil) - now) / 1000)
+    };
+  }
+
+  lockedError(lockState) {
+    const minutes = Math.ceil(lockState.retry_after_seconds / 60);
+    return Object.assign(
+      new AppError(`Account is temporarily locked after too many failed login attempts. Try again in ${minutes} minute(s) or contact an administrator.`, 423),
+      { code: 'ACCOUNT_LOCKED', retryAfter: lockState.retry_after_seconds, lockedUntil: lockState.locked_until }
+    );
+  }
+
+  /**
+   * Throw a 423 error while the account is locked
+   */
+  assertNotLocked(user, now = new Date()) {
+    const lockState = this.getLockState(user, now);
+    if (lockState.locked) throw this.lockedError(lockState);
+  }
+
+  /**
+   * Count a wrong password and lock the account once the limit is reached.
+   * The counter is incremented atomically so parallel guesses all count.
+   * @param {Object} user - User with login_security
+   * @param {string} identifier - email or username used
+   * @returns {Promise<{locked: boolean, failed_attempts: number, locked_until?: Date, retry_after_seconds?: number}>}
+   */
+  async recordFailedLogin(user, identifier, now = new Date()) {
+    const lastFailedAt = user.login_security?.last_failed_at;
+    const withinWindow = lastFailedAt &&
+      now - new Date(lastFailedAt) < LOCKOUT_POLICY.FAILURE_WINDOW_MINUTES * MINUTE_MS;
+
+    const updated = await User.findByIdAndUpdate(
+      user._id,
+      withinWindow
+        ? { $inc: { 'login_security.failed_attempts': 1 }, $set: { 'login_security.last_failed_at': now } }
+        : { $set: { 'login_security.failed_attempts': 1, 'login_security.last_failed_at': now } },
+      { new: true, runValidators: false, lean: true, projection: { login_security: 1 } }
+    );
+
+    const failedAttempts = updated?.login_security?.failed_attempts || 0;
+    if (failedAttempts < LOCKOUT_POLICY.MAX_FAILED_ATTEMPTS) {
+      return { locked: false, failed_attempts: failedAttempts };
+    }
+
+    const lockoutCount = (updated.login_security.lockout_count || 0) + 1;
+    const lockedUntil = new Date(now.getTime() + this.lockoutMinutes(lockoutCount) * MINUTE_MS);
+
+    // Only the request that crosses the limit locks; the counter starts over
+    const result = await User.updateOne(
+      { _id: user._id, 'login_security.failed_attempts': { $gte: LOCKOUT_POLICY.MAX_FAILED_ATTEMPTS } },
+      {
+        $set: {
+          'login_security.failed_attempts': 0,
+          'login_security.locked_at': now,
+          'login_security.locked_until': lockedUntil
+        },
+        $inc: { 'login_security.lockout_count': 1 }
+      },
+      { runValidators: false }
+    );
+
+    if (result.modifiedCount > 0) {
+      console.warn(`🔒 Account ${user.email} locked until ${lockedUntil.toISOString()} (lockout #${lockoutCount})`);
+      await this.recordEvent('account_locked', {
+        user: user._id,
+        identifier,
+        scope: 'login',
+        failed_attempts: failedAttempts,
+        lockout_count: lockoutCount,
+        locked_until: lockedUntil
+      });
+    }
+
+    return {
+      locked: true,
+      failed_attempts: failedAttempts,
+      locked_until: lockedUntil,
+      retry_after_seconds: Math.ceil((lockedUntil - now) / 1000)
+    };
+  }
+
+  /**
+   * Start over after a successful login or password reset
+   */
+  async resetFailures(user) {
+    const security = user.login_security || {};
+    if (!security.failed_attempts && !security.lockout_count && !security.locked_until) return;
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { 'login_security.failed_attempts': 0, 'login_security.lockout_count': 0 },
+        $unset: { 'login_security.locked_at': '', 'login_security.locked_until': '', 'login_security.last_failed_at': '' }
+      },
+      { runValidators: false }
+    );
+  }
+
+  /**
+   * Unlock an account on an administrator's request
+   * @param {string} userId
+   * @param {Object} admin - req.user
+   * @returns {Promise<Object|null>} user before clearing, null when not found
+   */
+  async clearLockout(userId, admin) {
+    const user = await User.findById(userId).select('username email login_security').lean();
+    if (!user) return null;
+
+    await this.resetFailures(user);
+    await this.recordEvent('lockout_cleared', {
+      user: user._id,
+      identifier: user.email,
+      scope: 'login',
+      failed_attempts: user.login_security?.failed_attempts || 0,
+      lockout_count: user.login_security?.lockout_count || 0,
+      locked_until: user.login_security?.locked_until,
+      cleared_by: { user_id: admin.userId, username: admin.username, email: admin.email }
+    });
+
+    console.log(`🔓 Lockout cleared for ${user.email} by ${admin.email}`);
+    return user;
+  }
+
+  /**
+   * Accounts locked right now, longest lock first
+   */
+  async findLockedAccounts(now = new Date()) {
+    return User.find({ 'login_security.locked_until': { $gt: now } })
+      .select('username email role roles is_active login_security')
+      .sort({ 'login_security.locked_until': -1 })
+      .lean();
+  }
+
+  /**
+   * Write a security event with the request's IP and route; failures are
+   * logged and never break the request
+   */
+  async recordEvent(event, fields = {}) {
+    try {
+      const context = getAuditContext();
+      await SecurityEvent.create({
+        event,
+        ...fields,
+        ip_address: fields.ip_address || context?.ip_address,
+        user_agent: context?.user_agent,
+        route: context?.route
+      });
+    } catch (error) {
+      console.error(`❌ Failed to record security event ${event}:`, error.message);
+    }
+  }
+
+  /**
+   * Security events filter from query parameters
+   * (event, user_id, ip_address, identifier, from, to)
+   */
+  buildEventFilter(query = {}) {
+    const filter = {};
+    if (query.event) filter.event = query.event;
+    if (query.user_id) filter.user = query.user_id;
+    if (query.ip_address) filter.ip_address = query.ip_address;
+    if (query.identifier) filter.identifier = String(query.identifier).toLowerCase();
+    if (query.from || query.to) {
+      filter.occurred_at = {};
+      if (query.from) filter.occurred_at.$gte = new Date(query.from);
+      if (query.to) filter.occurred_at.$lte = new Date(query.to);
+    }
+    return filter;
+  }
+
+  async queryEvents(query, { skip = 0, limit = 50 } = {}) {
+    const filter = this.buildEventFilter(query);
+    const [events, total] = await Promise.all([
+      SecurityEvent.find(filter).sort({ occurred_at: -1 }).skip(skip).limit(limit).lean(),
+      SecurityEvent.countDocuments(filter)
+    ]);
+    return { events, total };
+  }
+}
+
+module.exports = new LoginProtectionService();
+module.exports.LOCKOUT_POLICY = LOCKOUT_POLICY;
+module.exports.MAX_OTP_ATTEMPTS = MAX_OTP_ATTEMPTS;
@@ -0,0 +1,295 @@
+const { MaintenanceRequest } = require('../models/schemas');
+const reportPdfService = require('./reportPdfService');
+const rateBookService = require('./rateBookService');
+
+// Ratings at or below this count as low and can raise a maintenance request
+const LOW_RATING_THRESHOLD = 3;
+
+// Statuses in which a request still represents outstanding work
+const OPEN_STATUSES = ['open', 'assigned', 'in_progress'];
+
+// Allowed status changes; open -> assigned happens when assignees are set
+const STATUS_TRANSITIONS = {
+  open: ['assigned'],
+  assigned: ['in_progress'],
+  in_progress: ['completed'],
+  completed: ['verified', 'in_progress'],
+  verified: []
+};
+
+// Ratings at or below this get a work order automatically when a structure is approved
+const WORK_ORDER_RATING_THRESHOLD = 2;
+
+// Urgency of repairs by scope and rating
+const URGENCY_BY_RATING = {
+  structural: {
+    1: { priority: 'Critical', urgency: 'Immediate', due_days: 7 },
+    2: { priority: 'High', urgency: 'Within 30 days', due_days: 30 },
+    3: { priority: 'Medium', urgency: 'Within 90 days', due_days: 90 }
+  },
+  non_structural: {
+    1: { priority: 'High', urgency: 'Within 15 days', due_days: 15 },
+    2: { priority: 'Medium', urgency: 'Within 60 days', due_days: 60 },
+    3: { priority: 'Low', urgency: 'Within 180 days', due_days: 180 }
+  }
+};
+
+// Default due dates of manually raised requests
+const DUE_DAYS_BY_PRIORITY = { Critical: 7, High: 30, Medium: 90, Low: 180 };
+
+/**
+ * Maintenance requests (work orders) raised against structures and their
+ * rated component instances
+ */
+class MaintenanceService {
+
+  generateRequestNumber() {
+    return `MR-${Date.now().toString(36).toUpperCase()}-${Math.random().toString(36).substr(2, 4).toUpperCase()}`;
+  }
+
+  /**
+   * Priority, urgency label and due-date offset for a rated component
+   * @returns {{priority: string, urgency: string, due_days: number}}
+   */
+  getUrgency(rating, scope = 'structural') {
+    return URGENCY_BY_RATING[scope]?.[rating] || { priority: 'Low', urgency: 'Next inspection cycle', due_days: 180 };
+  }
+
+  addDays(from, days) {
+    const date = new Date(from);
+    date.setDate(date.getDate() + days);
+    return date;
+  }
+
+  defaultDueDate(priority, from = new Date()) {
+    return this.addDays(from, DUE_DAYS_BY_PRIORITY[priority] || DUE_DAYS_BY_PRIORITY.Low);
+  }
+
+  canTransition(fromStatus, toStatus) {
+    return (STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  /**
+   * Find a rated component instance in a structure
+   * @param {Object} structure - Structure (lean or document)
+   * @param {Object} locator - { floor_id, flat_id?, block_id?, scope, instance_id, component_type? }
+   * @returns {Object|null} { floor, flat, block, scope, component_type, instance, quantifications }
+   */
+  locateComponent(structure, locator) {
+    const data = typeof structure.toObject === 'function' ? structure.toObject() : structure;
+    const floor = (data.geometric_details?.floors || []).find(f => f.floor_id === locator.floor_id);
+    if (!floor) return null;
+
+    const flat = locator.flat_id ? (floor.flats || []).find(f => f.flat_id === locator.flat_id) : null;
+    const block = locator.block_id ? (floor.blocks || []).find(b => b.block_id === locator.block_id) : null;
+    if ((locator.flat_id && !flat) || (locator.block_id && !block)) return null;
+
+    const element = flat || block || floor;
+    const match = reportPdfService.getComponentInstances(element[`${locator.scope}_rating`])
+      .find(({ component, instance }) =>
+        String(instance._id) === String(locator.instance_id) &&
+        (!locator.component_type || component === locator.component_type)
+      );
+    if (!match) return null;
+
+    return this.describeLocation(floor, flat, block, locator.scope, match.component, match.instance);
+  }
+
+  describeLocation(floor, flat, block, scope, componentType, instance) {
+    const elementId = flat ? flat.flat_id : block ? block.block_id : floor.floor_id;
+    return {
+      floor,
+      flat,
+      block,
+      scope,
+      component_type: componentType,
+      instance,
+      // Legacy single-object ratings have no instance _id
+      instance_id: instance._id ? String(instance._id) : `${elementId}_${componentType}`,
+      // Blocks have no quantifications of their own; theirs are recorded on the floor
+      quantifications: flat ? flat.quantifications : floor.quantifications
+    };
+  }
+
+  /**
+   * Every rated instance at or below a rating, across floors, flats and blocks
+   * @returns {Array} located components (see locateComponent)
+   */
+  collectLowRatedComponents(structure, threshold = WORK_ORDER_RATING_THRESHOLD) {
+    const data = typeof structure.toObject === 'function' ? structure.toObject() : structure;
+    const found = [];
+
+    const inspect = (floor, flat, block) => {
+      const element = flat || block || floor;
+      ['structural', 'non_structural'].forEach(scope => {
+        reportPdfService.getComponentInstances(element[`${scope}_rating`])
+          .filter(({ instance }) => instance.rating && instance.rating <= threshold)
+          .forEach(({ component, instance }) => {
+            found.push(this.describeLocation(floor, flat, block, scope, component, instance));
+          });
+      });
+    };
+
+    (data.geometric_details?.floors || []).forEach(floor => {
+      inspect(floor, null, null);
+      (floor.flats || []).forEach(flat => inspect(floor, flat, null));
+      (floor.blocks || []).forEach(block => inspect(floor, null, block));
+    });
+
+    return found;
+  }
+
+  describeWhere(located) {
+    const { floor, flat, block } = located;
+    return [
+      floor.floor_label_name || `Floor ${floor.floor_number}`,
+      flat ? `Flat ${flat.flat_number}` : null,
+      block ? `Block ${block.block_number}` : null
+    ].filter(Boolean).join(', ');
+  }
+
+  /**
+   * Outstanding request already raised for a component instance, if any
+   */
+  async findOpenRequestForInstance(structureId, instanceId) {
+    return MaintenanceRequest.findOne({
+      structure: structureId,
+      'component.instance_id': String(instanceId),
+      status: { $in: OPEN_STATUSES }
+    });
+  }
+
+  /**
+   * Request fields for a located component, priced with the structure's rate book
+   */
+  buildRequestFromComponent(structure, located, rateBook) {
+    const { floor, flat, block, instance, scope, component_type: componentType } = located;
+    const { priority, due_days: dueDays } = this.getUrgency(instance.rating, scope);
+    const componentName = componentType.replace(/_/g, ' ');
+
+    const estimate = rateBookService.estimateComponentCost({
+      rateBook,
+      component: componentType,
+      scope,
+      quantifications: located.quantifications
+    });
+
+    return {
+      structure: structure._id,
+      location: {
+        floor_id: floor.floor_id,
+        floor_number: floor.floor_number,
+        ...(flat && { flat_id: flat.flat_id, flat_number: flat.flat_number }),
+        ...(block && { block_id: block.block_id, block_number: block.block_number })
+      },
+      component: {
+        scope,
+        component_type: componentType,
+        instance_id: located.instance_id,
+        instance_name: instance.name,
+        rating: instance.rating,
+        distress_types: (instance.distress_types || []).filter(type => type !== 'none'),
+        photos: reportPdfService.getInstancePhotos(instance)
+      },
+      title: `Repair ${componentName}${instance.name ? ` (${instance.name})` : ''} - ${this.describeWhere(located)}`,
+      description: instance.condition_comment,
+      repair_methodology: instance.repair_methodology,
+      priority,
+      estimated_cost: {
+        amount: estimate.estimated_amount ?? undefined,
+        currency: estimate.currency,
+        basis: estimate.basis
+      },
+      due_date: this.addDays(new Date(), dueDays)
+    };
+  }
+
+  /**
+   * Raise a request for a low-rated component instance
+   * @param {Object} structure - Structure (lean or document)
+   * @param {Object} locator - see locateComponent()
+   * @param {Object} options - { requestedBy, source, overrides, rateBook }
+   * @returns {Promise<{request: Object|null, duplicate?: Object, error?: string}>}
+   */
+  async createFromComponent(structure, locator, { requestedBy, source = 'component_rating', overrides = {}, rateBook } = {}) {
+    const located = this.locateComponent(structure, locator);
+    if (!located) {
+      return { request: null, error: 'Component instance not found' };
+    }
+
+    if (!located.instance.rating || located.instance.rating > LOW_RATING_THRESHOLD) {
+      return { request: null, error: `Only components rated ${LOW_RATING_THRESHOLD} or lower can raise a maintenance request` };
+    }
+
+    const duplicate = await this.findOpenRequestForInstance(structure._id, located.instance_id);
+    if (duplicate) {
+      return { request: null, duplicate };
+    }
+
+    const pricingBook = rateBook || await rateBookService.getRateBookForStructure(structure);
+    const fields = this.buildRequestFromComponent(structure, located, pricingBook);
+
+    const request = await MaintenanceRequest.create({
+      ...fields,
+      ...overrides,
+      request_number: this.generateRequestNumber(),
+      source,
+      requested_by: requestedBy,
+      status: 'open',
+      status_history: [{ to_status: 'open', changed_by: requestedBy, notes: `Raised from ${located.component_type} rated ${located.instance.rating}` }]
+    });
+
+    return { request };
+  }
+
+  /**
+   * Raise work orders for every instance rated at or below the threshold,
+   * skipping instances that already have an outstanding request
+   * @param {Object} structure - Structure (lean or document)
+   * @param {Object} options - { requestedBy, threshold }
+   * @returns {Promise<{created: Array, skipped: Array}>}
+   */
+  async createWorkOrdersForStructure(structure, { requestedBy, threshold = WORK_ORDER_RATING_THRESHOLD } = {}) {
+    const lowRated = this.collectLowRatedComponents(structure, threshold);
+    if (lowRated.length === 0) {
+      return { created: [], skipped: [] };
+    }
+
+    const openRequests = await MaintenanceRequest.find({
+      structure: structure._id,
+      'component.instance_id': { $in: lowRated.map(located => located.instance_id) },
+      status: { $in: OPEN_STATUSES }
+    }).select('request_number component.instance_id').lean();
+    const openByInstance = new Map(openRequests.map(request => [request.component.instance_id, request]));
+
+    const rateBook = await rateBookService.getRateBookForStructure(structure);
+    const created = [];
+    const skipped = [];
+
+    for (const located of lowRated) {
+      const existing = openByInstance.get(located.instance_id);
+      if (existing) {
+        skipped.push({ instance_id: located.instance_id, request_number: existing.request_number });
+        continue;
+      }
+
+      const request = await MaintenanceRequest.create({
+        ...this.buildRequestFromComponent(structure, located, rateBook),
+        request_number: this.generateRequestNumber(),
+        source: 'workflow',
+        requested_by: requestedBy,
+        status: 'open',
+        status_history: [{ to_status: 'open', changed_by: requestedBy, notes: `Raised on approval: ${located.component_type} rated ${located.instance.rating}` }]
+      });
+      openByInstance.set(located.instance_id, request);
+      created.push(request);
+    }
+
+    return { created, skipped };
+  }
+}
+
+module.exports = new MaintenanceService();
+module.exports.LOW_RATING_THRESHOLD = LOW_RATING_THRESHOLD;
+module.exports.OPEN_STATUSES = OPEN_STATUSES;
+module.exports.WORK_ORDER_RATING_THRESHOLD = WORK_ORDER_RATING_THRESHOLD;
@@ -1,6 +1,324 @@
 const { Notification, User, Structure } = require('../models/schemas');
+const emailService = require('./emailService');
+const eventStreamService = require('./eventStreamService');
+const inspectionScheduleService = require('./inspectionScheduleService');
+const { REMINDER_DAYS } = inspectionScheduleService;
+
+const EMAIL_FREQUENCIES = ['immediate', 'daily_digest', 'off'];
+
+// Most notifications a single digest email lists
+const DIGEST_LIMIT = 50;
+
+/**
+ * Who hears about each workflow transition:
+ *   roles        - every active user holding one of these roles
+ *   owner        - the structure owner (the FE who inspected it)
+ *   participants - engineers who signed off an earlier stage
+ */
+// `assignee` narrows `roles` to the reviewer assigned to the structure, when there is one
+const WORKFLOW_AUDIENCES = {
+  submitted: { roles: ['TE'], assignee: 'testing_engineer' },
+  testing_started: { owner: true },
+  tested: { roles: ['VE'], owner: true, assignee: 'validation_engineer' },
+  validation_started: { owner: true },
+  validated: { roles: ['AD'], owner: true },
+  approved: { owner: true, participants: true },
+  rejected: { owner: true, participants: true },
+  reopened: { owner: true, participants: true },
+  audit_cycle_started: { owner: true }
+};
+
+const WORKFLOW_MESSAGES = {
+  submitted: (name, actor) => ({
+    title: `Ready for testing: ${name}`,
+    message: `${actor} submitted ${name} for testing.`
+  }),
+  testing_started: (name, actor) => ({
+    title: `Testing started: ${name}`,
+    message: `${actor} started testing ${name}.`
+  }),
+  tested: (name, actor) => ({
+    title: `Ready for validation: ${name}`,
+    message: `${actor} completed testing of ${name}. It is ready for validation.`
+  }),
+  validation_started: (name, actor) => ({
+    title: `Validation started: ${name}`,
+    message: `${actor} started validating ${name}.`
+  }),
+  validated: (name, actor) => ({
+    title: `Ready for approval: ${name}`,
+    message: `${actor} validated ${name}. It is awaiting approval.`
+  }),
+  approved: (name, actor) => ({
+    title: `Approved: ${name}`,
+    message: `${actor} approved ${name}.`
+  }),
+  rejected: (name, actor, details) => ({
+    title: `Rejected at ${details.stage || 'review'}: ${name}`,
+    message: `${actor} rejected ${name}${details.reason ? `: ${details.reason}` : '.'}` +
+      (details.findings ? ` ${details.findings} finding(s) to address before resubmitting.` : '')
+  }),
+  assigned: (name, actor, details) => ({
+    title: `Assigned to you: ${name}`,
+    message: `${actor} assigned ${name} to you for ${details.stage || 'review'}.`
+  }),
+  reopened: (name, actor, details) => ({
+    title: `Reopened for editing: ${name}`,
+    message: `${actor} reopened ${name}${details.reason ? `: ${details.reason}` : '.'}`
+  }),
+  audit_cycle_started: (name, actor, details) => ({
+    title: `New audit cycle: ${name}`,
+    message: `${actor} started audit cycle ${details.cycle_number} of ${name}. The layout is carried over; every component needs a fresh rating.`
+  })
+};
 
 class NotificationService {
+  // Persist notifications and push them to open event streams; every channel goes through here
+  async deliver(notifications) {
+    if (notifications.length === 0) return [];
+    const created = await Notification.insertMany(notifications);
+
+    created.forEach(notification => {
+      eventStreamService.publishToUser(notification.userId, 'notification.created', {
+        id: String(notification._id),
+        title: notification.title,
+        message: notification.message,
+        type: notification.type,
+        relatedId: notification.relatedId,
+        relatedModel: notification.relatedModel,
+        data: notification.data,
+        createdAt: notification.createdAt
+      });
+    });
+
+    return created;
+  }
+
+  // Active users holding any of the given roles
+  async findUsersByRoles(roles) {
+    return User.find({
+      is_active: true,
+      $or: [{ role: { $in: roles } }, { roles: { $in: roles } }]
+    }).select('_id');
+  }
+
+  // Recipients with what is needed to email them
+  async findRecipients(userIds) {
+    return User.find({ _id: { $in: userIds }, is_active: true })
+      .select('email username profile.first_name profile.last_name notification_preferences');
+  }
+
+  getEmailFrequency(user) {
+    return user.notification_preferences?.email_frequency || 'immediate';
+  }
+
+  getDisplayName(user) {
+    const fullName = [user.profile?.first_name, user.profile?.last_name].filter(Boolean).join(' ');
+    return fullName || user.username;
+  }
+
+  /**
+   * Email freshly delivered notifications to recipients who want them immediately.
+   * Digest recipients' notifications stay 'pending' for sendDailyDigests().
+   */
+  async sendImmediateEmails(notifications, recipients) {
+    const recipientsById = new Map(recipients.map(user => [String(user._id), user]));
+
+    for (const notification of notifications) {
+      const user = recipientsById.get(String(notification.userId));
+      if (!user || this.getEmailFrequency(user) !== 'immediate') continue;
+
+      const result = await emailService.sendWorkflowEmail(user.email, notification);
+      await Notification.updateOne(
+        { _id: notification._id },
+        result.success
+          ? { 'email.status': 'sent', 'email.sent_at': new Date() }
+          : { 'email.status': 'failed' }
+      );
+    }
+  }
+
+  /**
+   * Send each user their pending notifications as one digest email.
+   * Pending notifications of users who turned email off are dropped.
+   * @returns {Promise<{digests: number, notifications: number}>}
+   */
+  async sendDailyDigests() {
+    const userIds = await Notification.distinct('userId', { 'email.status': 'pending' });
+    const users = await this.findRecipients(userIds);
+    let digests = 0;
+    let sentNotifications = 0;
+
+    for (const user of users) {
+      if (this.getEmailFrequency(user) === 'off') {
+        await Notification.updateMany(
+          { userId: user._id, 'email.status': 'pending' },
+          { 'email.status': 'not_required' }
+        );
+        continue;
+      }
+
+      const pending = await Notification.find({ userId: user._id, 'email.status': 'pending' })
+        .sort({ createdAt: -1 })
+        .limit(DIGEST_LIMIT)
+        .lean();
+      if (pending.length === 0) continue;
+
+      const result = await emailService.sendNotificationDigest(user.email, this.getDisplayName(user), pending);
+      if (!result.success) continue;
+
+      // Everything pending is covered by this digest, including what did not fit in it
+      const sentAt = new Date();
+      await Notification.updateMany(
+        { userId: user._id, 'email.status': 'pending', createdAt: { $lte: pending[0].createdAt } },
+        { 'email.status': 'sent', 'email.sent_at': sentAt }
+      );
+      await User.updateOne({ _id: user._id }, { 'notification_preferences.last_digest_sent_at': sentAt });
+
+      digests += 1;
+      sentNotifications += pending.length;
+    }
+
+    console.log(`📧 Daily digest: ${digests} email(s) covering ${sentNotifications} notification(s)`);
+    return { digests, notifications: sentNotifications };
+  }
+
+  getStructureLabel(structure) {
+    return structure.location?.structure_name ||
+      structure.structural_identity?.structural_identity_number ||
+      `Structure ${structure._id}`;
+  }
+
+  /**
+   * Notify the audience of a workflow transition (see WORKFLOW_AUDIENCES).
+   * The user who made the transition is never notified.
+   * @param {Object} structure - Structure after the transition
+   * @param {string} event - submitted | testing_started | tested | validation_started | validated | approved | rejected | reopened | audit_cycle_started
+   * @param {Object} actor - { _id, name }
+   * @param {Object} [details] - { stage, reason } for rejections
+   * @returns {Promise<number>} notifications created
+   */
+  async notifyWorkflowTransition(structure, event, actor, details = {}) {
+    const audience = WORKFLOW_AUDIENCES[event];
+    if (!audience) return 0;
+
+    const recipients = new Set();
+    const assigneeId = audience.assignee && structure.assignment?.[audience.assignee]?.user_id;
+    if (assigneeId) {
+      recipients.add(String(assigneeId));
+    } else if (audience.roles) {
+      const users = await this.findUsersByRoles(audience.roles);
+      users.forEach(user => recipients.add(String(user._id)));
+    }
+    if (audience.owner && structure.owner) {
+      recipients.add(String(structure.owner));
+    }
+    if (audience.participants) {
+      ['submitted_by', 'tested_by', 'validated_by']
+        .map(stage => structure.workflow?.[stage]?.user_id)
+        .filter(Boolean)
+        .forEach(userId => recipients.add(String(userId)));
+    }
+    recipients.delete(String(actor._id));
+    if (recipients.size === 0) return 0;
+
+    const users = await this.findRecipients(Array.from(recipients));
+    const { title, message } = WORKFLOW_MESSAGES[event](this.getStructureLabel(structure), actor.name || 'A user', details);
+
+    const notifications = users.map(user => ({
+      userId: user._id,
+      title,
+      message,
+      type: 'workflow',
+      relatedId: structure._id,
+      relatedModel: 'Structure',
+      data: {
+        event,
+        status: structure.status,
+        actor_id: actor._id,
+        ...(details.stage && { stage: details.stage })
+      },
+      email: { status: this.getEmailFrequency(user) === 'off' ? 'not_required' : 'pending' }
+    }));
+
+    const delivered = await this.deliver(notifications);
+    await this.sendImmediateEmails(delivered, users);
+    return notifications.length;
+  }
+
+  /**
+   * Tell a reviewer that a structure was assigned to them
+   * @param {Object} structure - Structure
+   * @param {Object} assignment - structure.assignment entry ({ user_id, ... })
+   * @param {Object} actor - { _id, name } of the assigning user, if any
+   * @param {string} stage - testing | validation
+   * @returns {Promise<number>} notifications created
+   */
+  async notifyAssignment(structure, assignment, actor, stage) {
+    if (!assignment?.user_id || String(assignment.user_id) === String(actor?._id)) return 0;
+
+    const users = await this.findRecipients([assignment.user_id]);
+    if (users.length === 0) return 0;
+
+    const { title, message } = WORKFLOW_MESSAGES.assigned(
+      this.getStructureLabel(structure),
+      actor?.name || 'Automatic assignment',
+      { stage }
+    );
+    const delivered = await this.deliver(users.map(user => ({
+      userId: user._id,
+      title,
+      message,
+      type: 'workflow',
+      relatedId: structure._id,
+      relatedModel: 'Structure',
+      data: {
+        event: 'assigned',
+        status: structure.status,
+        stage,
+        ...(actor?._id && { actor_id: actor._id })
+      },
+      email: { status: this.getEmailFrequency(user) === 'off' ? 'not_required' : 'pending' }
+    })));
+    await this.sendImmediateEmails(delivered, users);
+    return delivered.length;
+  }
+
+  /**
+   * Alert administrators that a structure overran the SLA of its current stage
+   * @param {Object} structure - Structure
+   * @param {Object} breach - slaService.evaluate() entry
+   * @returns {Promise<number>} notifications created
+   */
+  async sendSlaBreachAlert(structure, breach) {
+    const admins = await this.findRecipients((await this.findUsersByRoles(['AD'])).map(admin => admin._id));
+    if (admins.length === 0) return 0;
+
+    const name = this.getStructureLabel(structure);
+    const title = `SLA breached: ${breach.label} of ${name}`;
+    const message = `${breach.label} of ${name} has taken ${breach.duration_hours}h against a ${breach.target_hours}h target (due ${new Date(breach.due_at).toLocaleString()}).`;
+
+    const delivered = await this.deliver(admins.map(admin => ({
+      userId: admin._id,
+      title,
+      message,
+      type: 'sla_breach',
+      relatedId: structure._id,
+      relatedModel: 'Structure',
+      data: {
+        event: 'sla_breach',
+        status: structure.status,
+        stage: breach.stage,
+        target_hours: breach.target_hours,
+        duration_hours: breach.duration_hours,
+        due_at: breach.due_at
+      },
+      email: { status: this.getEmailFrequency(admin) === 'off' ? 'not_required' : 'pending' }
+    })));
+    await this.sendImmediateEmails(delivered, admins);
+    return delivered.length;
+  }
+
   // Create a new notification
   async createNotification(data) {
     try {
@@ -24,72 +342,75 @@ class NotificationService {
         relatedId
       }));
 
-      const result = await Notification.insertMany(notifications);
-      return result;
+      return await this.deliver(notifications);
     } catch (error) {
       console.error('Send bulk notification error:', error);
       throw error;
     }
   }
 
-  // Send inspection due notifications
-  async sendInspectionDueNotifications() {
+  /**
+   * Re-inspection reminders (30/7/1 days ahead) and overdue alerts for
+   * approved structures, sent to the owner and administrators. Each reminder
+   * is sent once per due date; email goes out with the daily digest.
+   * @returns {Promise<number>} notifications created
+   */
+  async sendInspectionDueNotifications(now = new Date()) {
     try {
-      const upcomingInspections = await Structure.find({
-        nextScheduledInspection: {
-          $lte: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // Next 7 days
-          $gte: new Date()
-        }
-      }).populate('createdBy administrationDetails.inspectorId');
+      const horizon = new Date(now.getTime() + Math.max(...REMINDER_DAYS) * 24 * 60 * 60 * 1000);
+      const structures = await Structure.find({
+        status: 'approved',
+        'inspection_schedule.next_inspection_due': { $lte: horizon }
+      }).select('owner status location.structure_name structural_identity inspection_schedule');
 
+      const admins = await this.findUsersByRoles(['AD']);
       const notifications = [];
 
-      for (const structure of upcomingInspections) {
-        const daysUntilInspection = Math.ceil(
-          (structure.nextScheduledInspection - new Date()) / (1000 * 60 * 60 * 24)
-        );
+      for (const structure of structures) {
+        const due = inspectionScheduleService.getDueReminder(structure.inspection_schedule, now);
+        if (!due) continue;
 
-        const title = `Inspection Due: ${structure.administrationDetails.popularNameOfStructure}`;
-        const message = `Structure inspection is due in ${daysUntilInspection} day(s). Please schedule the inspection.`;
+        const name = this.getStructureLabel(structure);
+        const dueDate = new Date(structure.inspection_schedule.next_inspection_due).toDateString();
+        const { title, message } = due.kind === 'overdue'
+          ? {
+            title: `Inspection overdue: ${name}`,
+            message: `The periodic inspection of ${name} was due on ${dueDate} and is ${due.days_overdue} day(s) overdue.`
+          }
+          : {
+            title: `Inspection due: ${name}`,
+            message: `The periodic inspection of ${name} is due in ${due.days_until} day(s), on ${dueDate}. Please schedule it.`
+          };
 
-        // Notify creator
-        if (structure.createdBy) {
-          notifications.push({
-            userId: structure.createdBy._id,
-            title,
-            message,
-            type: 'inspection_due',
-            relatedId: structure._id
-          });
-        }
+        const recipients = new Set(admins.map(admin => String(admin._id)));
+        if (structure.owner) recipients.add(String(structure.owner));
 
-        // Notify assigned inspector
-        if (structure.administrationDetails.inspectorId) {
+        recipients.forEach(userId => {
           notifications.push({
-            userId: structure.administrationDetails.inspectorId._id,
+            userId,
             title,
             message,
             type: 'inspection_due',
-            relatedId: structure._id
+            relatedId: structure._id,
+            relatedModel: 'Structure',
+            data: {
+              next_inspection_due: structure.inspection_schedule.next_inspection_due,
+              overdue: due.kind === 'overdue',
+              ...(due.kind === 'overdue' ? { days_overdue: due.days_overdue } : { days_until: due.days_until })
+            },
+            email: { status: 'pending' }
           });
-        }
+        });
 
-        // Notify admins
-        const admins = await User.find({ role: 'admin' });
-        for (const admin of admins) {
-          notifications.push({
-            userId: admin._id,
-            title,
-            message,
-            type: 'inspection_due',
-            relatedId: structure._id
-          });
-        }
+        await Structure.updateOne(
+          { _id: structure._id },
+          due.kind === 'overdue'
+            ? { $set: { 'inspection_schedule.overdue_alert_sent_at': now } }
+            : { $addToSet: { 'inspection_schedule.reminders_sent': { $each: due.covers } } }
+        );
       }
 
-      if (notifications.length > 0) {
-        await Notification.insertMany(notifications);
-      }
+      await this.deliver(notifications);
 
       return notifications.length;
     } catch (error) {
@@ -146,9 +467,7 @@ class NotificationService {
         }
       }
 
-      if (notifications.length > 0) {
-        await Notification.insertMany(notifications);
-      }
+      await this.deliver(notifications);
 
       return notifications.length;
     } catch (error) {
@@ -175,62 +494,60 @@ class NotificationService {
     }
   }
 
-  // Send critical structure alert
-  async sendCriticalStructureAlert(structure) {
+  /**
+   * Critical condition escalation: in-app alerts for admin recipients and an
+   * immediate email to every recipient, regardless of digest preferences
+   * @param {Object} structure - Structure the findings are on
+   * @param {Object} escalation - CriticalEscalation document
+   * @param {Object} [options] - { custodianToken } for the custodian's acknowledgment link
+   * @returns {Promise<number>} emails sent
+   */
+  async sendCriticalStructureAlert(structure, escalation, { custodianToken } = {}) {
     try {
-      const title = `Critical Structure Alert: ${structure.administrationDetails.popularNameOfStructure}`;
-      const message = `Structure has been marked as critical priority. Immediate attention required.`;
-
-      const notifications = [];
-
-      // Notify structure creator
-      if (structure.createdBy) {
-        notifications.push({
-          userId: structure.createdBy,
-          title,
-          message,
-          type: 'system_alert',
-          relatedId: structure._id
-        });
-      }
-
-      // Notify assigned inspector
-      if (structure.administrationDetails.inspectorId) {
-        notifications.push({
-          userId: structure.administrationDetails.inspectorId,
-          title,
-          message,
+      const name = this.getStructureLabel(structure);
+      const findingCount = escalation.items.length;
+      const locations = [...new Set(escalation.items.map(item => item.location_label))];
+      const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+
+      const notifications = escalation.recipients
+        .filter(recipient => recipient.user)
+        .map(recipient => ({
+          userId: recipient.user,
+          title: `Critical condition: ${name}`,
+          message: `${findingCount} finding(s) on ${name} were rated Critical (${locations.join('; ')}). Please acknowledge the escalation.`,
           type: 'system_alert',
-          relatedId: structure._id
+          relatedId: escalation._id,
+          relatedModel: 'CriticalEscalation',
+          data: {
+            escalation_id: escalation._id,
+            structure_id: structure._id,
+            finding_count: findingCount
+          },
+          email: { status: 'sent', sent_at: new Date() }
+        }));
+      await this.deliver(notifications);
+
+      let sent = 0;
+      for (const recipient of escalation.recipients) {
+        const acknowledgeUrl = recipient.kind === 'custodian'
+          ? `${clientUrl}/escalations/${escalation._id}/acknowledge?token=${custodianToken}`
+          : `${clientUrl}/escalations/${escalation._id}`;
+
+        const result = await emailService.sendCriticalEscalationEmail(recipient.email, {
+          structureLabel: name,
+          escalation,
+          acknowledgeUrl
         });
-      }
-
-      // Notify all admins and inspectors
-      const users = await User.find({ 
-        role: { $in: ['admin', 'inspector'] } 
-      }).select('_id');
 
-      for (const user of users) {
-        const alreadyNotified = notifications.some(
-          n => n.userId.toString() === user._id.toString()
-        );
-        
-        if (!alreadyNotified) {
-          notifications.push({
-            userId: user._id,
-            title,
-            message,
-            type: 'system_alert',
-            relatedId: structure._id
-          });
+        recipient.email_status = result.success ? 'sent' : 'failed';
+        if (result.success) {
+          recipient.email_sent_at = new Date();
+          sent += 1;
         }
       }
+      await escalation.save();
 
-      if (notifications.length > 0) {
-        await Notification.insertMany(notifications);
-      }
-
-      return notifications.length;
+      return sent;
     } catch (error) {
       console.error('Send critical structure alert error:', error);
       throw error;
@@ -299,4 +616,5 @@ class NotificationService {
   }
 }
 
-module.exports = new NotificationService()
\ No newline at end of file
+module.exports = new NotificationService();
+module.exports.EMAIL_FREQUENCIES = EMAIL_FREQUENCIES;
\ No newline at end of file
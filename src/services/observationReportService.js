@@ -0,0 +1,285 @@
+const ExcelJS = require('exceljs');
+const reportPdfService = require('./reportPdfService');
+const rateBookService = require('./rateBookService');
+const structureService = require('./structureService');
+
+const SCOPES = [
+  { key: 'structural', container: 'structural_rating', label: 'Structural' },
+  { key: 'non_structural', container: 'non_structural_rating', label: 'Non-Structural' }
+];
+
+const formatDimensions = (dimensions) => {
+  if (!dimensions || !(dimensions.length || dimensions.breadth || dimensions.height)) return '';
+  return [dimensions.length, dimensions.breadth, dimensions.height].map(value => value ?? '-').join(' x ') +
+    ` ${dimensions.unit || 'mm'}`;
+};
+
+/**
+ * Observations-with-quantifications deliverable: every distressed component
+ * instance with its distress details, photos and the quantification entries
+ * recorded for it, grouped floor -> flat/block
+ */
+class ObservationReportService {
+
+  // =================== AGGREGATION ===================
+
+  /**
+   * Distressed instances of a rated element (floor, flat or block) with the
+   * quantification entries whose category matches the component
+   * @param {Object} element - floor, flat or block
+   * @param {Object} quantifications - { structural: [], non_structural: [] } priced against this element
+   */
+  buildUnit(kind, label, element, quantifications) {
+    const matchedEntries = new Set();
+    const observations = [];
+
+    SCOPES.forEach(({ key, container }) => {
+      const entries = (quantifications?.[key] || []).filter(Boolean);
+
+      reportPdfService.getComponentInstances(element[container])
+        .filter(({ instance }) => reportPdfService.hasDistress(instance))
+        .forEach(({ component, instance }) => {
+          const componentKey = rateBookService.normalizeComponentKey(component);
+          const matching = entries.filter(entry => rateBookService.normalizeComponentKey(entry.category) === componentKey);
+          matching.forEach(entry => matchedEntries.add(entry));
+
+          observations.push({
+            scope: key,
+            component,
+            instance_id: instance._id || null,
+            instance_name: instance.name || null,
+            rating: instance.rating ?? null,
+            health_status: instance.rating ? structureService.getHealthStatus(instance.rating) : null,
+            distress_types: (instance.distress_types || []).filter(type => type !== 'none'),
+            distress_dimensions: instance.distress_dimensions || null,
+            condition_comment: instance.condition_comment || null,
+            repair_methodology: instance.repair_methodology || null,
+            inspection_date: instance.inspection_date || null,
+            photos: reportPdfService.getInstancePhotos(instance),
+            quantifications: matching
+          });
+        });
+    });
+
+    // Quantities recorded here that no distressed instance accounts for
+    const otherQuantifications = SCOPES.flatMap(({ key }) =>
+      (quantifications?.[key] || [])
+        .filter(entry => entry && !matchedEntries.has(entry))
+        .map(entry => ({ scope: key, ...entry }))
+    );
+
+    return { kind, label, observations, other_quantifications: otherQuantifications };
+  }
+
+  /**
+   * Build the report data of a structure
+   * @param {Object} structure - Structure (lean or document)
+   * @returns {Object} { floors: [{ floor_number, label, units: [...] }], totals, ... }
+   */
+  buildReport(structure) {
+    const data = typeof structure.toObject === 'function' ? structure.toObject() : structure;
+    const floors = [];
+
+    (data.geometric_details?.floors || []).forEach(floor => {
+      const floorLabel = floor.floor_label_name || `Floor ${floor.floor_number}`;
+      const units = [];
+
+      // Floor-level quantities are recorded for the floor and its blocks (blocks have none of their own)
+      const floorUnit = this.buildUnit('floor', `${floorLabel} (common areas)`, floor, floor.quantifications);
+      const blockUnits = (floor.blocks || []).map(block => this.buildUnit(
+        'block',
+        `Block ${block.block_number}${block.block_name ? ` (${block.block_name})` : ''}`,
+        block,
+        floor.quantifications
+      ));
+
+      const claimedByBlocks = new Set(blockUnits.flatMap(unit =>
+        unit.observations.flatMap(observation => observation.quantifications.map(entry => entry.entry_id))
+      ));
+      floorUnit.other_quantifications = floorUnit.other_quantifications
+        .filter(entry => !claimedByBlocks.has(entry.entry_id));
+      blockUnits.forEach(unit => { unit.other_quantifications = []; });
+
+      units.push(floorUnit);
+      (floor.flats || []).forEach(flat => {
+        units.push(this.buildUnit(
+          'flat',
+          `Unit ${flat.flat_number}${flat.flat_type ? ` (${flat.flat_type.toUpperCase()})` : ''}`,
+          flat,
+          flat.quantifications
+        ));
+      });
+      units.push(...blockUnits);
+
+      const reportedUnits = units.filter(unit => unit.observations.length > 0 || unit.other_quantifications.length > 0);
+      if (reportedUnits.length > 0) {
+        floors.push({ floor_number: floor.floor_number, label: floorLabel, units: reportedUnits });
+      }
+    });
+
+    const observations = floors.flatMap(floor => floor.units.flatMap(unit => unit.observations));
+
+    return {
+      structure_id: data._id,
+      structural_identity_number: data.structural_identity?.structural_identity_number,
+      structure_name: data.location?.structure_name,
+      generated_at: new Date(),
+      floors,
+      totals: {
+        observations: observations.length,
+        quantified_observations: observations.filter(observation => observation.quantifications.length > 0).length,
+        quantification_entries: floors.reduce((sum, floor) => sum + floor.units.reduce((unitSum, unit) =>
+          unitSum + unit.observations.reduce((obsSum, observation) => obsSum + observation.quantifications.length, 0) +
+          unit.other_quantifications.length, 0), 0),
+        photos: observations.reduce((sum, observation) => sum + observation.photos.length, 0)
+      }
+    };
+  }
+
+  // =================== EXCEL ===================
+
+  /**
+   * Excel workbook for a report built by buildReport(). One row per
+   * quantification entry; an observation without quantities gets one row.
+   */
+  buildWorkbook(report, { author } = {}) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = author || 'SAMS';
+    workbook.created = new Date();
+
+    const sheet = workbook.addWorksheet('Observations', {
+      properties: { tabColor: { argb: 'FF1B998B' } },
+      pageSetup: { orientation: 'landscape', fitToPage: true, fitToWidth: 1, fitToHeight: 0 }
+    });
+
+    sheet.columns = [
+      { key: 'sl_no', width: 6 },
+      { key: 'scope', width: 14 },
+      { key: 'component', width: 18 },
+      { key: 'instance', width: 18 },
+      { key: 'rating', width: 8 },
+      { key: 'distress_types', width: 22 },
+      { key: 'distress_dimensions', width: 18 },
+      { key: 'condition_comment', width: 32 },
+      { key: 'repair_methodology', width: 32 },
+      { key: 'photos', width: 30 },
+      { key: 'location_of_distress', width: 24 },
+      { key: 'nos', width: 7 },
+      { key: 'length', width: 9 },
+      { key: 'breadth', width: 9 },
+      { key: 'height', width: 9 },
+      { key: 'quantity', width: 11 },
+      { key: 'unit', width: 8 }
+    ];
+    const columnCount = sheet.columns.length;
+
+    const thinBorder = { style: 'thin', color: { argb: 'FFE0E0E0' } };
+    const border = { top: thinBorder, left: thinBorder, bottom: thinBorder, right: thinBorder };
+
+    const titleRow = sheet.addRow([`Observations with Quantifications - ${report.structure_name || report.structural_identity_number || report.structure_id}`]);
+    titleRow.font = { name: 'Segoe UI', size: 14, bold: true, color: { argb: 'FF1B998B' } };
+    sheet.mergeCells(titleRow.number, 1, titleRow.number, columnCount);
+    sheet.addRow([`Structure ID: ${report.structural_identity_number || '-'}    Generated: ${report.generated_at.toLocaleString()}    Observations: ${report.totals.observations}`])
+      .font = { name: 'Segoe UI', size: 9, color: { argb: 'FF495057' } };
+    sheet.addRow([]);
+
+    const headerRow = sheet.addRow([
+      'Sl', 'Scope', 'Component', 'Instance', 'Rating', 'Distress Types', 'Dimensions (L x B x H)',
+      'Observation', 'Repair Methodology', 'Photos', 'Location of Distress',
+      'Nos', 'Length', 'Breadth', 'Height', 'Quantity', 'Unit'
+    ]);
+    headerRow.eachCell(cell => {
+      cell.font = { name: 'Segoe UI', size: 10, bold: true, color: { argb: 'FFFFFFFF' } };
+      cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1B998B' } };
+      cell.alignment = { vertical: 'middle', horizontal: 'center', wrapText: true };
+      cell.border = border;
+    });
+    headerRow.height = 30;
+
+    const addGroupRow = (text, argb) => {
+      const row = sheet.addRow([text]);
+      sheet.mergeCells(row.number, 1, row.number, columnCount);
+      row.font = { name: 'Segoe UI', size: 10, bold: true, color: { argb: 'FFFFFFFF' } };
+      row.getCell(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb } };
+    };
+
+    const quantityColumns = entry => ({
+      location_of_distress: entry.location_of_distress || '',
+      nos: entry.nos,
+      length: entry.length,
+      breadth: entry.breadth,
+      height: entry.height,
+      quantity: entry.quantity,
+      unit: entry.unit
+    });
+
+    const styleRow = row => {
+      row.eachCell({ includeEmpty: true }, cell => {
+        cell.font = { name: 'Segoe UI', size: 9 };
+        cell.alignment = { vertical: 'top', wrapText: true };
+        cell.border = border;
+      });
+    };
+
+    let slNo = 0;
+    report.floors.forEach(floor => {
+      addGroupRow(floor.label, 'FF2E86AB');
+
+      floor.units.forEach(unit => {
+        addGroupRow(`${floor.label} / ${unit.label}`, 'FF5FA8D3');
+
+        unit.observations.forEach(observation => {
+          slNo += 1;
+          const linkablePhotos = observation.photos.filter(photo => /^https?:\/\//i.test(photo) || photo.includes('/uploads/'));
+          const observationColumns = {
+            sl_no: slNo,
+            scope: observation.scope === 'structural' ? 'Structural' : 'Non-Structural',
+            component: observation.component.replace(/_/g, ' '),
+            instance: observation.instance_name || observation.instance_id || '',
+            rating: observation.rating,
+            distress_types: observation.distress_types.map(type => type.replace(/_/g, ' ')).join(', '),
+            distress_dimensions: formatDimensions(observation.distress_dimensions),
+            condition_comment: observation.condition_comment || '',
+            repair_methodology: observation.repair_methodology || '',
+            photos: linkablePhotos.join('\n') ||
+              (observation.photos.length > 0 ? `${observation.photos.length} embedded photo(s)` : '')
+          };
+
+          const entries = observation.quantifications.length > 0 ? observation.quantifications : [null];
+          entries.forEach((entry, index) => {
+            const row = sheet.addRow({
+              ...(index === 0 ? observationColumns : {}),
+              ...(entry ? quantityColumns(entry) : { location_of_distress: 'Not quantified' })
+            });
+            styleRow(row);
+            if (index === 0 && linkablePhotos.length === 1 && /^https?:\/\//i.test(linkablePhotos[0])) {
+              row.getCell('photos').value = { text: 'View photo', hyperlink: linkablePhotos[0] };
+              row.getCell('photos').font = { name: 'Segoe UI', size: 9, underline: true, color: { argb: 'FF2E86AB' } };
+            }
+          });
+        });
+
+        unit.other_quantifications.forEach(entry => {
+          const row = sheet.addRow({
+            scope: entry.scope === 'structural' ? 'Structural' : 'Non-Structural',
+            component: entry.category || '',
+            condition_comment: 'Quantified without a distressed rating',
+            repair_methodology: entry.repair_methodology || '',
+            ...quantityColumns(entry)
+          });
+          styleRow(row);
+        });
+      });
+    });
+
+    if (report.floors.length === 0) {
+      sheet.addRow(['No distress observations or quantifications recorded for this structure.'])
+        .font = { name: 'Segoe UI', size: 9, italic: true, color: { argb: 'FF6C757D' } };
+    }
+
+    sheet.views = [{ state: 'frozen', ySplit: headerRow.number }];
+    return workbook;
+  }
+}
+
+module.exports = new ObservationReportService();
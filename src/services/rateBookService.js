@@ -0,0 +1,172 @@
+const RateBook = require('../models/RateBook');
+const defaultRates = require('../config/defaultRates');
+
+const normalizeKey = (value) => (value || '').toString().trim().toLowerCase().replace(/\s+/g, ' ');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Pricing of repair quantities against the rate book of a structure's
+ * region (state) and subtype (RCC / steel)
+ */
+class RateBookService {
+
+  /**
+   * Canonical key for component names and quantification categories, so
+   * "Brick Plaster", "brick-plaster" and "brick_plaster" all match
+   */
+  normalizeComponentKey(value) {
+    const key = (value || '').toString().trim().toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+    return key.length > 3 && key.endsWith('s') && !key.endsWith('ss') ? key.slice(0, -1) : key;
+  }
+
+  /**
+   * Rates shipped with the application, shaped like a RateBook
+   */
+  getDefaultRateBook(subtype = 'rcc') {
+    return {
+      name: 'Built-in default rates',
+      state_code: null,
+      structure_subtype: subtype,
+      currency: defaultRates.CURRENCY,
+      rates: defaultRates.RATES,
+      default_rates_by_unit: defaultRates.DEFAULT_RATES_BY_UNIT,
+      is_default: true
+    };
+  }
+
+  /**
+   * Active rate book for a state and subtype: the state's own book, else the
+   * subtype's all-states book, else the built-in rates
+   */
+  async findRateBook({ stateCode, subtype = 'rcc' } = {}) {
+    const code = stateCode ? stateCode.toString().toUpperCase() : null;
+
+    const books = await RateBook.find({
+      structure_subtype: subtype,
+      is_active: true,
+      state_code: { $in: [code, null] }
+    }).lean();
+
+    const rateBook = (code && books.find(book => book.state_code === code)) ||
+      books.find(book => !book.state_code);
+
+    if (!rateBook) {
+      return this.getDefaultRateBook(subtype);
+    }
+
+    return {
+      ...rateBook,
+      default_rates_by_unit: rateBook.default_rates_by_unit || {},
+      is_default: false
+    };
+  }
+
+  async getRateBookForStructure(structure) {
+    return this.findRateBook({
+      stateCode: structure.location?.state_code,
+      subtype: structure.structural_identity?.structure_subtype || 'rcc'
+    });
+  }
+
+  summarizeRateBook(rateBook) {
+    return {
+      id: rateBook._id || null,
+      name: rateBook.name,
+      state_code: rateBook.state_code || null,
+      structure_subtype: rateBook.structure_subtype,
+      currency: rateBook.currency,
+      is_default: Boolean(rateBook.is_default)
+    };
+  }
+
+  /**
+   * Most specific unit rate for a quantity
+   * @param {Object} item - { category, repair_methodology, unit }
+   * @param {Object} rateBook - rate book (see findRateBook)
+   * @param {Object} [overrides] - { unitRates: [...], ratesByUnit: {...} } taking precedence over the book
+   * @returns {{rate: number|null, source: string}}
+   */
+  resolveUnitRate(item, rateBook, overrides = {}) {
+    const unit = (item.unit || '').toString().trim().toUpperCase();
+    const category = this.normalizeComponentKey(item.category);
+    const methodology = normalizeKey(item.repair_methodology);
+
+    const rates = [...(overrides.unitRates || []), ...(rateBook.rates || [])]
+      .filter(rate => (rate.unit || '').toString().trim().toUpperCase() === unit);
+
+    const candidates = [
+      ['category_methodology', rate => this.normalizeComponentKey(rate.category) === category && normalizeKey(rate.repair_methodology) === methodology],
+      ['category', rate => this.normalizeComponentKey(rate.category) === category && !rate.repair_methodology],
+      ['methodology', rate => normalizeKey(rate.repair_methodology) === methodology && !rate.category]
+    ];
+
+    for (const [source, matches] of candidates) {
+      const match = rates.find(matches);
+      if (match) return { rate: Number(match.rate), source };
+    }
+
+    const ratesByUnit = { ...(rateBook.default_rates_by_unit || {}), ...(overrides.ratesByUnit || {}) };
+    if (ratesByUnit[unit] !== undefined) {
+      return { rate: Number(ratesByUnit[unit]), source: 'unit_default' };
+    }
+
+    return { rate: null, source: 'unpriced' };
+  }
+
+  /**
+   * Estimated repair cost of a rated component, priced from the quantities
+   * recorded for it (matching quantification category) at the same location
+   * @param {Object} params
+   * @param {Object} params.rateBook - rate book (see findRateBook)
+   * @param {string} params.component - component key, e.g. "beams", "brick_plaster"
+   * @param {string} params.scope - 'structural' | 'non_structural'
+   * @param {Object} params.quantifications - { structural: [], non_structural: [] } of the floor/flat
+   * @returns {Object} { estimated_amount, currency, basis, range?, quantities?, rate_book }
+   */
+  estimateComponentCost({ rateBook, component, scope, quantifications }) {
+    const componentKey = this.normalizeComponentKey(component);
+    const entries = (quantifications?.[scope] || []).filter(entry =>
+      entry && Number(entry.quantity) > 0 && this.normalizeComponentKey(entry.category) === componentKey
+    );
+
+    const estimate = {
+      estimated_amount: null,
+      currency: rateBook.currency,
+      basis: 'not_quantified',
+      rate_book: rateBook.name
+    };
+
+    if (entries.length === 0) {
+      return estimate;
+    }
+
+    const quantities = entries.map(entry => {
+      const { rate } = this.resolveUnitRate(entry, rateBook);
+      return {
+        repair_methodology: entry.repair_methodology || null,
+        unit: entry.unit,
+        quantity: Number(entry.quantity),
+        unit_rate: rate,
+        amount: rate === null ? 0 : roundAmount(Number(entry.quantity) * rate)
+      };
+    });
+
+    const total = roundAmount(quantities.reduce((sum, line) => sum + line.amount, 0));
+
+    return {
+      ...estimate,
+      estimated_amount: total,
+      basis: quantities.some(line => line.unit_rate === null) ? 'partially_priced' : 'quantified',
+      range: {
+        min: Math.round(total * 0.8),
+        max: Math.round(total * 1.2)
+      },
+      quantities
+    };
+  }
+}
+
+module.exports = new RateBookService();
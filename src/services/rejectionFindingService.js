@@ -0,0 +1,202 @@
+const reportPdfService = require('./reportPdfService');
+
+// Reviewer role that raises findings at each rejection stage
+const STAGE_ROLES = {
+  testing: 'TE',
+  validation: 'VE',
+  approval: 'AD'
+};
+
+/**
+ * Finding status changes. The structure owner addresses findings; the
+ * reviewer who raised them (or an administrator) closes them, or reopens
+ * them when the fix is not accepted.
+ */
+const FINDING_ACTIONS = {
+  address: { from: ['open'], to: 'addressed', by: 'owner' },
+  close: { from: ['addressed'], to: 'closed', by: 'reviewer' },
+  reopen: { from: ['addressed', 'closed'], to: 'open', by: 'reviewer' }
+};
+
+const MAX_FINDINGS = 100;
+
+/**
+ * Itemized findings attached to workflow rejections, each pinned to a
+ * floor, flat or block and optionally a component instance
+ */
+class RejectionFindingService {
+
+  /**
+   * Resolve where a finding points in the structure
+   * @param {Object} structure - Structure (document or lean)
+   * @param {Object} input - { floor_id, flat_id, block_id, scope, component_type, instance_id }
+   * @returns {{location?: Object, error?: string}}
+   */
+  resolveLocation(structure, input) {
+    const floor = (structure.geometric_details?.floors || []).find(candidate => candidate.floor_id === input.floor_id);
+    if (!floor) return { error: `floor ${input.floor_id} not found` };
+    if (input.flat_id && input.block_id) return { error: 'a finding can point to a flat or a block, not both' };
+
+    let element = floor;
+    const location = { floor_id: floor.floor_id, floor_number: floor.floor_number };
+    const labelParts = [floor.floor_label_name || `Floor ${floor.floor_number}`];
+
+    if (input.flat_id) {
+      element = (floor.flats || []).find(flat => flat.flat_id === input.flat_id);
+      if (!element) return { error: `flat ${input.flat_id} not found on ${labelParts[0]}` };
+      Object.assign(location, { flat_id: element.flat_id, flat_number: element.flat_number });
+      labelParts.push(`Flat ${element.flat_number}`);
+    } else if (input.block_id) {
+      element = (floor.blocks || []).find(block => block.block_id === input.block_id);
+      if (!element) return { error: `block ${input.block_id} not found on ${labelParts[0]}` };
+      Object.assign(location, { block_id: element.block_id, block_number: element.block_number });
+      labelParts.push(`Block ${element.block_number}`);
+    }
+
+    const result = { location, location_label: labelParts.join(', ') };
+    if (!input.component_type) return result;
+    if (!['structural', 'non_structural'].includes(input.scope)) {
+      return { error: 'scope (structural or non_structural) is required with a component' };
+    }
+
+    result.scope = input.scope;
+    result.component_type = input.component_type;
+    if (input.instance_id) {
+      const match = reportPdfService.getComponentInstances(element[`${input.scope}_rating`])
+        .find(({ component, instance }) => component === input.component_type && String(instance._id) === String(input.instance_id));
+      if (!match) return { error: `${input.component_type} instance ${input.instance_id} not found at ${result.location_label}` };
+
+      result.instance_id = String(match.instance._id);
+      result.instance_name = match.instance.name;
+      result.location_label += ` - ${match.instance.name || input.component_type}`;
+    } else {
+      result.location_label += ` - ${input.component_type}`;
+    }
+    return result;
+  }
+
+  /**
+   * Findings for a rejection, validated against the structure. A rejection
+   * needs at least one: findings are what the owner has to address before
+   * the structure can be resubmitted.
+   * @param {Object} structure - Structure
+   * @param {Array} inputs - request findings
+   * @param {Object} raisedBy - { user_id, name, email }
+   * @param {string} stage - testing | validation | approval
+   * @returns {{findings: Array, errors: Array<{index: number, message: string}>}}
+   */
+  buildFindings(structure, inputs = [], raisedBy, stage) {
+    const data = typeof structure.toObject === 'function' ? structure.toObject() : structure;
+    const findings = [];
+    const errors = [];
+
+    if (!Array.isArray(inputs) || inputs.length === 0) {
+      return { findings, errors: [{ index: 0, message: 'A rejection needs at least one finding for the owner to address' }] };
+    }
+    if (inputs.length > MAX_FINDINGS) {
+      return { findings, errors: [{ index: MAX_FINDINGS, message: `A rejection can carry at most ${MAX_FINDINGS} findings` }] };
+    }
+
+    const raisedAt = new Date();
+    inputs.forEach((input, index) => {
+      const resolved = this.resolveLocation(data, input);
+      if (resolved.error) {
+        errors.push({ index, message: `Finding ${index + 1}: ${resolved.error}` });
+        return;
+      }
+
+      const raiser = { ...raisedBy, role: STAGE_ROLES[stage], date: raisedAt };
+      findings.push({
+        description: input.description,
+        ...resolved,
+        rejection_stage: stage,
+        status: 'open',
+        raised_by: raiser,
+        history: [{ status: 'open', ...raiser }]
+      });
+    });
+
+    return { findings, errors };
+  }
+
+  countByStatus(structure, status, stage) {
+    return (structure.rejection_findings || [])
+      .filter(finding => finding.status === status && (!stage || finding.rejection_stage === stage))
+      .length;
+  }
+
+  /**
+   * Whether a user may take a finding action
+   * @returns {{allowed: boolean, statusCode?: number, message?: string}}
+   */
+  canUpdate(structure, finding, action, user) {
+    if (!Object.prototype.hasOwnProperty.call(FINDING_ACTIONS, action)) {
+      return { allowed: false, statusCode: 400, message: `Unknown finding action: ${action}` };
+    }
+    const definition = FINDING_ACTIONS[action];
+
+    const roles = user.roles || [user.role];
+    if (definition.by === 'owner' && String(structure.owner) !== String(user.userId)) {
+      return { allowed: false, statusCode: 403, message: 'Only the structure owner can address findings' };
+    }
+    if (definition.by === 'reviewer' && !roles.includes(finding.raised_by?.role) && !roles.includes('AD')) {
+      return { allowed: false, statusCode: 403, message: `Only the reviewer who raised the finding (${finding.raised_by?.role}) or an administrator can ${action} it` };
+    }
+
+    if (!definition.from.includes(finding.status)) {
+      return { allowed: false, statusCode: 400, message: `Cannot ${action} a finding that is ${finding.status}` };
+    }
+    return { allowed: true };
+  }
+
+  /**
+   * Apply a finding action (caller checks canUpdate and saves)
+   * @param {Object} finding - rejection_findings entry
+   * @param {string} action - address | close | reopen
+   * @param {Object} actor - { user_id, name, email, role }
+   * @param {string} [notes]
+   */
+  update(finding, action, actor, notes) {
+    finding.status = FINDING_ACTIONS[action].to;
+    finding.history.push({ status: finding.status, ...actor, date: new Date(), ...(notes && { notes }) });
+    return finding;
+  }
+
+  /**
+   * Mark findings addressed as part of a resubmission
+   * @param {Object} structure - Structure document
+   * @param {Array} entries - [{ finding_id, response }]
+   * @param {Object} user - req.user
+   * @param {Object} actor - { user_id, name, email, role }
+   * @returns {Array<{finding_id, message}>} errors; nothing is changed when there are any
+   */
+  addressFindings(structure, entries = [], user, actor) {
+    const errors = [];
+    const updates = [];
+
+    entries.forEach(({ finding_id: findingId, response }) => {
+      const finding = structure.rejection_findings?.id
+        ? structure.rejection_findings.id(findingId)
+        : (structure.rejection_findings || []).find(candidate => String(candidate._id) === String(findingId));
+      if (!finding) {
+        errors.push({ finding_id: findingId, message: 'Finding not found' });
+        return;
+      }
+      const check = this.canUpdate(structure, finding, 'address', user);
+      if (!check.allowed) {
+        errors.push({ finding_id: findingId, message: check.message });
+        return;
+      }
+      updates.push([finding, response]);
+    });
+
+    if (errors.length === 0) {
+      updates.forEach(([finding, response]) => this.update(finding, 'address', actor, response));
+    }
+    return errors;
+  }
+}
+
+module.exports = new RejectionFindingService();
+module.exports.FINDING_ACTIONS = FINDING_ACTIONS;
+module.exports.STAGE_ROLES = STAGE_ROLES;
@@ -0,0 +1,833 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const structureService = require('./structureService');
+
+// =================== LAYOUT CONSTANTS ===================
+
+const PAGE_MARGIN = 50;
+
+const PDF_COLORS = {
+  PRIMARY: '#2E86AB',
+  SECONDARY: '#1B998B',
+  TEXT: '#212529',
+  MUTED: '#6C757D',
+  BORDER: '#DEE2E6',
+  LIGHT: '#F8F9FA',
+  HEALTH: {
+    Good: '#52B788',
+    Fair: '#FBB13C',
+    Poor: '#F77F00',
+    Critical: '#FF6B6B'
+  }
+};
+
+const THUMBNAIL = {
+  WIDTH: 120,
+  HEIGHT: 90,
+  MAX_PER_STRUCTURE: 60,
+  MAX_BYTES: 3 * 1024 * 1024,
+  FETCH_TIMEOUT_MS: 5000
+};
+
+// Rating containers hold component arrays next to these summary fields
+const RATING_SUMMARY_FIELDS = new Set(['overall_average', 'health_status', 'assessment_date']);
+
+const SIGN_OFF_STAGES = [
+  { key: 'submitted_by', label: 'Submitted (Field Engineer)' },
+  { key: 'tested_by', label: 'Tested (Testing Engineer)', notes: 'test_notes' },
+  { key: 'validated_by', label: 'Validated (Validation Engineer)', notes: 'validation_notes' },
+  { key: 'approved_by', label: 'Approved (Admin)', notes: 'approval_notes' },
+  { key: 'rejected_by', label: 'Rejected', notes: 'rejection_reason' }
+];
+
+const humanize = (value) => (value ? String(value).replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase()) : '');
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : '-');
+
+/**
+ * Condition-assessment PDF reports, rendered locally with PDFKit
+ */
+class ReportPdfService {
+
+  // =================== DATA HELPERS ===================
+
+  /**
+   * Flatten a structural_rating / non_structural_rating container into
+   * `{ component, instance }` pairs. Legacy single-object ratings are
+   * treated as one unnamed instance.
+   */
+  getComponentInstances(ratingContainer) {
+    if (!ratingContainer) return [];
+
+    const entries = [];
+    const pushComponent = (component, value) => {
+      if (Array.isArray(value)) {
+        value.forEach(instance => entries.push({ component, instance }));
+      } else if (value && typeof value === 'object' && value.rating !== undefined) {
+        entries.push({ component, instance: value });
+      }
+    };
+
+    Object.entries(ratingContainer).forEach(([component, value]) => {
+      if (RATING_SUMMARY_FIELDS.has(component)) return;
+
+      if (component === 'custom_components') {
+        const customComponents = value instanceof Map ? Object.fromEntries(value) : (value || {});
+        Object.entries(customComponents).forEach(([name, instances]) => pushComponent(name, instances));
+        return;
+      }
+
+      pushComponent(component, value);
+    });
+
+    return entries;
+  }
+
+  getInstancePhotos(instance) {
+    const photos = [...(instance.photos || [])];
+    if (instance.photo && !photos.includes(instance.photo)) {
+      photos.unshift(instance.photo);
+    }
+    return photos.filter(photo => typeof photo === 'string' && photo.trim() !== '');
+  }
+
+  hasDistress(instance) {
+    const distressTypes = (instance.distress_types || []).filter(type => type !== 'none');
+    return distressTypes.length > 0 ||
+      (instance.rating !== undefined && instance.rating <= 3 && Boolean(instance.condition_comment || instance.repair_methodology));
+  }
+
+  /**
+   * Walk every floor, flat and block and return the rated elements in report order
+   */
+  collectElements(structure) {
+    const elements = [];
+
+    (structure.geometric_details?.floors || []).forEach(floor => {
+      const floorLabel = floor.floor_label_name || `Floor ${floor.floor_number}`;
+
+      elements.push({
+        kind: 'floor',
+        title: floorLabel,
+        overall: floor.floor_overall_rating,
+        components: [
+          ...this.getComponentInstances(floor.structural_rating).map(entry => ({ ...entry, group: 'Structural' })),
+          ...this.getComponentInstances(floor.non_structural_rating).map(entry => ({ ...entry, group: 'Non-Structural' }))
+        ],
+        notes: floor.floor_notes
+      });
+
+      (floor.flats || []).forEach(flat => {
+        elements.push({
+          kind: 'flat',
+          title: `${floorLabel} - Unit ${flat.flat_number}${flat.flat_type ? ` (${flat.flat_type.toUpperCase()})` : ''}`,
+          overall: flat.flat_overall_rating,
+          components: [
+            ...this.getComponentInstances(flat.structural_rating).map(entry => ({ ...entry, group: 'Structural' })),
+            ...this.getComponentInstances(flat.non_structural_rating).map(entry => ({ ...entry, group: 'Non-Structural' }))
+          ],
+          notes: flat.flat_notes
+        });
+      });
+
+      (floor.blocks || []).forEach(block => {
+        elements.push({
+          kind: 'block',
+          title: `${floorLabel} - Block ${block.block_number}${block.block_name ? ` (${block.block_name})` : ''}`,
+          overall: block.block_overall_rating,
+          components: [
+            ...this.getComponentInstances(block.structural_rating).map(entry => ({ ...entry, group: 'Structural' })),
+            ...this.getComponentInstances(block.non_structural_rating).map(entry => ({ ...entry, group: 'Non-Structural' }))
+          ],
+          notes: block.block_notes
+        });
+      });
+    });
+
+    return elements;
+  }
+
+  // =================== THUMBNAILS ===================
+
+  /**
+   * Only photos hosted on our Cloudinary account are fetched; any other URL
+   * would let a saved photo reference make the server call arbitrary hosts
+   */
+  isCloudinaryUrl(reference) {
+    let url;
+    try {
+      url = new URL(reference);
+    } catch (error) {
+      return false;
+    }
+
+    if (url.protocol !== 'https:' || url.hostname !== 'res.cloudinary.com' || url.port) {
+      return false;
+    }
+    const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+    return !cloudName || url.pathname.startsWith(`/${cloudName}/`);
+  }
+
+  /**
+   * Cloudinary can resize and transcode on delivery; ask for a small JPEG
+   */
+  toThumbnailUrl(url) {
+    if (url.includes('res.cloudinary.com') && url.includes('/upload/')) {
+      return url.replace('/upload/', `/upload/w_${THUMBNAIL.WIDTH * 2},h_${THUMBNAIL.HEIGHT * 2},c_fill,f_jpg/`);
+    }
+    return url;
+  }
+
+  isSupportedImage(buffer) {
+    if (!buffer || buffer.length < 4) return false;
+    const isJpeg = buffer[0] === 0xff && buffer[1] === 0xd8;
+    const isPng = buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4e && buffer[3] === 0x47;
+    return isJpeg || isPng;
+  }
+
+  /**
+   * Load a photo reference (data URI, local upload or Cloudinary URL) as an
+   * image buffer. Only JPEG/PNG can be embedded; anything else, including
+   * URLs on other hosts, resolves to null.
+   */
+  async loadImage(reference) {
+    try {
+      let buffer = null;
+
+      if (reference.startsWith('data:image/')) {
+        const [, data] = reference.split(',');
+        buffer = Buffer.from(data || '', 'base64');
+      } else if (/^https?:\/\//i.test(reference)) {
+        if (!this.isCloudinaryUrl(reference)) return null;
+        const response = await fetch(this.toThumbnailUrl(reference), {
+          redirect: 'error',
+          signal: AbortSignal.timeout(THUMBNAIL.FETCH_TIMEOUT_MS)
+        });
+        if (!response.ok) return null;
+        buffer = Buffer.from(await response.arrayBuffer());
+      } else if (reference.includes('/uploads/')) {
+        const uploadsRoot = path.join(process.cwd(), 'uploads');
+        const localPath = path.join(process.cwd(), reference.substring(reference.indexOf('/uploads/')));
+        if (!localPath.startsWith(uploadsRoot + path.sep) || !fs.existsSync(localPath)) return null;
+        buffer = await fs.promises.readFile(localPath);
+      }
+
+      if (!buffer || buffer.length > THUMBNAIL.MAX_BYTES || !this.isSupportedImage(buffer)) {
+        return null;
+      }
+      return buffer;
+    } catch (error) {
+      console.warn(`⚠️ Could not load report photo: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * PDFKit draws synchronously, so photos are fetched up front
+   * @returns {Promise<Map<string, Buffer>>}
+   */
+  async loadThumbnails(elements) {
+    const references = [];
+    elements.forEach(element => {
+      element.components
+        .filter(({ instance }) => this.hasDistress(instance))
+        .forEach(({ instance }) => references.push(...this.getInstancePhotos(instance)));
+    });
+
+    return this.loadThumbnailReferences(references);
+  }
+
+  async loadThumbnailReferences(references) {
+    const unique = Array.from(new Set(references)).slice(0, THUMBNAIL.MAX_PER_STRUCTURE);
+    const thumbnails = new Map();
+
+    for (const reference of unique) {
+      const image = await this.loadImage(reference);
+      if (image) thumbnails.set(reference, image);
+    }
+
+    return thumbnails;
+  }
+
+  // =================== DRAWING HELPERS ===================
+
+  ensureSpace(doc, height) {
+    if (doc.y + height > doc.page.height - PAGE_MARGIN - 20) {
+      doc.addPage();
+    }
+  }
+
+  sectionTitle(doc, title) {
+    this.ensureSpace(doc, 60);
+    doc.moveDown(0.8);
+    const y = doc.y;
+    doc.rect(PAGE_MARGIN, y, doc.page.width - PAGE_MARGIN * 2, 22).fill(PDF_COLORS.PRIMARY);
+    doc.fillColor('#FFFFFF').font('Helvetica-Bold').fontSize(12)
+      .text(title.toUpperCase(), PAGE_MARGIN + 8, y + 6);
+    doc.fillColor(PDF_COLORS.TEXT).font('Helvetica').fontSize(10);
+    doc.y = y + 30;
+    doc.x = PAGE_MARGIN;
+  }
+
+  keyValueTable(doc, pairs) {
+    const labelWidth = 170;
+    const valueWidth = doc.page.width - PAGE_MARGIN * 2 - labelWidth;
+
+    pairs.forEach(([label, value], index) => {
+      const text = value === undefined || value === null || value === '' ? '-' : String(value);
+      const height = Math.max(18, doc.heightOfString(text, { width: valueWidth - 10 }) + 8);
+      this.ensureSpace(doc, height);
+
+      const y = doc.y;
+      if (index % 2 === 0) {
+        doc.rect(PAGE_MARGIN, y, labelWidth + valueWidth, height).fill(PDF_COLORS.LIGHT);
+      }
+      doc.fillColor(PDF_COLORS.MUTED).font('Helvetica-Bold').fontSize(9)
+        .text(label, PAGE_MARGIN + 5, y + 4, { width: labelWidth - 10 });
+      doc.fillColor(PDF_COLORS.TEXT).font('Helvetica').fontSize(9)
+        .text(text, PAGE_MARGIN + labelWidth + 5, y + 4, { width: valueWidth - 10 });
+      doc.y = y + height;
+    });
+
+    doc.x = PAGE_MARGIN;
+  }
+
+  /**
+   * Simple grid table with a repeated header after page breaks
+   * @param {Array<{header: string, width: number}>} columns - widths as fractions of the page width
+   * @param {Array<Array<string>>} rows
+   * @param {Object} [options] - { colorColumn, colorFor(value) }
+   */
+  table(doc, columns, rows, options = {}) {
+    const tableWidth = doc.page.width - PAGE_MARGIN * 2;
+    const widths = columns.map(column => column.width * tableWidth);
+
+    const drawRow = (cells, { header = false, shade = false } = {}) => {
+      doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+      const height = Math.max(16, ...cells.map((cell, i) => doc.heightOfString(String(cell ?? '-'), { width: widths[i] - 8 }) + 6));
+
+      if (doc.y + height > doc.page.height - PAGE_MARGIN - 20) {
+        doc.addPage();
+        if (!header) drawRow(columns.map(column => column.header), { header: true });
+      }
+
+      const y = doc.y;
+      let x = PAGE_MARGIN;
+
+      if (header) doc.rect(PAGE_MARGIN, y, tableWidth, height).fill(PDF_COLORS.SECONDARY);
+      else if (shade) doc.rect(PAGE_MARGIN, y, tableWidth, height).fill(PDF_COLORS.LIGHT);
+
+      cells.forEach((cell, i) => {
+        let color = header ? '#FFFFFF' : PDF_COLORS.TEXT;
+        if (!header && options.colorColumn === i && options.colorFor) {
+          color = options.colorFor(cell) || color;
+        }
+        doc.fillColor(color).font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(8)
+          .text(String(cell ?? '-'), x + 4, y + 3, { width: widths[i] - 8 });
+        x += widths[i];
+      });
+
+      doc.strokeColor(PDF_COLORS.BORDER).lineWidth(0.5)
+        .moveTo(PAGE_MARGIN, y + height).lineTo(PAGE_MARGIN + tableWidth, y + height).stroke();
+      doc.y = y + height;
+    };
+
+    drawRow(columns.map(column => column.header), { header: true });
+    rows.forEach((row, index) => drawRow(row, { shade: index % 2 === 1 }));
+    doc.x = PAGE_MARGIN;
+    doc.fillColor(PDF_COLORS.TEXT);
+  }
+
+  paragraph(doc, text, options = {}) {
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(options.size || 9)
+      .fillColor(options.color || PDF_COLORS.TEXT);
+    this.ensureSpace(doc, doc.heightOfString(text, { width: doc.page.width - PAGE_MARGIN * 2 }) + 4);
+    doc.text(text, PAGE_MARGIN, doc.y, { width: doc.page.width - PAGE_MARGIN * 2 });
+    doc.fillColor(PDF_COLORS.TEXT);
+  }
+
+  // =================== REPORT SECTIONS ===================
+
+  drawCover(doc, structure, meta) {
+    const identity = structure.structural_identity || {};
+
+    doc.rect(0, 0, doc.page.width, 120).fill(PDF_COLORS.PRIMARY);
+    doc.fillColor('#FFFFFF').font('Helvetica-Bold').fontSize(20)
+      .text(meta.title || 'Structural Condition Assessment Report', PAGE_MARGIN, 40);
+    doc.font('Helvetica').fontSize(11)
+      .text(structure.location?.structure_name || identity.structural_identity_number || '', PAGE_MARGIN, 72);
+    doc.fillColor(PDF_COLORS.TEXT);
+    doc.y = 140;
+
+    this.keyValueTable(doc, [
+      ['Structure ID', identity.structural_identity_number],
+      ['UID', identity.uid],
+      ['Type of Structure', humanize(identity.type_of_structure)],
+      ['Subtype', humanize(identity.structure_subtype || identity.commercial_subtype)],
+      ['Age of Structure (years)', identity.age_of_structure],
+      ['Workflow Status', humanize(structure.status)],
+      ['Report Generated', `${formatDate(meta.generatedAt)} by ${meta.generatedBy || '-'}`],
+      ['Report Version', structure.creation_info?.version ? `v${structure.creation_info.version}` : '-']
+    ]);
+  }
+
+  drawDetails(doc, structure, owner) {
+    const location = structure.location || {};
+    const administrative = structure.administrative || {};
+    const geometry = structure.geometric_details || {};
+
+    this.sectionTitle(doc, 'Location Details');
+    this.keyValueTable(doc, [
+      ['Structure Name', location.structure_name],
+      ['Address', location.address],
+      ['City', location.city_name],
+      ['District / State', [location.district_code, location.state_code].filter(Boolean).join(' / ')],
+      ['Location Code', location.location_code],
+      ['PIN Code', location.zip_code],
+      ['Coordinates', location.latitude !== undefined && location.longitude !== undefined
+        ? `${location.latitude}, ${location.longitude}` : '-']
+    ]);
+
+    this.sectionTitle(doc, 'Administrative Details');
+    this.keyValueTable(doc, [
+      ['Client', administrative.client_name],
+      ['Custodian', administrative.custodian],
+      ['Engineer / Designation', administrative.engineer_designation],
+      ['Contact', administrative.contact_details],
+      ['Email', administrative.email_id],
+      ['Organization', administrative.organization],
+      ['Inspected By', owner ? `${owner.username} (${owner.email})` : '-']
+    ]);
+
+    this.sectionTitle(doc, 'Geometric Details');
+    this.keyValueTable(doc, [
+      ['Number of Floors', geometry.number_of_floors],
+      ['Basement Floors', geometry.basement_floors],
+      ['Year of Construction', geometry.year_of_construction],
+      ['Built-up Area (m²)', geometry.total_built_up_area_sq_mts],
+      ['Carpet Area (m²)', geometry.total_carpet_area_sq_mts],
+      ['Width x Length x Height (m)', [geometry.structure_width, geometry.structure_length, geometry.structure_height]
+        .map(value => value ?? '-').join(' x ')],
+      ['Parking', humanize(geometry.parking_type)]
+    ]);
+  }
+
+  drawSummary(doc, elements) {
+    const ratedUnits = elements.filter(element => element.kind !== 'floor' && element.overall?.health_status);
+    const distribution = { Good: 0, Fair: 0, Poor: 0, Critical: 0 };
+    ratedUnits.forEach(element => {
+      if (distribution[element.overall.health_status] !== undefined) distribution[element.overall.health_status] += 1;
+    });
+
+    const scores = ratedUnits.map(element => element.overall.combined_score).filter(score => typeof score === 'number');
+    const average = scores.length ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null;
+
+    this.sectionTitle(doc, 'Condition Summary');
+    this.keyValueTable(doc, [
+      ['Rated Units / Blocks', `${ratedUnits.length} of ${elements.filter(element => element.kind !== 'floor').length}`],
+      ['Average Combined Score', average !== null ? `${average.toFixed(2)} / 5` : '-'],
+      ['Overall Health', average !== null ? structureService.getHealthStatus(average) : '-'],
+      ['Health Distribution', Object.entries(distribution).map(([status, count]) => `${status}: ${count}`).join('   ')]
+    ]);
+  }
+
+  drawRatings(doc, elements) {
+    this.sectionTitle(doc, 'Component Ratings');
+
+    const ratedElements = elements.filter(element => element.components.length > 0 || element.overall?.health_status);
+    if (ratedElements.length === 0) {
+      this.paragraph(doc, 'No component ratings have been recorded for this structure.', { color: PDF_COLORS.MUTED });
+      return;
+    }
+
+    ratedElements.forEach(element => {
+      this.ensureSpace(doc, 70);
+      doc.moveDown(0.5);
+
+      const health = element.overall?.health_status;
+      const score = element.overall?.combined_score;
+      doc.font('Helvetica-Bold').fontSize(10).fillColor(PDF_COLORS.PRIMARY).text(element.title, PAGE_MARGIN, doc.y, { continued: Boolean(health) });
+      if (health) {
+        doc.fillColor(PDF_COLORS.HEALTH[health] || PDF_COLORS.MUTED)
+          .text(`   ${health}${score ? ` (${score}/5)` : ''}${element.overall?.priority ? ` - ${element.overall.priority} priority` : ''}`);
+      }
+      doc.fillColor(PDF_COLORS.TEXT).moveDown(0.3);
+
+      if (element.components.length > 0) {
+        this.table(doc, [
+          { header: 'Group', width: 0.14 },
+          { header: 'Component', width: 0.2 },
+          { header: 'Instance', width: 0.2 },
+          { header: 'Rating', width: 0.08 },
+          { header: 'Health', width: 0.1 },
+          { header: 'Condition', width: 0.28 }
+        ], element.components.map(({ group, component, instance }) => [
+          group,
+          humanize(component),
+          instance.name || '-',
+          instance.rating ?? '-',
+          instance.rating ? structureService.getHealthStatus(instance.rating) : '-',
+          instance.condition_comment || '-'
+        ]), {
+          colorColumn: 4,
+          colorFor: value => PDF_COLORS.HEALTH[value]
+        });
+      }
+
+      if (element.notes) {
+        this.paragraph(doc, `Notes: ${element.notes}`, { color: PDF_COLORS.MUTED });
+      }
+    });
+  }
+
+  /**
+   * Rating, distress and repair lines of a component instance
+   */
+  distressDetails(instance) {
+    const dimensions = instance.distress_dimensions;
+    const dimensionText = dimensions && (dimensions.length || dimensions.breadth || dimensions.height)
+      ? [dimensions.length, dimensions.breadth, dimensions.height].map(value => value ?? '-').join(' x ') + ` ${dimensions.unit || 'mm'}`
+      : null;
+
+    return [
+      `Rating: ${instance.rating ?? '-'} (${instance.rating ? structureService.getHealthStatus(instance.rating) : 'Unrated'})`,
+      instance.distress_types?.length ? `Distress: ${instance.distress_types.filter(type => type !== 'none').map(humanize).join(', ')}` : null,
+      dimensionText ? `Dimensions (L x B x H): ${dimensionText}` : null,
+      instance.condition_comment ? `Observation: ${instance.condition_comment}` : null,
+      instance.repair_methodology ? `Recommended repair: ${instance.repair_methodology}` : null,
+      instance.inspection_date ? `Inspected: ${formatDate(instance.inspection_date)}` : null
+    ].filter(Boolean);
+  }
+
+  drawDistress(doc, elements, thumbnails) {
+    this.sectionTitle(doc, 'Distress Observations');
+
+    const observations = [];
+    elements.forEach(element => {
+      element.components
+        .filter(({ instance }) => this.hasDistress(instance))
+        .forEach(entry => observations.push({ ...entry, location: element.title }));
+    });
+
+    if (observations.length === 0) {
+      this.paragraph(doc, 'No distress was observed on the rated components.', { color: PDF_COLORS.MUTED });
+      return;
+    }
+
+    observations.forEach(({ location, component, instance }, index) => {
+      const photos = this.getInstancePhotos(instance).filter(photo => thumbnails.has(photo));
+      this.ensureSpace(doc, photos.length > 0 ? THUMBNAIL.HEIGHT + 90 : 80);
+      doc.moveDown(0.4);
+
+      doc.font('Helvetica-Bold').fontSize(9).fillColor(PDF_COLORS.TEXT)
+        .text(`${index + 1}. ${location} - ${humanize(component)}${instance.name ? ` (${instance.name})` : ''}`, PAGE_MARGIN);
+
+      const details = this.distressDetails(instance);
+
+      details.forEach(line => this.paragraph(doc, line));
+      this.photoStrip(doc, photos, thumbnails);
+    });
+  }
+
+  /**
+   * Up to four thumbnails side by side
+   */
+  photoStrip(doc, photos, thumbnails) {
+    if (photos.length === 0) return;
+
+    let x = PAGE_MARGIN;
+    const y = doc.y + 4;
+    photos.slice(0, 4).forEach(photo => {
+      try {
+        doc.image(thumbnails.get(photo), x, y, { fit: [THUMBNAIL.WIDTH, THUMBNAIL.HEIGHT], align: 'center', valign: 'center' });
+        doc.rect(x, y, THUMBNAIL.WIDTH, THUMBNAIL.HEIGHT).strokeColor(PDF_COLORS.BORDER).stroke();
+        x += THUMBNAIL.WIDTH + 8;
+      } catch (error) {
+        console.warn(`⚠️ Could not embed report photo: ${error.message}`);
+      }
+    });
+    doc.y = y + THUMBNAIL.HEIGHT + 6;
+    doc.x = PAGE_MARGIN;
+  }
+
+  drawTestResults(doc, structure) {
+    const results = [];
+    const push = (list, location) => (list || []).forEach(result => results.push({ result, location }));
+
+    push(structure.structure_test_results, 'Structure');
+    (structure.geometric_details?.floors || []).forEach(floor => {
+      const floorLabel = floor.floor_label_name || `Floor ${floor.floor_number}`;
+      push(floor.test_results, floorLabel);
+      (floor.flats || []).forEach(flat => push(flat.test_results, `${floorLabel} / ${flat.flat_number}`));
+      (floor.blocks || []).forEach(block => push(block.test_results, `${floorLabel} / ${block.block_number}`));
+    });
+
+    if (results.length === 0) return;
+
+    this.sectionTitle(doc, 'Non-Destructive Test Results');
+    this.table(doc, [
+      { header: 'Location', width: 0.18 },
+      { header: 'Test', width: 0.18 },
+      { header: 'Component', width: 0.16 },
+      { header: 'Date', width: 0.12 },
+      { header: 'Interpretation', width: 0.36 }
+    ], results.map(({ result, location }) => [
+      location,
+      humanize(result.test_name === 'custom' ? result.format_key : result.test_name),
+      [result.component_type, result.component_id].filter(Boolean).join(' / '),
+      formatDate(result.test_date),
+      result.interpretation?.summary || result.remarks || '-'
+    ]));
+  }
+
+  drawRemarks(doc, structure) {
+    this.sectionTitle(doc, 'Remarks');
+
+    const remarkGroups = [
+      ['Field Engineer', structure.remarks?.fe_remarks],
+      ['Testing Engineer', structure.remarks?.te_remarks],
+      ['Validation Engineer', structure.remarks?.ve_remarks]
+    ].filter(([, remarks]) => remarks && remarks.length > 0);
+
+    if (remarkGroups.length === 0 && !structure.general_notes) {
+      this.paragraph(doc, 'No remarks recorded.', { color: PDF_COLORS.MUTED });
+      return;
+    }
+
+    remarkGroups.forEach(([label, remarks]) => {
+      this.paragraph(doc, label, { bold: true });
+      remarks.forEach(remark => {
+        this.paragraph(doc, `• ${remark.text} - ${remark.author_name || label}, ${formatDate(remark.created_at)}`);
+      });
+      doc.moveDown(0.3);
+    });
+
+    if (structure.general_notes) {
+      this.paragraph(doc, 'General Notes', { bold: true });
+      this.paragraph(doc, structure.general_notes);
+    }
+  }
+
+  drawSignOff(doc, structure) {
+    this.sectionTitle(doc, 'Sign-off Trail');
+
+    const workflow = structure.workflow || {};
+    const stages = SIGN_OFF_STAGES.filter(stage => workflow[stage.key]?.date || workflow[stage.key]?.name);
+
+    if (stages.length === 0) {
+      this.paragraph(doc, 'This structure has not been submitted for review yet.', { color: PDF_COLORS.MUTED });
+    } else {
+      this.table(doc, [
+        { header: 'Stage', width: 0.24 },
+        { header: 'Name', width: 0.2 },
+        { header: 'Role', width: 0.08 },
+        { header: 'Date', width: 0.14 },
+        { header: 'Notes', width: 0.34 }
+      ], stages.map(stage => {
+        const actor = workflow[stage.key];
+        return [
+          stage.label,
+          actor.name || actor.email || '-',
+          actor.role || '-',
+          formatDate(actor.date),
+          (stage.notes && actor[stage.notes]) || '-'
+        ];
+      }));
+    }
+
+    // Wet-signature block for the client deliverable
+    this.ensureSpace(doc, 90);
+    doc.moveDown(2);
+    const y = doc.y;
+    const blockWidth = (doc.page.width - PAGE_MARGIN * 2 - 40) / 3;
+    ['Field Engineer', 'Validation Engineer', 'Approving Authority'].forEach((label, index) => {
+      const x = PAGE_MARGIN + index * (blockWidth + 20);
+      doc.strokeColor(PDF_COLORS.TEXT).moveTo(x, y + 40).lineTo(x + blockWidth, y + 40).stroke();
+      doc.font('Helvetica').fontSize(8).fillColor(PDF_COLORS.MUTED).text(label, x, y + 45, { width: blockWidth, align: 'center' });
+    });
+    doc.y = y + 60;
+    doc.x = PAGE_MARGIN;
+  }
+
+  drawPageFooters(doc, structure, label = 'SAMS Condition Assessment') {
+    const range = doc.bufferedPageRange();
+    const reference = structure.structural_identity?.structural_identity_number || String(structure._id);
+
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      const bottom = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+      doc.font('Helvetica').fontSize(7).fillColor(PDF_COLORS.MUTED)
+        .text(`${label} - ${reference}`, PAGE_MARGIN, doc.page.height - 35, { lineBreak: false })
+        .text(`Page ${i + 1} of ${range.count}`, doc.page.width - PAGE_MARGIN - 80, doc.page.height - 35, { width: 80, align: 'right', lineBreak: false });
+      doc.page.margins.bottom = bottom;
+    }
+  }
+
+  // =================== OBSERVATIONS REPORT ===================
+
+  quantificationTable(doc, entries) {
+    this.table(doc, [
+      { header: 'Category', width: 0.16 },
+      { header: 'Location of Distress', width: 0.24 },
+      { header: 'Repair Methodology', width: 0.24 },
+      { header: 'Nos', width: 0.06 },
+      { header: 'L x B x H', width: 0.14 },
+      { header: 'Quantity', width: 0.16 }
+    ], entries.map(entry => [
+      entry.category || '-',
+      entry.location_of_distress || '-',
+      entry.repair_methodology || '-',
+      entry.nos ?? '-',
+      [entry.length, entry.breadth, entry.height].map(value => value ?? '-').join(' x '),
+      `${entry.quantity ?? 0} ${entry.unit || ''}`.trim()
+    ]));
+  }
+
+  drawObservations(doc, report, thumbnails) {
+    if (report.floors.length === 0) {
+      this.sectionTitle(doc, 'Observations');
+      this.paragraph(doc, 'No distress observations or quantifications recorded for this structure.', { color: PDF_COLORS.MUTED });
+      return;
+    }
+
+    let index = 0;
+    report.floors.forEach(floor => {
+      this.sectionTitle(doc, floor.label);
+
+      floor.units.forEach(unit => {
+        this.ensureSpace(doc, 60);
+        doc.moveDown(0.4);
+        doc.font('Helvetica-Bold').fontSize(10).fillColor(PDF_COLORS.PRIMARY).text(unit.label, PAGE_MARGIN);
+        doc.fillColor(PDF_COLORS.TEXT).moveDown(0.2);
+
+        unit.observations.forEach(observation => {
+          index += 1;
+          const photos = observation.photos.filter(photo => thumbnails.has(photo));
+          this.ensureSpace(doc, photos.length > 0 ? THUMBNAIL.HEIGHT + 90 : 80);
+          doc.moveDown(0.3);
+
+          doc.font('Helvetica-Bold').fontSize(9).fillColor(PDF_COLORS.TEXT)
+            .text(`${index}. ${humanize(observation.component)}${observation.instance_name ? ` (${observation.instance_name})` : ''} - ${observation.scope === 'structural' ? 'Structural' : 'Non-Structural'}`, PAGE_MARGIN);
+
+          this.distressDetails(observation).forEach(line => this.paragraph(doc, line));
+          this.photoStrip(doc, photos, thumbnails);
+
+          if (observation.quantifications.length > 0) {
+            doc.moveDown(0.2);
+            this.quantificationTable(doc, observation.quantifications);
+          } else {
+            this.paragraph(doc, 'Not quantified', { color: PDF_COLORS.MUTED });
+          }
+        });
+
+        if (unit.other_quantifications.length > 0) {
+          doc.moveDown(0.3);
+          this.paragraph(doc, 'Other quantified repairs', { bold: true });
+          this.quantificationTable(doc, unit.other_quantifications);
+        }
+      });
+    });
+  }
+
+  // =================== ENTRY POINT ===================
+
+  /**
+   * Render the condition-assessment report of a structure
+   * @param {Object} structure - Structure (lean or document)
+   * @param {Object} [options] - { owner, generatedBy }
+   * @returns {Promise<Buffer>} PDF file contents
+   */
+  async generateStructureReport(structure, options = {}) {
+    const data = typeof structure.toObject === 'function' ? structure.toObject() : structure;
+    const elements = this.collectElements(data);
+    const thumbnails = await this.loadThumbnails(elements);
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: PAGE_MARGIN,
+        bufferPages: true,
+        info: {
+          Title: `Condition Assessment - ${data.structural_identity?.structural_identity_number || data._id}`,
+          Author: options.generatedBy || 'SAMS',
+          Subject: 'Structural condition assessment report'
+        }
+      });
+
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      try {
+        this.drawCover(doc, data, { generatedAt: new Date(), generatedBy: options.generatedBy });
+        this.drawDetails(doc, data, options.owner);
+        this.drawSummary(doc, elements);
+        this.drawRatings(doc, elements);
+        this.drawDistress(doc, elements, thumbnails);
+        this.drawTestResults(doc, data);
+        this.drawRemarks(doc, data);
+        this.drawSignOff(doc, data);
+        this.drawPageFooters(doc, data);
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Render the observations-with-quantifications deliverable
+   * @param {Object} structure - Structure (lean or document)
+   * @param {Object} report - report data from observationReportService.buildReport()
+   * @param {Object} [options] - { generatedBy }
+   * @returns {Promise<Buffer>} PDF file contents
+   */
+  async generateObservationsReport(structure, report, options = {}) {
+    const data = typeof structure.toObject === 'function' ? structure.toObject() : structure;
+    const thumbnails = await this.loadThumbnailReferences(
+      report.floors.flatMap(floor => floor.units.flatMap(unit => unit.observations.flatMap(observation => observation.photos)))
+    );
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: PAGE_MARGIN,
+        bufferPages: true,
+        info: {
+          Title: `Observations with Quantifications - ${data.structural_identity?.structural_identity_number || data._id}`,
+          Author: options.generatedBy || 'SAMS',
+          Subject: 'Distress observations with quantifications'
+        }
+      });
+
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      try {
+        this.drawCover(doc, data, {
+          title: 'Observations with Quantifications',
+          generatedAt: report.generated_at,
+          generatedBy: options.generatedBy
+        });
+        this.keyValueTable(doc, [
+          ['Distress Observations', report.totals.observations],
+          ['Quantified Observations', report.totals.quantified_observations],
+          ['Quantification Entries', report.totals.quantification_entries],
+          ['Photos', report.totals.photos]
+        ]);
+        this.drawObservations(doc, report, thumbnails);
+        this.drawPageFooters(doc, data, 'SAMS Observations with Quantifications');
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+}
+
+module.exports = new ReportPdfService();
@@ -0,0 +1,91 @@
+const notificationService = require('./notificationService');
+const inspectionScheduleService = require('./inspectionScheduleService');
+const slaService = require('./slaService');
+
+// Local hour (0-23) at which daily notification digests are sent
+const DIGEST_HOUR = parseInt(process.env.NOTIFICATION_DIGEST_HOUR, 10) || 8;
+
+// Local hour (0-23) of the inspection reminder run; before the digest so reminders make it in
+const INSPECTION_REMINDER_HOUR = parseInt(process.env.INSPECTION_REMINDER_HOUR, 10) || 7;
+
+// Minutes between checks for workflow stages that overran their SLA
+const SLA_CHECK_INTERVAL_MINUTES = parseInt(process.env.SLA_CHECK_INTERVAL_MINUTES, 10) || 60;
+
+/**
+ * In-process scheduler for recurring background jobs. Started by server.js;
+ * jobs run once a day at a fixed local hour or at a fixed interval.
+ */
+class SchedulerService {
+  constructor() {
+    this.timers = new Map();
+  }
+
+  /**
+   * Milliseconds from `now` until the next occurrence of `hour`:00 local time
+   */
+  msUntilNextRun(hour, now = new Date()) {
+    const next = new Date(now);
+    next.setHours(hour, 0, 0, 0);
+    if (next <= now) {
+      next.setDate(next.getDate() + 1);
+    }
+    return next - now;
+  }
+
+  scheduleDaily(name, hour, task) {
+    const run = async () => {
+      try {
+        console.log(`⏰ Running scheduled job: ${name}`);
+        await task();
+      } catch (error) {
+        console.error(`❌ Scheduled job ${name} failed:`, error.message);
+      } finally {
+        this.scheduleDaily(name, hour, task);
+      }
+    };
+
+    const timer = setTimeout(run, this.msUntilNextRun(hour));
+    // Scheduled jobs alone never keep the process alive
+    timer.unref();
+    this.timers.set(name, timer);
+  }
+
+  scheduleEvery(name, intervalMs, task) {
+    const run = async () => {
+      try {
+        await task();
+      } catch (error) {
+        console.error(`❌ Scheduled job ${name} failed:`, error.message);
+      } finally {
+        this.scheduleEvery(name, intervalMs, task);
+      }
+    };
+
+    const timer = setTimeout(run, intervalMs);
+    timer.unref();
+    this.timers.set(name, timer);
+  }
+
+  start() {
+    this.scheduleDaily('inspection-reminders', INSPECTION_REMINDER_HOUR, async () => {
+      await inspectionScheduleService.refreshMissingSchedules();
+      const sent = await notificationService.sendInspectionDueNotifications();
+      console.log(`📅 Inspection reminders: ${sent} notification(s) created`);
+    });
+    this.scheduleDaily('notification-digest', DIGEST_HOUR, () => notificationService.sendDailyDigests());
+    this.scheduleEvery('sla-breaches', SLA_CHECK_INTERVAL_MINUTES * 60 * 1000, async () => {
+      const escalated = await slaService.escalateBreaches();
+      if (escalated > 0) {
+        console.log(`⏱️ SLA breaches escalated: ${escalated}`);
+      }
+    });
+    console.log(`⏰ Scheduled jobs started: ${Array.from(this.timers.keys()).join(', ')}`);
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+}
+
+module.exports = new SchedulerService();
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const loginProtectionService = require('./loginProtectionService');
+const { AppError } = require('../middlewares/errorHandler');
+const { getAuditContext } = require('../middlewares/auditContext');
+
+// First match wins: iOS and Android user agents also name macOS and Linux
+const PLATFORMS = [
+  [/android/i, 'Android'],
+  [/iphone|ipad|ipod/i, 'iOS'],
+  [/windows/i, 'Windows'],
+  [/mac os x|macintosh/i, 'macOS'],
+  [/cros/i, 'ChromeOS'],
+  [/linux/i, 'Linux']
+];
+
+const CLIENTS = [
+  [/edg\//i, 'Edge'],
+  [/opr\/|opera/i, 'Opera'],
+  [/chrome\/|crios\//i, 'Chrome'],
+  [/firefox\/|fxios\//i, 'Firefox'],
+  [/safari\//i, 'Safari'],
+  [/okhttp|dart\/|cfnetwork/i, 'Mobile app'],
+  [/postman/i, 'Postman'],
+  [/curl\//i, 'curl']
+];
+
+const hashTokenId = jti => crypto.createHash('sha256').update(String(jti)).digest('hex');
+
+const sessionError = (message, code) => Object.assign(new AppError(message, 401), { code });
+
+/**
+ * Device sessions and their refresh token families: rotation on every
+ * refresh, reuse detection and revocation. Tokens are signed by
+ * authService; this service only reads the jti, sid and exp claims.
+ */
+class SessionService {
+
+  /**
+   * Readable device label, e.g. "Android - Chrome"
+   */
+  describeUserAgent(userAgent) {
+    if (!userAgent) return 'Unknown device';
+    const platform = PLATFORMS.find(([pattern]) => pattern.test(userAgent))?.[1];
+    const client = CLIENTS.find(([pattern]) => pattern.test(userAgent))?.[1];
+    return [platform, client].filter(Boolean).join(' - ') || 'Unknown device';
+  }
+
+  /**
+   * Record a new session for the refresh token that opens it. The device
+   * and IP are taken from the current request.
+   * @param {string} userId
+   * @param {string} refreshToken - signed token carrying jti, sid and exp
+   */
+  async start(userId, refreshToken) {
+    const { jti, sid, exp } = jwt.decode(refreshToken);
+    const context = getAuditContext();
+    const expiresAt = new Date(exp * 1000);
+
+    const session = await Session.create({
+      _id: sid,
+      user: userId,
+      user_agent: context?.user_agent,
+      device: this.describeUserAgent(context?.user_agent),
+      ip_address: context?.ip_address,
+      last_ip_address: context?.ip_address,
+      last_used_at: new Date(),
+      expires_at: expiresAt
+    });
+    await RefreshToken.create({ token: hashTokenId(jti), userId, family: session._id, expiresAt });
+
+    return session;
+  }
+
+  /**
+   * Use up a refresh token. Presenting a token that was already exchanged
+   * means someone holds a copy: the session is revoked and a security
+   * event is recorded.
+   * @param {Object} decoded - verified refresh token claims
+   * @returns {Promise<Object>} the session to issue the next token for
+   */
+  async consume(decoded) {
+    if (!decoded.sid) {
+      throw sessionError('Session expired. Please log in again.', 'SESSION_REQUIRED');
+    }
+
+    const session = await Session.findById(decoded.sid);
+    if (!session || String(session.user) !== String(decoded.userId)) {
+      throw sessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+    if (session.revoked_at) {
+      throw sessionError('This session has been signed out. Please log in again.', 'SESSION_REVOKED');
+    }
+
+    const tokenHash = hashTokenId(decoded.jti);
+    const token = await RefreshToken.findOneAndUpdate(
+      { token: tokenHash, family: session._id, isActive: true },
+      { $set: { isActive: false, rotatedAt: new Date() } },
+      { new: true }
+    );
+    if (token) return session;
+
+    if (!(await RefreshToken.exists({ token: tokenHash, family: session._id }))) {
+      throw sessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+
+    await this.revoke({ _id: session._id }, 'reuse_detected');
+    await loginProtectionService.recordEvent('refresh_token_reuse', {
+      user: session.user,
+      scope: 'refresh',
+      session: session._id
+    });
+    console.warn(`🚨 Refresh token reuse on session ${session._id} (user ${session.user}); session revoked`);
+    throw sessionError('This refresh token was already used, so the session has been signed out for safety. Please log in again.', 'TOKEN_REUSE');
+  }
+
+  /**
+   * Add the token issued in exchange to the family and move the session's
+   * expiry and last use forward
+   */
+  async rotate(session, previousJti, refreshToken) {
+    const { jti, exp } = jwt.decode(refreshToken);
+    const tokenHash = hashTokenId(jti);
+    const expiresAt = new Date(exp * 1000);
+    const context = getAuditContext();
+
+    await RefreshToken.create({ token: tokenHash, userId: session.user, family: session._id, expiresAt });
+    await RefreshToken.updateOne({ token: hashTokenId(previousJti) }, { $set: { replacedBy: tokenHash } });
+    await Session.updateOne(
+      { _id: session._id },
+      {
+        $set: {
+          last_used_at: new Date(),
+          expires_at: expiresAt,
+          ...(context?.ip_address && { last_ip_address: context.ip_address })
+        }
+      }
+    );
+  }
+
+  /**
+   * Whether access tokens issued under the session are still accepted
+   */
+  async isActive(sessionId, now = new Date()) {
+    return Boolean(await Session.exists({ _id: sessionId, revoked_at: null, expires_at: { $gt: now } }));
+  }
+
+  /**
+   * Sessions still signed in, most recently used first
+   */
+  async listActive(userId, now = new Date()) {
+    return Session.find({ user: userId, revoked_at: null, expires_at: { $gt: now } })
+      .sort({ last_used_at: -1 })
+      .lean();
+  }
+
+  /**
+   * Revoke the sessions matching a filter and deactivate their refresh tokens
+   * @param {Object} filter - Session filter; already revoked sessions are skipped
+   * @param {string} reason - one of Session.REVOCATION_REASONS
+   * @param {Object} [actor] - req.user of an administrator revoking them
+   * @returns {Promise<number>} sessions revoked
+   */
+  async revoke(filter, reason, actor = null) {
+    const sessionIds = await Session.find({ ...filter, revoked_at: null }).distinct('_id');
+    if (sessionIds.length === 0) return 0;
+
+    await Session.updateMany(
+      { _id: { $in: sessionIds }, revoked_at: null },
+      {
+        $set: {
+          revoked_at: new Date(),
+          revoked_reason: reason,
+          ...(actor && { revoked_by: { user_id: actor.userId, username: actor.username, email: actor.email } })
+        }
+      }
+    );
+    await RefreshToken.updateMany({ family: { $in: sessionIds }, isActive: true }, { $set: { isActive: false } });
+
+    return sessionIds.length;
+  }
+
+  async revokeSession(userId, sessionId, reason, actor) {
+    return this.revoke({ _id: sessionId, user: userId }, reason, actor);
+  }
+
+  /**
+   * Sign a user out everywhere, optionally keeping the session making the request
+   */
+  async revokeAll(userId, reason, { exceptSessionId, actor } = {}) {
+    return this.revoke(
+      { user: userId, ...(exceptSessionId && { _id: { $ne: exceptSessionId } }) },
+      reason,
+      actor
+    );
+  }
+}
+
+module.exports = new SessionService();
+module.exports.hashTokenId = hashTokenId;
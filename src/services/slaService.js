@@ -0,0 +1,206 @@
+const WorkflowSla = require('../models/WorkflowSla');
+const { Structure } = require('../models/schemas');
+const notificationService = require('./notificationService');
+
+/**
+ * Review stages measured against SLAs. A stage starts at the date of the
+ * workflow entry that hands the structure over (`starts`) and ends at the
+ * date of the entry that completes it (`ends`) or at a rejection in it.
+ */
+const SLA_STAGES = {
+  testing: {
+    label: 'Testing',
+    starts: 'submitted_by',
+    ends: 'tested_by',
+    statuses: ['submitted', 'in_testing', 'under_testing']
+  },
+  validation: {
+    label: 'Validation',
+    starts: 'tested_by',
+    ends: 'validated_by',
+    statuses: ['tested', 'in_validation', 'under_validation']
+  },
+  approval: {
+    label: 'Approval',
+    starts: 'validated_by',
+    ends: 'approved_by',
+    statuses: ['validated']
+  }
+};
+
+// Turnaround targets (hours) used when no SLA is configured for a stage
+const DEFAULT_TARGET_HOURS = {
+  testing: 120,
+  validation: 72,
+  approval: 48
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const toHours = ms => Math.round((ms / HOUR_MS) * 10) / 10;
+
+/**
+ * Time spent per workflow stage, SLA targets and breaches
+ */
+class SlaService {
+
+  /**
+   * Stages of the structure's current review cycle with their start, end
+   * and duration. Entries left over from an earlier cycle (before a
+   * rejection and resubmission) are ignored: each stage only counts when
+   * the one before it completed in this cycle.
+   * @returns {Array<{stage, label, started_at, ended_at, outcome, duration_hours}>}
+   */
+  computeStages(structure, now = new Date()) {
+    const workflow = structure.workflow || {};
+    const dateOf = field => (workflow[field]?.date ? new Date(workflow[field].date) : null);
+    const rejected = workflow.rejected_by;
+    const stages = [];
+
+    for (const [stage, definition] of Object.entries(SLA_STAGES)) {
+      const startedAt = dateOf(definition.starts);
+      if (!startedAt) break;
+
+      const completedAt = dateOf(definition.ends);
+      const rejectedAt = rejected?.rejection_stage === stage ? dateOf('rejected_by') : null;
+      let endedAt = null;
+      let outcome;
+
+      if (completedAt && completedAt >= startedAt) {
+        endedAt = completedAt;
+        outcome = 'completed';
+      } else if (rejectedAt && rejectedAt >= startedAt) {
+        endedAt = rejectedAt;
+        outcome = 'rejected';
+      } else if (definition.statuses.includes(structure.status)) {
+        outcome = 'in_progress';
+      } else {
+        // Left without completing (e.g. reopened), nothing further to measure
+        break;
+      }
+
+      stages.push({
+        stage,
+        label: definition.label,
+        started_at: startedAt,
+        ended_at: endedAt,
+        outcome,
+        duration_hours: toHours((endedAt || now) - startedAt)
+      });
+
+      if (outcome !== 'completed') break;
+    }
+
+    return stages;
+  }
+
+  /**
+   * SLA target per stage for a structure type: the type's own active
+   * target, else the all-types target, else DEFAULT_TARGET_HOURS
+   * @param {Array} slas - active WorkflowSla entries
+   * @returns {Object} stage -> { target_hours, source, sla_id }
+   */
+  resolveTargets(slas, structureType) {
+    const targets = {};
+    Object.keys(SLA_STAGES).forEach(stage => {
+      const own = slas.find(sla => sla.stage === stage && sla.structure_type === structureType);
+      const shared = slas.find(sla => sla.stage === stage && !sla.structure_type);
+      const sla = own || shared;
+      targets[stage] = sla
+        ? { target_hours: sla.target_hours, source: own ? 'structure_type' : 'all_types', sla_id: sla._id }
+        : { target_hours: DEFAULT_TARGET_HOURS[stage], source: 'default', sla_id: null };
+    });
+    return targets;
+  }
+
+  /**
+   * Stages with their targets, due dates and breach flags
+   * @param {Object} structure - Structure with workflow, status, structural_identity, sla_escalations
+   * @param {Array} slas - active WorkflowSla entries
+   */
+  evaluate(structure, slas, now = new Date()) {
+    const targets = this.resolveTargets(slas, structure.structural_identity?.type_of_structure);
+
+    return this.computeStages(structure, now).map(entry => {
+      const { target_hours: targetHours } = targets[entry.stage];
+      const escalation = (structure.sla_escalations || []).find(record =>
+        record.stage === entry.stage &&
+        new Date(record.stage_started_at).getTime() === entry.started_at.getTime()
+      );
+
+      return {
+        ...entry,
+        target_hours: targetHours,
+        target_source: targets[entry.stage].source,
+        due_at: new Date(entry.started_at.getTime() + targetHours * HOUR_MS),
+        breached: entry.duration_hours > targetHours,
+        escalated_at: escalation?.escalated_at || null
+      };
+    });
+  }
+
+  async loadSlas() {
+    return WorkflowSla.find({ is_active: true }).lean();
+  }
+
+  async getStageReport(structure, now = new Date()) {
+    return this.evaluate(structure, await this.loadSlas(), now);
+  }
+
+  /**
+   * Structures whose current stage has overrun its SLA, longest overrun first
+   * @returns {Promise<Array<{structure, breach}>>}
+   */
+  async findOpenBreaches(now = new Date()) {
+    const openStatuses = Object.values(SLA_STAGES).flatMap(definition => definition.statuses);
+    const [structures, slas] = await Promise.all([
+      Structure.find({ status: { $in: openStatuses } })
+        .select('owner status location.structure_name location.city_name structural_identity workflow assignment sla_escalations'),
+      this.loadSlas()
+    ]);
+
+    return structures
+      .map(structure => ({
+        structure,
+        breach: this.evaluate(structure, slas, now).find(entry => entry.outcome === 'in_progress' && entry.breached)
+      }))
+      .filter(entry => entry.breach)
+      .sort((a, b) => a.breach.due_at - b.breach.due_at);
+  }
+
+  /**
+   * Escalate every open breach to administrators once per stage entry
+   * @returns {Promise<number>} breaches escalated
+   */
+  async escalateBreaches(now = new Date()) {
+    const breaches = await this.findOpenBreaches(now);
+    let escalated = 0;
+
+    for (const { structure, breach } of breaches) {
+      if (breach.escalated_at) continue;
+
+      await notificationService.sendSlaBreachAlert(structure, breach);
+      await Structure.updateOne(
+        { _id: structure._id },
+        {
+          $push: {
+            sla_escalations: {
+              stage: breach.stage,
+              stage_started_at: breach.started_at,
+              due_at: breach.due_at,
+              target_hours: breach.target_hours,
+              escalated_at: now
+            }
+          }
+        }
+      );
+      escalated += 1;
+    }
+
+    return escalated;
+  }
+}
+
+module.exports = new SlaService();
+module.exports.SLA_STAGES = SLA_STAGES;
+module.exports.DEFAULT_TARGET_HOURS = DEFAULT_TARGET_HOURS;
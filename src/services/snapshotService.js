@@ -0,0 +1,141 @@
+const StructureSnapshot = require('../models/StructureSnapshot');
+
+// Workflow and bookkeeping fields left out of snapshots; everything else the FE records is kept
+const EXCLUDED_FIELDS = [
+  '_id', '__v', 'owner', 'status', 'workflow', 'assignment', 'sla_escalations',
+  'inspection_schedule', 'rejection_findings', 'reports', 'audit_cycle', 'creation_info', 'createdAt', 'updatedAt'
+];
+
+// Keys identifying array items, so reordered or inserted items diff by identity instead of by position
+const IDENTITY_KEYS = ['floor_id', 'flat_id', 'block_id', 'entry_id', '_id'];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Versioned snapshots of structures at workflow transitions and field-level
+ * diffs between them
+ */
+class SnapshotService {
+
+  /**
+   * Snapshot content: the structure as plain JSON without workflow fields
+   * @param {Object} structure - Structure document or lean object
+   */
+  buildData(structure) {
+    const raw = typeof structure.toObject === 'function'
+      ? structure.toObject({ flattenMaps: true, depopulate: true })
+      : structure;
+    const data = JSON.parse(JSON.stringify(raw));
+    EXCLUDED_FIELDS.forEach(field => delete data[field]);
+    return data;
+  }
+
+  /**
+   * Store the snapshot for a transition that has been applied and saved
+   * @param {Object} structure - Structure document
+   * @param {Object} transition - workflowService.applyTransition result
+   * @param {Object} actor - { user_id, name, role }
+   */
+  async capture(structure, transition, actor) {
+    return StructureSnapshot.create({
+      structure: structure._id,
+      version: transition.version,
+      action: transition.action,
+      status: transition.status,
+      previous_status: transition.previousStatus,
+      taken_by: actor,
+      data: this.buildData(structure)
+    });
+  }
+
+  async listVersions(structureId) {
+    return StructureSnapshot.find({ structure: structureId })
+      .select('-data')
+      .sort({ version: -1 })
+      .lean();
+  }
+
+  async getVersion(structureId, version) {
+    return StructureSnapshot.findOne({ structure: structureId, version }).lean();
+  }
+
+  /**
+   * Default base for a comparison: the latest rejection before `version`
+   * (what the reviewer saw when sending the structure back), else the
+   * version just before it
+   */
+  async findBaseVersion(structureId, version) {
+    const rejection = await StructureSnapshot.findOne({
+      structure: structureId,
+      version: { $lt: version },
+      status: 'rejected'
+    }).select('version').sort({ version: -1 }).lean();
+    if (rejection) return rejection.version;
+
+    const previous = await StructureSnapshot.findOne({ structure: structureId, version: { $lt: version } })
+      .select('version').sort({ version: -1 }).lean();
+    return previous ? previous.version : null;
+  }
+
+  identityKey(items) {
+    return IDENTITY_KEYS.find(key =>
+      items.length > 0 && items.every(item => isPlainObject(item) && item[key] !== undefined && item[key] !== null)
+    ) || null;
+  }
+
+  /**
+   * Field-level differences between two snapshot data objects. Arrays of
+   * floors, flats, blocks, quantification entries and component instances
+   * are matched by their ids; other arrays by position.
+   * @returns {Array<{path: string, change: 'added'|'removed'|'modified', from?: *, to?: *}>}
+   */
+  diff(from, to, path = '', changes = []) {
+    if (from === undefined && to === undefined) return changes;
+    if (from === undefined || from === null) {
+      if (to !== undefined && to !== null) changes.push({ path, change: 'added', to });
+      return changes;
+    }
+    if (to === undefined || to === null) {
+      changes.push({ path, change: 'removed', from });
+      return changes;
+    }
+
+    if (Array.isArray(from) && Array.isArray(to)) {
+      const key = this.identityKey([...from, ...to]);
+      if (key) {
+        const before = new Map(from.map(item => [String(item[key]), item]));
+        const after = new Map(to.map(item => [String(item[key]), item]));
+        new Set([...before.keys(), ...after.keys()]).forEach(id => {
+          this.diff(before.get(id), after.get(id), `${path}[${id}]`, changes);
+        });
+      } else {
+        for (let index = 0; index < Math.max(from.length, to.length); index++) {
+          this.diff(from[index], to[index], `${path}[${index}]`, changes);
+        }
+      }
+      return changes;
+    }
+
+    if (isPlainObject(from) && isPlainObject(to)) {
+      new Set([...Object.keys(from), ...Object.keys(to)]).forEach(field => {
+        this.diff(from[field], to[field], path ? `${path}.${field}` : field, changes);
+      });
+      return changes;
+    }
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ path, change: 'modified', from, to });
+    }
+    return changes;
+  }
+
+  summarize(changes) {
+    return changes.reduce((summary, entry) => {
+      summary[entry.change] += 1;
+      return summary;
+    }, { added: 0, removed: 0, modified: 0 });
+  }
+}
+
+module.exports = new SnapshotService();
+module.exports.EXCLUDED_FIELDS = EXCLUDED_FIELDS;
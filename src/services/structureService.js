@@ -1,4 +1,6 @@
 const { User } = require('../models/schemas');
+const rateBookService = require('./rateBookService');
+const boqService = require('./boqService');
 
 /**
  * Enhanced Structure Service
@@ -208,9 +210,10 @@ class StructureService {
   /**
    * Calculate structure health metrics
    * @param {Object} structure - Structure document
+   * @param {Object} [rateBook] - rate book used to price recommendations (defaults to the built-in rates)
    * @returns {Object} Health metrics
    */
-  calculateStructureHealth(structure) {
+  calculateStructureHealth(structure, rateBook) {
     const health = {
       overall_score: null,
       structural_health: null,
@@ -247,7 +250,8 @@ class StructureService {
                     component,
                     rating: flat.structural_rating[component].rating,
                     location: `Floor ${floor.floor_number}, Flat ${flat.flat_number}`,
-                    condition: flat.structural_rating[component].condition_comment
+                    condition: flat.structural_rating[component].condition_comment,
+                    quantifications: flat.quantifications
                   });
                 }
                 
@@ -275,10 +279,11 @@ class StructureService {
                 if (flat.non_structural_rating[component].rating <= 2) {
                   criticalIssues.push({
                     type: 'non_structural',
-                    component: component.replace('_', ' '),
+                    component,
                     rating: flat.non_structural_rating[component].rating,
                     location: `Floor ${floor.floor_number}, Flat ${flat.flat_number}`,
-                    condition: flat.non_structural_rating[component].condition_comment
+                    condition: flat.non_structural_rating[component].condition_comment,
+                    quantifications: flat.quantifications
                   });
                 }
                 
@@ -329,7 +334,12 @@ class StructureService {
     }
     
     // Generate recommendations
-    health.recommendations = this.generateHealthRecommendations(criticalIssues, health.overall_score);
+    const pricingBook = rateBook ||
+      rateBookService.getDefaultRateBook(structure.structural_identity?.structure_subtype);
+    health.recommendations = this.generateHealthRecommendations(criticalIssues, health.overall_score, {
+      rateBook: pricingBook,
+      quantifiedTotal: boqService.buildBoq(structure, { rateBook: pricingBook }).totals.grand_total
+    });
     
     return health;
   }
@@ -338,23 +348,38 @@ class StructureService {
    * Generate maintenance recommendations based on health analysis
    * @param {Array} criticalIssues - Array of critical issues
    * @param {number} overallScore - Overall health score
+   * @param {Object} pricing - { rateBook, quantifiedTotal } where quantifiedTotal is the priced BOQ total
    * @returns {Array} Recommendations
    */
-  generateHealthRecommendations(criticalIssues, overallScore) {
+  generateHealthRecommendations(criticalIssues, overallScore, { rateBook, quantifiedTotal = 0 } = {}) {
     const recommendations = [];
+    const pricingBook = rateBook || rateBookService.getDefaultRateBook();
     
     // Critical issues recommendations
     criticalIssues.forEach(issue => {
       recommendations.push({
         priority: issue.rating === 1 ? 'Critical' : 'High',
         category: issue.type === 'structural' ? 'Structural Safety' : 'Maintenance',
-        description: `Address ${issue.component} issues at ${issue.location}`,
+        description: `Address ${issue.component.replace(/_/g, ' ')} issues at ${issue.location}`,
         action: this.getRecommendedAction(issue.component, issue.rating),
         timeline: issue.rating === 1 ? 'Immediate' : 'Within 30 days',
-        estimated_cost: this.getEstimatedCost(issue.component, issue.rating, issue.type)
+        estimated_cost: rateBookService.estimateComponentCost({
+          rateBook: pricingBook,
+          component: issue.component,
+          scope: issue.type,
+          quantifications: issue.quantifications
+        })
       });
     });
     
+    // Whole-structure plans are priced from every quantified repair (the BOQ total)
+    const quantifiedCost = {
+      estimated_amount: quantifiedTotal > 0 ? quantifiedTotal : null,
+      currency: pricingBook.currency,
+      basis: quantifiedTotal > 0 ? 'quantified' : 'not_quantified',
+      rate_book: pricingBook.name
+    };
+    
     // General recommendations based on overall score
     if (overallScore && overallScore < 3) {
       recommendations.push({
@@ -363,7 +388,7 @@ class StructureService {
         description: 'Structure requires comprehensive maintenance plan',
         action: 'Develop and implement systematic maintenance schedule',
         timeline: 'Within 60 days',
-        estimated_cost: { estimated_amount: 100000, currency: 'INR' }
+        estimated_cost: quantifiedCost
       });
     } else if (overallScore && overallScore < 4) {
       recommendations.push({
@@ -372,7 +397,7 @@ class StructureService {
         description: 'Implement preventive maintenance measures',
         action: 'Schedule regular inspections and minor repairs',
         timeline: 'Within 90 days',
-        estimated_cost: { estimated_amount: 50000, currency: 'INR' }
+        estimated_cost: quantifiedCost
       });
     }
     
@@ -614,50 +639,6 @@ class StructureService {
     return progress;
   }
   
-  /**
-   * Get estimated cost for maintenance
-   * @param {string} component - Component name
-   * @param {number} rating - Current rating
-   * @param {string} type - Component type
-   * @returns {Object} Cost estimate
-   */
-  getEstimatedCost(component, rating, type = 'structural') {
-    // Base cost estimates in rupees
-    const baseCosts = {
-      structural: {
-        beams: { 1: 50000, 2: 25000 },
-        columns: { 1: 75000, 2: 35000 },
-        slab: { 1: 60000, 2: 30000 },
-        foundation: { 1: 100000, 2: 50000 }
-      },
-      non_structural: {
-        'brick plaster': { 1: 15000, 2: 8000 },
-        'doors windows': { 1: 25000, 2: 12000 },
-        'flooring tiles': { 1: 20000, 2: 10000 },
-        'electrical wiring': { 1: 30000, 2: 15000 },
-        'sanitary fittings': { 1: 18000, 2: 9000 },
-        railings: { 1: 12000, 2: 6000 },
-        'water tanks': { 1: 40000, 2: 20000 },
-        plumbing: { 1: 25000, 2: 12000 },
-        'sewage system': { 1: 35000, 2: 18000 },
-        'panel board': { 1: 15000, 2: 8000 },
-        lifts: { 1: 200000, 2: 100000 }
-      }
-    };
-    
-    const componentKey = component.replace('_', ' ');
-    const cost = baseCosts[type]?.[componentKey]?.[rating] || baseCosts[type]?.[component]?.[rating] || 10000;
-    
-    return {
-      estimated_amount: cost,
-      currency: 'INR',
-      range: {
-        min: Math.round(cost * 0.8),
-        max: Math.round(cost * 1.2)
-      }
-    };
-  }
-  
   /**
    * Get recommended action for maintenance
    * @param {string} component - Component name
@@ -0,0 +1,243 @@
+const { User } = require('../models/schemas');
+const TwoFactorPolicy = require('../models/TwoFactorPolicy');
+const { AppError } = require('../middlewares/errorHandler');
+const totp = require('../utils/totp');
+
+const SECRET_FIELDS = '+two_factor.secret +two_factor.pending_secret +two_factor.last_used_step +two_factor.backup_codes';
+
+const userRoles = user => (user.roles && user.roles.length > 0 ? user.roles : [user.role]);
+
+/**
+ * TOTP two-factor authentication: enrollment, code and backup code
+ * checks, and the policy making it mandatory for some roles
+ */
+class TwoFactorService {
+
+  // =================== POLICY ===================
+
+  async getPolicy() {
+    return (await TwoFactorPolicy.findOne({ key: 'default' }).lean()) || { required_roles: [] };
+  }
+
+  /**
+   * @param {Array<string>} requiredRoles - roles that must use 2FA
+   * @param {Object} admin - req.user
+   */
+  async updatePolicy(requiredRoles, admin) {
+    return TwoFactorPolicy.findOneAndUpdate(
+      { key: 'default' },
+      {
+        $set: {
+          required_roles: [...new Set(requiredRoles)],
+          updated_by: { user_id: admin.userId, username: admin.username, email: admin.email }
+        }
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean();
+  }
+
+  /**
+   * Whether the policy requires 2FA for any of the user's roles
+   */
+  isRequired(user, policy) {
+    const required = policy?.required_roles || [];
+    return userRoles(user).some(role => required.includes(role));
+  }
+
+  /**
+   * Active users the policy covers who have not enrolled yet
+   */
+  async countUnenrolled(policy) {
+    if (!policy.required_roles?.length) return 0;
+    return User.countDocuments({
+      is_active: true,
+      'two_factor.enabled': { $ne: true },
+      $or: [{ roles: { $in: policy.required_roles } }, { role: { $in: policy.required_roles } }]
+    });
+  }
+
+  /**
+   * What a user who gave the right password still has to do before signing in
+   * @returns {Promise<'verify'|'setup'|null>}
+   */
+  async loginStep(user) {
+    if (user.two_factor?.enabled) return 'verify';
+    return this.isRequired(user, await this.getPolicy()) ? 'setup' : null;
+  }
+
+  // =================== ENROLLMENT ===================
+
+  async getStatus(userId) {
+    const user = await User.findById(userId).select(SECRET_FIELDS).lean();
+    if (!user) return null;
+
+    const backupCodes = user.two_factor?.backup_codes || [];
+    return {
+      enabled: Boolean(user.two_factor?.enabled),
+      enabled_at: user.two_factor?.enabled_at || null,
+      required: this.isRequired(user, await this.getPolicy()),
+      setup_pending: Boolean(user.two_factor?.pending_secret),
+      backup_codes_remaining: backupCodes.filter(code => !code.used_at).length
+    };
+  }
+
+  /**
+   * Start enrollment: a new secret to add to an authenticator app, kept
+   * pending until confirmed with a first code
+   * @returns {Promise<{secret: string, otpauth_uri: string}>}
+   */
+  async beginEnrollment(userId) {
+    const user = await User.findById(userId).select('email two_factor.enabled').lean();
+    if (!user) throw new AppError('User not found', 404);
+    if (user.two_factor?.enabled) {
+      throw new AppError('Two-factor authentication is already enabled', 409);
+    }
+
+    const secret = totp.generateSecret();
+    await User.updateOne(
+      { _id: userId },
+      { $set: { 'two_factor.pending_secret': totp.encryptSecret(secret) } },
+      { runValidators: false }
+    );
+
+    return {
+      secret,
+      otpauth_uri: totp.buildProvisioningUri(secret, user.email, process.env.TOTP_ISSUER || 'SAMS')
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code from the app and issue backup codes
+   * @returns {Promise<Array<string>>} backup codes, shown once
+   */
+  async confirmEnrollment(userId, code, now = Date.now()) {
+    const user = await User.findById(userId).select(SECRET_FIELDS).lean();
+    const pendingSecret = user?.two_factor?.pending_secret;
+    if (!pendingSecret) {
+      throw new AppError('Start two-factor setup first', 400);
+    }
+
+    const secret = totp.decryptSecret(pendingSecret);
+    const step = totp.verifyTotp(secret, code, { now });
+    if (step === null) {
+      throw new AppError('Invalid authentication code', 400);
+    }
+
+    const { codes, hashes } = totp.generateBackupCodes();
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          'two_factor.enabled': true,
+          'two_factor.enabled_at': new Date(now),
+          'two_factor.secret': pendingSecret,
+          'two_factor.last_used_step': step,
+          'two_factor.backup_codes': hashes.map(codeHash => ({ code_hash: codeHash }))
+        },
+        $unset: { 'two_factor.pending_secret': '' }
+      },
+      { runValidators: false }
+    );
+
+    return codes;
+  }
+
+  // =================== VERIFICATION ===================
+
+  /**
+   * Check an authenticator code or a backup code. Each code works once:
+   * the accepted time step is recorded (refusing older or replayed codes)
+   * and a backup code is marked used, both atomically.
+   * @param {Object} user - User with SECRET_FIELDS selected
+   * @param {{code?: string, backupCode?: string}} input
+   * @returns {Promise<{method: string}|null>} null when the code is wrong or already used
+   */
+  async verify(user, { code, backupCode }, now = Date.now()) {
+    if (!user.two_factor?.enabled || !user.two_factor.secret) return null;
+
+    if (backupCode) {
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          'two_factor.backup_codes': { $elemMatch: { code_hash: totp.hashBackupCode(backupCode), used_at: null } }
+        },
+        { $set: { 'two_factor.backup_codes.$.used_at': new Date(now) } },
+        { runValidators: false }
+      );
+      return result.modifiedCount > 0 ? { method: 'backup_code' } : null;
+    }
+
+    const step = totp.verifyTotp(totp.decryptSecret(user.two_factor.secret), code, { now });
+    if (step === null) return null;
+
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'two_factor.last_used_step': { $lt: step } },
+          { 'two_factor.last_used_step': { $exists: false } }
+        ]
+      },
+      { $set: { 'two_factor.last_used_step': step } },
+      { runValidators: false }
+    );
+    return result.modifiedCount > 0 ? { method: 'totp' } : null;
+  }
+
+  async loadWithSecrets(userId) {
+    return User.findById(userId).select(SECRET_FIELDS);
+  }
+
+  /**
+   * Verify a code for a signed-in user's own 2FA change
+   */
+  async assertCode(userId, input) {
+    const user = await this.loadWithSecrets(userId);
+    if (!user) throw new AppError('User not found', 404);
+    if (!user.two_factor?.enabled) {
+      throw new AppError('Two-factor authentication is not enabled', 400);
+    }
+    if (!(await this.verify(user, input))) {
+      throw new AppError('Invalid authentication code', 400);
+    }
+    return user;
+  }
+
+  // =================== CHANGES ===================
+
+  /**
+   * New set of backup codes; the old ones stop working
+   */
+  async regenerateBackupCodes(userId) {
+    const { codes, hashes } = totp.generateBackupCodes();
+    await User.updateOne(
+      { _id: userId },
+      { $set: { 'two_factor.backup_codes': hashes.map(codeHash => ({ code_hash: codeHash })) } },
+      { runValidators: false }
+    );
+    return codes;
+  }
+
+  /**
+   * Turn 2FA off (the user, or an administrator resetting a lost device)
+   */
+  async disable(userId) {
+    return User.updateOne(
+      { _id: userId },
+      {
+        $set: { 'two_factor.enabled': false },
+        $unset: {
+          'two_factor.enabled_at': '',
+          'two_factor.secret': '',
+          'two_factor.pending_secret': '',
+          'two_factor.last_used_step': '',
+          'two_factor.backup_codes': ''
+        }
+      },
+      { runValidators: false }
+    );
+  }
+}
+
+module.exports = new TwoFactorService();
+module.exports.SECRET_FIELDS = SECRET_FIELDS;
@@ -0,0 +1,447 @@
+/**
+ * Structure workflow engine. Every status change goes through here:
+ * STATES describes each status, TRANSITIONS the actions that move a
+ * structure between them (who may take them, from where, and what must be
+ * true first), PRECONDITIONS the checks transitions refer to by name.
+ */
+
+const STATES = {
+  draft: { phase: 'data_entry', label: 'Draft' },
+  location_completed: { phase: 'data_entry', label: 'Location completed' },
+  admin_completed: { phase: 'data_entry', label: 'Administrative details completed' },
+  geometric_completed: { phase: 'data_entry', label: 'Geometric details completed' },
+  ratings_in_progress: { phase: 'data_entry', label: 'Ratings in progress' },
+  submitted: { phase: 'testing', label: 'Submitted for testing' },
+  // in_testing / in_validation are legacy spellings of under_testing / under_validation
+  in_testing: { phase: 'testing', label: 'Under testing' },
+  under_testing: { phase: 'testing', label: 'Under testing' },
+  tested: { phase: 'validation', label: 'Tested' },
+  in_validation: { phase: 'validation', label: 'Under validation' },
+  under_validation: { phase: 'validation', label: 'Under validation' },
+  validated: { phase: 'approval', label: 'Validated' },
+  approved: { phase: 'closed', label: 'Approved' },
+  rejected: { phase: 'rework', label: 'Rejected' }
+};
+
+const DATA_ENTRY_STATUSES = Object.keys(STATES).filter(status => STATES[status].phase === 'data_entry');
+
+// Statuses in which the owner may keep editing and the data-entry status follows their progress
+const EDITABLE_STATUSES = [...DATA_ENTRY_STATUSES, 'rejected'];
+
+const ROLE_NAMES = {
+  FE: 'Field Engineers',
+  TE: 'Test Engineers',
+  VE: 'Verification Engineers',
+  AD: 'Administrators'
+};
+
+const ASSIGNEE_LABELS = {
+  testing_engineer: 'Test Engineer',
+  validation_engineer: 'Verification Engineer'
+};
+
+const PRECONDITIONS = {
+  all_units_rated: {
+    description: 'Every flat (every block for industrial structures) has an overall rating',
+    check(structure) {
+      const industrial = structure.structural_identity?.type_of_structure === 'industrial';
+      const unitName = industrial ? 'block' : 'flat';
+      const units = [];
+      (structure.geometric_details?.floors || []).forEach(floor => {
+        if (industrial) {
+          units.push(...(floor.blocks || []));
+        } else if (!floor.is_parking_floor) {
+          units.push(...(floor.flats || []));
+        }
+      });
+
+      if (units.length === 0) {
+        return `No ${unitName}s have been added yet`;
+      }
+      const unrated = units.filter(unit => !unit[`${unitName}_overall_rating`]?.combined_score).length;
+      return unrated > 0 ? `${unrated} of ${units.length} ${unitName}s are not rated yet` : null;
+    }
+  },
+
+  required_tests_recorded: {
+    description: 'Every floor, flat and block marked testing required has a test result',
+    check(structure) {
+      const missing = [];
+      if (structure.overall_testing_required && !(structure.structure_test_results || []).length) {
+        missing.push('structure');
+      }
+      (structure.geometric_details?.floors || []).forEach(floor => {
+        const floorLabel = floor.floor_label_name || `Floor ${floor.floor_number}`;
+        const untested = element => element.testing_required && !(element.test_results || []).length;
+
+        if (untested(floor)) missing.push(floorLabel);
+        (floor.flats || []).filter(untested).forEach(flat => missing.push(`${floorLabel} / Flat ${flat.flat_number}`));
+        (floor.blocks || []).filter(untested).forEach(block => missing.push(`${floorLabel} / Block ${block.block_number}`));
+      });
+
+      return missing.length > 0 ? `Required tests not recorded for: ${missing.join(', ')}` : null;
+    }
+  },
+
+  findings_addressed: {
+    description: 'Every rejection finding has been addressed by the owner',
+    check(structure) {
+      const open = (structure.rejection_findings || []).filter(finding => finding.status === 'open').length;
+      return open > 0 ? `${open} rejection finding(s) still open` : null;
+    }
+  },
+
+  stage_findings_closed: {
+    description: 'Findings raised at this stage and addressed by the owner have been closed by the reviewer',
+    check(structure, transition) {
+      const pending = (structure.rejection_findings || [])
+        .filter(finding => finding.status === 'addressed' && finding.rejection_stage === transition.stage)
+        .length;
+      return pending > 0 ? `${pending} addressed finding(s) awaiting review` : null;
+    }
+  }
+};
+
+/**
+ * Workflow actions. `record` names the workflow actor entry written when
+ * the action is taken and which input (notes or reason) fills its detail;
+ * `requires` lists inputs the caller has to supply; `assignee` limits the
+ * action to the reviewer assigned in structure.assignment (any holder of
+ * the role while nobody is assigned, e.g. with auto-assignment off or for
+ * structures submitted before assignment existed); `ownerOnly`
+ * limits it to the structure owner (for every role, or only the roles listed).
+ */
+const TRANSITIONS = {
+  submit: {
+    label: 'Submit for testing',
+    from: EDITABLE_STATUSES,
+    to: 'submitted',
+    roles: ['FE'],
+    ownerOnly: true,
+    preconditions: ['all_units_rated', 'findings_addressed'],
+    event: 'submitted',
+    record: { field: 'submitted_by' }
+  },
+  start_testing: {
+    label: 'Start testing',
+    from: ['submitted'],
+    to: 'under_testing',
+    roles: ['TE'],
+    assignee: 'testing_engineer',
+    event: 'testing_started'
+  },
+  complete_testing: {
+    label: 'Complete testing',
+    from: ['submitted', 'in_testing', 'under_testing'],
+    to: 'tested',
+    roles: ['TE'],
+    assignee: 'testing_engineer',
+    preconditions: ['required_tests_recorded', 'stage_findings_closed'],
+    event: 'tested',
+    stage: 'testing',
+    record: { field: 'tested_by', detail: 'test_notes', input: 'notes' }
+  },
+  reject_testing: {
+    label: 'Reject after testing',
+    from: ['submitted', 'in_testing', 'under_testing'],
+    to: 'rejected',
+    roles: ['TE'],
+    assignee: 'testing_engineer',
+    requires: ['reason'],
+    event: 'rejected',
+    stage: 'testing',
+    record: { field: 'rejected_by', detail: 'rejection_reason', input: 'reason' }
+  },
+  start_validation: {
+    label: 'Start validation',
+    from: ['tested'],
+    to: 'under_validation',
+    roles: ['VE'],
+    assignee: 'validation_engineer',
+    event: 'validation_started'
+  },
+  complete_validation: {
+    label: 'Complete validation',
+    from: ['tested', 'in_validation', 'under_validation'],
+    to: 'validated',
+    roles: ['VE'],
+    assignee: 'validation_engineer',
+    preconditions: ['stage_findings_closed'],
+    event: 'validated',
+    stage: 'validation',
+    record: { field: 'validated_by', detail: 'validation_notes', input: 'notes' }
+  },
+  reject_validation: {
+    label: 'Reject after validation',
+    from: ['tested', 'in_validation', 'under_validation'],
+    to: 'rejected',
+    roles: ['VE'],
+    assignee: 'validation_engineer',
+    requires: ['reason'],
+    event: 'rejected',
+    stage: 'validation',
+    record: { field: 'rejected_by', detail: 'rejection_reason', input: 'reason' }
+  },
+  approve: {
+    label: 'Approve',
+    from: ['validated'],
+    to: 'approved',
+    roles: ['AD'],
+    preconditions: ['stage_findings_closed'],
+    event: 'approved',
+    stage: 'approval',
+    record: { field: 'approved_by', detail: 'approval_notes', input: 'notes' }
+  },
+  reject_approval: {
+    label: 'Reject at approval',
+    from: ['validated'],
+    to: 'rejected',
+    roles: ['AD'],
+    requires: ['reason'],
+    event: 'rejected',
+    stage: 'approval',
+    record: { field: 'rejected_by', detail: 'rejection_reason', input: 'reason' }
+  },
+  // Administrative override: send a structure under review (or already closed) back to its owner
+  reopen: {
+    label: 'Reopen for editing',
+    from: ['submitted', 'in_testing', 'under_testing', 'tested', 'in_validation', 'under_validation', 'validated', 'approved', 'rejected'],
+    to: 'ratings_in_progress',
+    roles: ['AD'],
+    requires: ['reason'],
+    event: 'reopened',
+    record: { field: 'reopened_by', detail: 'reopen_reason', input: 'reason' }
+  },
+  // Periodic re-audit: auditCycleService archives the approved cycle and clears the ratings first
+  start_audit_cycle: {
+    label: 'Start a new audit cycle',
+    from: ['approved'],
+    to: 'ratings_in_progress',
+    roles: ['FE', 'AD'],
+    ownerOnly: ['FE'],
+    event: 'audit_cycle_started'
+  }
+};
+
+class WorkflowService {
+
+  getUserRoles(user) {
+    return user.roles || [user.role];
+  }
+
+  /**
+   * Whether the ownerOnly restriction applies to this user: always when it
+   * is `true`, else unless they act in a role it does not list
+   */
+  requiresOwner(transition, roles) {
+    if (!transition.ownerOnly) return false;
+    if (transition.ownerOnly === true) return true;
+    return !transition.roles.some(role => roles.includes(role) && !transition.ownerOnly.includes(role));
+  }
+
+  /**
+   * Whether the user holds a role, ownership and assignment that let them
+   * take a transition (status and preconditions aside)
+   */
+  isPermitted(structure, transition, user, roles = this.getUserRoles(user)) {
+    return transition.roles.some(role => roles.includes(role)) &&
+      (!this.requiresOwner(transition, roles) || String(structure.owner) === String(user.userId)) &&
+      this.isAssigneeOrOpen(structure, transition, user);
+  }
+
+  // Unassigned structures stay open to every holder of the role
+  isAssigneeOrOpen(structure, transition, user) {
+    const assigneeId = transition.assignee && structure.assignment?.[transition.assignee]?.user_id;
+    return !assigneeId || String(assigneeId) === String(user.userId);
+  }
+
+  getTransition(action) {
+    return Object.prototype.hasOwnProperty.call(TRANSITIONS, action) ? TRANSITIONS[action] : null;
+  }
+
+  /**
+   * Failed preconditions of a transition for a structure
+   * @returns {Array<{precondition: string, message: string}>}
+   */
+  checkPreconditions(structure, transition) {
+    const data = typeof structure.toObject === 'function' ? structure.toObject() : structure;
+    return (transition.preconditions || [])
+      .map(name => ({ precondition: name, message: PRECONDITIONS[name].check(data, transition) }))
+      .filter(result => result.message);
+  }
+
+  /**
+   * Whether a user may take an action on a structure now
+   * @param {Object} structure - Structure (document or lean)
+   * @param {string} action - key of TRANSITIONS
+   * @param {Object} user - req.user
+   * @param {Object} [details] - { reason, notes }
+   * @returns {{allowed: boolean, statusCode?: number, message?: string, errors?: Array}}
+   */
+  canTransition(structure, action, user, details = {}) {
+    const transition = this.getTransition(action);
+    if (!transition) {
+      return { allowed: false, statusCode: 400, message: `Unknown workflow action: ${action}` };
+    }
+
+    const roles = this.getUserRoles(user);
+    if (!transition.roles.some(role => roles.includes(role))) {
+      const names = transition.roles.map(role => ROLE_NAMES[role] || role).join(' or ');
+      return { allowed: false, statusCode: 403, message: `Only ${names} can ${transition.label.toLowerCase()}` };
+    }
+
+    if (this.requiresOwner(transition, roles) && String(structure.owner) !== String(user.userId)) {
+      return { allowed: false, statusCode: 403, message: `Only the structure owner can ${transition.label.toLowerCase()}` };
+    }
+
+    if (!transition.from.includes(structure.status)) {
+      return {
+        allowed: false,
+        statusCode: 400,
+        message: `Cannot ${transition.label.toLowerCase()} a structure in '${structure.status}' status. Allowed from: ${transition.from.join(', ')}`
+      };
+    }
+
+    if (!this.isAssigneeOrOpen(structure, transition, user)) {
+      const label = ASSIGNEE_LABELS[transition.assignee];
+      return { allowed: false, statusCode: 403, message: `Only the assigned ${label} can ${transition.label.toLowerCase()}` };
+    }
+
+    if (transition.requires?.includes('reason') && !details.reason) {
+      return {
+        allowed: false,
+        statusCode: 400,
+        message: `${transition.to === 'rejected' ? 'Rejection reason' : 'Reason'} is required`
+      };
+    }
+
+    const failed = this.checkPreconditions(structure, transition);
+    if (failed.length > 0) {
+      return {
+        allowed: false,
+        statusCode: 400,
+        message: `Cannot ${transition.label.toLowerCase()}: ${failed.map(result => result.message).join('; ')}`,
+        errors: failed
+      };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Move a structure along a transition (caller checks canTransition and saves)
+   * @param {Object} structure - Structure document
+   * @param {string} action - key of TRANSITIONS
+   * @param {Object} actor - { user_id, name, email, roles }
+   * @param {Object} [details] - { reason, notes }
+   * @returns {{action: string, previousStatus: string, status: string, event: string, version: number, stage?: string}}
+   */
+  applyTransition(structure, action, actor, details = {}) {
+    const transition = this.getTransition(action);
+    const previousStatus = structure.status;
+    const now = new Date();
+
+    structure.status = transition.to;
+    if (transition.record) {
+      const { field, detail, input } = transition.record;
+      structure.workflow = structure.workflow || {};
+      structure.workflow[field] = {
+        user_id: actor.user_id,
+        name: actor.name,
+        email: actor.email,
+        role: transition.roles.find(role => (actor.roles || []).includes(role)) || transition.roles[0],
+        date: now,
+        ...(detail && { [detail]: details[input] || '' }),
+        ...(field === 'rejected_by' && { rejection_stage: transition.stage })
+      };
+    }
+    // Every transition starts a new version, captured by snapshotService
+    structure.creation_info = structure.creation_info || {};
+    structure.creation_info.last_updated_date = now;
+    structure.creation_info.version = (structure.creation_info.version || 1) + 1;
+
+    return {
+      action,
+      previousStatus,
+      status: structure.status,
+      event: transition.event,
+      version: structure.creation_info.version,
+      ...(transition.stage && { stage: transition.stage })
+    };
+  }
+
+  /**
+   * Actions the user could take on the structure in its current status.
+   * Actions blocked by a precondition are listed with the reasons, so
+   * clients can show why they are unavailable.
+   * @returns {Array<Object>}
+   */
+  getAvailableActions(structure, user) {
+    const roles = this.getUserRoles(user);
+
+    return Object.entries(TRANSITIONS)
+      .filter(([, transition]) =>
+        transition.from.includes(structure.status) &&
+        this.isPermitted(structure, transition, user, roles)
+      )
+      .map(([action, transition]) => {
+        const blockedBy = this.checkPreconditions(structure, transition);
+        return {
+          action,
+          label: transition.label,
+          to: transition.to,
+          requires: transition.requires || [],
+          available: blockedBy.length === 0,
+          blocked_by: blockedBy
+        };
+      });
+  }
+
+  /**
+   * The action that takes a structure from its current status to `status`
+   * for this user, if there is one (same filters as getAvailableActions)
+   */
+  findActionTo(structure, status, user) {
+    const roles = this.getUserRoles(user);
+    const match = Object.entries(TRANSITIONS).find(([, transition]) =>
+      transition.to === status &&
+      transition.from.includes(structure.status) &&
+      this.isPermitted(structure, transition, user, roles)
+    );
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Whether the structure's data may still be changed. Once submitted, the
+   * data is what reviewers test, validate and approve (and what snapshots
+   * and audit cycles record), so edits wait for a rejection or a reopen.
+   */
+  isEditable(structure) {
+    return EDITABLE_STATUSES.includes(structure.status);
+  }
+
+  /**
+   * Follow data-entry progress (location_completed, ratings_in_progress, ...)
+   * while the structure is still with its owner. Writes outside
+   * EDITABLE_STATUSES are refused before they get here (see isEditable).
+   * @returns {boolean} whether the status changed
+   */
+  recordProgress(structure, status) {
+    if (!DATA_ENTRY_STATUSES.includes(status) || !EDITABLE_STATUSES.includes(structure.status)) {
+      return false;
+    }
+    const changed = structure.status !== status;
+    structure.status = status;
+    return changed;
+  }
+
+  getState(status) {
+    return { status, ...(STATES[status] || { phase: 'unknown', label: status }) };
+  }
+}
+
+module.exports = new WorkflowService();
+module.exports.STATES = STATES;
+module.exports.TRANSITIONS = TRANSITIONS;
+module.exports.PRECONDITIONS = PRECONDITIONS;
+module.exports.EDITABLE_STATUSES = EDITABLE_STATUSES;
@@ -100,6 +100,27 @@ const STRUCTURE_STATUSES = {
   MAINTENANCE_NEEDED: 'maintenance_needed'
 };
 
+// Workflow statuses each reviewing role sees in the shared structure list
+const ROLE_VISIBLE_STATUSES = {
+  TE: [
+    'submitted',        // Ready for TE to start testing
+    'under_testing',    // TE is currently testing
+    'tested',           // TE completed testing
+    'rejected'          // Any rejected (TE can review)
+  ],
+  VE: [
+    'tested',           // Ready for VE to start validation
+    'under_validation', // VE is currently validating
+    'validated',        // VE completed validation
+    'rejected'          // Any rejected (VE can review)
+  ],
+  AD: [
+    'validated',        // Ready for AD to approve
+    'approved',         // AD already approved
+    'rejected'          // Any rejected (AD can review)
+  ]
+};
+
 // Floor types
 const FLOOR_TYPES = {
   PARKING: 'parking',
@@ -272,6 +293,7 @@ module.exports = {
   USER_ROLES,
   STRUCTURE_TYPES,
   STRUCTURE_STATUSES,
+  ROLE_VISIBLE_STATUSES,
   FLOOR_TYPES,
   FLAT_TYPES,
   DIRECTIONS,
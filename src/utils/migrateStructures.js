@@ -0,0 +1,105 @@
+const { User, Structure } = require('../models/schemas');
+
+/**
+ * Migration script to move structures embedded in user documents
+ * (users.structures[]) into the standalone structures collection.
+ *
+ * Raw documents are copied as-is so existing _ids, workflow sign-offs and
+ * remarks survive untouched; the only addition is the `owner` reference.
+ * Structures already present in the collection are skipped, so the
+ * migration can be re-run safely after a partial failure.
+ */
+async function migrateStructures({ removeEmbedded = true } = {}) {
+  try {
+    console.log('🔄 Starting structures migration...');
+
+    // Read raw documents - the User model no longer knows about `structures`
+    const usersWithStructures = await User.collection
+      .find({ 'structures.0': { $exists: true } }, { projection: { username: 1, structures: 1 } })
+      .toArray();
+
+    console.log(`📊 Found ${usersWithStructures.length} users with embedded structures`);
+
+    let migratedCount = 0;
+    let skippedCount = 0;
+    let failedCount = 0;
+    let totalCount = 0;
+
+    for (const user of usersWithStructures) {
+      let userFailed = false;
+
+      for (const embedded of user.structures) {
+        totalCount++;
+
+        try {
+          const exists = await Structure.collection.findOne({ _id: embedded._id }, { projection: { _id: 1 } });
+          if (exists) {
+            skippedCount++;
+            continue;
+          }
+
+          await Structure.collection.insertOne({
+            ...embedded,
+            owner: user._id,
+            createdAt: embedded.createdAt || embedded.creation_info?.created_date || new Date(),
+            updatedAt: embedded.updatedAt || embedded.creation_info?.last_updated_date || new Date()
+          });
+          migratedCount++;
+        } catch (error) {
+          userFailed = true;
+          failedCount++;
+          console.error(`❌ Failed to migrate structure ${embedded._id} of ${user.username}:`, error.message);
+        }
+      }
+
+      // Only drop the embedded copy once every structure of this user is in the collection
+      if (removeEmbedded && !userFailed) {
+        await User.collection.updateOne({ _id: user._id }, { $unset: { structures: '' } });
+        console.log(`✅ Migrated structures of user ${user.username} (${user.structures.length})`);
+      }
+    }
+
+    await dropLegacyStructureIndexes();
+
+    console.log(`🎉 Migration completed! Migrated ${migratedCount}, skipped ${skippedCount}, failed ${failedCount}`);
+    return {
+      success: failedCount === 0,
+      migrated: migratedCount,
+      skipped: skippedCount,
+      failed: failedCount,
+      total: totalCount,
+      ...(failedCount > 0 && { error: `${failedCount} structures could not be migrated` })
+    };
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Remove indexes on users.structures.* left over from the embedded layout
+ */
+async function dropLegacyStructureIndexes() {
+  try {
+    const indexes = await User.collection.indexes();
+    const legacyIndexes = indexes.filter(index =>
+      Object.keys(index.key).some(key => key.startsWith('structures.'))
+    );
+
+    for (const index of legacyIndexes) {
+      await User.collection.dropIndex(index.name);
+      console.log(`🧹 Dropped legacy index ${index.name}`);
+    }
+
+    return legacyIndexes.length;
+  } catch (error) {
+    console.error('⚠️ Could not drop legacy structure indexes:', error.message);
+    return 0;
+  }
+}
+
+module.exports = {
+  migrateStructures,
+  dropLegacyStructureIndexes
+};
@@ -0,0 +1,290 @@
+/**
+ * Standard interpretations of common NDT results, computed server-side when a
+ * test result is saved so TEs no longer transcribe them from spreadsheets.
+ *
+ *   rebound_hammer        -> estimated compressive strength (IS 13311-2)
+ *   ultra_pulse_velocity  -> concrete quality grade (IS 13311-1)
+ *   half_cell_potential   -> corrosion probability (ASTM C876)
+ *   carbonation_depth     -> carbonation front vs. cover to reinforcement
+ *
+ * Field names are read through aliases because the TestFormat definitions
+ * are admin-editable. Each interpreter returns null when the inputs it needs
+ * are missing, so partially filled results are saved without interpretation.
+ */
+
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = typeof value === 'string' ? Number(value.trim()) : value;
+  return typeof number === 'number' && Number.isFinite(number) ? number : undefined;
+};
+
+const pickNumber = (results, aliases) => {
+  for (const alias of aliases) {
+    const number = toNumber(results[alias]);
+    if (number !== undefined) return number;
+  }
+  return undefined;
+};
+
+const pickValue = (results, aliases) => {
+  const alias = aliases.find(name => results[name] !== undefined && results[name] !== null && results[name] !== '');
+  return alias ? results[alias] : undefined;
+};
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const interpolate = (x, x0, x1, y0, y1) => y0 + ((x - x0) * (y1 - y0)) / (x1 - x0);
+
+// =================== REBOUND HAMMER ===================
+
+// Correction to the rebound number for the impact angle (type N hammer),
+// tabulated at rebound numbers 20..60. Positive angles point upwards.
+const REBOUND_ANGLE_CORRECTIONS = {
+  rebound: [20, 30, 40, 50, 60],
+  angles: {
+    90: [-5.4, -4.7, -3.9, -3.1, -2.3],
+    45: [-3.5, -3.1, -2.6, -2.1, -1.6],
+    0: [0, 0, 0, 0, 0],
+    '-45': [2.4, 2.3, 2.0, 1.6, 1.3],
+    '-90': [3.2, 3.1, 2.7, 2.2, 1.7]
+  }
+};
+
+const ORIENTATION_ANGLES = {
+  horizontal: 0,
+  vertical_up: 90,
+  upward: 90,
+  inclined_up: 45,
+  vertical_down: -90,
+  downward: -90,
+  inclined_down: -45
+};
+
+// Valid range of the strength curve below
+const REBOUND_CALIBRATION_RANGE = { min: 20, max: 55 };
+
+const getReboundAngle = (results) => {
+  const angle = pickNumber(results, ['angle', 'impact_angle', 'angle_of_impact']);
+  if (angle !== undefined) return Math.max(-90, Math.min(90, angle));
+
+  const orientation = pickValue(results, ['orientation', 'hammer_orientation', 'direction']);
+  if (typeof orientation === 'string') {
+    const key = orientation.trim().toLowerCase().replace(/[\s-]+/g, '_');
+    if (ORIENTATION_ANGLES[key] !== undefined) return ORIENTATION_ANGLES[key];
+  }
+  return 0;
+};
+
+/**
+ * Correction for the impact angle, interpolated over the tabulated rebound
+ * numbers and angles
+ */
+const getAngleCorrection = (reboundNumber, angle) => {
+  const { rebound, angles } = REBOUND_ANGLE_CORRECTIONS;
+  const tabulatedAngles = Object.keys(angles).map(Number).sort((a, b) => a - b);
+
+  const correctionAt = (tableAngle) => {
+    const row = angles[tableAngle];
+    const r = Math.max(rebound[0], Math.min(rebound[rebound.length - 1], reboundNumber));
+    const upper = rebound.findIndex(value => value >= r);
+    if (upper <= 0) return row[0];
+    return interpolate(r, rebound[upper - 1], rebound[upper], row[upper - 1], row[upper]);
+  };
+
+  const upperIndex = tabulatedAngles.findIndex(value => value >= angle);
+  if (upperIndex <= 0) return correctionAt(tabulatedAngles[0]);
+
+  const lowerAngle = tabulatedAngles[upperIndex - 1];
+  const upperAngle = tabulatedAngles[upperIndex];
+  return interpolate(angle, lowerAngle, upperAngle, correctionAt(lowerAngle), correctionAt(upperAngle));
+};
+
+const getReboundQuality = (reboundNumber) => {
+  if (reboundNumber > 40) return 'very_good_hard_layer';
+  if (reboundNumber >= 30) return 'good_layer';
+  if (reboundNumber >= 20) return 'fair';
+  if (reboundNumber > 0) return 'poor_concrete';
+  return 'delaminated';
+};
+
+const interpretReboundHammer = (results) => {
+  const readings = pickValue(results, ['readings', 'rebound_readings', 'rebound_numbers']);
+  const readingValues = Array.isArray(readings)
+    ? readings.map(toNumber).filter(value => value !== undefined)
+    : [];
+
+  const reboundNumber = readingValues.length > 0
+    ? mean(readingValues)
+    : pickNumber(results, ['rebound_number', 'average_rebound_number', 'rebound_index', 'rebound_value']);
+
+  if (reboundNumber === undefined) return null;
+
+  const angle = getReboundAngle(results);
+  const correctedRebound = reboundNumber + getAngleCorrection(reboundNumber, angle);
+
+  // Average strength curve for a type N hammer on a horizontal surface
+  const strength = Math.max(0, 0.015 * correctedRebound ** 2 + 0.45 * correctedRebound - 5);
+  const quality = getReboundQuality(correctedRebound);
+
+  return {
+    method: 'IS 13311-2 rebound index, type N hammer strength curve',
+    rebound_number: round(reboundNumber, 1),
+    ...(readingValues.length > 0 && { readings_count: readingValues.length }),
+    impact_angle: angle,
+    corrected_rebound_number: round(correctedRebound, 1),
+    estimated_compressive_strength_mpa: round(strength, 1),
+    quality,
+    outside_calibration_range: correctedRebound < REBOUND_CALIBRATION_RANGE.min ||
+      correctedRebound > REBOUND_CALIBRATION_RANGE.max,
+    summary: `Estimated compressive strength ${round(strength, 1)} MPa (${quality.replace(/_/g, ' ')})`
+  };
+};
+
+// =================== ULTRASONIC PULSE VELOCITY ===================
+
+const UPV_GRADES = [
+  { min: 4.5, grade: 'excellent' },
+  { min: 3.5, grade: 'good' },
+  { min: 3.0, grade: 'medium' },
+  { min: -Infinity, grade: 'doubtful' }
+];
+
+const interpretPulseVelocity = (results) => {
+  let velocity = pickNumber(results, ['pulse_velocity', 'velocity', 'upv', 'pulse_velocity_km_s']);
+
+  if (velocity === undefined) {
+    const pathLength = pickNumber(results, ['path_length', 'path_length_mm']);
+    const transitTime = pickNumber(results, ['transit_time', 'transit_time_us']);
+    if (pathLength === undefined || !transitTime) return null;
+    // mm / µs == km/s
+    velocity = pathLength / transitTime;
+  } else if (velocity > 100) {
+    // Entered in m/s
+    velocity = velocity / 1000;
+  }
+
+  if (velocity <= 0) return null;
+
+  const { grade } = UPV_GRADES.find(band => velocity >= band.min);
+
+  return {
+    method: 'IS 13311-1 velocity criterion for concrete quality grading',
+    pulse_velocity_km_s: round(velocity, 3),
+    quality_grade: grade,
+    summary: `Pulse velocity ${round(velocity, 2)} km/s - ${grade} concrete quality`
+  };
+};
+
+// =================== HALF-CELL POTENTIAL ===================
+
+// Offsets (mV) converting readings against other reference electrodes to CSE
+const REFERENCE_ELECTRODE_OFFSETS_MV = {
+  cse: 0,
+  sce: -75,
+  'ag/agcl': -119,
+  agcl: -119
+};
+
+const CORROSION_BANDS = [
+  { above: -200, probability: 'low', description: 'greater than 90% probability of no corrosion' },
+  { above: -350, probability: 'uncertain', description: 'corrosion activity uncertain' },
+  { above: -Infinity, probability: 'high', description: 'greater than 90% probability of corrosion' }
+];
+
+const interpretHalfCellPotential = (results) => {
+  const potential = pickNumber(results, ['potential', 'half_cell_potential', 'potential_mv']);
+  if (potential === undefined) return null;
+
+  const electrodeValue = pickValue(results, ['reference_electrode', 'electrode']);
+  const electrode = typeof electrodeValue === 'string' ? electrodeValue.trim().toLowerCase() : 'cse';
+  const offset = REFERENCE_ELECTRODE_OFFSETS_MV[electrode] ?? 0;
+  const potentialCse = potential + offset;
+
+  const band = CORROSION_BANDS.find(entry => potentialCse > entry.above);
+
+  return {
+    method: 'ASTM C876 potential thresholds (vs. Cu/CuSO4 electrode)',
+    potential_mv: potential,
+    reference_electrode: electrode.toUpperCase(),
+    potential_cse_mv: round(potentialCse, 0),
+    corrosion_probability: band.probability,
+    summary: `${round(potentialCse, 0)} mV vs CSE - ${band.description}`
+  };
+};
+
+// =================== CARBONATION DEPTH ===================
+
+// Carbonation front within this fraction of the cover is flagged early
+const CARBONATION_WARNING_RATIO = 0.8;
+
+const interpretCarbonationDepth = (results, context = {}) => {
+  const depth = pickNumber(results, ['carbonation_depth', 'depth', 'carbonation_depth_mm']);
+  const cover = pickNumber(results, ['cover_depth', 'cover', 'cover_mm', 'clear_cover']) ??
+    toNumber(context.cover_depth);
+
+  if (depth === undefined || !cover) return null;
+
+  const ratio = depth / cover;
+  let status = 'within_cover';
+  if (depth >= cover) status = 'reached_reinforcement';
+  else if (ratio >= CARBONATION_WARNING_RATIO) status = 'approaching_reinforcement';
+
+  const interpretation = {
+    method: 'Carbonation front compared against cover to reinforcement',
+    carbonation_depth_mm: depth,
+    cover_depth_mm: cover,
+    remaining_cover_mm: round(Math.max(0, cover - depth), 1),
+    depth_to_cover_ratio: round(ratio, 2),
+    status,
+    reinforcement_at_risk: status === 'reached_reinforcement'
+  };
+
+  // d = K * sqrt(t): estimate how long until the front reaches the steel
+  const ageYears = pickNumber(results, ['age_years', 'structure_age']) ?? toNumber(context.age_years);
+  if (ageYears > 0 && depth > 0) {
+    const coefficient = depth / Math.sqrt(ageYears);
+    interpretation.carbonation_coefficient_mm_per_sqrt_year = round(coefficient, 2);
+    interpretation.years_to_reach_reinforcement = round(Math.max(0, (cover / coefficient) ** 2 - ageYears), 1);
+  }
+
+  interpretation.summary = status === 'reached_reinforcement'
+    ? `Carbonation (${depth} mm) has reached the reinforcement (cover ${cover} mm)`
+    : `Carbonation ${depth} mm of ${cover} mm cover - ${round(Math.max(0, cover - depth), 1)} mm remaining`;
+
+  return interpretation;
+};
+
+const INTERPRETERS = {
+  rebound_hammer: interpretReboundHammer,
+  ultra_pulse_velocity: interpretPulseVelocity,
+  half_cell_potential: interpretHalfCellPotential,
+  carbonation_depth: interpretCarbonationDepth
+};
+
+/**
+ * Compute the standard interpretation for a saved test result
+ * @param {string} testName - test_name of the result
+ * @param {Object} testResults - normalized test_results values
+ * @param {Object} [context] - extra inputs, e.g. { cover_depth, age_years }
+ * @returns {Object|null} interpretation, or null if the test has none / inputs are missing
+ */
+const interpretTestResult = (testName, testResults, context = {}) => {
+  const interpreter = INTERPRETERS[testName];
+  if (!interpreter || !testResults || typeof testResults !== 'object') return null;
+
+  const interpretation = interpreter(testResults, context);
+  return interpretation ? { ...interpretation, computed_at: new Date() } : null;
+};
+
+module.exports = {
+  interpretTestResult,
+  interpretReboundHammer,
+  interpretPulseVelocity,
+  interpretHalfCellPotential,
+  interpretCarbonationDepth
+};
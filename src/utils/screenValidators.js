@@ -2110,9 +2110,26 @@ const testingRequirementsValidation = [
 
 // =================== TEST RESULT VALIDATION ===================
 const testResultValidation = [
+  body('format_id')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Format ID must be a non-empty string'),
+  
+  body('format_key')
+    .optional()
+    .matches(/^[a-z0-9_]+$/)
+    .withMessage('Format key can only contain lowercase letters, numbers and underscores'),
+  
   body('test_name')
+    .if(body('format_id').not().exists())
+    .if(body('format_key').not().exists())
     .notEmpty()
-    .withMessage('Test name is required')
+    .withMessage('Test name is required when no format ID or format key is given'),
+  
+  body('test_name')
+    .optional()
     .isIn([
       'rebound_hammer',
       'ultra_pulse_velocity',
@@ -2125,7 +2142,8 @@ const testResultValidation = [
       'ultrasonic_thickness_gauge',
       'magnetic_particle',
       'liquid_penetration',
-      'hardness_test'
+      'hardness_test',
+      'custom'
     ])
     .withMessage('Invalid test name'),
   
@@ -2182,6 +2200,62 @@ const testResultValidation = [
     .withMessage('PDF file path is required')
 ];
 
+// Partial update of a recorded test result; test_name is fixed once recorded
+const testResultUpdateValidation = [
+  body('format_id')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Format ID must be a non-empty string'),
+  
+  body('component_type')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Component type must be a non-empty string'),
+  
+  body('component_id')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Component ID must be a non-empty string'),
+  
+  body('test_date')
+    .optional()
+    .isISO8601()
+    .withMessage('Test date must be a valid date'),
+  
+  body('test_results')
+    .optional()
+    .isObject()
+    .withMessage('Test results must be an object'),
+  
+  body('tested_by')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Tested by name cannot exceed 100 characters'),
+  
+  body('remarks')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Remarks cannot exceed 1000 characters'),
+  
+  body('test_report_pdf')
+    .optional()
+    .isObject()
+    .withMessage('Test report PDF must be an object'),
+  
+  body('test_report_pdf.file_path')
+    .if(body('test_report_pdf').exists())
+    .notEmpty()
+    .withMessage('PDF file path is required')
+];
+
 // =================== TEST FORMAT VALIDATION ===================
 const testFormatValidation = [
   body('test_name')
@@ -2212,9 +2286,22 @@ const testFormatValidation = [
     .isLength({ min: 1, max: 100 })
     .withMessage('Display name must be 1-100 characters'),
   
-  body('format_template')
+  body('format_key')
+    .if(body('test_name').equals('custom'))
     .notEmpty()
-    .withMessage('Format template is required')
+    .withMessage('Format key is required for custom tests'),
+  
+  body('format_key')
+    .optional()
+    .isString()
+    .trim()
+    .matches(/^[a-z0-9_]+$/)
+    .withMessage('Format key can only contain lowercase letters, numbers and underscores')
+    .isLength({ max: 60 })
+    .withMessage('Format key cannot exceed 60 characters'),
+  
+  body('format_template')
+    .optional()
     .isObject()
     .withMessage('Format template must be an object'),
   
@@ -2250,10 +2337,429 @@ const testFormatValidation = [
     .isArray()
     .withMessage('Options must be an array'),
   
+  body('field_definitions.*.validation_rules')
+    .optional()
+    .isObject()
+    .withMessage('Validation rules must be an object'),
+  
   body('is_custom')
     .optional()
     .isBoolean()
-    .withMessage('is_custom must be a boolean')
+    .withMessage('is_custom must be a boolean'),
+  
+  body('change_notes')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Change notes cannot exceed 1000 characters')
+];
+
+// Rate book line entries and unit defaults, shared by create and update
+const rateBookRatesValidation = [
+  body('rates')
+    .optional()
+    .isArray()
+    .withMessage('Rates must be an array'),
+  
+  body('rates.*.scope')
+    .optional({ nullable: true })
+    .isIn(['structural', 'non_structural'])
+    .withMessage('Scope must be structural or non_structural'),
+  
+  body('rates.*.category')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Category cannot exceed 100 characters'),
+  
+  body('rates.*.repair_methodology')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Repair methodology cannot exceed 200 characters'),
+  
+  body('rates.*')
+    .optional()
+    .custom(rate => {
+      if (!rate || (!rate.category && !rate.repair_methodology)) {
+        throw new Error('Each rate needs a category or a repair methodology');
+      }
+      return true;
+    }),
+  
+  body('rates.*.unit')
+    .notEmpty()
+    .withMessage('Rate unit is required')
+    .isIn(["NO'S", 'RM', 'SQM', 'CUM'])
+    .withMessage("Unit must be one of NO'S, RM, SQM, CUM"),
+  
+  body('rates.*.rate')
+    .isFloat({ min: 0 })
+    .withMessage('Rate must be a non-negative number'),
+  
+  body('default_rates_by_unit')
+    .optional()
+    .isObject()
+    .withMessage('Default rates by unit must be an object')
+    .custom(rates => {
+      Object.entries(rates).forEach(([unit, rate]) => {
+        if (!["NO'S", 'RM', 'SQM', 'CUM'].includes(unit)) {
+          throw new Error(`Unknown unit "${unit}" in default rates`);
+        }
+        if (!Number.isFinite(Number(rate)) || Number(rate) < 0) {
+          throw new Error(`Default rate for ${unit} must be a non-negative number`);
+        }
+      });
+      return true;
+    }),
+  
+  body('currency')
+    .optional()
+    .isString()
+    .isLength({ min: 3, max: 3 })
+    .withMessage('Currency must be a 3-letter code'),
+  
+  body('effective_from')
+    .optional()
+    .isISO8601()
+    .withMessage('Effective from must be a valid date'),
+  
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active must be a boolean'),
+  
+  body('notes')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+];
+
+const rateBookValidation = [
+  body('name')
+    .notEmpty()
+    .withMessage('Rate book name is required')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be 1-100 characters'),
+  
+  body('state_code')
+    .optional({ nullable: true })
+    .matches(/^[A-Za-z]{2}$/)
+    .withMessage('State code must be 2 letters'),
+  
+  body('structure_subtype')
+    .notEmpty()
+    .withMessage('Structure subtype is required')
+    .isIn(['rcc', 'steel'])
+    .withMessage('Structure subtype must be rcc or steel'),
+  
+  ...rateBookRatesValidation
+];
+
+const rateBookUpdateValidation = [
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be 1-100 characters'),
+  
+  body('state_code')
+    .optional({ nullable: true })
+    .matches(/^[A-Za-z]{2}$/)
+    .withMessage('State code must be 2 letters'),
+  
+  body('structure_subtype')
+    .optional()
+    .isIn(['rcc', 'steel'])
+    .withMessage('Structure subtype must be rcc or steel'),
+  
+  ...rateBookRatesValidation
+];
+
+// =================== WORKFLOW SLA VALIDATIONS ===================
+
+const workflowSlaFieldsValidation = [
+  body('structure_type')
+    .optional({ nullable: true })
+    .isIn(['residential', 'commercial', 'educational', 'hospital', 'industrial'])
+    .withMessage('Invalid structure type'),
+  
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active must be a boolean'),
+  
+  body('notes')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+];
+
+const workflowSlaValidation = [
+  body('stage')
+    .notEmpty()
+    .withMessage('Stage is required')
+    .isIn(['testing', 'validation', 'approval'])
+    .withMessage('Stage must be testing, validation or approval'),
+  
+  body('target_hours')
+    .notEmpty()
+    .withMessage('Target hours is required')
+    .isFloat({ min: 1 })
+    .withMessage('Target must be at least 1 hour'),
+  
+  ...workflowSlaFieldsValidation
+];
+
+const workflowSlaUpdateValidation = [
+  body('stage')
+    .optional()
+    .isIn(['testing', 'validation', 'approval'])
+    .withMessage('Stage must be testing, validation or approval'),
+  
+  body('target_hours')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Target must be at least 1 hour'),
+  
+  ...workflowSlaFieldsValidation
+];
+
+// =================== REJECTION FINDING VALIDATIONS ===================
+
+// Findings sent with a rejection (status "rejected"); locations are checked against the structure by the controller
+const rejectionFindingsValidation = [
+  body('findings')
+    .if(body('status').equals('rejected'))
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Rejecting requires 1 to 100 findings for the owner to address'),
+  
+  body('findings.*.description')
+    .notEmpty()
+    .withMessage('Each finding needs a description')
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Finding description cannot exceed 1000 characters'),
+  
+  body('findings.*.floor_id')
+    .notEmpty()
+    .withMessage('Each finding must point to a floor (floor_id)'),
+  
+  body('findings.*.flat_id')
+    .optional()
+    .isString()
+    .withMessage('flat_id must be a string'),
+  
+  body('findings.*.block_id')
+    .optional()
+    .isString()
+    .withMessage('block_id must be a string'),
+  
+  body('findings.*.scope')
+    .optional()
+    .isIn(['structural', 'non_structural'])
+    .withMessage('Scope must be "structural" or "non_structural"'),
+  
+  body('findings.*.instance_id')
+    .optional()
+    .isString()
+    .withMessage('instance_id must be a string')
+];
+
+// Findings marked addressed when resubmitting
+const addressedFindingsValidation = [
+  body('addressed_findings')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('addressed_findings must be an array of at most 100 items'),
+  
+  body('addressed_findings.*.finding_id')
+    .isMongoId()
+    .withMessage('Invalid finding ID'),
+  
+  body('addressed_findings.*.response')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Response cannot exceed 2000 characters')
+];
+
+// =================== MAINTENANCE REQUEST VALIDATIONS ===================
+
+const maintenanceCostValidation = (field) => [
+  body(field)
+    .optional()
+    .isObject()
+    .withMessage(`${field} must be an object`),
+  
+  body(`${field}.amount`)
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Cost amount must be a non-negative number'),
+  
+  body(`${field}.currency`)
+    .optional()
+    .isString()
+    .isLength({ min: 3, max: 3 })
+    .withMessage('Currency must be a 3-letter code')
+];
+
+const maintenanceDetailsValidation = [
+  body('description')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Description cannot exceed 2000 characters'),
+  
+  body('repair_methodology')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Repair methodology cannot exceed 2000 characters'),
+  
+  body('priority')
+    .optional()
+    .isIn(['Critical', 'High', 'Medium', 'Low'])
+    .withMessage('Priority must be Critical, High, Medium or Low'),
+  
+  body('due_date')
+    .optional()
+    .isISO8601()
+    .withMessage('Due date must be a valid date'),
+  
+  ...maintenanceCostValidation('estimated_cost')
+];
+
+const maintenanceRequestValidation = [
+  body('structure_id')
+    .isMongoId()
+    .withMessage('Valid structure ID is required'),
+  
+  body('title')
+    .notEmpty()
+    .withMessage('Title is required')
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Title cannot exceed 200 characters'),
+  
+  body('location')
+    .optional()
+    .isObject()
+    .withMessage('Location must be an object'),
+  
+  ...maintenanceDetailsValidation
+];
+
+const maintenanceFromComponentValidation = [
+  body('structure_id')
+    .isMongoId()
+    .withMessage('Valid structure ID is required'),
+  
+  body('floor_id')
+    .notEmpty()
+    .withMessage('Floor ID is required'),
+  
+  body('flat_id')
+    .optional()
+    .isString()
+    .withMessage('Flat ID must be a string'),
+  
+  body('block_id')
+    .optional()
+    .isString()
+    .withMessage('Block ID must be a string'),
+  
+  body()
+    .custom(value => {
+      if (value.flat_id && value.block_id) {
+        throw new Error('Specify either a flat or a block, not both');
+      }
+      return true;
+    }),
+  
+  body('scope')
+    .isIn(['structural', 'non_structural'])
+    .withMessage('Scope must be structural or non_structural'),
+  
+  body('instance_id')
+    .notEmpty()
+    .withMessage('Component instance ID is required'),
+  
+  body('component_type')
+    .optional()
+    .isString()
+    .withMessage('Component type must be a string'),
+  
+  body('title')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Title cannot exceed 200 characters'),
+  
+  ...maintenanceDetailsValidation
+];
+
+const maintenanceUpdateValidation = [
+  body('title')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be 1-200 characters'),
+  
+  ...maintenanceDetailsValidation,
+  ...maintenanceCostValidation('actual_cost')
+];
+
+const maintenanceAssignValidation = [
+  body('assignee_ids')
+    .isArray({ min: 1 })
+    .withMessage('At least one assignee is required'),
+  
+  body('assignee_ids.*')
+    .isMongoId()
+    .withMessage('Invalid assignee ID'),
+  
+  body('due_date')
+    .optional()
+    .isISO8601()
+    .withMessage('Due date must be a valid date'),
+  
+  body('notes')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+];
+
+const maintenanceStatusValidation = [
+  body('status')
+    .isIn(['in_progress', 'completed', 'verified'])
+    .withMessage('Status must be in_progress, completed or verified'),
+  
+  body('notes')
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Notes cannot exceed 2000 characters'),
+  
+  ...maintenanceCostValidation('actual_cost')
 ];
 
 const customNonStructuralComponentValidation = [
@@ -2334,8 +2840,28 @@ module.exports = {
   // Testing Validations
   testingRequirementsValidation,
   testResultValidation,
+  testResultUpdateValidation,
   testFormatValidation,
   
+  // Repair Rate Books
+  rateBookValidation,
+  rateBookUpdateValidation,
+  
+  // Workflow SLAs
+  workflowSlaValidation,
+  workflowSlaUpdateValidation,
+  
+  // Rejection Findings
+  rejectionFindingsValidation,
+  addressedFindingsValidation,
+  
+  // Maintenance Requests
+  maintenanceRequestValidation,
+  maintenanceFromComponentValidation,
+  maintenanceUpdateValidation,
+  maintenanceAssignValidation,
+  maintenanceStatusValidation,
+  
   // Custom Component Validation
   customNonStructuralComponentValidation,
   
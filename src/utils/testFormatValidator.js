@@ -0,0 +1,295 @@
+/**
+ * Validation of NDT `test_results` payloads against TestFormat field definitions.
+ *
+ * Supported `validation_rules` keys:
+ *   number      -> min, max, integer
+ *   text        -> min_length, max_length, pattern
+ *   date        -> min, max (ISO dates)
+ *   multiselect -> min_items, max_items
+ */
+
+const isEmptyValue = (value) => (
+  value === undefined ||
+  value === null ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0)
+);
+
+const toPlainDefinition = (definition) => (
+  definition && typeof definition.toObject === 'function' ? definition.toObject() : definition
+);
+
+const validateNumber = (value, rules, label) => {
+  const number = typeof value === 'string' ? Number(value.trim()) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number)) {
+    return { error: `${label} must be a number` };
+  }
+  if (rules.integer && !Number.isInteger(number)) {
+    return { error: `${label} must be a whole number` };
+  }
+  if (rules.min !== undefined && number < Number(rules.min)) {
+    return { error: `${label} must be at least ${rules.min}` };
+  }
+  if (rules.max !== undefined && number > Number(rules.max)) {
+    return { error: `${label} cannot exceed ${rules.max}` };
+  }
+  return { value: number };
+};
+
+const validateText = (value, rules, label) => {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return { error: `${label} must be text` };
+  }
+  const text = String(value).trim();
+  if (rules.min_length !== undefined && text.length < Number(rules.min_length)) {
+    return { error: `${label} must be at least ${rules.min_length} characters` };
+  }
+  if (rules.max_length !== undefined && text.length > Number(rules.max_length)) {
+    return { error: `${label} cannot exceed ${rules.max_length} characters` };
+  }
+  if (rules.pattern && !new RegExp(rules.pattern).test(text)) {
+    return { error: `${label} has an invalid format` };
+  }
+  return { value: text };
+};
+
+const validateDate = (value, rules, label) => {
+  const date = value instanceof Date ? value : new Date(value);
+  if (typeof value === 'boolean' || Number.isNaN(date.getTime())) {
+    return { error: `${label} must be a valid date` };
+  }
+  if (rules.min && date < new Date(rules.min)) {
+    return { error: `${label} cannot be before ${rules.min}` };
+  }
+  if (rules.max && date > new Date(rules.max)) {
+    return { error: `${label} cannot be after ${rules.max}` };
+  }
+  return { value: date };
+};
+
+const validateSelect = (value, options, label) => {
+  if (!options.includes(value)) {
+    return { error: `${label} must be one of: ${options.join(', ')}` };
+  }
+  return { value };
+};
+
+const validateMultiselect = (value, options, rules, label) => {
+  const values = Array.isArray(value) ? value : [value];
+  const invalid = values.filter(item => !options.includes(item));
+  if (invalid.length > 0) {
+    return { error: `${label} contains invalid option(s): ${invalid.join(', ')}` };
+  }
+  if (rules.min_items !== undefined && values.length < Number(rules.min_items)) {
+    return { error: `${label} requires at least ${rules.min_items} selection(s)` };
+  }
+  if (rules.max_items !== undefined && values.length > Number(rules.max_items)) {
+    return { error: `${label} allows at most ${rules.max_items} selection(s)` };
+  }
+  return { value: Array.from(new Set(values)) };
+};
+
+const validateFile = (value, label) => {
+  if (typeof value === 'string' && value.trim() !== '') {
+    return { value: value.trim() };
+  }
+  if (value && typeof value === 'object' && (value.file_path || value.filename)) {
+    return { value };
+  }
+  return { error: `${label} must be a file path or file object` };
+};
+
+/**
+ * Validate a single value against one field definition
+ * @param {Object} definition - TestFormat field definition
+ * @param {*} value - Submitted value (already known to be non-empty)
+ * @returns {{value?: *, error?: string}}
+ */
+const validateFieldValue = (definition, value) => {
+  const rules = definition.validation_rules || {};
+  const options = definition.options || [];
+  const label = definition.field_label || definition.field_name;
+
+  switch (definition.field_type) {
+    case 'number':
+      return validateNumber(value, rules, label);
+    case 'text':
+      return validateText(value, rules, label);
+    case 'date':
+      return validateDate(value, rules, label);
+    case 'select':
+      return validateSelect(value, options, label);
+    case 'multiselect':
+      return validateMultiselect(value, options, rules, label);
+    case 'file':
+      return validateFile(value, label);
+    default:
+      return { error: `${label} has unsupported field type "${definition.field_type}"` };
+  }
+};
+
+/**
+ * Validate a `test_results` object against a TestFormat
+ * @param {Object} testFormat - TestFormat document (or plain object with field_definitions)
+ * @param {Object} testResults - Submitted test_results payload
+ * @returns {{isValid: boolean, errors: Array<{field: string, message: string}>, values: Object}}
+ *   `values` holds the normalized results (numbers/dates coerced, text trimmed)
+ */
+const validateTestResults = (testFormat, testResults) => {
+  const errors = [];
+  const values = {};
+
+  if (!testResults || typeof testResults !== 'object' || Array.isArray(testResults)) {
+    return {
+      isValid: false,
+      errors: [{ field: 'test_results', message: 'Test results must be an object' }],
+      values
+    };
+  }
+
+  const definitions = (testFormat?.field_definitions || []).map(toPlainDefinition);
+  const knownFields = new Set(definitions.map(definition => definition.field_name));
+
+  Object.keys(testResults)
+    .filter(field => !knownFields.has(field))
+    .forEach(field => {
+      errors.push({ field, message: `Field "${field}" is not defined in this test format` });
+    });
+
+  definitions.forEach(definition => {
+    const value = testResults[definition.field_name];
+
+    if (isEmptyValue(value)) {
+      if (definition.required) {
+        errors.push({
+          field: definition.field_name,
+          message: `${definition.field_label || definition.field_name} is required`
+        });
+      }
+      return;
+    }
+
+    const result = validateFieldValue(definition, value);
+    if (result.error) {
+      errors.push({ field: definition.field_name, message: result.error });
+    } else {
+      values[definition.field_name] = result.value;
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    values
+  };
+};
+
+// validation_rules keys each field type understands
+const RULES_BY_FIELD_TYPE = {
+  number: ['min', 'max', 'integer'],
+  text: ['min_length', 'max_length', 'pattern'],
+  date: ['min', 'max'],
+  select: [],
+  multiselect: ['min_items', 'max_items'],
+  file: []
+};
+
+const RANGE_RULES = [['min', 'max'], ['min_length', 'max_length'], ['min_items', 'max_items']];
+
+/**
+ * Validate the field definitions of a TestFormat before it is saved
+ * @param {Array} definitions - field_definitions from the request
+ * @returns {{isValid: boolean, errors: Array<{field: string, message: string}>}}
+ */
+const validateFieldDefinitions = (definitions) => {
+  const errors = [];
+
+  if (!Array.isArray(definitions) || definitions.length === 0) {
+    return {
+      isValid: false,
+      errors: [{ field: 'field_definitions', message: 'At least one field definition is required' }]
+    };
+  }
+
+  const seenNames = new Set();
+
+  definitions.forEach((rawDefinition, index) => {
+    const definition = toPlainDefinition(rawDefinition) || {};
+    const field = `field_definitions[${index}]`;
+    const allowedRules = RULES_BY_FIELD_TYPE[definition.field_type];
+
+    if (!allowedRules) {
+      errors.push({ field: `${field}.field_type`, message: `Unsupported field type "${definition.field_type}"` });
+      return;
+    }
+
+    if (seenNames.has(definition.field_name)) {
+      errors.push({ field: `${field}.field_name`, message: `Duplicate field name "${definition.field_name}"` });
+    }
+    seenNames.add(definition.field_name);
+
+    if (['select', 'multiselect'].includes(definition.field_type)) {
+      const options = definition.options || [];
+      if (options.length === 0) {
+        errors.push({ field: `${field}.options`, message: `${definition.field_type} fields need at least one option` });
+      }
+      if (new Set(options).size !== options.length) {
+        errors.push({ field: `${field}.options`, message: 'Options must be unique' });
+      }
+    }
+
+    const rules = definition.validation_rules;
+    if (rules === undefined || rules === null) {
+      return;
+    }
+
+    if (typeof rules !== 'object' || Array.isArray(rules)) {
+      errors.push({ field: `${field}.validation_rules`, message: 'Validation rules must be an object' });
+      return;
+    }
+
+    Object.keys(rules)
+      .filter(rule => !allowedRules.includes(rule))
+      .forEach(rule => {
+        errors.push({
+          field: `${field}.validation_rules.${rule}`,
+          message: `Rule "${rule}" is not supported for ${definition.field_type} fields`
+        });
+      });
+
+    if (rules.pattern !== undefined) {
+      try {
+        new RegExp(rules.pattern);
+      } catch (error) {
+        errors.push({ field: `${field}.validation_rules.pattern`, message: 'Pattern is not a valid regular expression' });
+      }
+    }
+
+    RANGE_RULES.forEach(([lower, upper]) => {
+      if (rules[lower] === undefined || rules[upper] === undefined) return;
+
+      const toComparable = definition.field_type === 'date'
+        ? value => new Date(value).getTime()
+        : Number;
+      const lowerValue = toComparable(rules[lower]);
+      const upperValue = toComparable(rules[upper]);
+
+      if (Number.isNaN(lowerValue) || Number.isNaN(upperValue)) {
+        errors.push({ field: `${field}.validation_rules`, message: `${lower}/${upper} must be valid values` });
+      } else if (lowerValue > upperValue) {
+        errors.push({ field: `${field}.validation_rules`, message: `${lower} cannot be greater than ${upper}` });
+      }
+    });
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+module.exports = {
+  validateTestResults,
+  validateFieldValue,
+  validateFieldDefinitions
+};
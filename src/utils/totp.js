@@ -0,0 +1,156 @@
+/**
+ * Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30 s steps)
+ * as used by authenticator apps, plus the helpers two-factor login needs:
+ * base32 secrets (RFC 4648), otpauth:// provisioning URIs, encryption of
+ * secrets at rest and single-use backup codes.
+ */
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+const SECRET_BYTES = 20;
+const BACKUP_CODE_COUNT = 10;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (encoded) => {
+  const clean = String(encoded).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character in secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+const timeStep = (now = Date.now()) => Math.floor(now / 1000 / PERIOD_SECONDS);
+
+/**
+ * HOTP value (RFC 4226) for a counter
+ */
+const generateHotp = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const generateTotp = (secret, now = Date.now()) => generateHotp(secret, timeStep(now));
+
+/**
+ * Check a code against the current step and `window` steps either side
+ * (clock drift). Returns the matching step so callers can refuse a code
+ * that was already used, or null.
+ */
+const verifyTotp = (secret, code, { now = Date.now(), window = 1 } = {}) => {
+  const received = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(received)) return null;
+
+  const current = timeStep(now);
+  for (let step = current - window; step <= current + window; step += 1) {
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received))) return step;
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URI for authenticator apps; render it as a QR code to enroll
+ */
+const buildProvisioningUri = (secret, accountName, issuer = 'SAMS') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// AES-256-GCM key for secrets at rest (TOTP_ENCRYPTION_KEY, else derived from JWT_SECRET)
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(`totp:${process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || process.env.JWT_ACCESS_SECRET}`)
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = String(stored).split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const normalizeBackupCode = code => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hashBackupCode = code => crypto.createHash('sha256').update(normalizeBackupCode(code)).digest('hex');
+
+/**
+ * Single-use recovery codes, e.g. "3f9a1-c04e7"; store only their hashes
+ * @returns {{codes: string[], hashes: string[]}}
+ */
+const generateBackupCodes = (count = BACKUP_CODE_COUNT) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+module.exports = {
+  DIGITS,
+  PERIOD_SECONDS,
+  BACKUP_CODE_COUNT,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  buildProvisioningUri,
+  encryptSecret,
+  decryptSecret,
+  hashBackupCode,
+  generateBackupCodes
+};
@@ -7,7 +7,7 @@ const mongoose = require('mongoose');
 require('dotenv').config();
 
 // Import models and utilities
-const { User } = require('./src/models/schemas');
+const { User, Structure } = require('./src/models/schemas');
 const { migrateUserRoles, addRoleToUser } = require('./src/utils/migrateUserRoles');
 
 async function testRemarksSystem() {
@@ -113,10 +113,7 @@ async function testRemarksSystem() {
       }
     };
     
-    feUser.structures.push(testStructure);
-    await feUser.save();
-    
-    const createdStructure = feUser.structures[feUser.structures.length - 1];
+    const createdStructure = await Structure.create({ ...testStructure, owner: feUser._id });
     console.log(`✅ Structure created: ${createdStructure._id} (UID: ${createdStructure.structural_identity.uid})\n`);
     
     // Step 4: Test adding remarks
@@ -138,7 +135,7 @@ async function testRemarksSystem() {
       date: new Date()
     };
     
-    await feUser.save();
+    await createdStructure.save();
     console.log('✅ FE remark added:', feRemark.text);
     
     // VE adds a remark (cross-user access)
@@ -157,7 +154,7 @@ async function testRemarksSystem() {
       date: new Date()
     };
     
-    await feUser.save();
+    await createdStructure.save();
     console.log('✅ VE remark added:', veRemark.text);
     
     // Step 5: Test multiple roles